@@ -1,14 +1,163 @@
-// Admin module for managing expeditions and boats
+// Admin module for managing expeditions, boats and users
 // This module is completely standalone and does not share global state with app.js
 
 // State
 let currentTab = 'expeditions';
 let allBoats = [];
 let allExpeditions = [];
+let allUsers = [];
+let allGeofences = [];
+let dataLoaded = false;
+let commandsBoatId = null; // boat whose tracker command panel is open
+let cleanTrackBoatId = null; // boat whose clean-track panel is open
+let shareExpeditionId = null; // expedition whose share-links panel is open
+let shareLinks = [];
+
+// Get session token from session storage
+function getToken() {
+  return sessionStorage.getItem('admin-token') || '';
+}
+
+// Get the logged-in user ({ username, name, role }) from session storage
+function getCurrentUser() {
+  try {
+    return JSON.parse(sessionStorage.getItem('admin-user')) || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Authorization headers for API requests
+function authHeaders(extra = {}) {
+  return Object.assign({ 'Authorization': `Bearer ${getToken()}` }, extra);
+}
+
+// fetch() wrapper that drops the session and asks to log in again on 401
+async function apiFetch(url, options = {}) {
+  const response = await fetch(url, options);
+  if (response.status === 401 && getToken()) {
+    clearSession();
+    closeAdminModal();
+    showLogin('Your session has expired. Please log in again.');
+  }
+  return response;
+}
+
+function clearSession() {
+  sessionStorage.removeItem('admin-token');
+  sessionStorage.removeItem('admin-user');
+  dataLoaded = false;
+  // Back to the public, possibly delayed live stream
+  if (window.wsClient) window.wsClient.authenticate();
+}
+
+// Acknowledge a tracker alarm; asks to log in first when needed.
+// Resolves to true when the alarm was acknowledged (or already was).
+async function acknowledgeAlarm(alarmId) {
+  if (!getToken()) {
+    showLogin('Log in as organiser or admin to acknowledge alarms.');
+    return false;
+  }
+
+  try {
+    const response = await apiFetch(`/api/alarms/${alarmId}/acknowledge`, {
+      method: 'POST',
+      headers: authHeaders()
+    });
+
+    if (response.status === 409) return true;
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to acknowledge alarm');
+    }
+    return true;
+  } catch (err) {
+    alert('Error: ' + err.message);
+    return false;
+  }
+}
+
+// Open the admin panel, or the login modal when not logged in
+function open() {
+  if (getToken()) {
+    showAdminModal();
+  } else {
+    showLogin();
+  }
+}
 
-// Get admin API key from session storage
-function getApiKey() {
-  return sessionStorage.getItem('admin-api-key') || '';
+function showAdminModal() {
+  const user = getCurrentUser();
+  const isAdmin = !!user && user.role === 'admin';
+
+  document.querySelector('#admin-modal .admin-modal').classList.toggle('is-admin', isAdmin);
+  document.getElementById('admin-user-label').textContent = user ? `${user.username} (${user.role})` : '';
+
+  // Non-admins cannot see the users tab
+  if (!isAdmin && currentTab === 'users') {
+    switchTab('expeditions');
+  } else if (!dataLoaded) {
+    loadData();
+  }
+
+  document.getElementById('admin-modal').classList.remove('hidden');
+}
+
+function showLogin(message = '') {
+  const errorEl = document.getElementById('admin-login-error');
+  errorEl.textContent = message;
+  errorEl.classList.toggle('hidden', !message);
+  document.getElementById('admin-password-input').value = '';
+  document.getElementById('admin-login-modal').classList.remove('hidden');
+  document.getElementById('admin-username-input').focus();
+}
+
+function hideLogin() {
+  document.getElementById('admin-login-modal').classList.add('hidden');
+}
+
+// Exchange username/password for a session token
+async function submitLogin() {
+  const username = document.getElementById('admin-username-input').value.trim();
+  const password = document.getElementById('admin-password-input').value;
+  const errorEl = document.getElementById('admin-login-error');
+
+  if (!username || !password) {
+    errorEl.textContent = 'Please enter your username and password';
+    errorEl.classList.remove('hidden');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const result = await response.json();
+
+    if (!response.ok) throw new Error(result.error || 'Login failed');
+
+    sessionStorage.setItem('admin-token', result.token);
+    sessionStorage.setItem('admin-user', JSON.stringify(result.user));
+    if (window.wsClient) window.wsClient.authenticate();
+    hideLogin();
+    showAdminModal();
+  } catch (err) {
+    errorEl.textContent = err.message;
+    errorEl.classList.remove('hidden');
+  }
+}
+
+// Invalidate the session token on the server and forget it locally
+async function logout() {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST', headers: authHeaders() });
+  } catch (err) {
+    console.error('Logout request failed:', err);
+  }
+  clearSession();
+  closeAdminModal();
 }
 
 // Initialize admin module
@@ -18,6 +167,21 @@ function initAdmin() {
     btn.addEventListener('click', () => switchTab(btn.dataset.tab));
   });
 
+  // Login modal
+  document.getElementById('admin-login-submit').addEventListener('click', submitLogin);
+  document.getElementById('admin-login-cancel').addEventListener('click', hideLogin);
+  document.getElementById('admin-login-modal').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) hideLogin();
+  });
+  ['admin-username-input', 'admin-password-input'].forEach(id => {
+    document.getElementById(id).addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') submitLogin();
+    });
+  });
+
+  // Logout button
+  document.getElementById('admin-logout-btn').addEventListener('click', logout);
+
   // Close button
   document.getElementById('admin-close-btn').addEventListener('click', () => {
     closeAdminModal();
@@ -56,22 +220,87 @@ function initAdmin() {
     });
   }
 
-  // GPX upload button
-  const gpxUploadBtn = document.getElementById('gpx-upload-btn');
-  if (gpxUploadBtn) {
-    gpxUploadBtn.addEventListener('click', handleGPXUpload);
+  // New geofence button
+  const newGeofenceBtn = document.getElementById('new-geofence-btn');
+  if (newGeofenceBtn) {
+    newGeofenceBtn.addEventListener('click', () => {
+      renderGeofenceForm();
+    });
+  }
+
+  // Boat commands close button
+  const boatCommandsClose = document.getElementById('boat-commands-close');
+  if (boatCommandsClose) {
+    boatCommandsClose.addEventListener('click', () => {
+      commandsBoatId = null;
+      document.getElementById('boat-commands').classList.add('hidden');
+    });
+  }
+
+  // Ingestion log close button
+  const ingestionLogClose = document.getElementById('ingestion-log-close');
+  if (ingestionLogClose) {
+    ingestionLogClose.addEventListener('click', () => {
+      document.getElementById('ingestion-log').classList.add('hidden');
+    });
+  }
+
+  // Clean track close button
+  const cleanTrackClose = document.getElementById('clean-track-close');
+  if (cleanTrackClose) {
+    cleanTrackClose.addEventListener('click', () => {
+      cleanTrackBoatId = null;
+      document.getElementById('clean-track').classList.add('hidden');
+    });
   }
 
-  // GPX import confirm button
-  const gpxImportConfirmBtn = document.getElementById('gpx-import-confirm-btn');
-  if (gpxImportConfirmBtn) {
-    gpxImportConfirmBtn.addEventListener('click', confirmGPXImport);
+  // Share links close button
+  const sharesClose = document.getElementById('expedition-shares-close');
+  if (sharesClose) {
+    sharesClose.addEventListener('click', () => {
+      shareExpeditionId = null;
+      document.getElementById('expedition-shares').classList.add('hidden');
+    });
   }
 
-  // GPX import cancel button
-  const gpxImportCancelBtn = document.getElementById('gpx-import-cancel-btn');
-  if (gpxImportCancelBtn) {
-    gpxImportCancelBtn.addEventListener('click', cancelGPXImport);
+  // Geofence events close button
+  const geofenceEventsClose = document.getElementById('geofence-events-close');
+  if (geofenceEventsClose) {
+    geofenceEventsClose.addEventListener('click', () => {
+      document.getElementById('geofence-events').classList.add('hidden');
+    });
+  }
+
+  // New user button
+  const newUserBtn = document.getElementById('new-user-btn');
+  if (newUserBtn) {
+    newUserBtn.addEventListener('click', () => {
+      renderUserForm();
+    });
+  }
+
+  // Track import upload button
+  const importUploadBtn = document.getElementById('import-upload-btn');
+  if (importUploadBtn) {
+    importUploadBtn.addEventListener('click', () => handleImportUpload());
+  }
+
+  // CSV column mapping apply button
+  const importCsvApplyBtn = document.getElementById('import-csv-apply-btn');
+  if (importCsvApplyBtn) {
+    importCsvApplyBtn.addEventListener('click', applyCsvColumns);
+  }
+
+  // Track import confirm button
+  const importConfirmBtn = document.getElementById('import-confirm-btn');
+  if (importConfirmBtn) {
+    importConfirmBtn.addEventListener('click', confirmImport);
+  }
+
+  // Track import cancel button
+  const importCancelBtn = document.getElementById('import-cancel-btn');
+  if (importCancelBtn) {
+    importCancelBtn.addEventListener('click', cancelImport);
   }
 
   // NMEA upload button
@@ -100,8 +329,7 @@ function initAdmin() {
     });
   }
 
-  // Load initial data
-  loadData();
+  // Data is loaded once the panel is opened with a valid session
 }
 
 // Switch tabs
@@ -125,20 +353,41 @@ function switchTab(tab) {
 
 // Load data for current tab
 async function loadData() {
+  if (!getToken()) return;
+
   try {
     if (currentTab === 'expeditions') {
-      const response = await fetch('/api/expeditions', {
-        headers: { 'x-api-key': getApiKey() }
+      const response = await apiFetch('/api/expeditions', {
+        headers: authHeaders()
       });
+      if (!response.ok) return;
       allExpeditions = await response.json();
       renderExpeditionsTable();
+    } else if (currentTab === 'geofences') {
+      const [geofencesRes, expeditionsRes] = await Promise.all([
+        apiFetch('/api/geofences', { headers: authHeaders() }),
+        apiFetch('/api/expeditions', { headers: authHeaders() })
+      ]);
+      if (!geofencesRes.ok || !expeditionsRes.ok) return;
+      allGeofences = await geofencesRes.json();
+      allExpeditions = await expeditionsRes.json();
+      renderGeofencesTable();
+    } else if (currentTab === 'users') {
+      const response = await apiFetch('/api/users', {
+        headers: authHeaders()
+      });
+      if (!response.ok) return;
+      allUsers = await response.json();
+      renderUsersTable();
     } else {
-      const response = await fetch('/api/boats-metadata', {
-        headers: { 'x-api-key': getApiKey() }
+      const response = await apiFetch('/api/boats-metadata', {
+        headers: authHeaders()
       });
+      if (!response.ok) return;
       allBoats = await response.json();
       renderBoatsTable();
     }
+    dataLoaded = true;
   } catch (err) {
     console.error('Failed to load data:', err);
   }
@@ -172,7 +421,12 @@ function renderExpeditionsTable() {
     actionsTd.innerHTML = `
       <button onclick="admin.editExpedition('${exp.expeditionId}')">Edit</button>
       <button class="delete-btn" onclick="admin.deleteExpedition('${exp.expeditionId}')">Delete</button>
-      <button onclick="admin.exportExpeditionGPX('${exp.expeditionId}')">📥 GPX</button>
+      <button onclick="admin.showShareLinks('${exp.expeditionId}')">🔗 Share</button>
+      <button onclick="admin.exportExpedition('${exp.expeditionId}', 'gpx')">📥 GPX</button>
+      <button onclick="admin.exportExpedition('${exp.expeditionId}', 'kml')">📥 KML</button>
+      <button onclick="admin.exportExpedition('${exp.expeditionId}', 'kmz')">📥 KMZ</button>
+      <button onclick="admin.exportExpedition('${exp.expeditionId}', 'geojson')">📥 GeoJSON</button>
+      <button onclick="admin.exportExpedition('${exp.expeditionId}', 'csv')">📥 CSV</button>
     `;
     tr.appendChild(actionsTd);
 
@@ -215,6 +469,7 @@ function renderBoatsTable() {
       } else {
         statusHtml += '<span style="color: #999;" title="AT4 configured but inactive">⚪ AT4</span>';
       }
+      statusHtml += renderDeviceHealth(at4);
     }
     
     // Phone tracker status
@@ -234,10 +489,91 @@ function renderBoatsTable() {
     const actionsTd = document.createElement('td');
     actionsTd.className = 'actions';
     actionsTd.innerHTML = `
-      <button onclick="admin.showBoatPinKeys('${boat.boatId}', '${escapeHtml(boat.name)}', '${boat.pin}', '${boat.apiKey}')">PIN/Keys</button>
-      <button onclick="admin.editBoat('${boat.boatId}')">Edit</button>
+      ${boat.pin ? `<button onclick="admin.showBoatPinKeys('${boat.boatId}', '${escapeHtml(boat.name)}', '${boat.pin}', '${boat.apiKey}')">PIN/Keys</button>` : ''}
+      <button class="admin-only" onclick="admin.editBoat('${boat.boatId}')">Edit</button>
       <button class="delete-btn" onclick="admin.deleteBoat('${boat.boatId}')">Delete</button>
-      <button onclick="admin.exportBoatGPX('${boat.boatId}', '${escapeHtml(boat.name)}')">📥 GPX</button>
+      <button onclick="admin.exportBoat('${boat.boatId}', '${escapeHtml(boat.name)}')">📥 Export</button>
+      ${boat.at4TcpPort ? `<button class="admin-only" onclick="admin.showBoatCommands('${boat.boatId}')">Commands</button>` : ''}
+      <button class="admin-only" onclick="admin.showCleanTrack('${boat.boatId}')">Clean track</button>
+      <button class="admin-only" onclick="admin.showIngestionLog('${boat.boatId}')">Rejected</button>
+    `;
+    tr.appendChild(actionsTd);
+
+    tbody.appendChild(tr);
+  });
+}
+
+// Render geofences table
+function renderGeofencesTable() {
+  const tbody = document.querySelector('#geofences-table tbody');
+  tbody.innerHTML = '';
+
+  allGeofences.forEach(geofence => {
+    const tr = document.createElement('tr');
+
+    const nameTd = document.createElement('td');
+    nameTd.innerHTML = `
+      <span style="display:inline-block;width:12px;height:12px;border-radius:3px;background:${escapeHtml(geofence.color)};margin-right:4px;"></span>
+      ${escapeHtml(geofence.name)}
+      ${geofence.active ? '' : '<span style="font-size:11px;color:#999;">(inactive)</span>'}
+    `;
+    tr.appendChild(nameTd);
+
+    const shapeTd = document.createElement('td');
+    shapeTd.textContent = geofence.type === 'circle'
+      ? `Circle, ${Math.round(geofence.radius)} m`
+      : `Polygon, ${geofence.coordinates.length} points`;
+    tr.appendChild(shapeTd);
+
+    const expeditionTd = document.createElement('td');
+    const expedition = allExpeditions.find(e => e.expeditionId === geofence.expeditionId);
+    expeditionTd.textContent = geofence.expeditionId ? (expedition ? expedition.name : geofence.expeditionId) : 'All';
+    tr.appendChild(expeditionTd);
+
+    const actionsTd = document.createElement('td');
+    actionsTd.className = 'actions';
+    actionsTd.innerHTML = `
+      <button onclick="admin.editGeofence('${geofence.geofenceId}')">Edit</button>
+      <button class="delete-btn" onclick="admin.deleteGeofence('${geofence.geofenceId}')">Delete</button>
+      <button onclick="admin.showGeofenceEvents('${geofence.geofenceId}')">Events</button>
+    `;
+    tr.appendChild(actionsTd);
+
+    tbody.appendChild(tr);
+  });
+}
+
+// Render users table
+function renderUsersTable() {
+  const tbody = document.querySelector('#users-table tbody');
+  tbody.innerHTML = '';
+  const me = getCurrentUser();
+
+  allUsers.forEach(user => {
+    const tr = document.createElement('tr');
+    const isSelf = me && me.username === user.username;
+
+    const usernameTd = document.createElement('td');
+    usernameTd.textContent = user.username + (user.active ? '' : ' (inactive)');
+    tr.appendChild(usernameTd);
+
+    const nameTd = document.createElement('td');
+    nameTd.textContent = user.name || '-';
+    tr.appendChild(nameTd);
+
+    const roleTd = document.createElement('td');
+    roleTd.textContent = user.role;
+    tr.appendChild(roleTd);
+
+    const lastLoginTd = document.createElement('td');
+    lastLoginTd.textContent = user.lastLoginAt ? formatDate(user.lastLoginAt) : 'Never';
+    tr.appendChild(lastLoginTd);
+
+    const actionsTd = document.createElement('td');
+    actionsTd.className = 'actions';
+    actionsTd.innerHTML = `
+      <button onclick="admin.editUser('${escapeHtml(user.username)}')">Edit</button>
+      ${isSelf ? '' : `<button class="delete-btn" onclick="admin.deleteUser('${escapeHtml(user.username)}')">Delete</button>`}
     `;
     tr.appendChild(actionsTd);
 
@@ -245,10 +581,239 @@ function renderBoatsTable() {
   });
 }
 
+// Render user form
+function renderUserForm(username = null) {
+  const user = username ? allUsers.find(u => u.username === username) : null;
+  const isEdit = !!user;
+  const roles = ['viewer', 'organiser', 'admin'];
+
+  const formHtml = `
+    <div class="admin-form" id="user-form">
+      <div class="form-group">
+        <label>Username</label>
+        <input type="text" id="user-username" value="${user ? escapeHtml(user.username) : ''}" ${isEdit ? 'readonly' : ''} placeholder="e.g., jdoe" autocomplete="off">
+      </div>
+      <div class="form-group">
+        <label>Name</label>
+        <input type="text" id="user-name" value="${user ? escapeHtml(user.name || '') : ''}" placeholder="e.g., Jane Doe">
+      </div>
+      <div class="form-group">
+        <label>${isEdit ? 'New password (leave empty to keep)' : 'Password'}</label>
+        <input type="password" id="user-password" placeholder="At least 8 characters" autocomplete="new-password">
+      </div>
+      <div class="form-group">
+        <label>Role</label>
+        <select id="user-role">
+          ${roles.map(role => `<option value="${role}" ${(user ? user.role : 'viewer') === role ? 'selected' : ''}>${role}</option>`).join('')}
+        </select>
+        <small>Viewers can export tracks, organisers manage expeditions and imports, admins manage boats and users</small>
+      </div>
+      <div class="form-group toggle-group">
+        <label>Active</label>
+        <label class="toggle-switch">
+          <input type="checkbox" id="user-active" ${user ? (user.active ? 'checked' : '') : 'checked'}>
+          <span class="toggle-slider"></span>
+        </label>
+        <span style="font-size:12px;color:#666;">(Inactive users cannot log in)</span>
+      </div>
+      <div class="form-actions">
+        <button class="cancel-btn" onclick="admin.cancelForm()">Cancel</button>
+        <button class="submit-btn" onclick="admin.saveUser(${isEdit})">${isEdit ? 'Update' : 'Create'}</button>
+      </div>
+    </div>
+  `;
+
+  const container = document.getElementById('users-tab');
+  const existingForm = container.querySelector('.admin-form');
+  if (existingForm) existingForm.remove();
+  container.insertAdjacentHTML('afterbegin', formHtml);
+}
+
+// Render geofence form
+function renderGeofenceForm(geofenceId = null) {
+  const geofence = geofenceId ? allGeofences.find(g => g.geofenceId === geofenceId) : null;
+  const isEdit = !!geofence;
+  const type = geofence ? geofence.type : 'circle';
+  const kinds = { 'harbour': 'Harbour', 'race-area': 'Race area', 'exclusion': 'Exclusion zone', 'other': 'Other' };
+  const coordinatesText = geofence && geofence.coordinates
+    ? geofence.coordinates.map(p => `${p[0]}, ${p[1]}`).join('\n')
+    : '';
+
+  const formHtml = `
+    <div class="admin-form" id="geofence-form">
+      <div class="form-group">
+        <label>Geofence id</label>
+        <input type="text" id="geofence-id" value="${geofence ? escapeHtml(geofence.geofenceId) : ''}" ${isEdit ? 'readonly' : ''} placeholder="e.g., warnemuende-harbour">
+      </div>
+      <div class="form-group">
+        <label>Name</label>
+        <input type="text" id="geofence-name" value="${geofence ? escapeHtml(geofence.name) : ''}" placeholder="e.g., Warnemünde harbour">
+      </div>
+      <div class="form-group">
+        <label>Kind</label>
+        <select id="geofence-kind">
+          ${Object.keys(kinds).map(k => `<option value="${k}" ${(geofence ? geofence.kind : 'other') === k ? 'selected' : ''}>${kinds[k]}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label>Shape</label>
+        <select id="geofence-type" onchange="admin.toggleGeofenceShape()">
+          <option value="circle" ${type === 'circle' ? 'selected' : ''}>Circle</option>
+          <option value="polygon" ${type === 'polygon' ? 'selected' : ''}>Polygon</option>
+        </select>
+      </div>
+      <div class="form-group geofence-circle-fields">
+        <label>Centre (lat, lon)</label>
+        <input type="text" id="geofence-center" value="${geofence && geofence.center ? `${geofence.center.lat}, ${geofence.center.lon}` : ''}" placeholder="e.g., 54.1812, 12.0873">
+      </div>
+      <div class="form-group geofence-circle-fields">
+        <label>Radius (m)</label>
+        <input type="number" id="geofence-radius" value="${geofence && geofence.radius ? geofence.radius : ''}" placeholder="e.g., 500" min="1">
+      </div>
+      <div class="form-group geofence-polygon-fields">
+        <label>Polygon points</label>
+        <textarea id="geofence-coordinates" placeholder="One &quot;lat, lon&quot; per line, at least 3 points">${coordinatesText}</textarea>
+      </div>
+      <div class="form-group">
+        <label>Color</label>
+        <input type="color" id="geofence-color" value="${geofence ? geofence.color : '#ff9500'}">
+      </div>
+      <div class="form-group">
+        <label>Expedition</label>
+        <select id="geofence-expedition">
+          <option value="">All expeditions and boats</option>
+          ${allExpeditions.map(e => `<option value="${escapeHtml(e.expeditionId)}" ${geofence && geofence.expeditionId === e.expeditionId ? 'selected' : ''}>${escapeHtml(e.name)}</option>`).join('')}
+        </select>
+        <small>Zones tied to an expedition only alert for boats sailing in it</small>
+      </div>
+      <div class="form-group toggle-group">
+        <label>Active</label>
+        <label class="toggle-switch">
+          <input type="checkbox" id="geofence-active" ${geofence ? (geofence.active ? 'checked' : '') : 'checked'}>
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+      <div class="form-actions">
+        <button class="cancel-btn" onclick="admin.cancelForm()">Cancel</button>
+        <button class="submit-btn" onclick="admin.saveGeofence(${isEdit})">${isEdit ? 'Update' : 'Create'}</button>
+      </div>
+    </div>
+  `;
+
+  const container = document.getElementById('geofences-tab');
+  const existingForm = container.querySelector('.admin-form');
+  if (existingForm) existingForm.remove();
+  container.insertAdjacentHTML('afterbegin', formHtml);
+  toggleGeofenceShape();
+}
+
+// Show the fields for the selected geofence shape
+function toggleGeofenceShape() {
+  const isCircle = document.getElementById('geofence-type').value === 'circle';
+  document.querySelectorAll('.geofence-circle-fields').forEach(el => el.classList.toggle('hidden', !isCircle));
+  document.querySelectorAll('.geofence-polygon-fields').forEach(el => el.classList.toggle('hidden', isCircle));
+}
+
+// Show the race course fields when the race toggle is on
+function toggleRaceFields() {
+  const enabled = document.getElementById('exp-race-enabled').checked;
+  document.querySelectorAll('.race-fields').forEach(el => el.classList.toggle('hidden', !enabled));
+}
+
+// Build the race definition from the expedition form; returns { race } or { error }
+function readRaceForm() {
+  const point = (id) => {
+    const p = parseLatLon(document.getElementById(id).value);
+    return p ? { lat: p[0], lon: p[1] } : null;
+  };
+
+  const startLine = { a: point('exp-race-start-a'), b: point('exp-race-start-b') };
+  if (!startLine.a || !startLine.b) return { error: 'Enter both ends of the start line as "lat, lon".' };
+
+  let finishLine = startLine;
+  const finishA = document.getElementById('exp-race-finish-a').value.trim();
+  const finishB = document.getElementById('exp-race-finish-b').value.trim();
+  if (finishA || finishB) {
+    finishLine = { a: point('exp-race-finish-a'), b: point('exp-race-finish-b') };
+    if (!finishLine.a || !finishLine.b) return { error: 'Enter both ends of the finish line as "lat, lon".' };
+  }
+
+  const marks = [];
+  const lines = document.getElementById('exp-race-marks').value.split('\n').map(l => l.trim()).filter(Boolean);
+  for (const line of lines) {
+    const [name, position, rounding] = line.split(';').map(s => s.trim());
+    const latLon = position ? parseLatLon(position) : null;
+    if (!latLon) return { error: `Invalid mark "${line}". Use "name; lat, lon; port|starboard".` };
+    const side = (rounding || 'port').toLowerCase();
+    if (side !== 'port' && side !== 'starboard') return { error: `Rounding for "${name}" must be port or starboard.` };
+    marks.push({ name, lat: latLon[0], lon: latLon[1], rounding: side });
+  }
+
+  const startTime = document.getElementById('exp-race-start-time').value;
+  return {
+    race: {
+      startTime: startTime ? new Date(startTime).toISOString() : null,
+      startLine,
+      marks,
+      finishLine,
+    }
+  };
+}
+
+// Parse a "lat, lon" string into [lat, lon] (null when invalid)
+function parseLatLon(text) {
+  const parts = text.split(/[,;\s]+/).filter(Boolean).map(Number);
+  if (parts.length !== 2 || parts.some(isNaN)) return null;
+  return parts;
+}
+
+// Battery, GSM signal and "last heard" age for an AT4 tracker
+function renderDeviceHealth(at4) {
+  let html = '';
+  const telemetry = at4?.telemetry;
+
+  if (telemetry && telemetry.batteryPercent != null) {
+    const low = telemetry.batteryPercent <= 20;
+    const icon = telemetry.charging ? '🔌' : (low ? '🪫' : '🔋');
+    const color = low && !telemetry.charging ? '#F44336' : 'inherit';
+    html += `<span style="color: ${color};" title="Battery ${telemetry.voltage} V${telemetry.charging ? ', charging' : ''}">${icon} ${telemetry.batteryPercent}%</span>`;
+  }
+
+  if (telemetry && telemetry.signalStrength != null) {
+    const labels = ['no signal', 'extremely weak', 'very weak', 'good', 'strong'];
+    const bars = '▂▄▆█'.split('').map((bar, i) => i < telemetry.signalStrength ? bar : `<span style="opacity: 0.25;">${bar}</span>`).join('');
+    html += `<span title="GSM signal: ${labels[telemetry.signalStrength]}">📶 ${bars}</span>`;
+  }
+
+  if (at4?.lastHeard) {
+    html += `<span style="color: #999;" title="Last heard ${new Date(at4.lastHeard).toLocaleString()}">${formatAge(at4.lastHeard)}</span>`;
+  }
+
+  return html;
+}
+
+// Short relative age, e.g. "just now", "5m ago", "3h ago", "2d ago"
+function formatAge(dateStr) {
+  const seconds = Math.max(0, Math.floor((Date.now() - new Date(dateStr).getTime()) / 1000));
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+}
+
 // Render expedition form
 function renderExpeditionForm(expeditionId = null) {
   const expedition = expeditionId ? allExpeditions.find(e => e.expeditionId === expeditionId) : null;
   const isEdit = !!expedition;
+  const race = expedition && expedition.race;
+  const pointText = p => p ? `${p.lat}, ${p.lon}` : '';
+  const marksText = race
+    ? race.marks.map(m => `${m.name}; ${m.lat}, ${m.lon}; ${m.rounding}`).join('\n')
+    : '';
+  // datetime-local wants local time without seconds
+  const startTimeValue = race && race.startTime
+    ? new Date(new Date(race.startTime).getTime() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+    : '';
 
   const formHtml = `
     <div class="admin-form" id="expedition-form">
@@ -284,6 +849,38 @@ function renderExpeditionForm(expeditionId = null) {
         </label>
         <span style="font-size:12px;color:#666;">(Live expeditions filter the map view, historical expeditions use playback mode)</span>
       </div>
+      <div class="form-group">
+        <label>Public delay (minutes)</label>
+        <input type="number" id="exp-public-delay" min="0" max="1440" step="1" value="${expedition ? expedition.publicDelayMinutes || 0 : 0}">
+        <small>While live, visitors who are not logged in see positions this much later; 0 = real time</small>
+      </div>
+      <div class="form-group toggle-group">
+        <label>Race</label>
+        <label class="toggle-switch">
+          <input type="checkbox" id="exp-race-enabled" ${race ? 'checked' : ''} onchange="admin.toggleRaceFields()">
+          <span class="toggle-slider"></span>
+        </label>
+        <span style="font-size:12px;color:#666;">(Start line, marks and finish line for a live leaderboard)</span>
+      </div>
+      <div class="form-group race-fields">
+        <label>Start signal (optional)</label>
+        <input type="datetime-local" id="exp-race-start-time" value="${startTimeValue}">
+        <small>Line crossings before this time do not count; defaults to the start date</small>
+      </div>
+      <div class="form-group race-fields">
+        <label>Start line (lat, lon of both ends)</label>
+        <input type="text" id="exp-race-start-a" value="${pointText(race && race.startLine.a)}" placeholder="Committee boat, e.g., 54.1812, 12.0873">
+        <input type="text" id="exp-race-start-b" value="${pointText(race && race.startLine.b)}" placeholder="Pin end, e.g., 54.1809, 12.0921">
+      </div>
+      <div class="form-group race-fields">
+        <label>Marks in order</label>
+        <textarea id="exp-race-marks" placeholder="One &quot;name; lat, lon; port|starboard&quot; per line">${escapeHtml(marksText)}</textarea>
+      </div>
+      <div class="form-group race-fields">
+        <label>Finish line (lat, lon of both ends)</label>
+        <input type="text" id="exp-race-finish-a" value="${pointText(race && race.finishLine.a)}" placeholder="Leave empty to finish on the start line">
+        <input type="text" id="exp-race-finish-b" value="${pointText(race && race.finishLine.b)}">
+      </div>
       <div class="form-actions">
         <button class="cancel-btn" onclick="admin.cancelForm()">Cancel</button>
         <button class="submit-btn" onclick="admin.saveExpedition(${isEdit})">${isEdit ? 'Update' : 'Create'}</button>
@@ -295,6 +892,7 @@ function renderExpeditionForm(expeditionId = null) {
   const existingForm = container.querySelector('.admin-form');
   if (existingForm) existingForm.remove();
   container.insertAdjacentHTML('afterbegin', formHtml);
+  toggleRaceFields();
 
   // Populate boat checklist
   fetch('/api/boats')
@@ -318,6 +916,10 @@ function renderExpeditionForm(expeditionId = null) {
 function renderBoatForm(boatId = null) {
   const boat = boatId ? allBoats.find(b => b.boatId === boatId) : null;
   const isEdit = !!boat;
+  const plausibility = (boat && boat.plausibility) || { enabled: true, action: 'flag', maxSpeedKn: 40 };
+  const ais = (boat && boat.ais) || { messageClass: 'B', shipType: null, callsign: '' };
+  const shipTypes = { 36: 'Sailing', 37: 'Pleasure craft', 30: 'Fishing', 52: 'Tug', 90: 'Other' };
+  if (ais.shipType && !shipTypes[ais.shipType]) shipTypes[ais.shipType] = `Type ${ais.shipType}`;
 
   const formHtml = `
     <div class="admin-form" id="boat-form">
@@ -337,6 +939,19 @@ function renderBoatForm(boatId = null) {
         <label>MMSI (optional)</label>
         <input type="text" id="boat-mmsi" value="${boat ? escapeHtml(boat.mmsi || '') : ''}" placeholder="9-digit number">
       </div>
+      <div class="form-group">
+        <label>AIS output</label>
+        <select id="boat-ais-class">
+          <option value="B" ${ais.messageClass !== 'A' ? 'selected' : ''}>Class B position reports</option>
+          <option value="A" ${ais.messageClass === 'A' ? 'selected' : ''}>Class A position reports</option>
+        </select>
+        <select id="boat-ais-ship-type">
+          <option value="">Ship type not set</option>
+          ${Object.entries(shipTypes).map(([code, label]) => `<option value="${code}" ${Number(code) === ais.shipType ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+        <input type="text" id="boat-ais-callsign" value="${escapeHtml(ais.callsign || '')}" placeholder="Call sign (optional)" maxlength="7">
+        <small>How the boat appears on chartplotters fed by the fleet AIS output (needs an MMSI)</small>
+      </div>
       <!-- NMEA and SignalK ports hidden for simplified GUI -->
       <div class="form-group" style="display:none;">
         <label>NMEA TCP port (optional, 10110-10129)</label>
@@ -348,18 +963,49 @@ function renderBoatForm(boatId = null) {
         <input type="number" id="boat-at4-port" value="${boat && boat.at4TcpPort ? boat.at4TcpPort : ''}" placeholder="e.g., 21100" min="21100" max="21129">
         <small>Allocate a unique port for this boat's AT4 GPS tracker connection (one tracker per boat per port)</small>
       </div>
+      <div class="form-group">
+        <label>MQTT topic (optional)</label>
+        <input type="text" id="boat-mqtt-topic" value="${boat ? escapeHtml(boat.mqttTopic || '') : ''}" placeholder="akz/&lt;boat id&gt;/in">
+        <small>Topic the onboard computer publishes positions to; leave empty for the default</small>
+      </div>
       <div class="form-group" style="display:none;">
         <label>SignalK port (optional, 13110-13129)</label>
         <input type="number" id="boat-signalk-port" value="${boat && boat.signalkPort ? boat.signalkPort : ''}" placeholder="e.g., 13110" min="13110" max="13129">
         <small>Allocate a unique port for this boat's SignalK connection</small>
       </div>
       <div class="form-group">
-        <label>Data sources to display</label>
-        <small>Select which data sources should be shown on the map for this boat</small>
+        <label>Data sources</label>
+        <small>Positions from other sources are rejected and listed under "Rejected"</small>
         <div class="source-filter-list">
           ${renderSourceCheckboxes(boat)}
         </div>
       </div>
+      <div class="form-group">
+        <label>Source priority (optional)</label>
+        <input type="text" id="boat-source-priority" value="${boat && boat.sourcePriority ? escapeHtml(boat.sourcePriority.join(', ')) : ''}" placeholder="e.g., at4, phone, mqtt">
+        <small>Most preferred first (phone, osmand, at4, nmea, nmea-client, signalk, ais, mqtt). Other sources only fill gaps; leave empty to show all sources</small>
+      </div>
+      <div class="form-group">
+        <label>Failover after (seconds)</label>
+        <input type="number" id="boat-failover-seconds" value="${boat && boat.failoverSeconds ? boat.failoverSeconds : 120}" min="10" step="1">
+        <small>Silence of the preferred source before the next one takes over</small>
+      </div>
+      <div class="form-group toggle-group">
+        <label>Outlier filter</label>
+        <label class="toggle-switch">
+          <input type="checkbox" id="boat-plausibility-enabled" ${plausibility.enabled !== false ? 'checked' : ''}>
+          <span class="toggle-slider"></span>
+        </label>
+        <span style="font-size:12px;color:#666;">(Catches GPS jumps, 0,0 positions and timestamps in the future)</span>
+      </div>
+      <div class="form-group">
+        <label>Fastest plausible speed (kn)</label>
+        <input type="number" id="boat-plausibility-speed" value="${plausibility.maxSpeedKn}" min="1" step="1">
+        <select id="boat-plausibility-action">
+          <option value="flag" ${plausibility.action !== 'reject' ? 'selected' : ''}>Store outliers hidden from the track</option>
+          <option value="reject" ${plausibility.action === 'reject' ? 'selected' : ''}>Discard outliers</option>
+        </select>
+      </div>
       <div class="form-group toggle-group">
         <label>Live on map</label>
         <label class="toggle-switch">
@@ -368,6 +1014,18 @@ function renderBoatForm(boatId = null) {
         </label>
         <span style="font-size:12px;color:#666;">(Hidden boats do not appear in the default live view)</span>
       </div>
+      <div class="form-group">
+        <label>Visibility</label>
+        <select id="boat-visibility">
+          <option value="public" ${!boat || !boat.visibility || boat.visibility === 'public' ? 'selected' : ''}>Public – everyone</option>
+          <option value="expedition" ${boat && boat.visibility === 'expedition' ? 'selected' : ''}>Expedition – logged-in users and expedition views</option>
+          <option value="private" ${boat && boat.visibility === 'private' ? 'selected' : ''}>Private – owner and admins</option>
+        </select>
+      </div>
+      <div class="form-group">
+        <label>Owner (username)</label>
+        <input type="text" id="boat-owner" value="${boat ? escapeHtml(boat.owner || '') : ''}" placeholder="Sees the boat when it is private">
+      </div>
       <div class="form-actions">
         <button class="cancel-btn" onclick="admin.cancelForm()">Cancel</button>
         <button class="submit-btn" onclick="admin.saveBoat(${isEdit})">${isEdit ? 'Update' : 'Create'}</button>
@@ -385,14 +1043,15 @@ function renderBoatForm(boatId = null) {
 function renderSourceCheckboxes(boat) {
   // NMEA and SignalK sources removed for simplified GUI
   const sources = [
-    { value: 'phone', label: 'Phone GPS' },
+    { value: 'phone', label: 'Phone GPS & tracker apps' },
     { value: 'at4', label: 'AT4 Tracker' },
-    { value: 'gpx', label: 'GPX import' },
-    { value: 'nmea-file', label: 'NMEA (file input)' }
+    { value: 'gpx', label: 'File import (GPX, KML, GeoJSON, CSV, FIT)' },
+    { value: 'nmea-file', label: 'NMEA (file input)' },
+    { value: 'mqtt', label: 'MQTT (onboard computer)' }
   ];
 
   const enabledSources = boat && boat.enabledSources ? boat.enabledSources : 
-    ['phone', 'at4', 'gpx', 'nmea-file'];
+    ['phone', 'at4', 'gpx', 'nmea-file', 'mqtt'];
 
   return sources.map(source => `
     <label class="source-checkbox">
@@ -413,6 +1072,7 @@ async function saveExpedition(isEdit) {
   const endDate = document.getElementById('exp-end').value;
   const description = document.getElementById('exp-desc').value.trim();
   const live = document.getElementById('exp-live').checked;
+  const publicDelayMinutes = parseInt(document.getElementById('exp-public-delay').value || '0', 10);
   const boatIds = Array.from(document.querySelectorAll('#exp-boats input:checked')).map(cb => cb.value);
 
   if (!id || !name || !startDate || boatIds.length === 0) {
@@ -425,24 +1085,36 @@ async function saveExpedition(isEdit) {
     name,
     boatIds,
     live,
+    publicDelayMinutes,
     startDate: new Date(startDate).toISOString(),
     endDate: endDate ? new Date(endDate).toISOString() : null,
     description
   };
 
+  if (document.getElementById('exp-race-enabled').checked) {
+    const { race, error } = readRaceForm();
+    if (error) {
+      alert(error);
+      return;
+    }
+    data.race = race;
+  } else if (isEdit) {
+    data.race = null;
+  }
+
   try {
     const url = isEdit ? `/api/expeditions/${id}` : '/api/expeditions';
     const method = isEdit ? 'PUT' : 'POST';
-    const response = await fetch(url, {
+    const response = await apiFetch(url, {
       method,
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': getApiKey()
-      },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify(data)
     });
 
-    if (!response.ok) throw new Error('Failed to save expedition');
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.errors ? error.errors.join(', ') : (error.error || 'Failed to save expedition'));
+    }
 
     cancelForm();
     loadData();
@@ -459,8 +1131,25 @@ async function saveBoat(isEdit) {
   const mmsi = document.getElementById('boat-mmsi').value.trim();
   const nmeaPortInput = document.getElementById('boat-nmea-port').value.trim();
   const at4PortInput = document.getElementById('boat-at4-port').value.trim();
+  const mqttTopic = document.getElementById('boat-mqtt-topic').value.trim();
   const signalkPortInput = document.getElementById('boat-signalk-port').value.trim();
   const live = document.getElementById('boat-live').checked;
+  const visibility = document.getElementById('boat-visibility').value;
+  const owner = document.getElementById('boat-owner').value.trim();
+  const sourcePriority = document.getElementById('boat-source-priority').value
+    .split(',').map(s => s.trim()).filter(Boolean);
+  const failoverSeconds = parseInt(document.getElementById('boat-failover-seconds').value, 10);
+  const plausibility = {
+    enabled: document.getElementById('boat-plausibility-enabled').checked,
+    action: document.getElementById('boat-plausibility-action').value,
+    maxSpeedKn: parseFloat(document.getElementById('boat-plausibility-speed').value)
+  };
+  const shipTypeInput = document.getElementById('boat-ais-ship-type').value;
+  const ais = {
+    messageClass: document.getElementById('boat-ais-class').value,
+    shipType: shipTypeInput ? parseInt(shipTypeInput, 10) : null,
+    callsign: document.getElementById('boat-ais-callsign').value.trim().toUpperCase()
+  };
   
   // Collect enabled sources from checkboxes
   const enabledSources = Array.from(
@@ -492,36 +1181,43 @@ async function saveBoat(isEdit) {
     return;
   }
 
-  const data = { boatId: id, name, color, mmsi, nmeaTcpPort, at4TcpPort, signalkPort, enabledSources, live };
+  if (!(failoverSeconds >= 10)) {
+    alert('Failover must be at least 10 seconds');
+    return;
+  }
+
+  if (!(plausibility.maxSpeedKn >= 1)) {
+    alert('Fastest plausible speed must be at least 1 kn');
+    return;
+  }
+
+  const data = { boatId: id, name, color, mmsi, nmeaTcpPort, at4TcpPort, signalkPort, mqttTopic, enabledSources, sourcePriority, failoverSeconds, plausibility, ais, live, visibility, owner };
 
   try {
     if (isEdit) {
-      const response = await fetch(`/api/boats/${id}`, {
+      const response = await apiFetch(`/api/boats/${id}`, {
         method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': getApiKey()
-        },
-        body: JSON.stringify({ name, color, mmsi, nmeaTcpPort, at4TcpPort, signalkPort, enabledSources, live })
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ name, color, mmsi, nmeaTcpPort, at4TcpPort, signalkPort, mqttTopic, enabledSources, sourcePriority, failoverSeconds, plausibility, ais, live, visibility, owner })
       });
-      if (!response.ok) throw new Error('Failed to update boat');
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Failed to update boat');
+      }
       
       cancelForm();
       loadData();
     } else {
       // Create new boat
-      const response = await fetch('/api/boats', {
+      const response = await apiFetch('/api/boats', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': getApiKey()
-        },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify(data)
       });
       
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Failed to create boat');
+        throw new Error(error.error || (error.errors && error.errors.join(', ')) || 'Failed to create boat');
       }
       
       const result = await response.json();
@@ -539,6 +1235,103 @@ async function saveBoat(isEdit) {
   }
 }
 
+// Save geofence
+async function saveGeofence(isEdit) {
+  const id = document.getElementById('geofence-id').value.trim();
+  const name = document.getElementById('geofence-name').value.trim();
+  const type = document.getElementById('geofence-type').value;
+
+  if (!id || !name) {
+    alert('Please fill in geofence ID and name.');
+    return;
+  }
+
+  const data = {
+    geofenceId: id,
+    name,
+    kind: document.getElementById('geofence-kind').value,
+    type,
+    color: document.getElementById('geofence-color').value,
+    expeditionId: document.getElementById('geofence-expedition').value || null,
+    active: document.getElementById('geofence-active').checked
+  };
+
+  if (type === 'circle') {
+    const center = parseLatLon(document.getElementById('geofence-center').value);
+    const radius = parseFloat(document.getElementById('geofence-radius').value);
+    if (!center || !(radius > 0)) {
+      alert('Please enter the centre as "lat, lon" and a radius in metres.');
+      return;
+    }
+    data.center = { lat: center[0], lon: center[1] };
+    data.radius = radius;
+  } else {
+    const lines = document.getElementById('geofence-coordinates').value.split('\n').filter(l => l.trim());
+    const coordinates = lines.map(parseLatLon);
+    if (coordinates.length < 3 || coordinates.some(p => !p)) {
+      alert('Please enter at least 3 polygon points, one "lat, lon" per line.');
+      return;
+    }
+    data.coordinates = coordinates;
+  }
+
+  try {
+    const url = isEdit ? `/api/geofences/${id}` : '/api/geofences';
+    const response = await apiFetch(url, {
+      method: isEdit ? 'PUT' : 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(data)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || (error.errors && error.errors.join(', ')) || 'Failed to save geofence');
+    }
+
+    cancelForm();
+    loadData();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Save user
+async function saveUser(isEdit) {
+  const username = document.getElementById('user-username').value.trim().toLowerCase();
+  const name = document.getElementById('user-name').value.trim();
+  const password = document.getElementById('user-password').value;
+  const role = document.getElementById('user-role').value;
+  const active = document.getElementById('user-active').checked;
+
+  if (!username || (!isEdit && !password)) {
+    alert('Please fill in username and password.');
+    return;
+  }
+
+  const data = { name, role, active };
+  if (password) data.password = password;
+  if (!isEdit) data.username = username;
+
+  try {
+    const url = isEdit ? `/api/users/${encodeURIComponent(username)}` : '/api/users';
+    const response = await apiFetch(url, {
+      method: isEdit ? 'PATCH' : 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(data)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || (error.errors && error.errors.join(', ')) || 'Failed to save user');
+    }
+
+    cancelForm();
+    loadData();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
 // Edit expedition
 function editExpedition(expeditionId) {
   renderExpeditionForm(expeditionId);
@@ -554,9 +1347,9 @@ async function deleteExpedition(expeditionId) {
   if (!confirm('Are you sure you want to delete this expedition?')) return;
 
   try {
-    const response = await fetch(`/api/expeditions/${expeditionId}`, {
+    const response = await apiFetch(`/api/expeditions/${expeditionId}`, {
       method: 'DELETE',
-      headers: { 'x-api-key': getApiKey() }
+      headers: authHeaders()
     });
 
     if (!response.ok) throw new Error('Failed to delete expedition');
@@ -572,6 +1365,397 @@ async function deleteBoat(boatId) {
   alert('Deleting boats is not supported. Boats are automatically managed based on location data.');
 }
 
+// Edit geofence
+function editGeofence(geofenceId) {
+  renderGeofenceForm(geofenceId);
+}
+
+// Delete geofence
+async function deleteGeofence(geofenceId) {
+  if (!confirm('Are you sure you want to delete this geofence? Its event history is kept.')) return;
+
+  try {
+    const response = await apiFetch(`/api/geofences/${geofenceId}`, {
+      method: 'DELETE',
+      headers: authHeaders()
+    });
+
+    if (!response.ok) throw new Error('Failed to delete geofence');
+
+    loadData();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Show entry/exit history for a geofence
+async function showGeofenceEvents(geofenceId) {
+  const geofence = allGeofences.find(g => g.geofenceId === geofenceId);
+
+  try {
+    const response = await apiFetch(`/api/geofences/${geofenceId}/events`, {
+      headers: authHeaders()
+    });
+    if (!response.ok) throw new Error('Failed to load events');
+    const events = await response.json();
+
+    document.getElementById('geofence-events-title').textContent = `Events – ${geofence ? geofence.name : geofenceId}`;
+    const tbody = document.querySelector('#geofence-events-table tbody');
+    tbody.innerHTML = events.length ? '' : '<tr><td colspan="4">No events yet</td></tr>';
+
+    events.forEach(evt => {
+      const expedition = allExpeditions.find(e => e.expeditionId === evt.expeditionId);
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${formatDate(evt.timestamp)}</td>
+        <td>${escapeHtml(evt.boatName || evt.boatId)}</td>
+        <td>${evt.event === 'enter' ? 'Entered' : 'Left'}</td>
+        <td>${evt.expeditionId ? escapeHtml(expedition ? expedition.name : evt.expeditionId) : '-'}</td>
+      `;
+      tbody.appendChild(tr);
+    });
+
+    document.getElementById('geofence-events').classList.remove('hidden');
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Show the command form and history for a boat's AT4 tracker
+async function showBoatCommands(boatId) {
+  const boat = allBoats.find(b => b.boatId === boatId);
+  commandsBoatId = boatId;
+
+  try {
+    const response = await apiFetch(`/api/boats/${encodeURIComponent(boatId)}/commands`, {
+      headers: authHeaders()
+    });
+    if (!response.ok) throw new Error('Failed to load commands');
+    const commands = await response.json();
+
+    const statusLabels = { queued: '⏳ Queued', sent: '📤 Sent', replied: '✅ Replied', expired: '⌛ Expired', failed: '❌ Failed' };
+    document.getElementById('boat-commands-title').textContent = `Tracker commands – ${boat ? boat.name : boatId}`;
+    const tbody = document.querySelector('#boat-commands-table tbody');
+    tbody.innerHTML = commands.length ? '' : '<tr><td colspan="5">No commands sent yet</td></tr>';
+
+    commands.forEach(cmd => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${formatDate(cmd.createdAt)}</td>
+        <td><code>${escapeHtml(cmd.command)}</code></td>
+        <td>${escapeHtml(cmd.requestedBy || '-')}</td>
+        <td title="${cmd.error ? escapeHtml(cmd.error) : ''}">${statusLabels[cmd.status] || cmd.status}</td>
+        <td class="command-reply">${cmd.reply ? escapeHtml(cmd.reply) : '-'}</td>
+      `;
+      tbody.appendChild(tr);
+    });
+
+    toggleCommandPreset();
+    document.getElementById('boat-commands').classList.remove('hidden');
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Show the input that belongs to the selected command preset
+function toggleCommandPreset() {
+  const preset = document.getElementById('boat-command-preset').value;
+  document.getElementById('boat-command-seconds').classList.toggle('hidden', preset !== 'interval');
+  document.getElementById('boat-command-custom').classList.toggle('hidden', preset !== 'custom');
+}
+
+// Queue a command for the boat whose command panel is open
+async function sendBoatCommand() {
+  if (!commandsBoatId) return;
+
+  const preset = document.getElementById('boat-command-preset').value;
+  const body = { preset };
+  if (preset === 'interval') {
+    body.seconds = parseInt(document.getElementById('boat-command-seconds').value, 10);
+    if (!body.seconds) {
+      alert('Enter the upload interval in seconds');
+      return;
+    }
+  } else if (preset === 'custom') {
+    body.command = document.getElementById('boat-command-custom').value.trim();
+    if (!body.command) {
+      alert('Enter a command');
+      return;
+    }
+  } else if (preset === 'reboot' && !confirm('Reboot the tracker? It will be offline for about a minute.')) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/api/boats/${encodeURIComponent(commandsBoatId)}/commands`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to send command');
+    }
+
+    const command = await response.json();
+    if (command.status === 'queued') {
+      alert('Tracker is not connected – the command will be sent when it next logs in.');
+    }
+    showBoatCommands(commandsBoatId);
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Show the positions rejected at ingestion for a boat
+async function showIngestionLog(boatId) {
+  const boat = allBoats.find(b => b.boatId === boatId);
+
+  try {
+    const response = await apiFetch(`/api/boats/${encodeURIComponent(boatId)}/ingestion-log`, {
+      headers: authHeaders()
+    });
+    if (!response.ok) throw new Error('Failed to load ingestion log');
+    const entries = await response.json();
+
+    const reasonLabels = {
+      'source-disabled': 'Source disabled',
+      'invalid': 'Invalid data',
+      'impossible-speed': 'Impossible speed',
+      'zero-coordinates': 'Position 0, 0',
+      'future-timestamp': 'Time in the future'
+    };
+    document.getElementById('ingestion-log-title').textContent = `Rejected positions – ${boat ? boat.name : boatId}`;
+    const tbody = document.querySelector('#ingestion-log-table tbody');
+    tbody.innerHTML = entries.length ? '' : '<tr><td colspan="5">No positions rejected</td></tr>';
+
+    entries.forEach(entry => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td title="First: ${formatDate(entry.firstAt)}">${formatDate(entry.lastAt)}</td>
+        <td>${escapeHtml(entry.source)}</td>
+        <td>${reasonLabels[entry.reason] || escapeHtml(entry.reason)}</td>
+        <td>${entry.count}</td>
+        <td>${escapeHtml(entry.message || '-')}</td>
+      `;
+      tbody.appendChild(tr);
+    });
+
+    document.getElementById('ingestion-log').classList.remove('hidden');
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Open the clean-track panel for a boat
+function showCleanTrack(boatId) {
+  const boat = allBoats.find(b => b.boatId === boatId);
+  cleanTrackBoatId = boatId;
+
+  document.getElementById('clean-track-title').textContent = `Clean track – ${boat ? boat.name : boatId}`;
+  document.getElementById('clean-track-speed').value = boat && boat.plausibility ? boat.plausibility.maxSpeedKn : 40;
+  document.getElementById('clean-track-summary').textContent = '';
+  document.querySelector('#clean-track-table tbody').innerHTML = '';
+  document.getElementById('clean-track-apply').classList.add('hidden');
+  document.getElementById('clean-track').classList.remove('hidden');
+}
+
+// Preview (apply = false) or remove the outliers of the boat whose clean-track panel is open
+async function cleanTrack(apply) {
+  if (!cleanTrackBoatId) return;
+
+  const from = document.getElementById('clean-track-from').value;
+  const to = document.getElementById('clean-track-to').value;
+  const body = {
+    maxSpeedKn: parseFloat(document.getElementById('clean-track-speed').value),
+    from: from ? new Date(from).toISOString() : undefined,
+    to: to ? new Date(to).toISOString() : undefined,
+    apply
+  };
+
+  try {
+    const response = await apiFetch(`/api/boats/${encodeURIComponent(cleanTrackBoatId)}/clean-track`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || 'Failed to clean track');
+    }
+
+    const result = await response.json();
+    const reasonLabels = { 'impossible-speed': 'Impossible speed', 'zero-coordinates': 'Position 0, 0', 'future-timestamp': 'Time in the future' };
+    const summary = document.getElementById('clean-track-summary');
+    const tbody = document.querySelector('#clean-track-table tbody');
+    const applyBtn = document.getElementById('clean-track-apply');
+
+    if (result.applied) {
+      summary.textContent = `${result.outliers} of ${result.checked} points removed from the track.`;
+      tbody.innerHTML = '';
+      applyBtn.classList.add('hidden');
+      return;
+    }
+
+    summary.textContent = `${result.outliers} of ${result.checked} points would be removed` +
+      (result.points.length < result.outliers ? ` (first ${result.points.length} listed).` : '.');
+    tbody.innerHTML = result.points.length ? '' : '<tr><td colspan="4">No outliers found</td></tr>';
+    result.points.forEach(p => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${formatDate(p.timestamp)}</td>
+        <td>${p.lat.toFixed(5)}, ${p.lon.toFixed(5)}</td>
+        <td>${escapeHtml(p.source || '-')}</td>
+        <td>${reasonLabels[p.reason] || escapeHtml(p.reason)}</td>
+      `;
+      tbody.appendChild(tr);
+    });
+    applyBtn.textContent = `Remove ${result.outliers} point${result.outliers === 1 ? '' : 's'}`;
+    applyBtn.classList.toggle('hidden', result.outliers === 0);
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Open the share-links panel for an expedition
+function showShareLinks(expeditionId) {
+  const expedition = allExpeditions.find(e => e.expeditionId === expeditionId);
+  shareExpeditionId = expeditionId;
+
+  document.getElementById('expedition-shares-title').textContent = `Share links – ${expedition ? expedition.name : expeditionId}`;
+  document.querySelector('#expedition-shares-table tbody').innerHTML = '';
+  document.getElementById('expedition-shares').classList.remove('hidden');
+  loadShareLinks();
+}
+
+// List the active share links of the expedition whose panel is open
+async function loadShareLinks() {
+  if (!shareExpeditionId) return;
+
+  try {
+    const response = await apiFetch(`/api/expeditions/${encodeURIComponent(shareExpeditionId)}/shares`, {
+      headers: authHeaders()
+    });
+    if (!response.ok) throw new Error('Failed to load share links');
+    shareLinks = await response.json();
+
+    const tbody = document.querySelector('#expedition-shares-table tbody');
+    tbody.innerHTML = shareLinks.length ? '' : '<tr><td colspan="4">No active share links</td></tr>';
+    shareLinks.forEach(share => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${escapeHtml(share.label || '-')}</td>
+        <td>${share.delayMinutes ? `${share.delayMinutes} min` : 'Live'}</td>
+        <td>${formatDate(share.expiresAt)}</td>
+        <td class="actions">
+          <button onclick="admin.copyShareLink('${share.shareId}', false)">Copy link</button>
+          <button onclick="admin.copyShareLink('${share.shareId}', true)">Copy iframe</button>
+          <button class="delete-btn" onclick="admin.revokeShareLink('${share.shareId}')">Revoke</button>
+        </td>
+      `;
+      tbody.appendChild(tr);
+    });
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Create a share link for the expedition whose panel is open
+async function createShareLink() {
+  if (!shareExpeditionId) return;
+
+  const body = {
+    label: document.getElementById('share-label').value.trim(),
+    delayMinutes: parseInt(document.getElementById('share-delay').value || '0', 10),
+    expiresInDays: parseFloat(document.getElementById('share-days').value)
+  };
+
+  try {
+    const response = await apiFetch(`/api/expeditions/${encodeURIComponent(shareExpeditionId)}/shares`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || 'Failed to create share link');
+    }
+
+    document.getElementById('share-label').value = '';
+    loadShareLinks();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Copy a share link, or an iframe snippet embedding it, to the clipboard
+async function copyShareLink(shareId, asIframe) {
+  const share = shareLinks.find(s => s.shareId === shareId);
+  if (!share) return;
+
+  const url = window.location.origin + share.embedPath;
+  const text = asIframe
+    ? `<iframe src="${url}" width="800" height="500" style="border:0" allowfullscreen></iframe>`
+    : url;
+
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (err) {
+    // Clipboard API unavailable (e.g. plain http): let the user copy by hand
+    prompt('Copy:', text);
+  }
+}
+
+// Revoke a share link
+async function revokeShareLink(shareId) {
+  if (!confirm('Revoke this share link? Everyone using it loses access.')) return;
+
+  try {
+    const response = await apiFetch(`/api/shares/${encodeURIComponent(shareId)}`, {
+      method: 'DELETE',
+      headers: authHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || 'Failed to revoke share link');
+    }
+
+    loadShareLinks();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Edit user
+function editUser(username) {
+  renderUserForm(username);
+}
+
+// Delete user
+async function deleteUser(username) {
+  if (!confirm(`Are you sure you want to delete the user "${username}"?`)) return;
+
+  try {
+    const response = await apiFetch(`/api/users/${encodeURIComponent(username)}`, {
+      method: 'DELETE',
+      headers: authHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete user');
+    }
+
+    loadData();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
 // Cancel form
 function cancelForm() {
   const form = document.querySelector('.admin-form');
@@ -596,26 +1780,48 @@ function formatDate(dateStr) {
   return `${pad(d.getUTCDate())}-${pad(d.getUTCMonth() + 1)}-${d.getUTCFullYear()} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())} UTC`;
 }
 
-// ===== GPX Import/Export Functions =====
+// ===== Track Import Functions =====
 
-let parsedGPXData = null;
+let parsedImportData = null;
+
+const IMPORT_FORMAT_LABELS = {
+  gpx: 'GPX',
+  kml: 'KML',
+  kmz: 'KMZ',
+  geojson: 'GeoJSON',
+  csv: 'CSV',
+  fit: 'Garmin FIT'
+};
 
-async function handleGPXUpload() {
-  const fileInput = document.getElementById('gpx-file-input');
+const CSV_IMPORT_FIELDS = [
+  { key: 'timestamp', label: 'Time' },
+  { key: 'lat', label: 'Latitude' },
+  { key: 'lon', label: 'Longitude' },
+  { key: 'speed', label: 'Speed (kn)' },
+  { key: 'course', label: 'Course' },
+  { key: 'track', label: 'Track / boat' }
+];
+
+async function handleImportUpload(columnMapping) {
+  const fileInput = document.getElementById('import-file-input');
   const file = fileInput.files[0];
   
   if (!file) {
-    alert('Please select a GPX file');
+    alert('Please select a track file');
     return;
   }
 
   const formData = new FormData();
   formData.append('file', file);
+  if (columnMapping) {
+    formData.append('format', 'csv');
+    formData.append('columnMapping', JSON.stringify(columnMapping));
+  }
 
   try {
-    const response = await fetch('/api/gpx/import', {
+    const response = await apiFetch('/api/import', {
       method: 'POST',
-      headers: {  'x-api-key': getApiKey() },
+      headers: authHeaders(),
       body: formData
     });
 
@@ -625,19 +1831,69 @@ async function handleGPXUpload() {
     }
 
     const result = await response.json();
-    parsedGPXData = result;
-    renderGPXMapping(result);
+    parsedImportData = result;
+    renderImportMapping(result);
   } catch (err) {
-    alert('Error uploading GPX: ' + err.message);
+    alert('Error uploading track file: ' + err.message);
     console.error(err);
   }
 }
 
-function renderGPXMapping(gpxData) {
-  const mappingList = document.getElementById('gpx-mapping-list');
+function renderCsvColumns(importData) {
+  const container = document.getElementById('import-csv-columns');
+  if (importData.format !== 'csv') {
+    container.classList.add('hidden');
+    return;
+  }
+
+  const options = importData.columns.map((col, idx) =>
+    `<option value="${idx}">${escapeHtml(col)}</option>`
+  ).join('');
+
+  document.getElementById('import-csv-column-list').innerHTML = CSV_IMPORT_FIELDS.map(field => `
+    <label>${field.label}:
+      <select id="import-csv-${field.key}">
+        <option value="">-- none --</option>
+        ${options}
+      </select>
+    </label>
+  `).join('');
+
+  CSV_IMPORT_FIELDS.forEach(field => {
+    const idx = importData.columnMapping[field.key];
+    document.getElementById(`import-csv-${field.key}`).value = idx == null ? '' : String(idx);
+  });
+
+  container.classList.remove('hidden');
+}
+
+function applyCsvColumns() {
+  const columnMapping = {};
+  CSV_IMPORT_FIELDS.forEach(field => {
+    const value = document.getElementById(`import-csv-${field.key}`).value;
+    columnMapping[field.key] = value === '' ? null : parseInt(value, 10);
+  });
+
+  if (columnMapping.lat == null || columnMapping.lon == null) {
+    alert('Please choose the latitude and longitude columns');
+    return;
+  }
+  handleImportUpload(columnMapping);
+}
+
+function renderImportMapping(importData) {
+  document.getElementById('import-format-info').innerHTML =
+    `<strong>Format:</strong> ${IMPORT_FORMAT_LABELS[importData.format] || importData.format} – ${escapeHtml(importData.filename)}`;
+  renderCsvColumns(importData);
+
+  const mappingList = document.getElementById('import-mapping-list');
   mappingList.innerHTML = '';
 
-  gpxData.tracks.forEach((track, idx) => {
+  if (importData.tracks.length === 0) {
+    mappingList.innerHTML = '<p>No positions found. Check the column mapping above.</p>';
+  }
+
+  importData.tracks.forEach((track, idx) => {
     const totalPoints = track.points;
     
     // Calculate estimated point reductions for each sampling mode
@@ -656,7 +1912,7 @@ function renderGPXMapping(gpxData) {
         <div class="track-info">
           <strong>${escapeHtml(track.name)}</strong>
           <span>${track.points} points</span>
-          ${track.startTime ? `<span>${new Date(track.startTime).toLocaleString()}</span>` : ''}
+          ${track.startTime ? `<span>${new Date(track.startTime).toLocaleString()}</span>` : '<span>No timestamps – will be skipped</span>'}
         </div>
         <div class="mapping-controls">
           <label>Boat PIN:</label>
@@ -676,12 +1932,12 @@ function renderGPXMapping(gpxData) {
     mappingList.appendChild(div);
   });
 
-  document.getElementById('gpx-preview').classList.remove('hidden');
+  document.getElementById('import-preview').classList.remove('hidden');
 }
 
-async function confirmGPXImport() {
-  if (!parsedGPXData) {
-    alert('No GPX data to import');
+async function confirmImport() {
+  if (!parsedImportData) {
+    alert('No track data to import');
     return;
   }
 
@@ -690,7 +1946,7 @@ async function confirmGPXImport() {
   let valid = true;
   let hasAtLeastOne = false;
 
-  parsedGPXData.tracks.forEach((track, idx) => {
+  parsedImportData.tracks.forEach((track, idx) => {
     const pinInput = document.getElementById(`track-${idx}-pin`);
     const resampleSelect = document.getElementById(`track-${idx}-resample`);
     const pin = pinInput.value.trim();
@@ -722,14 +1978,11 @@ async function confirmGPXImport() {
   }
 
   try {
-    const response = await fetch('/api/gpx/import/confirm', {
+    const response = await apiFetch('/api/import/confirm', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': getApiKey()
-      },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({
-        gpxData: parsedGPXData.rawData,
+        importData: parsedImportData.rawData,
         mapping
       })
     });
@@ -740,22 +1993,23 @@ async function confirmGPXImport() {
     }
 
     const result = await response.json();
-    alert(`Import successful!\n\nLocations imported: ${result.locationsCreated}\nDuplicates skipped: ${result.locationsSkipped}${result.errors ? '\n\nWarnings:\n' + result.errors.join('\n') : ''}`);
+    alert(`Import successful!\n\nLocations imported: ${result.locationsCreated}\nDuplicates skipped: ${result.locationsSkipped}${result.locationsRejected ? `\nRejected: ${result.locationsRejected}` : ''}${result.outliers ? `\nOutliers (GPS jumps etc.): ${result.outliers}` : ''}${result.errors ? '\n\nWarnings:\n' + result.errors.join('\n') : ''}`);
     
     // Reset
-    cancelGPXImport();
+    cancelImport();
     loadData();
   } catch (err) {
-    alert('Error importing GPX: ' + err.message);
+    alert('Error importing tracks: ' + err.message);
     console.error(err);
   }
 }
 
-function cancelGPXImport() {
-  parsedGPXData = null;
-  document.getElementById('gpx-file-input').value = '';
-  document.getElementById('gpx-preview').classList.add('hidden');
-  document.getElementById('gpx-mapping-list').innerHTML = '';
+function cancelImport() {
+  parsedImportData = null;
+  document.getElementById('import-file-input').value = '';
+  document.getElementById('import-preview').classList.add('hidden');
+  document.getElementById('import-mapping-list').innerHTML = '';
+  document.getElementById('import-csv-columns').classList.add('hidden');
 }
 
 // ===== NMEA Import Functions =====
@@ -775,9 +2029,9 @@ async function handleNMEAUpload() {
   formData.append('file', file);
 
   try {
-    const response = await fetch('/api/nmea/import', {
+    const response = await apiFetch('/api/nmea/import', {
       method: 'POST',
-      headers: { 'x-api-key': getApiKey() },
+      headers: authHeaders(),
       body: formData
     });
 
@@ -844,12 +2098,9 @@ async function confirmNMEAImport() {
   }
 
   try {
-    const response = await fetch('/api/nmea/import/confirm', {
+    const response = await apiFetch('/api/nmea/import/confirm', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': getApiKey()
-      },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({
         nmeaData: parsedNMEAData.rawData,
         boatId,
@@ -863,7 +2114,7 @@ async function confirmNMEAImport() {
     }
 
     const result = await response.json();
-    alert(`Import successful!\n\nBoat: ${result.boatName} (${result.boatId})\nLocations imported: ${result.locationsCreated}\nDuplicates skipped: ${result.locationsSkipped}`);
+    alert(`Import successful!\n\nBoat: ${result.boatName} (${result.boatId})\nLocations imported: ${result.locationsCreated}\nDuplicates skipped: ${result.locationsSkipped}${result.locationsRejected ? `\nRejected: ${result.locationsRejected}` : ''}${result.outliers ? `\nOutliers (GPS jumps etc.): ${result.outliers}` : ''}`);
     
     // Reset
     cancelNMEAImport();
@@ -883,10 +2134,10 @@ function cancelNMEAImport() {
   document.getElementById('nmea-summary').innerHTML = '';
 }
 
-async function exportExpeditionGPX(expeditionId) {
+async function exportExpedition(expeditionId, format = 'gpx') {
   try {
-    const response = await fetch(`/api/expeditions/${expeditionId}/export/gpx`, {
-      headers: { 'x-api-key': getApiKey() }
+    const response = await apiFetch(`/api/expeditions/${expeditionId}/export/${format}`, {
+      headers: authHeaders()
     });
 
     if (!response.ok) {
@@ -898,18 +2149,18 @@ async function exportExpeditionGPX(expeditionId) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${expeditionId}.gpx`;
+    a.download = `${expeditionId}.${format}`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   } catch (err) {
-    alert('Error exporting GPX: ' + err.message);
+    alert(`Error exporting ${format.toUpperCase()}: ` + err.message);
     console.error(err);
   }
 }
 
-async function exportBoatGPX(boatId, boatName) {
+async function exportBoat(boatId, boatName) {
   // Show modal for date range (to be implemented in step 10)
   showBoatExportModal(boatId, boatName);
 }
@@ -934,6 +2185,8 @@ async function confirmBoatExport() {
   const boatId = document.getElementById('boat-export-id').value;
   const startDate = document.getElementById('boat-export-start').value;
   const endDate = document.getElementById('boat-export-end').value;
+  const format = document.getElementById('boat-export-format').value;
+  const fields = document.getElementById('boat-export-fields').value.replace(/\s+/g, '');
   
   if (!startDate || !endDate) {
     alert('Please select a date range');
@@ -941,9 +2194,12 @@ async function confirmBoatExport() {
   }
 
   try {
-    const url = `/api/boats/${boatId}/export/gpx?startDate=${startDate}&endDate=${endDate}`;
-    const response = await fetch(url, {
-      headers: { 'x-api-key': getApiKey() }
+    let url = `/api/boats/${boatId}/export/${format}?startDate=${startDate}&endDate=${endDate}`;
+    if (fields && (format === 'geojson' || format === 'csv')) {
+      url += `&fields=${encodeURIComponent(fields)}`;
+    }
+    const response = await apiFetch(url, {
+      headers: authHeaders()
     });
 
     if (!response.ok) {
@@ -955,7 +2211,7 @@ async function confirmBoatExport() {
     const downloadUrl = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = downloadUrl;
-    a.download = `${boatId}_${startDate}_${endDate}.gpx`;
+    a.download = `${boatId}_${startDate}_${endDate}.${format}`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -963,7 +2219,7 @@ async function confirmBoatExport() {
     
     cancelBoatExport();
   } catch (err) {
-    alert('Error exporting GPX: ' + err.message);
+    alert(`Error exporting ${format.toUpperCase()}: ` + err.message);
     console.error(err);
   }
 }
@@ -1006,17 +2262,39 @@ if (document.readyState === 'loading') {
 
 // Export functions to global scope for onclick handlers
 window.admin = {
+  open,
+  logout,
+  acknowledgeAlarm,
   editExpedition,
   editBoat,
   deleteExpedition,
   deleteBoat,
   saveExpedition,
+  toggleRaceFields,
   saveBoat,
+  editGeofence,
+  deleteGeofence,
+  saveGeofence,
+  toggleGeofenceShape,
+  showGeofenceEvents,
+  editUser,
+  deleteUser,
+  saveUser,
   cancelForm,
-  exportExpeditionGPX,
-  exportBoatGPX,
+  exportExpedition,
+  exportBoat,
   confirmBoatExport,
   cancelBoatExport,
   showBoatPinKeys,
-  closeBoatPinKeysModal
+  closeBoatPinKeysModal,
+  showBoatCommands,
+  toggleCommandPreset,
+  sendBoatCommand,
+  showCleanTrack,
+  cleanTrack,
+  showIngestionLog,
+  showShareLinks,
+  createShareLink,
+  copyShareLink,
+  revokeShareLink
 };
@@ -0,0 +1,101 @@
+/* ===== alarms.js – tracker alarm banner & pulsing map markers ===== */
+
+var _alarms = {};        // { alarmId: { alarm, marker, el } }
+var _alarmLayer = null;  // L.LayerGroup
+
+var ALARM_LABELS = {
+  'sos': 'SOS',
+  'power-cut': 'Power cut',
+  'vibration': 'Vibration',
+  'enter-fence': 'Entered fence',
+  'exit-fence': 'Left fence',
+  'overspeed': 'Overspeed',
+  'moving': 'Moving',
+  'tamper': 'Tamper',
+  'low-battery': 'Low battery',
+  'low-external-battery': 'Low external battery',
+  'low-battery-protection': 'Low battery protection',
+  'low-battery-power-off': 'Powered off (low battery)',
+};
+
+function alarmLabel(type) {
+  return ALARM_LABELS[type] || type;
+}
+
+/**
+ * Show an open alarm: a banner entry at the top of the screen plus a pulsing
+ * marker at the alarm position. Calling again with the same alarm is a no-op.
+ *
+ * @param {L.Map} map
+ * @param {Object} alarm – { _id, boatId, boatName, alarmType, severity, lat, lon, positioned, timestamp }
+ * @param {Object} [opts]
+ * @param {Function} [opts.onAcknowledge] – called with the alarm when "Acknowledge" is clicked
+ */
+function showAlarm(map, alarm, opts) {
+  if (_alarms[alarm._id]) return;
+
+  var banner = document.getElementById('alarm-banner');
+  var hasPosition = alarm.lat != null && alarm.lon != null;
+  var time = new Date(alarm.timestamp).toLocaleTimeString();
+
+  var el = document.createElement('div');
+  el.className = 'alarm-item alarm-' + alarm.severity;
+  el.innerHTML =
+    '<div class="alarm-text">' +
+      '<strong>' + escHtml(alarmLabel(alarm.alarmType)) + '</strong> &middot; ' +
+      escHtml(alarm.boatName || alarm.boatId) +
+      '<span class="alarm-time">' + time + (alarm.positioned ? '' : ' (last known position)') + '</span>' +
+    '</div>' +
+    '<div class="alarm-actions">' +
+      (hasPosition ? '<button type="button" data-action="show">Show</button>' : '') +
+      '<button type="button" data-action="ack">Acknowledge</button>' +
+      '<button type="button" data-action="dismiss" title="Hide on this screen">&times;</button>' +
+    '</div>';
+
+  el.addEventListener('click', function (e) {
+    var action = e.target.getAttribute('data-action');
+    if (action === 'show' && map) {
+      map.setView([alarm.lat, alarm.lon], Math.max(map.getZoom(), 15));
+    } else if (action === 'ack' && opts && opts.onAcknowledge) {
+      opts.onAcknowledge(alarm);
+    } else if (action === 'dismiss') {
+      removeAlarm(alarm._id);
+    }
+  });
+
+  banner.appendChild(el);
+  banner.classList.remove('hidden');
+
+  var marker = null;
+  if (map && hasPosition) {
+    if (!_alarmLayer) _alarmLayer = L.layerGroup().addTo(map);
+    marker = L.marker([alarm.lat, alarm.lon], {
+      icon: L.divIcon({
+        html: '<div class="alarm-pulse-ring"></div>',
+        className: 'alarm-pulse alarm-pulse-' + alarm.severity,
+        iconSize: [48, 48],
+        iconAnchor: [24, 24],
+      }),
+      interactive: false,
+      zIndexOffset: -1000,
+    }).addTo(_alarmLayer);
+  }
+
+  _alarms[alarm._id] = { alarm: alarm, marker: marker, el: el };
+}
+
+/**
+ * Remove an alarm from the banner and the map.
+ */
+function removeAlarm(alarmId) {
+  var entry = _alarms[alarmId];
+  if (!entry) return;
+
+  entry.el.remove();
+  if (entry.marker && _alarmLayer) _alarmLayer.removeLayer(entry.marker);
+  delete _alarms[alarmId];
+
+  if (Object.keys(_alarms).length === 0) {
+    document.getElementById('alarm-banner').classList.add('hidden');
+  }
+}
@@ -4,18 +4,24 @@
   'use strict';
 
   var POLL_INTERVAL = 60000; // ms – fetch boats every 60s (WebSocket provides real-time updates)
+  var TRAFFIC_INTERVAL = 30000; // ms – refresh AIS traffic while the layer is shown
   var API_BASE      = '';    // same origin
 
   var map;              // Leaflet map instance
   var timer;            // setInterval id for polling
   var statusTimer;      // setInterval id for status updates
+  var trafficTimer;     // setInterval id for AIS traffic refresh (layer shown)
   var mode = 'live';    // 'live' | 'history'
   var autoFit = true;   // when true, live polls fit-bounds to markers
   var firstRender = true; // first live render always fits
   var currentExpedition = null; // current expedition object (for live filtering)
   var liveFilterBoatIds = null; // array of boatIds to filter in live mode
+  var liveBoats = {}; // boatId -> latest position (GET /api/boats, merged with pushed updates)
   var connectionMode = 'websocket'; // 'websocket' | 'polling-30' | 'polling-60'
   var lastUpdateTime = null; // timestamp of last successful update
+  var raceState = null; // { expeditionId, name, race, rows } when the selected expedition is a race
+  var lastPlaybackBoats = null; // interpolated boats of the last playback frame
+  var lastLeaderboardRender = 0; // performance.now() of the last playback leaderboard update
 
   // SVG icon markup for play / pause
   var SVG_PLAY  = '<svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><polygon points="6,3 20,12 6,21"/></svg>';
@@ -25,11 +31,10 @@
   var trackWorker = null;
   
   // DOM refs
-  var fitBtn, trackBtn, adminBtn, playbackBar;
+  var fitBtn, trackBtn, adminBtn, trafficBtn, playbackBar;
   var expeditionSelect, playBtn, speedSelect;
   var timeSlider, timeDisplay;
   var trackerModal, trackerNameInput, trackerPinInput, trackerColorInput, trackerStartBtn, trackerCancelBtn;
-  var adminModal, adminLoginModal, adminApiKeyInput;
   var connectionModeSelect, connectionIndicator, lastUpdateTimeDisplay;
   var apiKey = '';
 
@@ -55,10 +60,8 @@
     fitBtn        = document.getElementById('fit-btn');
     trackBtn      = document.getElementById('track-btn');
     adminBtn      = document.getElementById('admin-btn');
+    trafficBtn    = document.getElementById('traffic-btn');
     playbackBar   = document.getElementById('playback-bar');
-    adminModal  = document.getElementById('admin-modal');
-    adminLoginModal = document.getElementById('admin-login-modal');
-    adminApiKeyInput = document.getElementById('admin-api-key-input');
 
     // Cache DOM elements — playback bar
     expeditionSelect = document.getElementById('expedition-select');
@@ -127,48 +130,16 @@
       if (autoFit) fitNow();
     });
 
-    // ---------- Floating button: admin modal ----------
-    adminBtn.addEventListener('click', function () {
-      // Check if admin API key is stored
-      var storedKey = sessionStorage.getItem('admin-api-key');
-      if (storedKey) {
-        // Already logged in, show admin panel
-        adminModal.classList.remove('hidden');
-      } else {
-        // Show login modal
-        adminApiKeyInput.value = '';
-        adminLoginModal.classList.remove('hidden');
-        adminApiKeyInput.focus();
-      }
+    // ---------- Floating button: AIS traffic layer ----------
+    trafficBtn.addEventListener('click', function () {
+      setTrafficVisible(!trafficTimer);
     });
+    if (localStorage.getItem('ais-traffic') === '1') setTrafficVisible(true);
 
-    // ---------- Admin login handlers ----------
-    document.getElementById('admin-login-submit').addEventListener('click', function () {
-      var key = adminApiKeyInput.value.trim();
-      if (key) {
-        sessionStorage.setItem('admin-api-key', key);
-        adminLoginModal.classList.add('hidden');
-        adminModal.classList.remove('hidden');
-      } else {
-        alert('Please enter an API key');
-      }
-    });
-
-    document.getElementById('admin-login-cancel').addEventListener('click', function () {
-      adminLoginModal.classList.add('hidden');
-    });
-
-    adminLoginModal.addEventListener('click', function (e) {
-      if (e.target === adminLoginModal) {
-        adminLoginModal.classList.add('hidden');
-      }
-    });
-
-    // Allow Enter key to submit login
-    adminApiKeyInput.addEventListener('keypress', function (e) {
-      if (e.key === 'Enter') {
-        document.getElementById('admin-login-submit').click();
-      }
+    // ---------- Floating button: admin modal ----------
+    // Login, logout and the panel itself are handled by admin.js
+    adminBtn.addEventListener('click', function () {
+      if (window.admin) window.admin.open();
     });
 
     // ---------- Theme toggle button ----------
@@ -221,6 +192,8 @@
     skipIdleCheckbox.addEventListener('change', function () {
       Playback.setSkipIdle(skipIdleCheckbox.checked);
     });
+    document.getElementById('stats-btn').addEventListener('click', toggleStatsPanel);
+    document.getElementById('stats-panel-close').addEventListener('click', hideStatsPanel);
 
     // ---------- Floating button: track device ----------
     // NMEA tracker tabs (commented out for simplified GUI)
@@ -291,8 +264,27 @@
     // Set up WebSocket callback for real-time location updates
     if (window.wsClient) {
       window.wsClient.setLocationUpdateCallback(handleWebSocketLocationUpdate);
+      window.wsClient.onMessage('geofence-event', handleGeofenceEvent);
+      window.wsClient.onMessage('alarm', handleAlarm);
+      window.wsClient.onMessage('alarm-acknowledged', function (data) {
+        removeAlarm(data._id);
+      });
+      window.wsClient.onMessage('race-leaderboard', handleRaceLeaderboard);
+      // Missed updates couldn't be replayed after a reconnect: reload instead
+      window.wsClient.onMessage('resume', function (data) {
+        if (data.replayed) return;
+        fetchAndRender();
+        loadActiveAlarms();
+      });
+      updateSubscriptions();
     }
 
+    // Alarms raised while this page was closed
+    loadActiveAlarms();
+
+    // Geofence zones (global ones until an expedition is selected)
+    loadGeofences(null);
+
     // ---------- Offline queue monitoring ----------
     if (typeof LocationQueue !== 'undefined') {
       // Set up queue status change listener
@@ -341,31 +333,26 @@
     document.body.classList.remove('playback-visible');
   }
 
+  // Latest positions; within an expedition this includes the boats that are
+  // only visible in their expeditions
+  function boatsUrl(expeditionId) {
+    return API_BASE + '/api/boats' +
+      (expeditionId ? '?expeditionId=' + encodeURIComponent(expeditionId) : '');
+  }
+
   // ---------- Fetch latest boats and render ----------
   function fetchAndRender() {
     if (mode !== 'live') return;
 
-    fetch(API_BASE + '/api/boats')
+    fetch(boatsUrl(currentExpedition && currentExpedition.expeditionId), { headers: sessionHeaders() })
       .then(function (res) {
         if (!res.ok) throw new Error('HTTP ' + res.status);
         return res.json();
       })
       .then(function (boats) {
-        // Apply boat filter if a live expedition is selected
-        if (liveFilterBoatIds && liveFilterBoatIds.length) {
-          boats = boats.filter(function (boat) {
-            return liveFilterBoatIds.indexOf(boat.boatId) !== -1;
-          });
-        }
-
-        // Hide boats marked as not live
-        boats = boats.filter(function (boat) {
-          return boat.live !== false;
-        });
-
-        var shouldFit = autoFit || firstRender;
-        firstRender = false;
-        updateBoats(map, boats, { fitBounds: shouldFit });
+        liveBoats = {};
+        boats.forEach(function (boat) { liveBoats[boat.boatId] = boat; });
+        renderLiveBoats();
         hideToast();
         
         // Update last update time
@@ -378,19 +365,252 @@
       });
   }
 
+  function renderLiveBoats() {
+    var boats = Object.keys(liveBoats).map(function (id) { return liveBoats[id]; });
+
+    // Apply boat filter if a live expedition is selected
+    if (liveFilterBoatIds && liveFilterBoatIds.length) {
+      boats = boats.filter(function (boat) {
+        return liveFilterBoatIds.indexOf(boat.boatId) !== -1;
+      });
+    }
+
+    // Hide boats marked as not live
+    boats = boats.filter(function (boat) {
+      return boat.live !== false;
+    });
+
+    var shouldFit = autoFit || firstRender;
+    firstRender = false;
+    updateBoats(map, boats, { fitBounds: shouldFit });
+  }
+
   // ---------- Handle WebSocket location updates ----------
+  // Pushed (and replayed) positions are merged into the fleet; the full list
+  // is only fetched again when a resume can't fill the gap.
   function handleWebSocketLocationUpdate(location) {
     if (mode !== 'live') return;
 
-    // Fetch all boats to get the updated state
-    // In a more optimized version, we could update just the single boat marker
-    fetchAndRender();
+    var known = liveBoats[location.boatId];
+    if (known && new Date(known.timestamp) > new Date(location.timestamp)) return;
+    // Keep what only GET /api/boats knows (e.g. live)
+    liveBoats[location.boatId] = Object.assign({}, known, location);
+    renderLiveBoats();
     
     // Update last update time
     lastUpdateTime = Date.now();
     updateConnectionStatus();
   }
 
+  // ---------- WebSocket subscriptions ----------
+  /**
+   * Ask the server for the updates of the selected expedition only (or of
+   * all boats when none is selected).
+   */
+  function updateSubscriptions() {
+    if (!window.wsClient) return;
+    window.wsClient.setSubscriptions([
+      currentExpedition ? 'expedition:' + currentExpedition.expeditionId : 'boat:*',
+      'event:location-update',
+      'event:geofence-event',
+      'event:alarm',
+      'event:alarm-acknowledged',
+      'event:race-leaderboard',
+    ]);
+  }
+
+  // ---------- Geofences ----------
+  function loadGeofences(expeditionId) {
+    if (!map) return;
+    var url = API_BASE + '/api/geofences?active=true' +
+      (expeditionId ? '&expeditionId=' + encodeURIComponent(expeditionId) : '');
+
+    fetch(url)
+      .then(function (res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (list) {
+        // Without an expedition only show zones that apply to every expedition
+        if (!expeditionId) {
+          list = list.filter(function (g) { return !g.expeditionId; });
+        }
+        drawGeofences(map, list);
+      })
+      .catch(function (err) {
+        console.warn('Failed to load geofences:', err);
+      });
+  }
+
+  // ---------- AIS traffic ----------
+  function setTrafficVisible(visible) {
+    trafficBtn.classList.toggle('active', visible);
+    localStorage.setItem('ais-traffic', visible ? '1' : '0');
+
+    if (trafficTimer) { clearInterval(trafficTimer); trafficTimer = null; }
+    if (visible) {
+      trafficTimer = setInterval(refreshTraffic, TRAFFIC_INTERVAL);
+      refreshTraffic();
+    } else {
+      clearTraffic();
+    }
+  }
+
+  // Traffic is only current data, so it is left out of history playback
+  function refreshTraffic() {
+    if (!map) return;
+    if (!trafficTimer || mode !== 'live') {
+      clearTraffic();
+      return;
+    }
+
+    fetch(API_BASE + '/api/ais/targets')
+      .then(function (res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (targets) {
+        if (trafficTimer && mode === 'live') drawTraffic(map, targets);
+      })
+      .catch(function (err) {
+        console.warn('Failed to load AIS traffic:', err);
+      });
+  }
+
+  function handleGeofenceEvent(evt) {
+    if (mode !== 'live') return;
+    if (liveFilterBoatIds && liveFilterBoatIds.indexOf(evt.boatId) === -1) return;
+
+    flashGeofence(evt.geofenceId);
+    showToast((evt.boatName || evt.boatId) + (evt.event === 'enter' ? ' entered ' : ' left ') + evt.geofenceName);
+    setTimeout(hideToast, 4000);
+  }
+
+  // ---------- Race course & leaderboard ----------
+  function loadRace(expedition) {
+    clearRace();
+    if (!expedition.race) return;
+
+    drawRaceCourse(map, expedition.race);
+    fetch(API_BASE + '/api/expeditions/' + encodeURIComponent(expedition.expeditionId) + '/leaderboard', { headers: sessionHeaders() })
+      .then(function (res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (data) {
+        // Another expedition may have been picked in the meantime
+        if (!currentExpedition || currentExpedition.expeditionId !== data.expeditionId) return;
+
+        raceState = { expeditionId: data.expeditionId, name: expedition.name, race: data.race, rows: data.leaderboard };
+        if (mode === 'live') {
+          renderLeaderboard(data.leaderboard, expedition.name);
+        } else if (lastPlaybackBoats) {
+          updatePlaybackLeaderboard(lastPlaybackBoats, true);
+        }
+      })
+      .catch(function (err) {
+        console.warn('Failed to load leaderboard:', err);
+      });
+  }
+
+  function clearRace() {
+    raceState = null;
+    lastPlaybackBoats = null;
+    clearRaceCourse();
+    hideLeaderboard();
+  }
+
+  function handleRaceLeaderboard(data) {
+    if (!raceState || data.expeditionId !== raceState.expeditionId) return;
+
+    // Keep the latest standings for playback of a live race as well
+    raceState.rows = data.leaderboard;
+    if (mode !== 'live') return;
+
+    renderLeaderboard(data.leaderboard, raceState.name);
+    (data.passages || []).forEach(function (p) {
+      var what = p.type === 'start' ? ' started'
+        : (p.type === 'finish' ? ' finished' : ' rounded ' + p.name);
+      showToast((p.boatName || p.boatId) + what);
+      setTimeout(hideToast, 4000);
+    });
+  }
+
+  /**
+   * Standings at the current playback time, at most four times a second.
+   */
+  function updatePlaybackLeaderboard(boats, force) {
+    lastPlaybackBoats = boats;
+    if (!raceState) return;
+
+    var now = performance.now();
+    if (!force && now - lastLeaderboardRender < 250) return;
+    lastLeaderboardRender = now;
+
+    var rows = leaderboardAt(raceState.race, raceState.rows, boats, Playback.getCurrentTime());
+    renderLeaderboard(rows, raceState.name);
+  }
+
+  // ---------- Track statistics (history mode) ----------
+  function toggleStatsPanel() {
+    if (!document.getElementById('stats-panel').classList.contains('hidden')) {
+      hideStatsPanel();
+      return;
+    }
+    if (!currentExpedition) return;
+
+    fetch(API_BASE + '/api/expeditions/' + encodeURIComponent(currentExpedition.expeditionId) + '/stats', { headers: sessionHeaders() })
+      .then(function (res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (data) {
+        if (!currentExpedition || currentExpedition.expeditionId !== data.expeditionId) return;
+        renderStatsPanel(data);
+      })
+      .catch(function (err) {
+        console.warn('Failed to load stats:', err);
+        showToast('Error loading statistics');
+        setTimeout(hideToast, 2000);
+      });
+  }
+
+  // ---------- Tracker alarms ----------
+  function loadActiveAlarms() {
+    fetch(API_BASE + '/api/alarms?active=true')
+      .then(function (res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (list) {
+        list.forEach(function (alarm) {
+          if (alarm.severity !== 'info') handleAlarm(alarm);
+        });
+      })
+      .catch(function (err) {
+        console.warn('Failed to load alarms:', err);
+      });
+  }
+
+  function handleAlarm(alarm) {
+    // Informational alarms (ignition, first fix, …) only get a toast
+    if (alarm.severity === 'info') {
+      showToast((alarm.boatName || alarm.boatId) + ': ' + alarmLabel(alarm.alarmType));
+      setTimeout(hideToast, 4000);
+      return;
+    }
+
+    showAlarm(map, alarm, { onAcknowledge: acknowledgeAlarm });
+  }
+
+  function acknowledgeAlarm(alarm) {
+    if (!window.admin) return;
+    window.admin.acknowledgeAlarm(alarm._id)
+      .then(function (ok) {
+        if (ok) removeAlarm(alarm._id);
+      });
+  }
+
   // ---------- Fit helpers ----------
   function fitNow() {
     if (!_markerPool) return;
@@ -493,6 +713,7 @@
       currentExpedition = null;
       liveFilterBoatIds = null;
       enterLiveMode();
+      updateSubscriptions();
       return;
     }
 
@@ -502,6 +723,9 @@
     // viewType can be 'live' or 'playback' for live expeditions, defaults to 'history' for historical expeditions
     var viewType = parts[1] || 'history';
 
+    loadGeofences(id);
+    hideStatsPanel();
+
     // Fetch expedition details to check if it's live or historical
     fetch('/api/expeditions/' + encodeURIComponent(id))
       .then(function (res) {
@@ -510,6 +734,8 @@
       })
       .then(function (expedition) {
         currentExpedition = expedition;
+        updateSubscriptions();
+        loadRace(expedition);
         if (expedition.live && viewType === 'live') {
           // Live expedition — Live view only (no playback bar)
           enterLiveOnlyMode(expedition);
@@ -541,7 +767,7 @@
 
     // Fetch boats and track data
     Promise.all([
-      fetch(API_BASE + '/api/boats').then(function (res) { return res.json(); }),
+      fetch(boatsUrl(expedition.expeditionId), { headers: sessionHeaders() }).then(function (res) { return res.json(); }),
       fetchExpeditionTrackWithWorker(expedition.expeditionId)
     ])
       .then(function (results) {
@@ -614,6 +840,7 @@
 
   function enterLivePlaybackMode(expedition) {
     mode = 'history';
+    refreshTraffic();
     
     // Pause live polling
     if (timer) { clearInterval(timer); timer = null; }
@@ -632,7 +859,7 @@
 
     // Fetch boats and track data
     Promise.all([
-      fetch(API_BASE + '/api/boats').then(function (res) { return res.json(); }),
+      fetch(boatsUrl(expedition.expeditionId), { headers: sessionHeaders() }).then(function (res) { return res.json(); }),
       fetchExpeditionTrackWithWorker(expedition.expeditionId)
     ])
       .then(function (results) {
@@ -663,6 +890,7 @@
 
   function enterHistoryMode(expeditionId) {
     mode = 'history';
+    refreshTraffic();
 
     // Pause live polling
     if (timer) { clearInterval(timer); timer = null; }
@@ -681,7 +909,7 @@
 
     // Fetch boats and track data
     Promise.all([
-      fetch(API_BASE + '/api/boats').then(function (res) { return res.json(); }),
+      fetch(boatsUrl(expeditionId), { headers: sessionHeaders() }).then(function (res) { return res.json(); }),
       fetchExpeditionTrackWithWorker(expeditionId)
     ])
       .then(function (results) {
@@ -716,6 +944,10 @@
     liveFilterBoatIds = null;
 
     Playback.destroy();
+    loadGeofences(null);
+    clearRace();
+    hideStatsPanel();
+    refreshTraffic();
 
     // Reset UI
     playBtn.innerHTML = SVG_PLAY;
@@ -776,10 +1008,11 @@
 
   /**
    * Called every playback frame with the interpolated boat positions.
-   * When autoFit is enabled, smoothly keeps all boats within the centre
+   * Updates the race leaderboard. When autoFit is enabled, smoothly keeps all boats within the centre
    * ~70 % of the viewport height (15 % padding top/bottom).
    */
   function handlePlaybackRender(boats) {
+    updatePlaybackLeaderboard(boats);
     if (!autoFit || !boats || !boats.length) return;
 
     var pts = boats.map(function (b) { return [b.lat, b.lon]; });
@@ -1088,7 +1321,7 @@
           }
         };
         trackWorker.addEventListener('message', listener);
-        trackWorker.postMessage(expeditionId);
+        trackWorker.postMessage({ expeditionId: expeditionId, headers: sessionHeaders() });
       } else {
         fetchExpeditionTrack(expeditionId).then(resolve).catch(reject);
       }
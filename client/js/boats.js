@@ -1,6 +1,6 @@
 /* ===== boats.js – render boat markers, course lines & popups ===== */
 
-var _markerPool  = {};    // { boatId: { marker, line, tooltip } }
+var _markerPool  = {};    // { boatId: { marker, line, circle, boat } }
 var _boatLayer   = null;  // L.LayerGroup
 var _trackLayer  = null;  // L.LayerGroup for historical track polylines
 var _isSimplifiedMode = false;  // Track if simplified paths are currently shown
@@ -43,7 +43,9 @@ function boatPopupHtml(b) {
       '<div class="field"><b>Speed:</b> '  + b.speed.toFixed(1)  + ' kn</div>' +
       '<div class="field"><b>Status:</b> ' + escHtml(b.status) + '</div>' +
       '<div class="field"><b>Pos:</b> '    + b.lat.toFixed(4) + ', ' + b.lon.toFixed(4) + '</div>' +
+      (b.approximate ? '<div class="field"><b>Fix:</b> Cell tower (&plusmn;' + Math.round(b.accuracy) + ' m)</div>' : '') +
       '<div class="field"><b>Updated:</b> ' + ts + '</div>' +
+      boatStatsHtml(b) +
     '</div>'
   );
 }
@@ -79,6 +81,38 @@ function courseLineEnd(lat, lon, course) {
   return [lat + dLat, lon + dLon];
 }
 
+/**
+ * Uncertainty circle for an approximate (cell tower) position.
+ */
+function accuracyCircle(lat, lon, radius, color) {
+  return L.circle([lat, lon], {
+    radius: radius,
+    color: color || '#7f8c8d',
+    weight: 1,
+    opacity: 0.7,
+    fillOpacity: 0.1,
+    dashArray: '4,4',
+    interactive: false,
+  });
+}
+
+/**
+ * Show, move or remove the uncertainty circle of a pooled boat marker.
+ */
+function updateAccuracyCircle(entry, b) {
+  if (b.approximate && b.accuracy) {
+    if (entry.circle) {
+      entry.circle.setLatLng([b.lat, b.lon]);
+      entry.circle.setRadius(b.accuracy);
+    } else {
+      entry.circle = accuracyCircle(b.lat, b.lon, b.accuracy, b.color).addTo(_boatLayer);
+    }
+  } else if (entry.circle) {
+    _boatLayer.removeLayer(entry.circle);
+    entry.circle = null;
+  }
+}
+
 /**
  * Ensure the boat layer group exists.
  */
@@ -110,6 +144,8 @@ function updateBoats(map, boats, opts) {
     var existing = _markerPool[b.boatId];
 
     if (existing) {
+      existing.boat = b;
+
       // Move existing marker smoothly
       existing.marker.setLatLng([b.lat, b.lon]);
       existing.marker.setIcon(boatIcon(b.course, b.speed, b.color));
@@ -120,6 +156,8 @@ function updateBoats(map, boats, opts) {
       var end = courseLineEnd(b.lat, b.lon, b.course);
       existing.line.setLatLngs([[b.lat, b.lon], end]);
       existing.line.setStyle({ color: b.speed > 0 ? (b.color || '#c0392b') : '#7f8c8d' });
+
+      updateAccuracyCircle(existing, b);
     } else {
       // Create new marker
       var marker = L.marker([b.lat, b.lon], {
@@ -137,6 +175,15 @@ function updateBoats(map, boats, opts) {
       marker.bindPopup(boatPopupHtml(b), { maxWidth: 260 });
       marker.addTo(_boatLayer);
 
+      // Load the day's track stats when the popup opens
+      marker.on('popupopen', function (e) {
+        var entry = _markerPool[b.boatId];
+        if (!entry) return;
+        fetchDayStats(b.boatId, entry.boat.timestamp).then(function () {
+          if (_markerPool[b.boatId] === entry) e.popup.setContent(boatPopupHtml(entry.boat));
+        });
+      });
+
       // Course line
       var end = courseLineEnd(b.lat, b.lon, b.course);
       var color = b.speed > 0 ? (b.color || '#c0392b') : '#7f8c8d';
@@ -148,7 +195,8 @@ function updateBoats(map, boats, opts) {
       });
       line.addTo(_boatLayer);
 
-      _markerPool[b.boatId] = { marker: marker, line: line };
+      _markerPool[b.boatId] = { marker: marker, line: line, circle: null, boat: b };
+      updateAccuracyCircle(_markerPool[b.boatId], b);
     }
   });
 
@@ -157,6 +205,7 @@ function updateBoats(map, boats, opts) {
     if (!seenIds[id]) {
       _boatLayer.removeLayer(_markerPool[id].marker);
       _boatLayer.removeLayer(_markerPool[id].line);
+      if (_markerPool[id].circle) _boatLayer.removeLayer(_markerPool[id].circle);
       delete _markerPool[id];
     }
   });
@@ -253,6 +302,22 @@ function simplifyTrackByTime(locations, intervalMs) {
   return simplified;
 }
 
+// Location sources that share a boat's enabledSources toggle: track file
+// imports count as 'gpx', tracker apps (OsmAnd protocol) as 'phone'
+var SOURCE_TOGGLES = { kml: 'gpx', geojson: 'gpx', csv: 'gpx', fit: 'gpx', osmand: 'phone', nmea: 'nmea-file', 'nmea-client': 'nmea-file' };
+// Toggles offered in the admin form; other sources (SignalK, AIS) are always shown
+var SOURCE_TOGGLE_VALUES = ['phone', 'at4', 'gpx', 'nmea-file', 'mqtt'];
+
+/**
+ * Whether a location source is shown for a boat with the given enabledSources.
+ */
+function isSourceEnabled(enabledSources, source) {
+  if (!source) return false;
+  var toggle = SOURCE_TOGGLES[source] || source;
+  if (SOURCE_TOGGLE_VALUES.indexOf(toggle) === -1) return true;
+  return enabledSources.indexOf(toggle) !== -1;
+}
+
 /**
  * Draw historical track polylines on the map.
  * @param {L.Map} map
@@ -277,7 +342,7 @@ function drawTrackLines(map, tracks, boats, simplified) {
   var boatSourcesMap = {};
   if (boats) {
     boats.forEach(function (b) {
-      boatSourcesMap[b.boatId] = b.enabledSources || ['phone', 'at4', 'gpx', 'nmea-file'];
+      boatSourcesMap[b.boatId] = b.enabledSources || ['phone', 'at4', 'gpx', 'nmea-file', 'mqtt'];
     });
   }
 
@@ -289,10 +354,21 @@ function drawTrackLines(map, tracks, boats, simplified) {
     var enabledSources = boatSourcesMap[boatId];
     if (enabledSources) {
       points = points.filter(function (p) {
-        return p.source && enabledSources.indexOf(p.source) !== -1;
+        return isSourceEnabled(enabledSources, p.source);
       });
     }
 
+    // Use the boat's stored color if available, otherwise fall back to palette
+    var color = (points[0] && points[0].color) || FALLBACK_COLORS[colorIdx % FALLBACK_COLORS.length];
+    colorIdx++;
+
+    // Cell tower positions are drawn as uncertainty circles, not as part of the line
+    points = points.filter(function (p) {
+      if (!p.approximate) return true;
+      if (p.accuracy) accuracyCircle(p.lat, p.lon, p.accuracy, color).addTo(_trackLayer);
+      return false;
+    });
+
     // Skip if filtering removed too many points
     if (points.length < 2) return;
 
@@ -306,9 +382,6 @@ function drawTrackLines(map, tracks, boats, simplified) {
     }
 
     var latlngs = points.map(function (p) { return [p.lat, p.lon]; });
-    // Use the boat's stored color if available, otherwise fall back to palette
-    var color = (points[0] && points[0].color) || FALLBACK_COLORS[colorIdx % FALLBACK_COLORS.length];
-    colorIdx++;
 
     L.polyline(latlngs, {
       color: color,
@@ -0,0 +1,222 @@
+/* ===== embed.js – read-only expedition map opened with a share link ===== */
+
+// websocket.js (loaded after this file) connects with the token
+window.SHARE_TOKEN = new URLSearchParams(window.location.search).get('token') || '';
+
+(function () {
+  'use strict';
+
+  var API_BASE = '';
+  var POLL_INTERVAL = 30000; // ms – delayed links (and lost connections) refresh by polling
+
+  var SVG_PLAY  = '<svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><polygon points="6,3 20,12 6,21"/></svg>';
+  var SVG_PAUSE = '<svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><rect x="5" y="3" width="4" height="18"/><rect x="15" y="3" width="4" height="18"/></svg>';
+
+  var map = null;
+  var share = null; // { expedition, delayMinutes, expiresAt }
+  var fitted = false;
+  var boatsById = {}; // latest position per boat, updated by pushed positions
+
+  var titleEl     = document.getElementById('embed-title');
+  var delayEl     = document.getElementById('embed-delay');
+  var playBtn     = document.getElementById('play-btn');
+  var speedSelect = document.getElementById('speed-select');
+  var timeSlider  = document.getElementById('time-slider');
+  var timeDisplay = document.getElementById('time-display');
+
+  function init() {
+    map = initMap('map');
+
+    if (!window.SHARE_TOKEN) {
+      showMessage('This link is incomplete.');
+      return;
+    }
+
+    fetchShare('')
+      .then(function (data) {
+        share = data;
+        document.title = data.expedition.name + ' – AKZ Tracker';
+        titleEl.textContent = data.expedition.name;
+        if (data.delayMinutes > 0) {
+          delayEl.textContent = 'Delayed by ' + formatDelay(data.delayMinutes);
+          delayEl.classList.remove('hidden');
+        }
+
+        if (data.expedition.live) {
+          startLive();
+        } else {
+          startPlayback();
+        }
+      })
+      .catch(function (err) {
+        console.warn('Failed to open share link:', err);
+        showMessage(err.status === 401 || err.status === 404
+          ? 'This link has expired or was revoked.'
+          : 'The map could not be loaded.');
+      });
+  }
+
+  /**
+   * GET /api/share/:token<path>
+   */
+  function fetchShare(path) {
+    return fetch(API_BASE + '/api/share/' + encodeURIComponent(window.SHARE_TOKEN) + path)
+      .then(function (res) {
+        if (!res.ok) {
+          var err = new Error('HTTP ' + res.status);
+          err.status = res.status;
+          throw err;
+        }
+        return res.json();
+      });
+  }
+
+  // ---------- Live expedition ----------
+  function startLive() {
+    fetchShare('/track')
+      .then(function (result) {
+        drawTrackLines(map, result.tracks, null, false);
+      })
+      .catch(function (err) {
+        console.warn('Failed to load track:', err);
+      });
+
+    refreshBoats();
+
+    // Live links get their boats' positions pushed and only reload after a
+    // reconnect (positions sent meanwhile are not replayed); delayed ones poll
+    if (share.delayMinutes === 0 && window.wsClient) {
+      window.wsClient.setLocationUpdateCallback(applyLocationUpdate);
+      window.wsClient.onMessage('connected', refreshBoats);
+    }
+
+    setInterval(function () {
+      if (share.delayMinutes > 0 || !window.wsClient || !window.wsClient.isConnected()) {
+        refreshBoats();
+      }
+    }, POLL_INTERVAL);
+  }
+
+  function refreshBoats() {
+    fetchShare('/boats')
+      .then(function (boats) {
+        boatsById = {};
+        boats.forEach(function (b) { boatsById[b.boatId] = b; });
+        renderBoats();
+      })
+      .catch(function (err) {
+        console.warn('Failed to load boats:', err);
+        if (err.status === 401 || err.status === 404) {
+          showMessage('This link has expired or was revoked.');
+        }
+      });
+  }
+
+  // Merge a pushed position into the boat list
+  function applyLocationUpdate(location) {
+    var known = boatsById[location.boatId];
+    if (known && new Date(known.timestamp) > new Date(location.timestamp)) return;
+    boatsById[location.boatId] = location;
+    renderBoats();
+  }
+
+  function renderBoats() {
+    var boats = Object.keys(boatsById).map(function (id) { return boatsById[id]; });
+    updateBoats(map, boats, { fitBounds: !fitted });
+    if (boats.length) fitted = true;
+  }
+
+  // ---------- Finished expedition: playback ----------
+  function startPlayback() {
+    Playback.init(map, {
+      onTimeUpdate: function (currentTime, startTime, endTime) {
+        var frac = (endTime - startTime) > 0 ? (currentTime - startTime) / (endTime - startTime) : 0;
+        timeSlider.value = Math.round(frac * 1000);
+        timeDisplay.textContent = formatDateTime(currentTime);
+      },
+      onFinished: function () {
+        playBtn.innerHTML = SVG_PLAY;
+      },
+    });
+    Playback.setSpeed(Number(speedSelect.value));
+
+    playBtn.addEventListener('click', function () {
+      if (Playback.isPlaying()) {
+        Playback.pause();
+        playBtn.innerHTML = SVG_PLAY;
+      } else {
+        Playback.play();
+        playBtn.innerHTML = SVG_PAUSE;
+      }
+    });
+    speedSelect.addEventListener('change', function () {
+      Playback.setSpeed(Number(speedSelect.value));
+    });
+    timeSlider.addEventListener('input', function () {
+      var min = Number(timeSlider.dataset.min);
+      var max = Number(timeSlider.dataset.max);
+      Playback.seekTo(min + Number(timeSlider.value) / 1000 * (max - min));
+    });
+
+    fetchShare('/track')
+      .then(function (result) {
+        var tracks = result.tracks;
+        var range = getTrackTimeRange(tracks);
+        if (range.min === Infinity) {
+          showMessage('No positions recorded for this expedition.');
+          return;
+        }
+
+        Playback.loadTrack(tracks, range.min, range.max, null);
+        timeSlider.dataset.min = range.min;
+        timeSlider.dataset.max = range.max;
+        timeSlider.value = 0;
+        document.getElementById('playback-bar').classList.remove('hidden');
+        fitMapToTracks(tracks);
+      })
+      .catch(function (err) {
+        console.warn('Failed to load track:', err);
+        showMessage('The track could not be loaded.');
+      });
+  }
+
+  // ---------- Helpers ----------
+  function fitMapToTracks(tracks) {
+    var bounds = [];
+    Object.keys(tracks).forEach(function (boatId) {
+      tracks[boatId].forEach(function (loc) {
+        bounds.push([loc.lat, loc.lon]);
+      });
+    });
+    if (bounds.length > 0) {
+      map.fitBounds(bounds, { padding: [40, 40] });
+    }
+  }
+
+  function formatDelay(minutes) {
+    if (minutes < 60) return minutes + ' min';
+    var hours = Math.floor(minutes / 60);
+    var rest = minutes % 60;
+    return hours + ' h' + (rest ? ' ' + rest + ' min' : '');
+  }
+
+  function formatDateTime(ms) {
+    var d = new Date(ms);
+    var pad = function (n) { return n < 10 ? '0' + n : '' + n; };
+    return pad(d.getUTCDate()) + '-' + pad(d.getUTCMonth() + 1) + '-' + d.getUTCFullYear()
+      + ' ' + pad(d.getUTCHours()) + ':' + pad(d.getUTCMinutes()) + ' UTC';
+  }
+
+  function showMessage(msg) {
+    var el = document.getElementById('toast');
+    el.textContent = msg;
+    el.classList.remove('hidden');
+    el.classList.add('visible');
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -4,6 +4,16 @@ var _expeditions = [];      // cached list
 var _activeExpedition = null; // currently selected expedition object
 var _trackData = null;        // { boatId: Location[] }
 
+/**
+ * Authorization header of the admin session, if logged in. Logged-in users
+ * see delayed live expeditions in real time.
+ * @returns {Object}
+ */
+function sessionHeaders() {
+  var token = sessionStorage.getItem('admin-token');
+  return token ? { 'Authorization': 'Bearer ' + token } : {};
+}
+
 /**
  * Fetch all expeditions from the API.
  * @returns {Promise<Array>}
@@ -26,7 +36,7 @@ function fetchExpeditions() {
  * @returns {Promise<{ expedition, tracks }>}
  */
 function fetchExpeditionTrack(expeditionId) {
-  return fetch('/api/expeditions/' + encodeURIComponent(expeditionId) + '/track')
+  return fetch('/api/expeditions/' + encodeURIComponent(expeditionId) + '/track', { headers: sessionHeaders() })
     .then(function (res) {
       if (!res.ok) throw new Error('HTTP ' + res.status);
       return res.json();
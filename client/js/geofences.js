@@ -0,0 +1,63 @@
+/* ===== geofences.js – draw geofence zones on the map ===== */
+
+var _geofenceLayer = null;  // L.LayerGroup
+var _geofenceShapes = {};   // { geofenceId: L.Path }
+
+/**
+ * Replace the drawn geofences with the given list.
+ *
+ * @param {L.Map} map
+ * @param {Array} geofences – [{ geofenceId, name, type, coordinates, center, radius, color }]
+ */
+function drawGeofences(map, geofences) {
+  clearGeofences();
+  _geofenceLayer = L.layerGroup().addTo(map);
+
+  geofences.forEach(function (g) {
+    var style = {
+      color: g.color || '#ff9500',
+      weight: 2,
+      opacity: 0.8,
+      fillOpacity: 0.08,
+      dashArray: g.kind === 'exclusion' ? '6 4' : null,
+      interactive: true,
+    };
+
+    var shape;
+    if (g.type === 'circle') {
+      style.radius = g.radius;
+      shape = L.circle([g.center.lat, g.center.lon], style);
+    } else {
+      shape = L.polygon(g.coordinates, style);
+    }
+
+    shape.bindTooltip(escHtml(g.name), { sticky: true });
+    shape.addTo(_geofenceLayer);
+    _geofenceShapes[g.geofenceId] = shape;
+  });
+}
+
+/**
+ * Briefly highlight a zone, e.g. when a boat enters or leaves it.
+ */
+function flashGeofence(geofenceId) {
+  var shape = _geofenceShapes[geofenceId];
+  if (!shape) return;
+
+  shape.setStyle({ weight: 4, fillOpacity: 0.3 });
+  setTimeout(function () {
+    shape.setStyle({ weight: 2, fillOpacity: 0.08 });
+  }, 3000);
+}
+
+/**
+ * Remove all geofences from the map.
+ */
+function clearGeofences() {
+  if (_geofenceLayer) {
+    _geofenceLayer.clearLayers();
+    _geofenceLayer.remove();
+    _geofenceLayer = null;
+  }
+  _geofenceShapes = {};
+}
@@ -307,6 +307,11 @@ const LocationQueue = (() => {
       } else if (response.status === 401) {
         console.error('[LocationQueue] Invalid PIN - removing item from queue');
         return true; // Don't retry auth failures
+      } else if (response.status >= 400 && response.status < 500 &&
+                 response.status !== 408 && response.status !== 429) {
+        // Disabled source (403), invalid (400) or implausible (422): a retry would be rejected again
+        console.warn(`[LocationQueue] Server rejected location (${response.status}) - removing item from queue`);
+        return true;
       } else {
         console.warn(`[LocationQueue] Server returned ${response.status}`);
         return false;
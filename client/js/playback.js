@@ -18,7 +18,7 @@ var Playback = (function () {
   var _drawnPathSegments = {};  // { boatId: { polylines: [], lastDrawnIndex: 0 } }
   var _progressiveMode = false; // Track if we're in progressive drawing mode
 
-  // Skip-idle feature state
+  // Skip-idle feature state (same idle rule as server/utils/stats.js)
   var _skipIdleEnabled = false;         // toggle for skip-idle feature
   var _idleThreshold = 0.5;             // knots – speed below this is considered idle
   var _idleMinDuration = 2 * 60 * 1000; // 2 minutes in ms
@@ -314,7 +314,7 @@ var Playback = (function () {
     var boatSourcesMap = {};
     if (_boats) {
       _boats.forEach(function (b) {
-        boatSourcesMap[b.boatId] = b.enabledSources || ['phone', 'at4', 'gpx', 'nmea-file'];
+        boatSourcesMap[b.boatId] = b.enabledSources || ['phone', 'at4', 'gpx', 'nmea-file', 'mqtt'];
       });
     }
 
@@ -322,13 +322,11 @@ var Playback = (function () {
       var allPoints = _tracks[boatId];
       if (!allPoints || allPoints.length < 2) return;
 
-      // Filter by enabled sources
+      // Filter by enabled sources; cell tower positions would zigzag the path
       var enabledSources = boatSourcesMap[boatId];
-      if (enabledSources) {
-        allPoints = allPoints.filter(function (p) {
-          return p.source && enabledSources.indexOf(p.source) !== -1;
-        });
-      }
+      allPoints = allPoints.filter(function (p) {
+        return !p.approximate && (!enabledSources || isSourceEnabled(enabledSources, p.source));
+      });
 
       if (allPoints.length < 2) return;
 
@@ -0,0 +1,211 @@
+/* ===== race.js – race course overlay & leaderboard panel ===== */
+
+var _raceLayer = null;  // L.LayerGroup with start/finish lines and marks
+
+var RACE_EARTH_RADIUS_M = 6371000;
+
+/**
+ * Draw the race course: start line, marks with rounding side, finish line and
+ * a dashed line along the legs.
+ *
+ * @param {L.Map} map
+ * @param {Object} race – { startLine: { a, b }, marks: [{ name, lat, lon, rounding }], finishLine: { a, b } }
+ */
+function drawRaceCourse(map, race) {
+  clearRaceCourse();
+  if (!map || !race) return;
+  _raceLayer = L.layerGroup().addTo(map);
+
+  function line(l, color, label) {
+    L.polyline([[l.a.lat, l.a.lon], [l.b.lat, l.b.lon]], { color: color, weight: 4, opacity: 0.9 })
+      .bindTooltip(label, { sticky: true })
+      .addTo(_raceLayer);
+  }
+
+  line(race.startLine, '#34c759', 'Start');
+  line(race.finishLine, '#ff3b30', 'Finish');
+
+  var legs = [raceMidpoint(race.startLine)];
+  (race.marks || []).forEach(function (mark, i) {
+    var name = mark.name || ('Mark ' + (i + 1));
+    var side = mark.rounding === 'starboard' ? 'starboard' : 'port';
+    L.circleMarker([mark.lat, mark.lon], {
+      radius: 7,
+      color: '#ffffff',
+      weight: 2,
+      fillColor: side === 'port' ? '#ff3b30' : '#34c759',
+      fillOpacity: 1,
+    })
+      .bindTooltip(escHtml((i + 1) + '. ' + name) + ' (' + side + ')', { direction: 'top' })
+      .addTo(_raceLayer);
+    legs.push([mark.lat, mark.lon]);
+  });
+  legs.push(raceMidpoint(race.finishLine));
+
+  L.polyline(legs, { color: '#8e8e93', weight: 1.5, opacity: 0.7, dashArray: '6 6', interactive: false })
+    .addTo(_raceLayer);
+}
+
+/**
+ * Remove the race course from the map.
+ */
+function clearRaceCourse() {
+  if (_raceLayer) {
+    _raceLayer.clearLayers();
+    _raceLayer.remove();
+    _raceLayer = null;
+  }
+}
+
+/**
+ * Render leaderboard rows into the leaderboard panel.
+ *
+ * @param {Array} rows – [{ rank, boatName, color, status, nextMark, distanceToNext, distanceRemaining, elapsed }]
+ * @param {String} [title]
+ */
+function renderLeaderboard(rows, title) {
+  var panel = document.getElementById('leaderboard');
+  if (!panel) return;
+
+  if (title) document.getElementById('leaderboard-title').textContent = title;
+
+  var body = document.getElementById('leaderboard-rows');
+  body.innerHTML = rows.map(function (row) {
+    var detail;
+    if (row.status === 'finished') {
+      detail = 'Finished' + (row.elapsed != null ? ' ' + formatRaceElapsed(row.elapsed) : '');
+    } else if (row.status === 'racing') {
+      detail = escHtml(row.nextMark) + ' ' + formatRaceDistance(row.distanceToNext);
+    } else {
+      detail = 'Not started';
+    }
+
+    return '<li class="leaderboard-row leaderboard-' + row.status + '">' +
+      '<span class="leaderboard-rank">' + (row.rank || '–') + '</span>' +
+      '<span class="leaderboard-dot" style="background:' + escHtml(row.color || '#8e8e93') + '"></span>' +
+      '<span class="leaderboard-name">' + escHtml(row.boatName) + '</span>' +
+      '<span class="leaderboard-detail">' + detail + '</span>' +
+    '</li>';
+  }).join('');
+
+  panel.classList.remove('hidden');
+}
+
+/**
+ * Hide the leaderboard panel.
+ */
+function hideLeaderboard() {
+  var panel = document.getElementById('leaderboard');
+  if (panel) panel.classList.add('hidden');
+}
+
+/**
+ * Rebuild the standings at a moment in playback from the final leaderboard
+ * (which carries start, rounding and finish times) and the interpolated positions.
+ * Mirrors buildLeaderboard() in server/utils/race.js.
+ *
+ * @param {Object} race
+ * @param {Array} finalRows – rows from GET /api/expeditions/:id/leaderboard
+ * @param {Array} boats – interpolated boats [{ boatId, lat, lon }]
+ * @param {number} time – ms timestamp
+ * @returns {Array} – leaderboard rows in rank order
+ */
+function leaderboardAt(race, finalRows, boats, time) {
+  var targets = [{ name: 'Start', line: race.startLine, point: raceMidpoint(race.startLine) }];
+  (race.marks || []).forEach(function (mark, i) {
+    targets.push({ name: mark.name || ('Mark ' + (i + 1)), point: [mark.lat, mark.lon] });
+  });
+  targets.push({ name: 'Finish', line: race.finishLine, point: raceMidpoint(race.finishLine) });
+
+  // Course distance from each target to the finish
+  var remaining = targets.map(function () { return 0; });
+  for (var i = targets.length - 2; i >= 0; i--) {
+    remaining[i] = remaining[i + 1] + raceDistance(targets[i].point, targets[i + 1].point);
+  }
+
+  var positions = {};
+  boats.forEach(function (b) { positions[b.boatId] = [b.lat, b.lon]; });
+
+  function before(ts) { return ts && new Date(ts).getTime() <= time; }
+
+  var rows = finalRows.map(function (row) {
+    var started = before(row.startedAt);
+    var roundings = started ? (row.roundings || []).filter(before) : [];
+    var finished = started && roundings.length === (race.marks || []).length && before(row.finishedAt);
+    var status = finished ? 'finished' : (started ? 'racing' : 'not-started');
+    var passed = started ? 1 + roundings.length + (finished ? 1 : 0) : 0;
+    var next = targets[passed];
+    var pos = positions[row.boatId];
+
+    var distanceToNext = null;
+    var distanceRemaining = finished ? 0 : null;
+    if (next && pos) {
+      distanceToNext = next.line ? raceDistanceToLine(pos, next.line) : raceDistance(pos, next.point);
+      if (status === 'racing') distanceRemaining = distanceToNext + remaining[passed];
+    }
+
+    return {
+      boatId: row.boatId,
+      boatName: row.boatName,
+      color: row.color,
+      status: status,
+      nextMark: next ? next.name : null,
+      distanceToNext: distanceToNext,
+      distanceRemaining: distanceRemaining,
+      finishedAt: finished ? row.finishedAt : null,
+      elapsed: finished ? row.elapsed : null,
+    };
+  });
+
+  var order = { 'finished': 0, 'racing': 1, 'not-started': 2 };
+  rows.sort(function (a, b) {
+    if (a.status !== b.status) return order[a.status] - order[b.status];
+    if (a.status === 'finished') return new Date(a.finishedAt) - new Date(b.finishedAt);
+    if (a.status === 'racing') return (a.distanceRemaining == null ? Infinity : a.distanceRemaining) -
+      (b.distanceRemaining == null ? Infinity : b.distanceRemaining);
+    return a.boatName.localeCompare(b.boatName);
+  });
+  rows.forEach(function (row, i) {
+    row.rank = row.status === 'not-started' ? null : i + 1;
+  });
+  return rows;
+}
+
+// ---------- Helpers ----------
+
+function raceMidpoint(line) {
+  return [(line.a.lat + line.b.lat) / 2, (line.a.lon + line.b.lon) / 2];
+}
+
+function raceDistance(p1, p2) {
+  var toRad = Math.PI / 180;
+  var dLat = (p2[0] - p1[0]) * toRad;
+  var dLon = (p2[1] - p1[1]) * toRad;
+  var a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(p1[0] * toRad) * Math.cos(p2[0] * toRad) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 2 * RACE_EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function raceDistanceToLine(p, line) {
+  var k = Math.PI / 180 * RACE_EARTH_RADIUS_M;
+  var cosLat = Math.cos(p[0] * Math.PI / 180);
+  var ax = (line.a.lon - p[1]) * k * cosLat, ay = (line.a.lat - p[0]) * k;
+  var bx = (line.b.lon - p[1]) * k * cosLat, by = (line.b.lat - p[0]) * k;
+  var dx = bx - ax, dy = by - ay;
+  var lenSq = dx * dx + dy * dy;
+  var t = lenSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lenSq)) : 0;
+  return Math.sqrt(Math.pow(ax + t * dx, 2) + Math.pow(ay + t * dy, 2));
+}
+
+function formatRaceDistance(m) {
+  if (m == null) return '';
+  return m >= 1852 ? (m / 1852).toFixed(1) + ' nm' : Math.round(m) + ' m';
+}
+
+function formatRaceElapsed(ms) {
+  var s = Math.round(ms / 1000);
+  var h = Math.floor(s / 3600);
+  var m = Math.floor((s % 3600) / 60);
+  var pad = function (n) { return n < 10 ? '0' + n : '' + n; };
+  return h + ':' + pad(m) + ':' + pad(s % 60);
+}
@@ -0,0 +1,131 @@
+/* ===== stats.js – track statistics in boat popups & the history stats panel ===== */
+
+var _dayStats = {};  // { 'boatId|YYYY-MM-DD': { stats, fetchedAt } }
+var DAY_STATS_MAX_AGE = 60000; // ms – today's stats are refetched after a minute
+
+/**
+ * "2h 05m", "12m" or "45s" from seconds.
+ */
+function formatDuration(seconds) {
+  seconds = Math.round(seconds || 0);
+  if (seconds < 60) return seconds + 's';
+  var h = Math.floor(seconds / 3600);
+  var m = Math.floor((seconds % 3600) / 60);
+  if (!h) return m + 'm';
+  return h + 'h ' + (m < 10 ? '0' : '') + m + 'm';
+}
+
+function statsDayKey(timestamp) {
+  return new Date(timestamp || Date.now()).toISOString().slice(0, 10);
+}
+
+/**
+ * Cached stats for the boat on the UTC day of `timestamp`, or null.
+ */
+function getDayStats(boatId, timestamp) {
+  var entry = _dayStats[boatId + '|' + statsDayKey(timestamp)];
+  return entry ? entry.stats : null;
+}
+
+/**
+ * Fetch stats for the boat on the UTC day of `timestamp`. Past days are
+ * fetched once; today is refreshed at most once a minute.
+ *
+ * @returns {Promise<Object|null>}
+ */
+function fetchDayStats(boatId, timestamp) {
+  var day = statsDayKey(timestamp);
+  var key = boatId + '|' + day;
+  var entry = _dayStats[key];
+  var isToday = day === statsDayKey();
+
+  if (entry && (!isToday || Date.now() - entry.fetchedAt < DAY_STATS_MAX_AGE)) {
+    return Promise.resolve(entry.stats);
+  }
+
+  var from = day + 'T00:00:00.000Z';
+  var to = day + 'T23:59:59.999Z';
+  return fetch('/api/boats/' + encodeURIComponent(boatId) + '/stats?from=' + from + '&to=' + to)
+    .then(function (res) {
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      return res.json();
+    })
+    .then(function (stats) {
+      _dayStats[key] = { stats: stats, fetchedAt: Date.now() };
+      return stats;
+    })
+    .catch(function (err) {
+      console.warn('Failed to load boat stats:', err);
+      return null;
+    });
+}
+
+/**
+ * Popup section with the day's stats for a boat (empty until fetched).
+ */
+function boatStatsHtml(b) {
+  var stats = getDayStats(b.boatId, b.timestamp);
+  if (!stats || !stats.points) return '';
+
+  var label = statsDayKey(b.timestamp) === statsDayKey() ? 'Today' : statsDayKey(b.timestamp);
+  return (
+    '<hr/>' +
+    '<div class="field"><b>' + label + ':</b> ' + stats.distanceNm.toFixed(1) + ' nm</div>' +
+    '<div class="field"><b>SOG max / avg:</b> ' + stats.maxSpeed.toFixed(1) + ' / ' + stats.avgSpeed.toFixed(1) + ' kn</div>' +
+    '<div class="field"><b>Moving / idle:</b> ' + formatDuration(stats.movingTime) + ' / ' + formatDuration(stats.idleTime) + '</div>'
+  );
+}
+
+/**
+ * Render per-boat expedition stats into the stats panel.
+ *
+ * @param {Object} data – response of GET /api/expeditions/:id/stats
+ */
+function renderStatsPanel(data) {
+  var panel = document.getElementById('stats-panel');
+  if (!panel) return;
+
+  document.getElementById('stats-panel-title').textContent = 'Statistics – ' + data.name;
+
+  var body = document.getElementById('stats-panel-body');
+  if (!data.boats.length) {
+    body.innerHTML = '<p class="stats-empty">No track data for this expedition</p>';
+  } else {
+    body.innerHTML = data.boats.map(function (b) {
+      var days = b.days.length > 1
+        ? '<details><summary>Per day</summary><table class="stats-days">' +
+            '<tr><th>Day</th><th>nm</th><th>max</th><th>avg</th><th>moving</th><th>idle</th></tr>' +
+            b.days.map(function (d) {
+              return '<tr><td>' + d.date + '</td><td>' + d.distanceNm.toFixed(1) + '</td>' +
+                '<td>' + d.maxSpeed.toFixed(1) + '</td><td>' + d.avgSpeed.toFixed(1) + '</td>' +
+                '<td>' + formatDuration(d.movingTime) + '</td><td>' + formatDuration(d.idleTime) + '</td></tr>';
+            }).join('') +
+          '</table></details>'
+        : '';
+
+      return '<div class="stats-boat">' +
+        '<div class="stats-boat-name">' +
+          '<span class="leaderboard-dot" style="background:' + escHtml(b.color || '#8e8e93') + '"></span>' +
+          escHtml(b.name || b.boatId) +
+        '</div>' +
+        '<div class="stats-grid">' +
+          '<span>Distance</span><b>' + b.distanceNm.toFixed(1) + ' nm</b>' +
+          '<span>SOG max / avg</span><b>' + b.maxSpeed.toFixed(1) + ' / ' + b.avgSpeed.toFixed(1) + ' kn</b>' +
+          '<span>Moving</span><b>' + formatDuration(b.movingTime) + '</b>' +
+          '<span>Idle</span><b>' + formatDuration(b.idleTime) + '</b>' +
+        '</div>' +
+        days +
+      '</div>';
+    }).join('');
+  }
+
+  panel.classList.remove('hidden');
+}
+
+/**
+ * Hide the stats panel.
+ */
+function hideStatsPanel() {
+  var panel = document.getElementById('stats-panel');
+  if (panel) panel.classList.add('hidden');
+}
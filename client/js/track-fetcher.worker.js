@@ -1,9 +1,9 @@
 /* Track fetcher worker - loads expedition data off main thread */
 
 self.onmessage = function (event) {
-  var expeditionId = event.data;
-  
-  fetch('/api/expeditions/' + encodeURIComponent(expeditionId) + '/track')
+  var expeditionId = event.data.expeditionId;
+
+  fetch('/api/expeditions/' + encodeURIComponent(expeditionId) + '/track', { headers: event.data.headers })
     .then(function (res) { return res.json(); })
     .then(function (data) {
       self.postMessage({ success: true, data: data });
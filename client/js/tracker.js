@@ -21,6 +21,7 @@ var Tracker = (function () {
   var _lon     = null;
   var _course  = 0;
   var _speed   = 0;        // knots
+  var _accuracy = null;    // metres (browser coords.accuracy)
   var _prevLat = null;
   var _prevLon = null;
 
@@ -133,6 +134,10 @@ var Tracker = (function () {
       _speed = 0;
     }
 
+    _accuracy = pos.coords.accuracy != null && pos.coords.accuracy >= 0
+      ? Math.round(pos.coords.accuracy)
+      : null;
+
     // Post immediately on first fix
     if (_prevLat === null) {
       postPosition();
@@ -152,6 +157,7 @@ var Tracker = (function () {
       lon:    _lon,
       course: _course,
       speed:  _speed,
+      accuracy: _accuracy,
       status: 'Under way',
       source: 'phone',
     };
@@ -0,0 +1,60 @@
+/* ===== traffic.js – draw surrounding AIS traffic on the map ===== */
+
+var _trafficLayer = null;  // L.LayerGroup
+
+/**
+ * Small grey arrow for a vessel outside the fleet, rotated to its course
+ * (or heading). Vessels without course are drawn as a dot.
+ */
+function trafficIcon(target) {
+  var direction = target.course != null ? target.course : target.heading;
+  var shape = direction != null
+    ? '<polygon points="9,1 15,16 9,13 3,16" fill="#95a5a6" stroke="#2c3e50" stroke-width="1"/>'
+    : '<circle cx="9" cy="9" r="4" fill="#95a5a6" stroke="#2c3e50" stroke-width="1"/>';
+  var svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 18 18"' +
+    ' style="transform:rotate(' + (direction || 0) + 'deg)">' + shape + '</svg>';
+
+  return L.divIcon({
+    html: svg,
+    className: 'traffic-icon',
+    iconSize:   [18, 18],
+    iconAnchor: [9, 9],
+  });
+}
+
+/**
+ * Replace the drawn traffic with the given targets.
+ *
+ * @param {L.Map} map
+ * @param {Array} targets – [{ mmsi, name, callsign, category, lat, lon, course, speed, heading, lastSeen }]
+ */
+function drawTraffic(map, targets) {
+  clearTraffic();
+  _trafficLayer = L.layerGroup().addTo(map);
+
+  targets.forEach(function (t) {
+    var lines = [
+      '<b>' + escHtml(t.name || 'MMSI ' + t.mmsi) + '</b>',
+      t.category ? escHtml(t.category) : null,
+      'MMSI ' + escHtml(t.mmsi) + (t.callsign ? ' · ' + escHtml(t.callsign) : ''),
+      t.speed != null ? t.speed.toFixed(1) + ' kn' + (t.course != null ? ' · ' + Math.round(t.course) + '°' : '') : null,
+      'Last seen ' + new Date(t.lastSeen).toLocaleTimeString(),
+    ];
+
+    L.marker([t.lat, t.lon], { icon: trafficIcon(t), zIndexOffset: -1000 })
+      .bindPopup(lines.filter(Boolean).join('<br>'))
+      .addTo(_trafficLayer);
+  });
+}
+
+/**
+ * Remove all traffic from the map.
+ */
+function clearTraffic() {
+  if (_trafficLayer) {
+    _trafficLayer.clearLayers();
+    _trafficLayer.remove();
+    _trafficLayer = null;
+  }
+}
@@ -9,11 +9,25 @@ const RECONNECT_DELAY = 3000; // 3 seconds
 // Callback for when location updates are received
 let onLocationUpdateCallback = null;
 
+// Handlers for other message types: { type: [callback, ...] }
+const messageHandlers = {};
+
+// Topics the server pushes to this page ("boat:<id>", "boat:*",
+// "expedition:<id>", "event:<type>"); sent again after every reconnect
+let subscribedTopics = new Set();
+
+// Cursor of the server's message stream: after a reconnect the server
+// replays what was missed, or answers { replayed: false } when it can't
+let streamId = null;
+let lastSeq = 0;
+
 function initWebSocket() {
   // Determine WebSocket URL based on current location
   const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
   const host = window.location.host;
-  const wsUrl = `${protocol}//${host}/ws`;
+  // Share link pages (embed.html) connect with their token and only get their expedition
+  const query = window.SHARE_TOKEN ? `?share=${encodeURIComponent(window.SHARE_TOKEN)}` : '';
+  const wsUrl = `${protocol}//${host}/ws${query}`;
 
   console.log('Connecting to WebSocket:', wsUrl);
 
@@ -22,15 +36,42 @@ function initWebSocket() {
   ws.onopen = () => {
     console.log('WebSocket connected');
     reconnectAttempts = 0;
+    if (sessionStorage.getItem('admin-token')) authenticateWebSocket();
+    if (subscribedTopics.size > 0) {
+      sendMessage({
+        type: 'subscribe',
+        topics: [...subscribedTopics],
+        resume: streamId ? { stream: streamId, seq: lastSeq } : undefined,
+      });
+    }
   };
 
   ws.onmessage = (event) => {
     try {
       const message = JSON.parse(event.data);
-      
+      if (message.type !== 'connected' && message.seq > lastSeq) lastSeq = message.seq;
+
       switch (message.type) {
         case 'connected':
           console.log('WebSocket:', message.message);
+          // First connection or a restarted server: start from its cursor
+          if (message.stream !== streamId) {
+            streamId = message.stream;
+            lastSeq = message.seq;
+          }
+          // Pages that don't resume (share links) catch up on every (re)connect
+          (messageHandlers.connected || []).forEach(cb => cb(message));
+          break;
+
+        case 'auth':
+          console.log('WebSocket:', message.data.authenticated ? 'live stream' : 'public stream');
+          break;
+
+        case 'subscriptions':
+          break;
+
+        case 'error':
+          console.warn('WebSocket server error:', message.data.message);
           break;
           
         case 'location-update':
@@ -40,7 +81,11 @@ function initWebSocket() {
           break;
           
         default:
-          console.log('Unknown WebSocket message type:', message.type);
+          if (messageHandlers[message.type]) {
+            messageHandlers[message.type].forEach(cb => cb(message.data));
+          } else {
+            console.log('Unknown WebSocket message type:', message.type);
+          }
       }
     } catch (err) {
       console.error('Error parsing WebSocket message:', err);
@@ -72,6 +117,12 @@ function setLocationUpdateCallback(callback) {
   onLocationUpdateCallback = callback;
 }
 
+// Register a callback for a message type (e.g. 'geofence-event')
+function onMessage(type, callback) {
+  if (!messageHandlers[type]) messageHandlers[type] = [];
+  messageHandlers[type].push(callback);
+}
+
 function closeWebSocket() {
   if (ws) {
     ws.close();
@@ -95,6 +146,29 @@ function disconnectWebSocket() {
   }
 }
 
+function sendMessage(message) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+// Switch between the live stream (logged in) and the public, possibly
+// delayed one; call after login and logout
+function authenticateWebSocket() {
+  sendMessage({ type: 'auth', token: sessionStorage.getItem('admin-token') || '' });
+}
+
+// Replace the subscribed topics, only sending the difference
+function setSubscriptions(topics) {
+  const next = new Set(topics);
+  const added = [...next].filter(t => !subscribedTopics.has(t));
+  const removed = [...subscribedTopics].filter(t => !next.has(t));
+  subscribedTopics = next;
+
+  if (removed.length) sendMessage({ type: 'unsubscribe', topics: removed });
+  if (added.length) sendMessage({ type: 'subscribe', topics: added });
+}
+
 function isWebSocketConnected() {
   return ws !== null && ws.readyState === WebSocket.OPEN;
 }
@@ -107,5 +181,8 @@ window.wsClient = {
   connect: connectWebSocket,
   disconnect: disconnectWebSocket,
   setLocationUpdateCallback,
+  onMessage,
+  authenticate: authenticateWebSocket,
+  setSubscriptions,
   isConnected: isWebSocketConnected,
 };
@@ -1,12 +1,17 @@
 /* ===== Service Worker – AKZ Tracker ===== */
 
-var CACHE_NAME = 'akz-tracker-v35';
+var CACHE_NAME = 'akz-tracker-v62';
 var SHELL_URLS = [
   '/',
   '/index.html',
   '/css/style.css',
   '/js/map.js',
   '/js/boats.js',
+  '/js/geofences.js',
+  '/js/traffic.js',
+  '/js/alarms.js',
+  '/js/race.js',
+  '/js/stats.js',
   '/js/expedition.js',
   '/js/playback.js',
   '/js/tracker.js',
@@ -3,11 +3,24 @@ require('dotenv').config();
 module.exports = {
   port: parseInt(process.env.PORT, 10) || 3001,
   mongoUri: process.env.MONGO_URI || 'mongodb://localhost:27017/akz-tracker',
-  apiKey: process.env.API_KEY || 'change-me-to-a-real-secret',
+
+  // Initial admin account, created on first start when no users exist
+  adminUsername: process.env.ADMIN_USERNAME || 'admin',
+  adminPassword: process.env.ADMIN_PASSWORD || 'change-me-to-a-real-secret',
+  // Login session lifetime
+  sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS, 10) || 12,
+  // Key that signs expedition share links; without it links stop working on restart
+  shareTokenSecret: process.env.SHARE_TOKEN_SECRET || '',
   
   // NMEA TCP Listener (disabled by default for simplified GUI)
   nmeaTcpEnabled: false, // process.env.NMEA_TCP_ENABLED === 'true',
   nmeaTcpPort: parseInt(process.env.NMEA_TCP_PORT, 10) || 10110,
+  // Minutes an AIS target of surrounding traffic stays on the map after its last message
+  aisTargetTtlMinutes: parseInt(process.env.AIS_TARGET_TTL_MINUTES, 10) || 30,
+  // AIS output feed of the fleet for chartplotters: TCP server port (0 = off)
+  // and UDP destinations ("host:port,host:port")
+  aisOutputTcpPort: parseInt(process.env.AIS_OUTPUT_TCP_PORT, 10) || 0,
+  aisOutputUdpTargets: process.env.AIS_OUTPUT_UDP_TARGETS || '',
   
   // SignalK Client (disabled by default for simplified GUI)
   signalkEnabled: false, // process.env.SIGNALK_ENABLED === 'true',
@@ -17,4 +30,15 @@ module.exports = {
   // AT4 GPS Tracker TCP Listener
   at4TcpEnabled: process.env.AT4_TCP_ENABLED === 'true',
   at4TcpPort: parseInt(process.env.AT4_TCP_PORT, 10) || 21100,
+  // Days to keep AT4 heartbeat telemetry (battery, GSM signal)
+  telemetryRetentionDays: parseInt(process.env.TELEMETRY_RETENTION_DAYS, 10) || 90,
+  ingestionLogRetentionDays: parseInt(process.env.INGESTION_LOG_RETENTION_DAYS, 10) || 30,
+
+  // MQTT bridge: '' (off), 'client' (connect to MQTT_URL) or 'embedded' (run a broker on MQTT_PORT)
+  mqttMode: process.env.MQTT_MODE || '',
+  mqttUrl: process.env.MQTT_URL || '',
+  mqttUsername: process.env.MQTT_USERNAME || '',
+  mqttPassword: process.env.MQTT_PASSWORD || '',
+  mqttPort: parseInt(process.env.MQTT_PORT, 10) || 1883,
+  mqttTopicPrefix: process.env.MQTT_TOPIC_PREFIX || 'akz',
 };
@@ -0,0 +1,161 @@
+/* ===== Auth Middleware – bearer-token sessions, role checks and share links ===== */
+
+const crypto = require('crypto');
+const config = require('../config');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ShareLink = require('../models/ShareLink');
+const Expedition = require('../models/Expedition');
+const { hashToken } = require('../utils/auth');
+const { signShareToken, verifyShareToken } = require('../utils/share');
+
+// Share links signed with a random key only work until the next restart
+const shareSecret = config.shareTokenSecret || crypto.randomBytes(32).toString('hex');
+if (!config.shareTokenSecret) {
+  console.warn('SHARE_TOKEN_SECRET is not set – share links will stop working on restart');
+}
+
+/**
+ * Extract the bearer token from the Authorization header.
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Resolve a session token to its active user.
+ * @param {String} token - Bearer token
+ * @returns {Promise<Object|null>} - User document or null
+ */
+async function findUserByToken(token) {
+  if (!token) return null;
+
+  const session = await Session.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!session) return null;
+
+  const user = await User.findById(session.userId).lean();
+  if (!user || !user.active) return null;
+
+  return user;
+}
+
+/**
+ * Check whether a role meets a minimum role (viewer < organiser < admin).
+ * @param {String} role - User's role
+ * @param {String} minRole - Required role
+ * @returns {boolean}
+ */
+function hasRole(role, minRole) {
+  return User.ROLES.indexOf(role) >= User.ROLES.indexOf(minRole);
+}
+
+/**
+ * Build middleware that requires a logged-in user with at least `minRole`.
+ * Sets req.user on success.
+ * @param {String} [minRole='viewer']
+ * @returns {Function} - Express middleware
+ */
+function requireRole(minRole = 'viewer') {
+  return async (req, res, next) => {
+    try {
+      const user = await findUserByToken(getBearerToken(req));
+      if (!user) {
+        return res.status(401).json({ error: 'Login required' });
+      }
+      if (!hasRole(user.role, minRole)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      req.user = user;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Middleware that sets req.user when the request carries a valid session
+ * token. Anonymous requests (and expired tokens) continue without it.
+ */
+async function attachUser(req, _res, next) {
+  try {
+    req.user = await findUserByToken(getBearerToken(req));
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Create the token of a share link.
+ * @param {Object} share - ShareLink document
+ * @returns {String}
+ */
+function createShareToken(share) {
+  return signShareToken(share, shareSecret);
+}
+
+/**
+ * Resolve a share token to its link and expedition. Revoked (deleted) links,
+ * expired tokens and deleted expeditions resolve to null.
+ * @param {String} token - Share token
+ * @returns {Promise<Object|null>} - { share, expedition } or null
+ */
+async function findShareByToken(token) {
+  const verified = verifyShareToken(token, shareSecret);
+  if (!verified) return null;
+
+  const share = await ShareLink.findOne({ shareId: verified.shareId }).lean();
+  if (!share || share.expiresAt <= new Date()) return null;
+
+  const expedition = await Expedition.findOne({ expeditionId: share.expeditionId }).lean();
+  if (!expedition) return null;
+
+  // A share link never shows a live expedition earlier than the public map
+  if (expedition.live && expedition.publicDelayMinutes > share.delayMinutes) {
+    share.delayMinutes = expedition.publicDelayMinutes;
+  }
+
+  return { share, expedition };
+}
+
+/**
+ * Middleware for share link endpoints (/share/:token/...).
+ * Sets req.share and req.expedition on success.
+ */
+async function requireShare(req, res, next) {
+  try {
+    const resolved = await findShareByToken(req.params.token);
+    if (!resolved) {
+      return res.status(404).json({ error: 'Share link is invalid or has expired' });
+    }
+    req.share = resolved.share;
+    // Share pages never show private boats
+    const hidden = req.app.locals.visibility.hiddenBoatIds(null, true);
+    req.expedition = {
+      ...resolved.expedition,
+      boatIds: resolved.expedition.boatIds.filter(id => !hidden.includes(id)),
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getBearerToken,
+  findUserByToken,
+  hasRole,
+  requireRole,
+  attachUser,
+  createShareToken,
+  findShareByToken,
+  requireShare,
+};
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Surrounding traffic: vessels heard over AIS that are not part of the fleet.
+// One document per MMSI, dropped when the vessel has been silent for
+// config.aisTargetTtlMinutes.
+const aisTargetSchema = new mongoose.Schema(
+  {
+    mmsi: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Static data (message types 5, 19 and 24)
+    name: {
+      type: String,
+      default: null,
+    },
+    callsign: {
+      type: String,
+      default: null,
+    },
+    // AIS ship type code, e.g. 36 sailing, 70–79 cargo
+    shipType: {
+      type: Number,
+      default: null,
+    },
+    // Latest position report (message types 1, 2, 3, 18 and 19)
+    lat: {
+      type: Number,
+      default: null,
+    },
+    lon: {
+      type: Number,
+      default: null,
+    },
+    course: {
+      type: Number,
+      default: null,
+    },
+    speed: {
+      type: Number,
+      default: null,
+    },
+    heading: {
+      type: Number,
+      default: null,
+    },
+    // AIS navigational status (class A only), e.g. 0 under way, 1 at anchor, 5 moored
+    navStatus: {
+      type: Number,
+      default: null,
+    },
+    positionAt: {
+      type: Date,
+      default: null,
+    },
+    // Last message of any type
+    lastSeen: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+// Drop silent targets automatically
+aisTargetSchema.index(
+  { lastSeen: 1 },
+  { expireAfterSeconds: config.aisTargetTtlMinutes * 60 }
+);
+
+/**
+ * Store a decoded AIS message of a non-fleet vessel
+ * @param {Object} message - From utils/ais parseAIS()
+ * @returns {Promise<Object>} - Target
+ */
+aisTargetSchema.statics.record = function (message) {
+  const now = new Date();
+  const update = { lastSeen: now };
+  for (const field of ['name', 'callsign', 'shipType']) {
+    if (message[field] != null) update[field] = message[field];
+  }
+  if (message.lat != null && message.lon != null) {
+    Object.assign(update, {
+      lat: message.lat,
+      lon: message.lon,
+      course: message.course,
+      speed: message.speed,
+      heading: message.heading,
+      positionAt: now,
+    });
+    if (message.navStatus != null) update.navStatus = message.navStatus;
+  }
+
+  return this.findOneAndUpdate(
+    { mmsi: message.mmsi },
+    { $set: update },
+    { upsert: true, returnDocument: 'after' }
+  );
+};
+
+module.exports = mongoose.model('AisTarget', aisTargetSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// How prominently an alarm type is shown; anything not listed is 'info'
+const ALARM_SEVERITY = {
+  'sos': 'critical',
+  'power-cut': 'warning',
+  'tamper': 'warning',
+  'low-battery': 'warning',
+  'low-external-battery': 'warning',
+  'low-battery-protection': 'warning',
+  'low-battery-power-off': 'warning',
+  'vibration': 'warning',
+  'moving': 'warning',
+  'overspeed': 'warning',
+  'exit-fence': 'warning',
+};
+
+const alarmSchema = new mongoose.Schema(
+  {
+    boatId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    boatName: {
+      type: String,
+      default: '',
+    },
+    imei: {
+      type: String,
+      default: '',
+    },
+    source: {
+      type: String,
+      default: 'at4',
+    },
+    alarmType: {
+      type: String,
+      required: true,
+    },
+    alarmCode: {
+      type: Number,
+      default: null,
+    },
+    severity: {
+      type: String,
+      enum: ['critical', 'warning', 'info'],
+      default: 'info',
+    },
+    lat: {
+      type: Number,
+      default: null,
+    },
+    lon: {
+      type: Number,
+      default: null,
+    },
+    // false when the device had no GPS fix and lat/lon is the last known position
+    positioned: {
+      type: Boolean,
+      default: false,
+    },
+    speed: {
+      type: Number,
+      default: null,
+    },
+    course: {
+      type: Number,
+      default: null,
+    },
+    voltage: {
+      type: Number,
+      default: null,
+    },
+    signalStrength: {
+      type: Number,
+      default: null,
+    },
+    acknowledged: {
+      type: Boolean,
+      default: false,
+    },
+    acknowledgedBy: {
+      type: String,
+      default: null,
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+// Open alarms per boat, newest first
+alarmSchema.index({ acknowledged: 1, boatId: 1, timestamp: -1 });
+
+/**
+ * Severity for an alarm type.
+ * @param {String} alarmType
+ * @returns {String} - 'critical' | 'warning' | 'info'
+ */
+alarmSchema.statics.severityFor = function (alarmType) {
+  return ALARM_SEVERITY[alarmType] || 'info';
+};
+
+module.exports = mongoose.model('Alarm', alarmSchema);
+module.exports.ALARM_SEVERITY = ALARM_SEVERITY;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SOURCE_TOGGLE_VALUES } = require('../utils/ingestion');
 
 // Port range constants
 const NMEA_PORT_MIN = 10110;
@@ -71,15 +72,85 @@ const boatSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Custom MQTT ingestion topic (default: <prefix>/<boatId>/in)
+    mqttTopic: {
+      type: String,
+      default: null,
+    },
+    // Sources whose positions are accepted (see SOURCE_TOGGLES in utils/ingestion)
     enabledSources: {
       type: [String],
-      enum: ['phone', 'at4', 'gpx', 'nmea-file'],
-      default: ['phone', 'at4', 'gpx', 'nmea-file'],
+      enum: SOURCE_TOGGLE_VALUES,
+      default: SOURCE_TOGGLE_VALUES,
+    },
+    // Live sources (Location.source values), most preferred first. Points from a
+    // source are marked non-primary while a preferred one is fresh; empty = no ranking
+    sourcePriority: {
+      type: [String],
+      default: [],
+    },
+    // Silence (s) after which the next source in sourcePriority takes over
+    failoverSeconds: {
+      type: Number,
+      default: 120,
+      min: 10,
+    },
+    // Outlier filter applied at ingestion and by the "clean track" action
+    plausibility: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // 'flag' stores implausible points marked as outliers, 'reject' drops them
+      action: {
+        type: String,
+        enum: ['flag', 'reject'],
+        default: 'flag',
+      },
+      // Fastest plausible speed between two points
+      maxSpeedKn: {
+        type: Number,
+        default: 40,
+        min: 1,
+      },
+    },
+    // AIS output feed (see utils/ais): message class and static data for type 24 reports
+    ais: {
+      // 'A' sends type 1 position reports, 'B' type 18
+      messageClass: {
+        type: String,
+        enum: ['A', 'B'],
+        default: 'B',
+      },
+      // AIS ship type code, e.g. 36 sailing, 37 pleasure craft
+      shipType: {
+        type: Number,
+        default: null,
+        min: 1,
+        max: 99,
+      },
+      callsign: {
+        type: String,
+        default: '',
+      },
     },
     live: {
       type: Boolean,
       default: true,
     },
+    // Who may see the boat's positions (see utils/visibility): 'public' anyone,
+    // 'expedition' visitors only within its expeditions (logged-in users
+    // everywhere), 'private' only its owner and admins
+    visibility: {
+      type: String,
+      enum: ['public', 'expedition', 'private'],
+      default: 'public',
+    },
+    // Username of the owner, who can see the boat while it is private
+    owner: {
+      type: String,
+      default: '',
+    },
     createdAt: {
       type: Date,
       default: Date.now,
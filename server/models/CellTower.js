@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Accuracy radius (m) for towers without a range in the database
+const DEFAULT_CELL_RANGE_M = 1000;
+
+// Cell tower position, imported from an OpenCellID (or Mozilla Location Service) CSV dump
+const cellTowerSchema = new mongoose.Schema(
+  {
+    // GSM, UMTS, LTE, NR, CDMA
+    radio: {
+      type: String,
+      default: '',
+    },
+    mcc: {
+      type: Number,
+      required: true,
+    },
+    mnc: {
+      type: Number,
+      required: true,
+    },
+    lac: {
+      type: Number,
+      required: true,
+    },
+    cellId: {
+      type: Number,
+      required: true,
+    },
+    lat: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90,
+    },
+    lon: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180,
+    },
+    // Estimated coverage radius in metres
+    range: {
+      type: Number,
+      default: null,
+    },
+    samples: {
+      type: Number,
+      default: 0,
+    },
+    updatedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: false }
+);
+
+cellTowerSchema.index({ mcc: 1, mnc: 1, lac: 1, cellId: 1 }, { unique: true });
+
+/**
+ * Approximate position of a cell.
+ * @param {Object} cell - { mcc, mnc, lac, cellId }
+ * @returns {Promise<Object|null>} - { lat, lon, accuracy (m) } or null for unknown cells
+ */
+cellTowerSchema.statics.resolve = async function (cell) {
+  if (!cell || !cell.mcc || !cell.cellId) return null;
+
+  const tower = await this.findOne({
+    mcc: cell.mcc,
+    mnc: cell.mnc,
+    lac: cell.lac,
+    cellId: cell.cellId,
+  }).select('lat lon range').lean();
+  if (!tower) return null;
+
+  return {
+    lat: tower.lat,
+    lon: tower.lon,
+    accuracy: tower.range > 0 ? tower.range : DEFAULT_CELL_RANGE_M,
+  };
+};
+
+module.exports = mongoose.model('CellTower', cellTowerSchema);
+module.exports.DEFAULT_CELL_RANGE_M = DEFAULT_CELL_RANGE_M;
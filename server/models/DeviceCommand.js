@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const COMMAND_STATUSES = ['queued', 'sent', 'replied', 'expired', 'failed'];
+
+// Online command for a tracker (AT4 0x80), queued until the device is connected
+const deviceCommandSchema = new mongoose.Schema(
+  {
+    boatId: {
+      type: String,
+      required: true,
+    },
+    imei: {
+      type: String,
+      default: '',
+    },
+    // Preset key from AT4_COMMAND_PRESETS, or 'custom'
+    preset: {
+      type: String,
+      default: 'custom',
+    },
+    // ASCII command as sent to the device, e.g. "TIMER,30#"
+    command: {
+      type: String,
+      required: true,
+    },
+    // 32-bit id echoed back by the device; used to match the reply
+    serverFlag: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: COMMAND_STATUSES,
+      default: 'queued',
+    },
+    reply: {
+      type: String,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    requestedBy: {
+      type: String,
+      default: '',
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    repliedAt: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+// Per-boat history, newest first; also used to find queued/sent commands
+deviceCommandSchema.index({ boatId: 1, createdAt: -1 });
+deviceCommandSchema.index({ boatId: 1, serverFlag: 1 });
+
+module.exports = mongoose.model('DeviceCommand', deviceCommandSchema);
+module.exports.COMMAND_STATUSES = COMMAND_STATUSES;
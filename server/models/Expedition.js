@@ -1,5 +1,47 @@
 const mongoose = require('mongoose');
 
+const pointSchema = new mongoose.Schema(
+  {
+    lat: { type: Number, required: true },
+    lon: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Line between two end points, e.g. committee boat and pin
+const lineSchema = new mongoose.Schema(
+  {
+    a: { type: pointSchema, required: true },
+    b: { type: pointSchema, required: true },
+  },
+  { _id: false }
+);
+
+const markSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: '' },
+    lat: { type: Number, required: true },
+    lon: { type: Number, required: true },
+    // Side the mark is left on
+    rounding: { type: String, enum: ['port', 'starboard'], default: 'port' },
+    // How far from the mark a rounding is still detected (metres)
+    zoneRadius: { type: Number, default: 150 },
+  },
+  { _id: false }
+);
+
+// Regatta course: start line -> marks in order -> finish line
+const raceSchema = new mongoose.Schema(
+  {
+    // Start signal; defaults to the expedition startDate
+    startTime: { type: Date, default: null },
+    startLine: { type: lineSchema, required: true },
+    marks: { type: [markSchema], default: [] },
+    finishLine: { type: lineSchema, required: true },
+  },
+  { _id: false }
+);
+
 const expeditionSchema = new mongoose.Schema(
   {
     expeditionId: {
@@ -26,6 +68,14 @@ const expeditionSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // While live, visitors who are not logged in see positions this many
+    // minutes late (0 = real time); officials always get the live stream
+    publicDelayMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1440,
+    },
     startDate: {
       type: Date,
       required: true,
@@ -38,6 +88,11 @@ const expeditionSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Set for regattas; null for plain expeditions
+    race: {
+      type: raceSchema,
+      default: null,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const GEOFENCE_TYPES = ['circle', 'polygon'];
+const GEOFENCE_KINDS = ['harbour', 'race-area', 'exclusion', 'other'];
+
+const geofenceSchema = new mongoose.Schema(
+  {
+    geofenceId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: GEOFENCE_KINDS,
+      default: 'other',
+    },
+    type: {
+      type: String,
+      enum: GEOFENCE_TYPES,
+      required: true,
+    },
+    // Polygon vertices as [[lat, lon], ...] (type 'polygon')
+    coordinates: {
+      type: [[Number]],
+      default: undefined,
+    },
+    // Circle centre and radius in metres (type 'circle')
+    center: {
+      lat: { type: Number, min: -90, max: 90 },
+      lon: { type: Number, min: -180, max: 180 },
+    },
+    radius: {
+      type: Number,
+      min: 1,
+    },
+    color: {
+      type: String,
+      default: '#ff9500',
+    },
+    // Restrict to one expedition's boats (null = applies to every boat)
+    expeditionId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Restrict to specific boats (empty = all boats)
+    boatIds: {
+      type: [String],
+      default: [],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+module.exports = mongoose.model('Geofence', geofenceSchema);
+module.exports.GEOFENCE_TYPES = GEOFENCE_TYPES;
+module.exports.GEOFENCE_KINDS = GEOFENCE_KINDS;
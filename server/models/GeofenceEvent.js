@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const geofenceEventSchema = new mongoose.Schema(
+  {
+    geofenceId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    geofenceName: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      default: 'other',
+    },
+    boatId: {
+      type: String,
+      required: true,
+    },
+    boatName: {
+      type: String,
+      default: '',
+    },
+    // Expedition the boat was sailing in when the event happened (if any)
+    expeditionId: {
+      type: String,
+      default: null,
+    },
+    event: {
+      type: String,
+      enum: ['enter', 'exit'],
+      required: true,
+    },
+    lat: {
+      type: Number,
+      required: true,
+    },
+    lon: {
+      type: Number,
+      required: true,
+    },
+    source: {
+      type: String,
+      default: '',
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: false }
+);
+
+// Latest event per boat/geofence (used to restore inside/outside state after restart)
+geofenceEventSchema.index({ boatId: 1, geofenceId: 1, timestamp: -1 });
+// Event history per expedition
+geofenceEventSchema.index({ expeditionId: 1, timestamp: -1 });
+
+module.exports = mongoose.model('GeofenceEvent', geofenceEventSchema);
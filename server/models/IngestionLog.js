@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Positions turned away at ingestion. Repeats of the same boat, source and
+// reason within AGGREGATE_WINDOW_MS are counted on one entry instead of
+// adding a document per point.
+const AGGREGATE_WINDOW_MS = 10 * 60 * 1000;
+
+const ingestionLogSchema = new mongoose.Schema(
+  {
+    boatId: {
+      type: String,
+      required: true,
+    },
+    // Location source, e.g. 'phone', 'at4', 'gpx'
+    source: {
+      type: String,
+      required: true,
+    },
+    // 'source-disabled', 'invalid' or an outlier reason
+    reason: {
+      type: String,
+      required: true,
+    },
+    // Details of the latest rejected point, e.g. the validation error
+    message: {
+      type: String,
+      default: '',
+    },
+    lat: {
+      type: Number,
+      default: null,
+    },
+    lon: {
+      type: Number,
+      default: null,
+    },
+    count: {
+      type: Number,
+      default: 1,
+    },
+    firstAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+// Per-boat log, newest first
+ingestionLogSchema.index({ boatId: 1, lastAt: -1 });
+// Drop old entries automatically
+ingestionLogSchema.index(
+  { lastAt: 1 },
+  { expireAfterSeconds: config.ingestionLogRetentionDays * 24 * 60 * 60 }
+);
+
+/**
+ * Record rejected points, adding to a recent entry for the same boat, source and reason
+ * @param {Object} entry - { boatId, source, reason, message?, lat?, lon?, count? }
+ * @returns {Promise<Object>} - Log entry
+ */
+ingestionLogSchema.statics.record = function ({ boatId, source, reason, message = '', lat = null, lon = null, count = 1 }) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { boatId, source, reason, lastAt: { $gte: new Date(now.getTime() - AGGREGATE_WINDOW_MS) } },
+    {
+      $inc: { count },
+      $set: { message, lat, lon, lastAt: now },
+      $setOnInsert: { firstAt: now },
+    },
+    { upsert: true, returnDocument: 'after', sort: { lastAt: -1 } }
+  );
+};
+
+module.exports = mongoose.model('IngestionLog', ingestionLogSchema);
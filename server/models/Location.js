@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { FIX_TYPES } = require('../utils/quality');
+const { OUTLIER_REASONS, plausibilitySettings, checkPlausibility } = require('../utils/plausibility');
+const { DEFAULT_FAILOVER_SECONDS, preferredSources } = require('../utils/fusion');
 
 const locationSchema = new mongoose.Schema(
   {
@@ -48,9 +51,60 @@ const locationSchema = new mongoose.Schema(
     },
     source: {
       type: String,
-      enum: ['phone', 'tracker', 'gpx', 'nmea', 'nmea-client', 'signalk', 'ais', 'at4'],
+      enum: ['phone', 'tracker', 'gpx', 'kml', 'geojson', 'csv', 'fit', 'nmea', 'nmea-client', 'signalk', 'ais', 'at4', 'osmand', 'mqtt'],
       default: 'tracker',
     },
+    // Fix quality (null when the source doesn't report it)
+    hdop: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    satellites: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    fixType: {
+      type: String,
+      enum: [...FIX_TYPES, null],
+      default: null,
+    },
+    // Horizontal accuracy radius in metres (null when unknown)
+    accuracy: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Position resolved from the serving cell tower instead of a GPS fix
+    approximate: {
+      type: Boolean,
+      default: false,
+    },
+    // Serving cell reported by the tracker (LBS)
+    cell: {
+      type: {
+        mcc: Number,
+        mnc: Number,
+        lac: Number,
+        cellId: Number,
+      },
+      default: undefined,
+      _id: false,
+    },
+    // Why the plausibility filter flagged the point (null for plausible points);
+    // outliers are stored but left out of live updates, tracks and stats
+    outlier: {
+      type: String,
+      enum: [...OUTLIER_REASONS, null],
+      default: null,
+    },
+    // False while a source the boat prefers was delivering positions; such
+    // points are stored but, like outliers, kept out of live updates, tracks and stats
+    primary: {
+      type: Boolean,
+      default: true,
+    },
     timestamp: {
       type: Date,
       default: Date.now,
@@ -63,4 +117,54 @@ const locationSchema = new mongoose.Schema(
 // Compound index for efficient "latest per boat" queries
 locationSchema.index({ boatId: 1, timestamp: -1 });
 
+/**
+ * Check a new point against the boat's plausibility settings and its last
+ * plausible GPS position before the point.
+ * @param {Object} boat - Boat document
+ * @param {Object} point - { lat, lon, timestamp?, accuracy?, approximate? }
+ * @returns {Promise<Object>} - { outlier: reason or null, reject: true if the boat drops outliers }
+ */
+locationSchema.statics.checkPlausibility = async function (boat, point) {
+  const settings = plausibilitySettings(boat);
+  if (!settings.enabled) return { outlier: null, reject: false };
+
+  const previous = await this.findOne({
+    boatId: boat.boatId,
+    outlier: null,
+    approximate: { $ne: true },
+    timestamp: { $lte: point.timestamp || new Date() },
+  })
+    .sort({ timestamp: -1 })
+    .select('lat lon accuracy timestamp')
+    .lean();
+
+  const outlier = checkPlausibility(point, previous, settings);
+  return { outlier, reject: outlier != null && settings.action === 'reject' };
+};
+
+/**
+ * Whether a new point belongs to the boat's primary track: true unless a source
+ * ranked higher in Boat.sourcePriority delivered a plausible GPS position within
+ * the failover window before it.
+ * @param {Object} boat - Boat document
+ * @param {String} source - Location source of the point
+ * @param {Date} [timestamp] - Time of the point (default: now)
+ * @returns {Promise<Boolean>}
+ */
+locationSchema.statics.isPrimarySource = async function (boat, source, timestamp = new Date()) {
+  const preferred = preferredSources(boat.sourcePriority, source);
+  if (preferred.length === 0) return true;
+
+  const time = new Date(timestamp).getTime();
+  const window = (boat.failoverSeconds || DEFAULT_FAILOVER_SECONDS) * 1000;
+  const fresh = await this.exists({
+    boatId: boat.boatId,
+    source: { $in: preferred },
+    outlier: null,
+    approximate: { $ne: true },
+    timestamp: { $gte: new Date(time - window), $lte: new Date(time) },
+  });
+  return !fresh;
+};
+
 module.exports = mongoose.model('Location', locationSchema);
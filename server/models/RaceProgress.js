@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Course progress of one boat in one race (see utils/race.js)
+const raceProgressSchema = new mongoose.Schema(
+  {
+    expeditionId: {
+      type: String,
+      required: true,
+    },
+    boatId: {
+      type: String,
+      required: true,
+    },
+    boatName: {
+      type: String,
+      default: '',
+    },
+    color: {
+      type: String,
+      default: null,
+    },
+    // Start line crossing after the start signal
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    // Rounding time of each mark, in course order
+    roundings: {
+      type: [Date],
+      default: [],
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    // Last position evaluated, used for the next crossing test and distance to the next mark
+    lastLat: {
+      type: Number,
+      default: null,
+    },
+    lastLon: {
+      type: Number,
+      default: null,
+    },
+    lastTimestamp: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+raceProgressSchema.index({ expeditionId: 1, boatId: 1 }, { unique: true });
+
+module.exports = mongoose.model('RaceProgress', raceProgressSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Read-only link to one expedition for sponsors and families. The link
+// carries a signed token (see utils/share); deleting the document revokes it.
+const shareLinkSchema = new mongoose.Schema(
+  {
+    shareId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    expeditionId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Shown in the admin list, e.g. "Sponsors"
+    label: {
+      type: String,
+      default: '',
+    },
+    // Positions are shown this many minutes late (0 = live)
+    delayMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    createdBy: {
+      type: String,
+      default: '',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+// MongoDB removes expired links automatically
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
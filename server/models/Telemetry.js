@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// Device health samples (AT4 heartbeats), one document per heartbeat
+const telemetrySchema = new mongoose.Schema(
+  {
+    boatId: {
+      type: String,
+      required: true,
+    },
+    imei: {
+      type: String,
+      default: '',
+    },
+    source: {
+      type: String,
+      default: 'at4',
+    },
+    // Battery voltage in volts
+    voltage: {
+      type: Number,
+      default: null,
+    },
+    // External power supply voltage in volts (0x94 information packets)
+    externalVoltage: {
+      type: Number,
+      default: null,
+    },
+    // Estimated from voltage (0-100)
+    batteryPercent: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 100,
+    },
+    // GSM signal: 0 none, 1 extremely weak, 2 very weak, 3 good, 4 strong
+    signalStrength: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 4,
+    },
+    charging: {
+      type: Boolean,
+      default: null,
+    },
+    gpsTracking: {
+      type: Boolean,
+      default: null,
+    },
+    // Raw terminal information byte for anything not decoded above
+    terminalInfo: {
+      type: Number,
+      default: null,
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+// Time series per boat, newest first
+telemetrySchema.index({ boatId: 1, timestamp: -1 });
+// Drop old samples automatically
+telemetrySchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: config.telemetryRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('Telemetry', telemetrySchema);
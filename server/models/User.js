@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Roles in ascending order of privilege
+const ROLES = ['viewer', 'organiser', 'admin'];
+
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+      trim: true,
+      lowercase: true,
+    },
+    name: {
+      type: String,
+      default: '',
+    },
+    passwordHash: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'viewer',
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastLoginAt: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+module.exports = mongoose.model('User', userSchema);
+module.exports.ROLES = ROLES;
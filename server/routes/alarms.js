@@ -0,0 +1,76 @@
+/* ===== Alarm Routes – tracker alarms (SOS, power cut, low battery, …) ===== */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Alarm = require('../models/Alarm');
+const { requireRole, attachUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_ALARMS = 500;
+
+// ---------- GET /api/alarms – list alarms (?boatId=, ?active=true, ?limit=) ----------
+// Public like /api/boats so the map can show open alarms after a reload;
+// alarms of boats the requester may not see are left out, and visitors who are
+// not logged in get alarms of delayed live expeditions after the public delay.
+router.get('/alarms', attachUser, async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.boatId) filter.boatId = req.query.boatId;
+    const hidden = req.app.locals.visibility.hiddenBoatIds(req.user);
+    if (hidden.length) {
+      filter.boatId = req.query.boatId ? { $eq: req.query.boatId, $nin: hidden } : { $nin: hidden };
+    }
+    if (req.query.active === 'true') filter.acknowledged = false;
+    if (!req.user) Object.assign(filter, req.app.locals.publicDelay.locationFilter());
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_ALARMS);
+    const alarms = await Alarm.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .select('-__v -imei')
+      .lean();
+    res.json(alarms);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- POST /api/alarms/:alarmId/acknowledge – mark an alarm as handled ----------
+router.post('/alarms/:alarmId/acknowledge', requireRole('organiser'), async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.alarmId)) {
+      return res.status(404).json({ error: 'Alarm not found' });
+    }
+
+    const alarm = await Alarm.findOneAndUpdate(
+      { _id: req.params.alarmId, acknowledged: false },
+      { $set: { acknowledged: true, acknowledgedBy: req.user.username, acknowledgedAt: new Date() } },
+      { returnDocument: 'after' }
+    )
+      .select('-__v -imei')
+      .lean();
+
+    if (!alarm) {
+      const exists = await Alarm.exists({ _id: req.params.alarmId });
+      if (!exists) return res.status(404).json({ error: 'Alarm not found' });
+      return res.status(409).json({ error: 'Alarm already acknowledged' });
+    }
+
+    // Let every open map clear the alarm
+    if (req.app.locals.broadcast) {
+      req.app.locals.broadcast('alarm-acknowledged', {
+        _id: alarm._id,
+        boatId: alarm.boatId,
+        acknowledgedBy: alarm.acknowledgedBy,
+        acknowledgedAt: alarm.acknowledgedAt,
+      });
+    }
+
+    res.json(alarm);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,30 @@ const express = require('express');
 const crypto = require('crypto');
 const Location = require('../models/Location');
 const Boat = require('../models/Boat');
-const config = require('../config');
+const Telemetry = require('../models/Telemetry');
+const DeviceCommand = require('../models/DeviceCommand');
+const IngestionLog = require('../models/IngestionLog');
+const AisTarget = require('../models/AisTarget');
+const Expedition = require('../models/Expedition');
+const { requireRole, attachUser } = require('../middleware/auth');
 const { generateGPX } = require('../utils/gpx');
+const { KML_CONTENT_TYPES, generateKML, generateKMZ } = require('../utils/kml');
+const { EXPORT_CONTENT_TYPES, parseExportFields, streamCSV, streamGeoJSON } = require('../utils/export');
+const { AT4_COMMAND_PRESETS } = require('../utils/at4');
+const { createTrackStats, addTrackPoint, finishTrackStats } = require('../utils/stats');
+const { parseOsmAndRequest } = require('../utils/osmand');
+const { validateIngestTopic } = require('../utils/mqtt');
+const { parseQualityFilter } = require('../utils/quality');
+const {
+  plausibilitySettings,
+  parsePlausibilitySettings,
+  createTrackScreen,
+  screenTrackPoint,
+} = require('../utils/plausibility');
+const { parseSourcePriority, parseFailoverSeconds } = require('../utils/fusion');
+const { shipTypeCategory, parseAisSettings } = require('../utils/ais');
+const { canSeeBoat, parseVisibility } = require('../utils/visibility');
+const config = require('../config');
 
 const router = express.Router();
 
@@ -15,19 +37,42 @@ const SIGNALK_PORT_MAX = 13129;
 const AT4_PORT_MIN = 21100;
 const AT4_PORT_MAX = 21129;
 
-// ---------- Middleware: API-key check for write endpoints ----------
-function requireApiKey(req, res, next) {
-  const key = req.headers['x-api-key'];
-  if (!key || key !== config.apiKey) {
-    return res.status(401).json({ error: 'Invalid or missing API key' });
-  }
-  next();
+const MAX_COMMAND_HISTORY = 200;
+const MAX_INGESTION_LOG = 500;
+const MAX_AIS_TARGETS = 2000;
+// Points listed in a clean-track response (the count covers all of them)
+const MAX_CLEAN_TRACK_POINTS = 500;
+// Raw commands: printable ASCII terminated by '#', as the device expects
+const CUSTOM_COMMAND_PATTERN = /^[\x20-\x7E]{1,200}#$/;
+
+// Boats the requester may not see are answered like unknown ones
+function boatHidden(req, boatId) {
+  return !req.app.locals.visibility.canSee(boatId, req.user || null);
 }
 
 // ---------- GET /api/boats – latest position of every boat ----------
-router.get('/boats', async (_req, res, next) => {
+// Visitors who are not logged in see boats of delayed live expeditions late.
+// ?expeditionId= limits the list to an expedition's boats, including the ones
+// that are only visible within their expeditions.
+router.get('/boats', attachUser, async (req, res, next) => {
   try {
+    const match = { outlier: null, primary: { $ne: false } };
+    if (!req.user) Object.assign(match, req.app.locals.publicDelay.locationFilter());
+
+    let expedition = null;
+    if (req.query.expeditionId) {
+      expedition = await Expedition.findOne({ expeditionId: req.query.expeditionId }).select('boatIds').lean();
+      if (!expedition) return res.status(404).json({ error: 'Expedition not found' });
+    }
+    const hidden = req.app.locals.visibility.hiddenBoatIds(req.user, !!expedition);
+    if (expedition) {
+      match.boatId = { $in: expedition.boatIds.filter(id => !hidden.includes(id)) };
+    } else if (hidden.length) {
+      match.boatId = { $nin: hidden };
+    }
+
     const boats = await Location.aggregate([
+      { $match: match },
       { $sort: { boatId: 1, timestamp: -1 } },
       {
         $group: {
@@ -41,6 +86,8 @@ router.get('/boats', async (_req, res, next) => {
           course: { $first: '$course' },
           speed: { $first: '$speed' },
           status: { $first: '$status' },
+          accuracy: { $first: '$accuracy' },
+          approximate: { $first: '$approximate' },
           timestamp: { $first: '$timestamp' },
         },
       },
@@ -62,16 +109,44 @@ router.get('/boats', async (_req, res, next) => {
   }
 });
 
+// ---------- GET /api/ais/targets – surrounding AIS traffic (non-fleet vessels) ----------
+router.get('/ais/targets', async (_req, res, next) => {
+  try {
+    // The TTL monitor only runs once a minute; don't show targets it has yet to remove
+    const since = new Date(Date.now() - config.aisTargetTtlMinutes * 60 * 1000);
+    const targets = await AisTarget.find({ lat: { $ne: null }, lastSeen: { $gte: since } })
+      .sort({ lastSeen: -1 })
+      .limit(MAX_AIS_TARGETS)
+      .select('-_id -__v')
+      .lean();
+
+    res.json(targets.map(t => ({ ...t, category: shipTypeCategory(t.shipType) })));
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ---------- GET /api/boats/:boatId/history – track history ----------
 // Supports optional ?from=ISO&to=ISO date-range filtering.
 // When from/to are provided, results are sorted ascending (chronological)
 // and the limit is raised to 10000.
-router.get('/boats/:boatId/history', async (req, res, next) => {
+// ?maxHdop=, ?maxAccuracy= (m) and ?minSatellites= drop low-quality points;
+// points from sources that don't report the value are kept. Plausibility
+// outliers are left out unless ?outliers=include, points of secondary sources
+// (see Boat.sourcePriority) unless ?secondary=include. Visitors who are not
+// logged in get no points newer than the boat's public delay.
+router.get('/boats/:boatId/history', attachUser, async (req, res, next) => {
   try {
     const { boatId } = req.params;
     const { from, to } = req.query;
+    if (boatHidden(req, boatId)) return res.status(404).json({ error: 'Boat not found' });
 
-    const filter = { boatId };
+    const quality = parseQualityFilter(req.query);
+    if (quality.error) {
+      return res.status(400).json({ error: quality.error });
+    }
+
+    const filter = { boatId, ...quality.filter };
     const hasDateRange = from || to;
 
     if (from || to) {
@@ -80,6 +155,13 @@ router.get('/boats/:boatId/history', async (req, res, next) => {
       if (to) filter.timestamp.$lte = new Date(to);
     }
 
+    const delayMs = req.user ? 0 : req.app.locals.publicDelay.boatDelayMs(boatId);
+    if (delayMs > 0) {
+      const cutoff = new Date(Date.now() - delayMs);
+      filter.timestamp = filter.timestamp || {};
+      if (!filter.timestamp.$lte || filter.timestamp.$lte > cutoff) filter.timestamp.$lte = cutoff;
+    }
+
     const maxLimit = hasDateRange ? 10000 : 1000;
     const limit = Math.min(parseInt(req.query.limit, 10) || (hasDateRange ? 10000 : 100), maxLimit);
     // Ascending when date range specified (playback needs chronological order)
@@ -96,21 +178,70 @@ router.get('/boats/:boatId/history', async (req, res, next) => {
   }
 });
 
+// ---------- GET /api/boats/:boatId/stats – distance, speed and moving/idle time ----------
+// Optional ?from=ISO&to=ISO like /history; totals plus a per-day (UTC) breakdown.
+// Like /history, visitors who are not logged in get nothing newer than the public delay.
+router.get('/boats/:boatId/stats', attachUser, async (req, res, next) => {
+  try {
+    const { boatId } = req.params;
+    const { from, to } = req.query;
+    if (boatHidden(req, boatId)) return res.status(404).json({ error: 'Boat not found' });
+
+    // Cell tower positions, outliers and secondary sources would add kilometres of phantom distance
+    const filter = { boatId, approximate: { $ne: true }, outlier: null, primary: { $ne: false } };
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+    }
+
+    const delayMs = req.user ? 0 : req.app.locals.publicDelay.boatDelayMs(boatId);
+    if (delayMs > 0) {
+      const cutoff = new Date(Date.now() - delayMs);
+      filter.timestamp = filter.timestamp || {};
+      if (!filter.timestamp.$lte || filter.timestamp.$lte > cutoff) filter.timestamp.$lte = cutoff;
+    }
+
+    const stats = createTrackStats();
+    const cursor = Location.find(filter)
+      .sort({ timestamp: 1 })
+      .select('lat lon speed timestamp')
+      .lean()
+      .cursor();
+    for await (const loc of cursor) {
+      addTrackPoint(stats, loc);
+    }
+
+    res.json({ boatId, ...finishTrackStats(stats) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * HTTP status for a position the ingestion service turned away
+ * @param {String} reason - 'source-disabled', 'invalid' or an outlier reason
+ */
+function rejectionStatus(reason) {
+  if (reason === 'source-disabled') return 403;
+  if (reason === 'invalid') return 400;
+  return 422;
+}
+
 // ---------- POST /api/location – push a new position ----------
+// Validation, source gating and the plausibility filter happen in the
+// ingestion service; rejected positions show up in the boat's ingestion log.
+// Positions posted here are always 'phone' positions ('validation' only checks
+// the PIN), so the boat's "Phone" data source toggle can't be sidestepped.
 router.post('/location', async (req, res, next) => {
   try {
-    const { lat, lon, course, speed, status, pin, source } = req.body;
-
-    // Validate required fields
-    const errors = [];
-    if (!pin) errors.push('pin is required');
-    if (lat == null || lat < -90 || lat > 90) errors.push('lat must be between -90 and 90');
-    if (lon == null || lon < -180 || lon > 180) errors.push('lon must be between -180 and 180');
-    if (course == null || course < 0 || course > 360) errors.push('course must be between 0 and 360');
-    if (speed == null || speed < 0) errors.push('speed must be >= 0');
+    const { lat, lon, course, speed, status, pin, source, accuracy, hdop, satellites } = req.body;
 
-    if (errors.length) {
-      return res.status(400).json({ errors });
+    if (!pin) {
+      return res.status(400).json({ errors: ['pin is required'] });
+    }
+    if (source !== undefined && source !== 'phone' && source !== 'validation') {
+      return res.status(400).json({ errors: ["source must be 'phone' or 'validation'"] });
     }
 
     // Lookup boat by PIN (PINs are unique)
@@ -123,55 +254,93 @@ router.post('/location', async (req, res, next) => {
       return res.status(204).end();
     }
 
-    // Use boat's stored details
-    const doc = await Location.create({
-      boatId: boat.boatId,
-      name: boat.name,
-      mmsi: boat.mmsi || '',
-      color: boat.color,
+    const { location, rejected, message } = await req.app.locals.ingestion.ingest(boat, {
       lat,
       lon,
       course,
       speed,
-      status: status || 'Under way',
-      source: source || 'phone',
-    });
-
-    // Broadcast location update via WebSocket
-    if (req.app.locals.broadcastLocationUpdate) {
-      req.app.locals.broadcastLocationUpdate({
-        boatId: doc.boatId,
-        name: doc.name,
-        mmsi: doc.mmsi,
-        color: doc.color,
-        lat: doc.lat,
-        lon: doc.lon,
-        course: doc.course,
-        speed: doc.speed,
-        status: doc.status,
-        source: doc.source,
-        timestamp: doc.timestamp,
-      });
+      status,
+      accuracy,
+      hdop,
+      satellites,
+    }, 'phone');
+    if (rejected) {
+      return res.status(rejectionStatus(rejected)).json({ error: message });
     }
 
     res.status(201).json({
-      boatId: doc.boatId,
-      timestamp: doc.timestamp,
+      boatId: location.boatId,
+      timestamp: location.timestamp,
     });
   } catch (err) {
     next(err);
   }
 });
 
+// ---------- GET|POST /api/osmand – OsmAnd/Traccar protocol ingestion ----------
+// Point Traccar Client, OsmAnd or a hardware tracker at https://<host>/api/osmand.
+// The device id is the boat's API key; IMEIs are printed on the devices and sent
+// in clear by the tracker protocols, so they don't authenticate anyone. Any 2xx
+// tells the app the fix was accepted, so it only retries (from its offline
+// buffer) on errors.
+async function handleOsmAnd(req, res, next) {
+  try {
+    const isJson = req.is('application/json');
+    const position = parseOsmAndRequest(
+      { ...(isJson ? {} : req.body), ...req.query },
+      isJson ? req.body : null
+    );
+
+    const boat = position.id
+      ? await Boat.findOne({ apiKey: position.id })
+      : null;
+
+    if (position.errors.length) {
+      if (boat) {
+        await req.app.locals.ingestion.log(boat.boatId, 'osmand', 'invalid', position.errors.join(', '));
+      }
+      return res.status(400).json({ errors: position.errors });
+    }
+
+    if (!boat) {
+      return res.status(401).json({ error: 'Unknown device id' });
+    }
+
+    // Rejected positions are acknowledged too, a retry would be rejected again
+    await req.app.locals.ingestion.ingest(boat, position, 'osmand');
+
+    res.status(200).end();
+  } catch (err) {
+    next(err);
+  }
+}
+
+router.get('/osmand', handleOsmAnd);
+router.post('/osmand', express.urlencoded({ extended: false }), handleOsmAnd);
+
 // ---------- POST /api/boats – create a new boat ----------
-router.post('/boats', requireApiKey, async (req, res, next) => {
+router.post('/boats', requireRole('admin'), async (req, res, next) => {
   try {
-    const { boatId, name, color, mmsi, nmeaTcpPort, signalkPort, signalkUrl, signalkToken, at4TcpPort, enabledSources, live } = req.body;
+    const { boatId, name, color, mmsi, nmeaTcpPort, signalkPort, signalkUrl, signalkToken, at4TcpPort, mqttTopic, enabledSources, sourcePriority, failoverSeconds, plausibility, ais, live } = req.body;
 
     // Validate required fields
     const errors = [];
     if (!boatId) errors.push('boatId is required');
     if (!name) errors.push('name is required');
+    if (mqttTopic) {
+      const topicError = validateIngestTopic(mqttTopic);
+      if (topicError) errors.push(topicError);
+    }
+    const plausibilityInput = plausibility !== undefined ? parsePlausibilitySettings(plausibility) : { settings: undefined };
+    if (plausibilityInput.error) errors.push(plausibilityInput.error);
+    const priorityInput = sourcePriority !== undefined ? parseSourcePriority(sourcePriority) : { priority: undefined };
+    if (priorityInput.error) errors.push(priorityInput.error);
+    const failoverInput = failoverSeconds != null ? parseFailoverSeconds(failoverSeconds) : { seconds: undefined };
+    if (failoverInput.error) errors.push(failoverInput.error);
+    const aisInput = ais !== undefined ? parseAisSettings(ais) : { settings: undefined };
+    if (aisInput.error) errors.push(aisInput.error);
+    const visibilityInput = parseVisibility(req.body);
+    if (visibilityInput.error) errors.push(visibilityInput.error);
 
     // Validate port ranges if provided
     if (nmeaTcpPort && (nmeaTcpPort < NMEA_PORT_MIN || nmeaTcpPort > NMEA_PORT_MAX)) {
@@ -206,9 +375,16 @@ router.post('/boats', requireApiKey, async (req, res, next) => {
       signalkUrl: signalkUrl || null,
       signalkToken: signalkToken || null,
       at4TcpPort: at4TcpPort || null,
+      mqttTopic: mqttTopic || null,
       enabledSources: enabledSources || undefined,
+      sourcePriority: priorityInput.priority,
+      failoverSeconds: failoverInput.seconds,
+      plausibility: plausibilityInput.settings,
+      ais: aisInput.settings,
       live: live !== undefined ? live : true,
+      ...visibilityInput.settings,
     });
+    if (doc.visibility !== 'public') await req.app.locals.visibility.refresh();
 
     // Start services for this boat if managers are available and configs are set
     if (nmeaTcpPort && req.app.locals.nmeaManager) {
@@ -220,6 +396,12 @@ router.post('/boats', requireApiKey, async (req, res, next) => {
     if (at4TcpPort && req.app.locals.at4Manager) {
       await req.app.locals.at4Manager.startForBoat(boatId, at4TcpPort, mmsi);
     }
+    if (req.app.locals.mqttManager) {
+      await req.app.locals.mqttManager.startForBoat(doc);
+    }
+    if (req.app.locals.aisOutput) {
+      await req.app.locals.aisOutput.refreshBoat(boatId);
+    }
 
     res.status(201).json({
       boatId: doc.boatId,
@@ -227,6 +409,8 @@ router.post('/boats', requireApiKey, async (req, res, next) => {
       color: doc.color,
       mmsi: doc.mmsi,
       live: doc.live,
+      visibility: doc.visibility,
+      owner: doc.owner,
       pin: doc.pin,
       apiKey: doc.apiKey,
       createdAt: doc.createdAt,
@@ -240,10 +424,10 @@ router.post('/boats', requireApiKey, async (req, res, next) => {
 });
 
 // ---------- PATCH /api/boats/:boatId – update boat properties ----------
-router.patch('/boats/:boatId', requireApiKey, async (req, res, next) => {
+router.patch('/boats/:boatId', requireRole('admin'), async (req, res, next) => {
   try {
     const { boatId } = req.params;
-    const { name, color, mmsi, nmeaTcpPort, at4TcpPort, signalkPort, signalkUrl, signalkToken, enabledSources, live } = req.body;
+    const { name, color, mmsi, nmeaTcpPort, at4TcpPort, signalkPort, signalkUrl, signalkToken, mqttTopic, enabledSources, sourcePriority, failoverSeconds, plausibility, ais, live } = req.body;
 
     // Validate port ranges if provided
     if (nmeaTcpPort !== undefined && nmeaTcpPort !== null) {
@@ -261,6 +445,30 @@ router.patch('/boats/:boatId', requireApiKey, async (req, res, next) => {
         return res.status(400).json({ error: `SignalK Port must be between ${SIGNALK_PORT_MIN} and ${SIGNALK_PORT_MAX}` });
       }
     }
+    if (mqttTopic) {
+      const topicError = validateIngestTopic(mqttTopic);
+      if (topicError) return res.status(400).json({ error: topicError });
+    }
+    const plausibilityInput = plausibility !== undefined ? parsePlausibilitySettings(plausibility) : { settings: {} };
+    if (plausibilityInput.error) {
+      return res.status(400).json({ error: plausibilityInput.error });
+    }
+    const priorityInput = sourcePriority !== undefined ? parseSourcePriority(sourcePriority) : {};
+    if (priorityInput.error) {
+      return res.status(400).json({ error: priorityInput.error });
+    }
+    const failoverInput = failoverSeconds !== undefined ? parseFailoverSeconds(failoverSeconds) : {};
+    if (failoverInput.error) {
+      return res.status(400).json({ error: failoverInput.error });
+    }
+    const aisInput = ais !== undefined ? parseAisSettings(ais) : { settings: {} };
+    if (aisInput.error) {
+      return res.status(400).json({ error: aisInput.error });
+    }
+    const visibilityInput = parseVisibility(req.body);
+    if (visibilityInput.error) {
+      return res.status(400).json({ error: visibilityInput.error });
+    }
 
     const updates = {};
     if (name !== undefined) updates.name = name;
@@ -271,8 +479,19 @@ router.patch('/boats/:boatId', requireApiKey, async (req, res, next) => {
     if (signalkPort !== undefined) updates.signalkPort = signalkPort;
     if (signalkUrl !== undefined) updates.signalkUrl = signalkUrl;
     if (signalkToken !== undefined) updates.signalkToken = signalkToken;
+    if (mqttTopic !== undefined) updates.mqttTopic = mqttTopic || null;
     if (enabledSources !== undefined) updates.enabledSources = enabledSources;
+    if (sourcePriority !== undefined) updates.sourcePriority = priorityInput.priority;
+    if (failoverSeconds !== undefined) updates.failoverSeconds = failoverInput.seconds;
+    // Partial update, so unspecified settings keep their values
+    for (const [key, value] of Object.entries(plausibilityInput.settings)) {
+      updates[`plausibility.${key}`] = value;
+    }
+    for (const [key, value] of Object.entries(aisInput.settings)) {
+      updates[`ais.${key}`] = value;
+    }
     if (live !== undefined) updates.live = live;
+    Object.assign(updates, visibilityInput.settings);
 
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ error: 'No valid fields to update' });
@@ -309,9 +528,26 @@ router.patch('/boats/:boatId', requireApiKey, async (req, res, next) => {
     if (at4TcpPort !== undefined && req.app.locals.at4Manager) {
       await req.app.locals.at4Manager.restartForBoat(boatId);
     }
-    if ((signalkPort !== undefined || signalkUrl !== undefined || signalkToken !== undefined) && req.app.locals.signalkManager) {
+    // The SignalK client caches boat documents, including the plausibility and priority settings
+    const ingestionSettingsChanged = plausibility !== undefined || sourcePriority !== undefined || failoverSeconds !== undefined;
+    if ((signalkPort !== undefined || signalkUrl !== undefined || signalkToken !== undefined || ingestionSettingsChanged) && req.app.locals.signalkManager) {
       await req.app.locals.signalkManager.restartForBoat(boatId);
     }
+    if (mqttTopic !== undefined && req.app.locals.mqttManager) {
+      await req.app.locals.mqttManager.restartForBoat(boatId);
+    }
+    const visibilityChanged = Object.keys(visibilityInput.settings).length > 0;
+    if (visibilityChanged) {
+      await req.app.locals.visibility.refresh();
+      // Readers of the republished positions must not keep the last one
+      if (boat.visibility !== 'public' && req.app.locals.mqttManager) {
+        req.app.locals.mqttManager.clearPosition(boatId);
+      }
+    }
+    const aisOutputChanged = name !== undefined || mmsi !== undefined || ais !== undefined || live !== undefined || visibilityChanged;
+    if (aisOutputChanged && req.app.locals.aisOutput) {
+      await req.app.locals.aisOutput.refreshBoat(boatId);
+    }
 
     res.json({
       boatId: boat.boatId,
@@ -319,12 +555,19 @@ router.patch('/boats/:boatId', requireApiKey, async (req, res, next) => {
       color: boat.color,
       mmsi: boat.mmsi,
       live: boat.live,
+      visibility: boat.visibility,
+      owner: boat.owner,
       nmeaTcpPort: boat.nmeaTcpPort,
       signalkPort: boat.signalkPort,
       signalkUrl: boat.signalkUrl,
       // Don't expose signalkToken in response for security
       at4TcpPort: boat.at4TcpPort,
+      mqttTopic: boat.mqttTopic,
       enabledSources: boat.enabledSources,
+      sourcePriority: boat.sourcePriority,
+      failoverSeconds: boat.failoverSeconds,
+      plausibility: boat.plausibility,
+      ais: boat.ais,
       message: 'Boat updated successfully'
     });
   } catch (err) {
@@ -333,10 +576,11 @@ router.patch('/boats/:boatId', requireApiKey, async (req, res, next) => {
 });
 
 // ---------- GET /api/boats/:boatId/export/gpx – Export boat history as GPX ----------
-router.get('/boats/:boatId/export/gpx', requireApiKey, async (req, res, next) => {
+router.get('/boats/:boatId/export/gpx', requireRole('viewer'), async (req, res, next) => {
   try {
     const { boatId } = req.params;
     const { startDate, endDate } = req.query;
+    if (boatHidden(req, boatId)) return res.status(404).json({ error: 'Boat not found' });
 
     // Validate boat exists
     const boat = await Boat.findOne({ boatId });
@@ -345,7 +589,12 @@ router.get('/boats/:boatId/export/gpx', requireApiKey, async (req, res, next) =>
     }
 
     // Build query filter
-    const filter = { boatId };
+    const quality = parseQualityFilter(req.query);
+    if (quality.error) {
+      return res.status(400).json({ error: quality.error });
+    }
+
+    const filter = { boatId, ...quality.filter };
     if (startDate || endDate) {
       filter.timestamp = {};
       if (startDate) filter.timestamp.$gte = new Date(startDate);
@@ -389,23 +638,346 @@ router.get('/boats/:boatId/export/gpx', requireApiKey, async (req, res, next) =>
   }
 });
 
-// ---------- GET /api/boats-metadata – Get all boat metadata (PIN, API keys, etc.) – Admin only ----------
-router.get('/boats-metadata', requireApiKey, async (req, res, next) => {
+// ---------- GET /api/boats/:boatId/export/kml|kmz – Export boat history for Google Earth ----------
+router.get('/boats/:boatId/export/:format(kml|kmz)', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const { boatId, format } = req.params;
+    const { startDate, endDate } = req.query;
+    if (boatHidden(req, boatId)) return res.status(404).json({ error: 'Boat not found' });
+
+    const boat = await Boat.findOne({ boatId });
+    if (!boat) {
+      return res.status(404).json({ error: 'Boat not found' });
+    }
+
+    const quality = parseQualityFilter(req.query);
+    if (quality.error) {
+      return res.status(400).json({ error: quality.error });
+    }
+
+    const filter = { boatId, ...quality.filter };
+    if (startDate || endDate) {
+      filter.timestamp = {};
+      if (startDate) filter.timestamp.$gte = new Date(startDate);
+      if (endDate) filter.timestamp.$lte = new Date(endDate);
+    }
+
+    const locations = await Location.find(filter)
+      .sort({ timestamp: 1 })
+      .select('lat lon speed course timestamp')
+      .lean();
+
+    if (locations.length === 0) {
+      return res.status(404).json({ error: 'No location data found for this boat' });
+    }
+
+    const track = {
+      boatId: boat.boatId,
+      name: boat.name,
+      color: boat.color,
+      points: locations,
+    };
+
+    const metadata = {
+      name: `${boat.name} Track`,
+      description: `GPS track for ${boat.name}${startDate ? ` from ${startDate}` : ''}${endDate ? ` to ${endDate}` : ''}`,
+    };
+
+    const body = format === 'kmz'
+      ? await generateKMZ(metadata, [track])
+      : generateKML(metadata, [track]);
+
+    const filename = `${boat.boatId}_track`.replace(/[^a-z0-9_-]/gi, '_') + `.${format}`;
+
+    res.set({
+      'Content-Type': KML_CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    res.send(body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/boats/:boatId/export/geojson|csv – Stream boat history for analysis ----------
+// Query: startDate, endDate, fields (comma-separated, see EXPORT_FIELDS),
+// maxHdop, maxAccuracy, minSatellites (as for /history; also on the GPX and KML exports)
+router.get('/boats/:boatId/export/:format(geojson|csv)', requireRole('viewer'), async (req, res, next) => {
   try {
-    const boats = await Boat.find()
+    const { boatId, format } = req.params;
+    const { startDate, endDate } = req.query;
+    if (boatHidden(req, boatId)) return res.status(404).json({ error: 'Boat not found' });
+
+    const { fields, error } = parseExportFields(req.query.fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const boat = await Boat.findOne({ boatId }).select('boatId name color').lean();
+    if (!boat) {
+      return res.status(404).json({ error: 'Boat not found' });
+    }
+
+    const quality = parseQualityFilter(req.query);
+    if (quality.error) {
+      return res.status(400).json({ error: quality.error });
+    }
+
+    const filter = { boatId, ...quality.filter };
+    if (startDate || endDate) {
+      filter.timestamp = {};
+      if (startDate) filter.timestamp.$gte = new Date(startDate);
+      if (endDate) filter.timestamp.$lte = new Date(endDate);
+    }
+
+    if (!(await Location.exists(filter))) {
+      return res.status(404).json({ error: 'No location data found for this boat' });
+    }
+
+    const cursor = Location.find(filter)
+      .sort({ timestamp: 1 })
+      .select([...new Set(['boatId', 'lat', 'lon', ...fields])].join(' '))
+      .lean()
+      .cursor();
+
+    const filename = `${boat.boatId}_track`.replace(/[^a-z0-9_-]/gi, '_') + `.${format}`;
+
+    res.set({
+      'Content-Type': EXPORT_CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+
+    if (format === 'csv') {
+      await streamCSV(cursor, res, fields);
+    } else {
+      await streamGeoJSON(cursor, res, fields, [boat]);
+    }
+  } catch (err) {
+    // Once streaming has started the status can no longer change; cut the download short
+    if (res.headersSent) return res.destroy(err);
+    next(err);
+  }
+});
+
+// ---------- POST /api/boats/:boatId/clean-track – remove outliers from a stored track ----------
+// Runs the plausibility filter over the boat's stored points, also when it is
+// disabled for ingestion. Body: { from?, to?, maxSpeedKn? (default: the boat's
+// setting), apply? }. Without apply it only previews the points it would remove;
+// with apply they are flagged as outliers, which takes them out of tracks, stats
+// and exports (they stay available through ?outliers=include).
+router.post('/boats/:boatId/clean-track', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { boatId } = req.params;
+    const { from, to, maxSpeedKn, apply } = req.body;
+
+    const boat = await Boat.findOne({ boatId });
+    if (!boat) {
+      return res.status(404).json({ error: 'Boat not found' });
+    }
+
+    const override = parsePlausibilitySettings({ maxSpeedKn });
+    if (override.error) {
+      return res.status(400).json({ error: override.error });
+    }
+    const settings = { ...plausibilitySettings(boat), ...override.settings, enabled: true };
+
+    // Only the primary track; secondary sources are hidden anyway
+    const filter = { boatId, outlier: null, primary: { $ne: false } };
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+    }
+
+    const screen = createTrackScreen(settings);
+    const outliers = [];
+    let checked = 0;
+    const cursor = Location.find(filter)
+      .sort({ timestamp: 1 })
+      .select('lat lon speed source accuracy approximate timestamp')
+      .lean()
+      .cursor();
+    for await (const loc of cursor) {
+      checked++;
+      const reason = screenTrackPoint(screen, loc);
+      if (reason) outliers.push({ ...loc, reason });
+    }
+
+    if (apply && outliers.length > 0) {
+      await Location.bulkWrite(outliers.map(o => ({
+        updateOne: { filter: { _id: o._id }, update: { $set: { outlier: o.reason } } },
+      })), { ordered: false });
+    }
+
+    res.json({
+      boatId,
+      maxSpeedKn: settings.maxSpeedKn,
+      checked,
+      outliers: outliers.length,
+      applied: Boolean(apply),
+      points: outliers.slice(0, MAX_CLEAN_TRACK_POINTS).map(({ _id, ...point }) => point),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/boats/:boatId/telemetry – AT4 device health time series ----------
+// Query: from, to (ISO dates), limit (default 500, max 5000). Sorted ascending by timestamp.
+router.get('/boats/:boatId/telemetry', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const { boatId } = req.params;
+    const { from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+
+    if (boatHidden(req, boatId) || !(await Boat.exists({ boatId }))) {
+      return res.status(404).json({ error: 'Boat not found' });
+    }
+
+    const filter = { boatId };
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+    }
+
+    // Newest samples within the limit, returned oldest first
+    const samples = await Telemetry.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .select('-_id -__v -boatId')
+      .lean();
+
+    res.json(samples.reverse());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- POST /api/boats/:boatId/commands – queue an online command for the AT4 tracker ----------
+// Body: { preset: 'interval', seconds: 30 } | { preset: 'position' | 'status' | 'reboot' } | { preset: 'custom', command: 'XYZ#' }
+// Sent immediately when the tracker is connected, otherwise on its next login.
+router.post('/boats/:boatId/commands', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { boatId } = req.params;
+    const { preset = 'custom' } = req.body;
+
+    const boat = await Boat.findOne({ boatId }).select('boatId at4TcpPort').lean();
+    if (!boat) {
+      return res.status(404).json({ error: 'Boat not found' });
+    }
+    if (!boat.at4TcpPort) {
+      return res.status(400).json({ error: 'Boat has no AT4 tracker configured' });
+    }
+
+    let command;
+    if (preset === 'custom') {
+      command = typeof req.body.command === 'string' ? req.body.command.trim() : '';
+      if (!CUSTOM_COMMAND_PATTERN.test(command)) {
+        return res.status(400).json({ error: 'command must be printable ASCII ending with "#"' });
+      }
+    } else if (AT4_COMMAND_PRESETS[preset]) {
+      command = AT4_COMMAND_PRESETS[preset].build(req.body);
+      if (!command) {
+        return res.status(400).json({ error: `Invalid parameters for preset "${preset}"` });
+      }
+    } else {
+      return res.status(400).json({ error: `Unknown preset "${preset}"` });
+    }
+
+    const queued = await DeviceCommand.create({
+      boatId,
+      preset,
+      command,
+      serverFlag: crypto.randomBytes(4).readUInt32BE(0),
+      requestedBy: req.user.username,
+    });
+
+    if (req.app.locals.at4Manager) {
+      await req.app.locals.at4Manager.sendCommand(boatId, queued);
+    }
+
+    const result = queued.toObject();
+    delete result.__v;
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/boats/:boatId/commands – command history with device replies ----------
+router.get('/boats/:boatId/commands', requireRole('admin'), async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_COMMAND_HISTORY);
+    const commands = await DeviceCommand.find({ boatId: req.params.boatId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-__v')
+      .lean();
+    res.json(commands);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/boats/:boatId/ingestion-log – positions rejected at ingestion ----------
+// Newest first; repeats of the same source and reason are counted on one entry.
+router.get('/boats/:boatId/ingestion-log', requireRole('admin'), async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_INGESTION_LOG);
+    const entries = await IngestionLog.find({ boatId: req.params.boatId })
+      .sort({ lastAt: -1 })
+      .limit(limit)
       .select('-_id -__v')
       .lean();
+    res.json(entries);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/boats-metadata – Get all boat metadata (PIN, API keys, etc.) – Logged-in users ----------
+// Viewers get the same list without credentials (PIN, API key, SignalK token).
+router.get('/boats-metadata', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const hideSecrets = req.user.role === 'viewer';
+    // Private boats are only listed to their owner and admins
+    const boats = (await Boat.find()
+      .select(hideSecrets ? '-_id -__v -pin -apiKey -signalkToken' : '-_id -__v')
+      .lean())
+      .filter(boat => canSeeBoat(boat, req.user));
 
     // Enrich each boat with tracker status information
     const enrichedBoats = await Promise.all(boats.map(async (boat) => {
       // Check AT4 tracker status
-      let at4Status = { active: false, connected: false };
-      if (boat.at4TcpPort && req.app.locals.at4Manager) {
-        const listener = req.app.locals.at4Manager.listeners.get(boat.boatId);
+      let at4Status = { active: false, connected: false, telemetry: null, lastHeard: null };
+      if (boat.at4TcpPort) {
+        const listener = req.app.locals.at4Manager && req.app.locals.at4Manager.listeners.get(boat.boatId);
         if (listener) {
           at4Status.active = listener.server && listener.server.listening;
           at4Status.connected = listener.clients.size > 0;
         }
+
+        const [latestTelemetry, latestAt4Location] = await Promise.all([
+          // Latest heartbeat (info packets only carry the external voltage)
+          Telemetry.findOne({ boatId: boat.boatId, voltage: { $ne: null } })
+            .sort({ timestamp: -1 })
+            .select('-_id -__v -boatId -terminalInfo')
+            .lean(),
+          Location.findOne({ boatId: boat.boatId, source: 'at4' })
+            .sort({ timestamp: -1 })
+            .select('timestamp')
+            .lean(),
+        ]);
+        at4Status.telemetry = latestTelemetry;
+
+        // Last time anything was received from the device (live socket, heartbeat or position)
+        const heard = [
+          latestTelemetry && latestTelemetry.timestamp,
+          latestAt4Location && latestAt4Location.timestamp,
+          ...(listener ? [...listener.clients.values()].map(c => c.lastSeen) : []),
+        ].filter(Boolean).map(d => new Date(d).getTime());
+        at4Status.lastHeard = heard.length ? new Date(Math.max(...heard)) : null;
       }
 
       // Check phone tracker status (active if location update within last 5 minutes)
@@ -0,0 +1,67 @@
+/* ===== Auth Routes – login, logout, current user ===== */
+
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const config = require('../config');
+const { verifyPassword, generateToken, hashToken } = require('../utils/auth');
+const { getBearerToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// ---------- POST /api/auth/login – exchange username/password for a token ----------
+router.post('/auth/login', async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    const user = await User.findOne({ username: String(username).trim().toLowerCase() });
+    const valid = user && user.active && await verifyPassword(password, user.passwordHash);
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + config.sessionTtlHours * 60 * 60 * 1000);
+    await Session.create({ tokenHash: hashToken(token), userId: user._id, expiresAt });
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      token,
+      expiresAt,
+      user: {
+        username: user.username,
+        name: user.name,
+        role: user.role,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- POST /api/auth/logout – invalidate the current token ----------
+router.post('/auth/logout', requireRole('viewer'), async (req, res, next) => {
+  try {
+    await Session.deleteOne({ tokenHash: hashToken(getBearerToken(req)) });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/auth/me – current user ----------
+router.get('/auth/me', requireRole('viewer'), (req, res) => {
+  res.json({
+    username: req.user.username,
+    name: req.user.name,
+    role: req.user.role,
+  });
+});
+
+module.exports = router;
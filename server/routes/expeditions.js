@@ -1,41 +1,59 @@
 const express = require('express');
 const Expedition = require('../models/Expedition');
 const Location = require('../models/Location');
-const config = require('../config');
+const Boat = require('../models/Boat');
+const RaceProgress = require('../models/RaceProgress');
+const ShareLink = require('../models/ShareLink');
+const { requireRole, attachUser } = require('../middleware/auth');
 const { generateGPX } = require('../utils/gpx');
+const { KML_CONTENT_TYPES, generateKML, generateKMZ } = require('../utils/kml');
+const { EXPORT_CONTENT_TYPES, parseExportFields, streamCSV, streamGeoJSON } = require('../utils/export');
+const { validateRace } = require('../utils/race');
+const { createTrackStats, addTrackPoint, finishTrackStats } = require('../utils/stats');
+const { parseQualityFilter } = require('../utils/quality');
 
 const router = express.Router();
 
-// ---------- Middleware: API-key check for write endpoints ----------
-function requireApiKey(req, res, next) {
-  const key = req.headers['x-api-key'];
-  if (!key || key !== config.apiKey) {
-    return res.status(401).json({ error: 'Invalid or missing API key' });
-  }
-  next();
+const MAX_PUBLIC_DELAY_MINUTES = 24 * 60;
+
+function isValidPublicDelay(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_PUBLIC_DELAY_MINUTES;
+}
+
+// Newest moment visitors who are not logged in may see of a live expedition
+// with a public delay, or null
+function publicCutoff(req, expedition) {
+  if (req.user || !expedition.live || !(expedition.publicDelayMinutes > 0)) return null;
+  return new Date(Date.now() - expedition.publicDelayMinutes * 60 * 1000);
+}
+
+// Expedition boats the requester may see (private boats only for their owner and admins)
+function visibleBoatIds(req, expedition) {
+  const hidden = req.app.locals.visibility.hiddenBoatIds(req.user || null, true);
+  return expedition.boatIds.filter(id => !hidden.includes(id));
 }
 
 // ---------- GET /api/expeditions – list all ----------
-router.get('/expeditions', async (_req, res, next) => {
+router.get('/expeditions', attachUser, async (req, res, next) => {
   try {
     const list = await Expedition.find()
       .sort({ startDate: -1 })
       .select('-_id -__v')
       .lean();
-    res.json(list);
+    res.json(list.map(doc => ({ ...doc, boatIds: visibleBoatIds(req, doc) })));
   } catch (err) {
     next(err);
   }
 });
 
 // ---------- GET /api/expeditions/:expeditionId ----------
-router.get('/expeditions/:expeditionId', async (req, res, next) => {
+router.get('/expeditions/:expeditionId', attachUser, async (req, res, next) => {
   try {
     const doc = await Expedition.findOne({ expeditionId: req.params.expeditionId })
       .select('-_id -__v')
       .lean();
     if (!doc) return res.status(404).json({ error: 'Expedition not found' });
-    res.json(doc);
+    res.json({ ...doc, boatIds: visibleBoatIds(req, doc) });
   } catch (err) {
     next(err);
   }
@@ -44,18 +62,28 @@ router.get('/expeditions/:expeditionId', async (req, res, next) => {
 // ---------- GET /api/expeditions/:expeditionId/track ----------
 // Returns all Location docs for the expedition's boats between startDate and endDate,
 // grouped by boatId, sorted ascending by timestamp.
-router.get('/expeditions/:expeditionId/track', async (req, res, next) => {
+// Accepts the quality thresholds of /api/boats/:boatId/history (maxHdop, maxAccuracy, minSatellites).
+// While the expedition is live, visitors who are not logged in get the track up to its public delay.
+router.get('/expeditions/:expeditionId/track', attachUser, async (req, res, next) => {
   try {
     const expedition = await Expedition.findOne({ expeditionId: req.params.expeditionId }).lean();
     if (!expedition) return res.status(404).json({ error: 'Expedition not found' });
 
+    const quality = parseQualityFilter(req.query);
+    if (quality.error) return res.status(400).json({ error: quality.error });
+
     const filter = {
-      boatId: { $in: expedition.boatIds },
+      boatId: { $in: visibleBoatIds(req, expedition) },
+      ...quality.filter,
       timestamp: { $gte: expedition.startDate },
     };
     if (expedition.endDate) {
       filter.timestamp.$lte = expedition.endDate;
     }
+    const cutoff = publicCutoff(req, expedition);
+    if (cutoff && (!filter.timestamp.$lte || filter.timestamp.$lte > cutoff)) {
+      filter.timestamp.$lte = cutoff;
+    }
 
     const locations = await Location.find(filter)
       .sort({ boatId: 1, timestamp: 1 })
@@ -73,9 +101,11 @@ router.get('/expeditions/:expeditionId/track', async (req, res, next) => {
       expedition: {
         expeditionId: expedition.expeditionId,
         name: expedition.name,
-        boatIds: expedition.boatIds,
+        boatIds: visibleBoatIds(req, expedition),
         startDate: expedition.startDate,
         endDate: expedition.endDate,
+        race: expedition.race || null,
+        publicDelayMinutes: expedition.publicDelayMinutes || 0,
       },
       tracks: grouped,
     });
@@ -84,15 +114,70 @@ router.get('/expeditions/:expeditionId/track', async (req, res, next) => {
   }
 });
 
+// ---------- GET /api/expeditions/:expeditionId/stats ----------
+// Per-boat distance, speed and moving/idle time within the expedition window,
+// up to the public delay for visitors who are not logged in.
+router.get('/expeditions/:expeditionId/stats', attachUser, async (req, res, next) => {
+  try {
+    const expedition = await Expedition.findOne({ expeditionId: req.params.expeditionId }).lean();
+    if (!expedition) return res.status(404).json({ error: 'Expedition not found' });
+
+    // Cell tower positions, outliers and secondary sources are left out like in the per-boat stats
+    const filter = {
+      boatId: { $in: visibleBoatIds(req, expedition) },
+      approximate: { $ne: true },
+      outlier: null,
+      primary: { $ne: false },
+      timestamp: { $gte: expedition.startDate },
+    };
+    if (expedition.endDate) {
+      filter.timestamp.$lte = expedition.endDate;
+    }
+    const cutoff = publicCutoff(req, expedition);
+    if (cutoff && (!filter.timestamp.$lte || filter.timestamp.$lte > cutoff)) {
+      filter.timestamp.$lte = cutoff;
+    }
+
+    // One pass over all boats; each boat gets its own accumulator
+    const perBoat = new Map();
+    const cursor = Location.find(filter)
+      .sort({ boatId: 1, timestamp: 1 })
+      .select('boatId name color lat lon speed timestamp')
+      .lean()
+      .cursor();
+    for await (const loc of cursor) {
+      if (!perBoat.has(loc.boatId)) {
+        perBoat.set(loc.boatId, { name: loc.name, color: loc.color, stats: createTrackStats() });
+      }
+      addTrackPoint(perBoat.get(loc.boatId).stats, loc);
+    }
+
+    const boats = [...perBoat.entries()].map(([boatId, b]) => ({
+      boatId,
+      name: b.name,
+      color: b.color,
+      ...finishTrackStats(b.stats),
+    }));
+
+    res.json({ expeditionId: expedition.expeditionId, name: expedition.name, boats });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ---------- GET /api/expeditions/:expeditionId/export/gpx ----------
 // Export expedition as GPX file
-router.get('/expeditions/:expeditionId/export/gpx', requireApiKey, async (req, res, next) => {
+router.get('/expeditions/:expeditionId/export/gpx', requireRole('viewer'), async (req, res, next) => {
   try {
     const expedition = await Expedition.findOne({ expeditionId: req.params.expeditionId }).lean();
     if (!expedition) return res.status(404).json({ error: 'Expedition not found' });
 
+    const quality = parseQualityFilter(req.query);
+    if (quality.error) return res.status(400).json({ error: quality.error });
+
     const filter = {
-      boatId: { $in: expedition.boatIds },
+      boatId: { $in: visibleBoatIds(req, expedition) },
+      ...quality.filter,
       timestamp: { $gte: expedition.startDate },
     };
     if (expedition.endDate) {
@@ -145,10 +230,193 @@ router.get('/expeditions/:expeditionId/export/gpx', requireApiKey, async (req, r
   }
 });
 
+// ---------- GET /api/expeditions/:expeditionId/export/kml|kmz ----------
+// Export expedition for Google Earth: one folder per boat, styled in the boat's colour
+router.get('/expeditions/:expeditionId/export/:format(kml|kmz)', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const { format } = req.params;
+    const expedition = await Expedition.findOne({ expeditionId: req.params.expeditionId }).lean();
+    if (!expedition) return res.status(404).json({ error: 'Expedition not found' });
+
+    const quality = parseQualityFilter(req.query);
+    if (quality.error) return res.status(400).json({ error: quality.error });
+
+    const filter = {
+      boatId: { $in: visibleBoatIds(req, expedition) },
+      ...quality.filter,
+      timestamp: { $gte: expedition.startDate },
+    };
+    if (expedition.endDate) {
+      filter.timestamp.$lte = expedition.endDate;
+    }
+
+    const [boats, locations] = await Promise.all([
+      Boat.find({ boatId: { $in: visibleBoatIds(req, expedition) } }).select('boatId name color').lean(),
+      Location.find(filter)
+        .sort({ boatId: 1, timestamp: 1 })
+        .select('boatId name color lat lon speed course timestamp')
+        .lean(),
+    ]);
+    const boatsById = new Map(boats.map(b => [b.boatId, b]));
+
+    // Group by boatId, in the expedition's boat order
+    const grouped = {};
+    for (const loc of locations) {
+      if (!grouped[loc.boatId]) {
+        const boat = boatsById.get(loc.boatId);
+        grouped[loc.boatId] = {
+          boatId: loc.boatId,
+          name: boat ? boat.name : loc.name,
+          color: boat ? boat.color : loc.color,
+          points: [],
+        };
+      }
+      grouped[loc.boatId].points.push(loc);
+    }
+    const tracks = expedition.boatIds.filter(id => grouped[id]).map(id => grouped[id]);
+
+    const metadata = {
+      name: expedition.name,
+      description: expedition.description || '',
+    };
+
+    const body = format === 'kmz'
+      ? await generateKMZ(metadata, tracks)
+      : generateKML(metadata, tracks);
+
+    const filename = expedition.expeditionId.replace(/[^a-z0-9_-]/gi, '_') + `.${format}`;
+
+    res.set({
+      'Content-Type': KML_CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    res.send(body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/expeditions/:expeditionId/export/geojson|csv ----------
+// Stream expedition tracks for analysis. Query: startDate, endDate (narrow the
+// expedition period), fields (comma-separated, see EXPORT_FIELDS), and the
+// quality thresholds maxHdop, maxAccuracy, minSatellites (also on GPX and KML)
+router.get('/expeditions/:expeditionId/export/:format(geojson|csv)', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const { format } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const { fields, error } = parseExportFields(req.query.fields);
+    if (error) return res.status(400).json({ error });
+
+    const expedition = await Expedition.findOne({ expeditionId: req.params.expeditionId }).lean();
+    if (!expedition) return res.status(404).json({ error: 'Expedition not found' });
+
+    const quality = parseQualityFilter(req.query);
+    if (quality.error) return res.status(400).json({ error: quality.error });
+
+    const filter = {
+      boatId: { $in: visibleBoatIds(req, expedition) },
+      ...quality.filter,
+      timestamp: { $gte: expedition.startDate },
+    };
+    if (expedition.endDate) {
+      filter.timestamp.$lte = expedition.endDate;
+    }
+    if (startDate && new Date(startDate) > filter.timestamp.$gte) {
+      filter.timestamp.$gte = new Date(startDate);
+    }
+    if (endDate && (!filter.timestamp.$lte || new Date(endDate) < filter.timestamp.$lte)) {
+      filter.timestamp.$lte = new Date(endDate);
+    }
+
+    const boats = await Boat.find({ boatId: { $in: visibleBoatIds(req, expedition) } }).select('boatId name color').lean();
+    boats.sort((a, b) => expedition.boatIds.indexOf(a.boatId) - expedition.boatIds.indexOf(b.boatId));
+
+    const cursor = Location.find(filter)
+      .sort({ timestamp: 1 })
+      .select([...new Set(['boatId', 'lat', 'lon', ...fields])].join(' '))
+      .lean()
+      .cursor();
+
+    const filename = expedition.expeditionId.replace(/[^a-z0-9_-]/gi, '_') + `.${format}`;
+
+    res.set({
+      'Content-Type': EXPORT_CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+
+    if (format === 'csv') {
+      await streamCSV(cursor, res, fields);
+    } else {
+      await streamGeoJSON(cursor, res, fields, boats);
+    }
+  } catch (err) {
+    // Once streaming has started the status can no longer change; cut the download short
+    if (res.headersSent) return res.destroy(err);
+    next(err);
+  }
+});
+
+// ---------- GET /api/expeditions/:expeditionId/leaderboard – race standings ----------
+// Rows include start/rounding/finish times so playback can rebuild the standings at any moment.
+// Visitors who are not logged in get the standings as they were at the public delay.
+router.get('/expeditions/:expeditionId/leaderboard', attachUser, async (req, res, next) => {
+  try {
+    const expedition = await Expedition.findOne({ expeditionId: req.params.expeditionId }).lean();
+    if (!expedition) return res.status(404).json({ error: 'Expedition not found' });
+    if (!expedition.race) return res.status(404).json({ error: 'Expedition has no race' });
+
+    const { raceService } = req.app.locals;
+    const visible = visibleBoatIds(req, expedition);
+    const standings = publicCutoff(req, expedition)
+      ? raceService.getDelayedLeaderboard(expedition, expedition.publicDelayMinutes * 60 * 1000)
+      : raceService.getLeaderboard(expedition);
+    const leaderboard = (await standings)
+      .filter(row => visible.includes(row.boatId));
+    res.json({ expeditionId: expedition.expeditionId, race: expedition.race, leaderboard });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- POST /api/expeditions/:expeditionId/race/recompute – rebuild standings from stored tracks ----------
+router.post('/expeditions/:expeditionId/race/recompute', requireRole('organiser'), async (req, res, next) => {
+  try {
+    const expedition = await Expedition.findOne({ expeditionId: req.params.expeditionId }).lean();
+    if (!expedition) return res.status(404).json({ error: 'Expedition not found' });
+    if (!expedition.race) return res.status(404).json({ error: 'Expedition has no race' });
+
+    await req.app.locals.raceService.recompute(expedition);
+    const visible = visibleBoatIds(req, expedition);
+    const leaderboard = (await req.app.locals.raceService.getLeaderboard(expedition))
+      .filter(row => visible.includes(row.boatId));
+    res.json({ expeditionId: expedition.expeditionId, leaderboard });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Recompute race standings in the background after the course or boats changed
+function recomputeRace(req, expedition) {
+  req.app.locals.raceService.recompute(expedition).catch(err => {
+    console.error(`Race recompute failed for ${expedition.expeditionId}:`, err.message);
+  });
+}
+
+// Reload the expedition caches of the public delay and WebSocket subscriptions
+function expeditionsChanged(req) {
+  req.app.locals.publicDelay.refresh().catch(err => {
+    console.error('Public delay refresh failed:', err.message);
+  });
+  req.app.locals.subscriptions.refresh().catch(err => {
+    console.error('Subscription refresh failed:', err.message);
+  });
+}
+
 // ---------- POST /api/expeditions – create ----------
-router.post('/expeditions', requireApiKey, async (req, res, next) => {
+router.post('/expeditions', requireRole('organiser'), async (req, res, next) => {
   try {
-    const { expeditionId, name, boatIds, live, startDate, endDate, description } = req.body;
+    const { expeditionId, name, boatIds, live, startDate, endDate, description, race, publicDelayMinutes } = req.body;
 
     const errors = [];
     if (!expeditionId) errors.push('expeditionId is required');
@@ -156,6 +424,9 @@ router.post('/expeditions', requireApiKey, async (req, res, next) => {
     if (!boatIds || !Array.isArray(boatIds) || boatIds.length === 0)
       errors.push('boatIds must be a non-empty array');
     if (!startDate) errors.push('startDate is required');
+    if (race) errors.push(...validateRace(race));
+    if (publicDelayMinutes !== undefined && !isValidPublicDelay(publicDelayMinutes))
+      errors.push(`publicDelayMinutes must be a whole number between 0 and ${MAX_PUBLIC_DELAY_MINUTES}`);
     if (errors.length) return res.status(400).json({ errors });
 
     const doc = await Expedition.create({
@@ -166,8 +437,13 @@ router.post('/expeditions', requireApiKey, async (req, res, next) => {
       startDate: new Date(startDate),
       endDate: endDate ? new Date(endDate) : null,
       description: description || '',
+      race: race || null,
+      publicDelayMinutes: publicDelayMinutes || 0,
     });
 
+    if (doc.race) recomputeRace(req, doc.toObject());
+    expeditionsChanged(req);
+
     res.status(201).json({
       expeditionId: doc.expeditionId,
       name: doc.name,
@@ -182,7 +458,7 @@ router.post('/expeditions', requireApiKey, async (req, res, next) => {
 });
 
 // ---------- PUT /api/expeditions/:expeditionId – update ----------
-router.put('/expeditions/:expeditionId', requireApiKey, async (req, res, next) => {
+router.put('/expeditions/:expeditionId', requireRole('organiser'), async (req, res, next) => {
   try {
     const update = {};
     if (req.body.name !== undefined) update.name = req.body.name;
@@ -191,6 +467,24 @@ router.put('/expeditions/:expeditionId', requireApiKey, async (req, res, next) =
     if (req.body.startDate !== undefined) update.startDate = new Date(req.body.startDate);
     if (req.body.endDate !== undefined) update.endDate = req.body.endDate ? new Date(req.body.endDate) : null;
     if (req.body.description !== undefined) update.description = req.body.description;
+    if (req.body.race !== undefined) {
+      const errors = req.body.race ? validateRace(req.body.race) : [];
+      if (errors.length) return res.status(400).json({ errors });
+      update.race = req.body.race || null;
+    }
+    if (req.body.publicDelayMinutes !== undefined) {
+      if (!isValidPublicDelay(req.body.publicDelayMinutes)) {
+        return res.status(400).json({ errors: [`publicDelayMinutes must be a whole number between 0 and ${MAX_PUBLIC_DELAY_MINUTES}`] });
+      }
+      update.publicDelayMinutes = req.body.publicDelayMinutes;
+    }
+    // Boats hidden from the organiser were never offered in the form; keep them
+    const hidden = req.app.locals.visibility.hiddenBoatIds(req.user, true);
+    if (Array.isArray(update.boatIds) && hidden.length) {
+      const current = await Expedition.findOne({ expeditionId: req.params.expeditionId }).select('boatIds').lean();
+      const kept = current ? current.boatIds.filter(id => hidden.includes(id) && !update.boatIds.includes(id)) : [];
+      update.boatIds = [...update.boatIds, ...kept];
+    }
 
     const doc = await Expedition.findOneAndUpdate(
       { expeditionId: req.params.expeditionId },
@@ -201,17 +495,29 @@ router.put('/expeditions/:expeditionId', requireApiKey, async (req, res, next) =
       .lean();
 
     if (!doc) return res.status(404).json({ error: 'Expedition not found' });
-    res.json(doc);
+
+    // Course, boats or time window changed: standings have to be rebuilt
+    if (['race', 'boatIds', 'startDate', 'endDate'].some(key => update[key] !== undefined)) {
+      recomputeRace(req, doc);
+    }
+    if (['live', 'boatIds', 'publicDelayMinutes'].some(key => update[key] !== undefined)) {
+      expeditionsChanged(req);
+    }
+
+    res.json({ ...doc, boatIds: visibleBoatIds(req, doc) });
   } catch (err) {
     next(err);
   }
 });
 
 // ---------- DELETE /api/expeditions/:expeditionId ----------
-router.delete('/expeditions/:expeditionId', requireApiKey, async (req, res, next) => {
+router.delete('/expeditions/:expeditionId', requireRole('organiser'), async (req, res, next) => {
   try {
     const doc = await Expedition.findOneAndDelete({ expeditionId: req.params.expeditionId });
     if (!doc) return res.status(404).json({ error: 'Expedition not found' });
+    await RaceProgress.deleteMany({ expeditionId: req.params.expeditionId });
+    await ShareLink.deleteMany({ expeditionId: req.params.expeditionId });
+    expeditionsChanged(req);
     res.json({ deleted: true, expeditionId: req.params.expeditionId });
   } catch (err) {
     next(err);
@@ -0,0 +1,258 @@
+/* ===== Geofence Routes – zones and entry/exit event history ===== */
+
+const express = require('express');
+const Geofence = require('../models/Geofence');
+const GeofenceEvent = require('../models/GeofenceEvent');
+const Expedition = require('../models/Expedition');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_EVENTS = 1000;
+
+/**
+ * Validate the shape fields of a geofence body.
+ * @param {Object} body - { type, coordinates, center, radius }
+ * @returns {Array<String>} - Validation errors
+ */
+function validateShape(body) {
+  const errors = [];
+  if (!Geofence.GEOFENCE_TYPES.includes(body.type)) {
+    errors.push(`type must be one of: ${Geofence.GEOFENCE_TYPES.join(', ')}`);
+    return errors;
+  }
+
+  const validPoint = (lat, lon) =>
+    typeof lat === 'number' && typeof lon === 'number' &&
+    lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+
+  if (body.type === 'circle') {
+    if (!body.center || !validPoint(body.center.lat, body.center.lon)) {
+      errors.push('center must be { lat, lon } with valid coordinates');
+    }
+    if (typeof body.radius !== 'number' || body.radius <= 0) {
+      errors.push('radius must be a positive number of metres');
+    }
+  } else {
+    if (!Array.isArray(body.coordinates) || body.coordinates.length < 3) {
+      errors.push('coordinates must contain at least 3 [lat, lon] points');
+    } else if (!body.coordinates.every(p => Array.isArray(p) && validPoint(p[0], p[1]))) {
+      errors.push('coordinates must be [lat, lon] pairs with valid values');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Shape fields to store for a geofence type (clears the other type's fields)
+ */
+function shapeFields(body) {
+  if (body.type === 'circle') {
+    return {
+      type: 'circle',
+      center: { lat: body.center.lat, lon: body.center.lon },
+      radius: body.radius,
+      coordinates: undefined,
+    };
+  }
+  return {
+    type: 'polygon',
+    coordinates: body.coordinates.map(p => [p[0], p[1]]),
+    center: undefined,
+    radius: undefined,
+  };
+}
+
+function reloadGeofences(req) {
+  if (req.app.locals.geofenceService) {
+    req.app.locals.geofenceService.reload();
+  }
+}
+
+// ---------- GET /api/geofences – list zones (optionally ?expeditionId=) ----------
+router.get('/geofences', async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.expeditionId) {
+      // Zones for an expedition plus the global ones
+      filter.expeditionId = { $in: [req.query.expeditionId, null] };
+    }
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true';
+    }
+
+    const list = await Geofence.find(filter)
+      .sort({ name: 1 })
+      .select('-_id -__v')
+      .lean();
+    res.json(list);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/geofences/:geofenceId ----------
+router.get('/geofences/:geofenceId', async (req, res, next) => {
+  try {
+    const doc = await Geofence.findOne({ geofenceId: req.params.geofenceId })
+      .select('-_id -__v')
+      .lean();
+    if (!doc) return res.status(404).json({ error: 'Geofence not found' });
+    res.json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- POST /api/geofences – create ----------
+router.post('/geofences', requireRole('organiser'), async (req, res, next) => {
+  try {
+    const { geofenceId, name, kind, color, expeditionId, boatIds, active } = req.body;
+
+    const errors = [];
+    if (!geofenceId) errors.push('geofenceId is required');
+    if (!name) errors.push('name is required');
+    if (kind !== undefined && !Geofence.GEOFENCE_KINDS.includes(kind)) {
+      errors.push(`kind must be one of: ${Geofence.GEOFENCE_KINDS.join(', ')}`);
+    }
+    if (boatIds !== undefined && !Array.isArray(boatIds)) errors.push('boatIds must be an array');
+    errors.push(...validateShape(req.body));
+    if (errors.length) return res.status(400).json({ errors });
+
+    if (expeditionId && !(await Expedition.exists({ expeditionId }))) {
+      return res.status(400).json({ error: 'Expedition not found' });
+    }
+
+    const doc = await Geofence.create({
+      geofenceId,
+      name,
+      kind: kind || 'other',
+      ...shapeFields(req.body),
+      color: color || '#ff9500',
+      expeditionId: expeditionId || null,
+      boatIds: boatIds || [],
+      active: active !== undefined ? active : true,
+    });
+
+    reloadGeofences(req);
+
+    res.status(201).json({
+      geofenceId: doc.geofenceId,
+      name: doc.name,
+      type: doc.type,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'Geofence ID already exists' });
+    }
+    next(err);
+  }
+});
+
+// ---------- PUT /api/geofences/:geofenceId – update ----------
+router.put('/geofences/:geofenceId', requireRole('organiser'), async (req, res, next) => {
+  try {
+    const update = {};
+    const unset = {};
+
+    if (req.body.name !== undefined) update.name = req.body.name;
+    if (req.body.color !== undefined) update.color = req.body.color;
+    if (req.body.active !== undefined) update.active = req.body.active;
+    if (req.body.boatIds !== undefined) {
+      if (!Array.isArray(req.body.boatIds)) {
+        return res.status(400).json({ error: 'boatIds must be an array' });
+      }
+      update.boatIds = req.body.boatIds;
+    }
+    if (req.body.kind !== undefined) {
+      if (!Geofence.GEOFENCE_KINDS.includes(req.body.kind)) {
+        return res.status(400).json({ error: `kind must be one of: ${Geofence.GEOFENCE_KINDS.join(', ')}` });
+      }
+      update.kind = req.body.kind;
+    }
+    if (req.body.expeditionId !== undefined) {
+      if (req.body.expeditionId && !(await Expedition.exists({ expeditionId: req.body.expeditionId }))) {
+        return res.status(400).json({ error: 'Expedition not found' });
+      }
+      update.expeditionId = req.body.expeditionId || null;
+    }
+
+    // Shape changes replace the whole shape
+    if (req.body.type !== undefined) {
+      const errors = validateShape(req.body);
+      if (errors.length) return res.status(400).json({ errors });
+
+      for (const [key, value] of Object.entries(shapeFields(req.body))) {
+        if (value === undefined) unset[key] = '';
+        else update[key] = value;
+      }
+    }
+
+    const doc = await Geofence.findOneAndUpdate(
+      { geofenceId: req.params.geofenceId },
+      { $set: update, ...(Object.keys(unset).length ? { $unset: unset } : {}) },
+      { returnDocument: 'after' }
+    )
+      .select('-_id -__v')
+      .lean();
+
+    if (!doc) return res.status(404).json({ error: 'Geofence not found' });
+
+    reloadGeofences(req);
+    res.json(doc);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- DELETE /api/geofences/:geofenceId ----------
+// Event history is kept so past expeditions still show their alerts.
+router.delete('/geofences/:geofenceId', requireRole('organiser'), async (req, res, next) => {
+  try {
+    const doc = await Geofence.findOneAndDelete({ geofenceId: req.params.geofenceId });
+    if (!doc) return res.status(404).json({ error: 'Geofence not found' });
+
+    reloadGeofences(req);
+    res.json({ deleted: true, geofenceId: req.params.geofenceId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/geofences/:geofenceId/events – entry/exit history for one zone ----------
+router.get('/geofences/:geofenceId/events', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, MAX_EVENTS);
+    // Events of private boats only for their owner and admins
+    const hidden = req.app.locals.visibility.hiddenBoatIds(req.user, true);
+    const events = await GeofenceEvent.find({ geofenceId: req.params.geofenceId, boatId: { $nin: hidden } })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .select('-_id -__v')
+      .lean();
+    res.json(events);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/expeditions/:expeditionId/geofence-events – event history per expedition ----------
+router.get('/expeditions/:expeditionId/geofence-events', requireRole('viewer'), async (req, res, next) => {
+  try {
+    const filter = { expeditionId: req.params.expeditionId };
+    const hidden = req.app.locals.visibility.hiddenBoatIds(req.user, true);
+    filter.boatId = req.query.boatId ? { $eq: req.query.boatId, $nin: hidden } : { $nin: hidden };
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || MAX_EVENTS, MAX_EVENTS);
+    const events = await GeofenceEvent.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .select('-_id -__v')
+      .lean();
+    res.json(events);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
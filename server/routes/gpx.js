@@ -2,22 +2,12 @@
 
 const express = require('express');
 const multer = require('multer');
-const { parseGPX, calculateCourse, calculateSpeedKnots, resampleGPXTrack } = require('../utils/gpx');
-const Location = require('../models/Location');
+const { parseGPX, resampleGPXTrack, segmentToLocations } = require('../utils/gpx');
 const Boat = require('../models/Boat');
-const config = require('../config');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Middleware: API-key check for admin-only operations
-function requireApiKey(req, res, next) {
-  const key = req.headers['x-api-key'];
-  if (!key || key !== config.apiKey) {
-    return res.status(401).json({ error: 'Invalid or missing API key' });
-  }
-  next();
-}
-
 // Configure multer for file uploads (memory storage, 10MB limit)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -35,7 +25,7 @@ const upload = multer({
 });
 
 // ---------- POST /api/gpx/import – Upload and parse GPX, return track list ----------
-router.post('/import', requireApiKey, upload.single('file'), async (req, res, next) => {
+router.post('/import', requireRole('organiser'), upload.single('file'), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -89,7 +79,7 @@ router.post('/import', requireApiKey, upload.single('file'), async (req, res, ne
 });
 
 // ---------- POST /api/gpx/import/confirm – Import with boat mapping ----------
-router.post('/import/confirm', requireApiKey, async (req, res, next) => {
+router.post('/import/confirm', requireRole('organiser'), async (req, res, next) => {
   try {
     const { gpxData, mapping } = req.body;
     
@@ -104,6 +94,8 @@ router.post('/import/confirm', requireApiKey, async (req, res, next) => {
 
     let locationsCreated = 0;
     let locationsSkipped = 0;
+    let locationsRejected = 0;
+    let outliers = 0;
     const errors = [];
 
     // Process each track
@@ -131,70 +123,18 @@ router.post('/import/confirm', requireApiKey, async (req, res, next) => {
 
       // Process all segments and points in this track
       for (const segment of track.segments) {
-        const locationDocs = [];
-        const segmentPoints = segment.points; // reference for calculating speeds
-        
-        for (let i = 0; i < segmentPoints.length; i++) {
-          const point = segmentPoints[i];
-          
-          // Skip points without timestamp
-          if (!point.time) {
-            locationsSkipped++;
-            continue;
-          }
+        const { locationDocs, skipped } = segmentToLocations(segment.points, boat, 'gpx');
+        locationsSkipped += skipped;
 
-          // Calculate course from consecutive points if not provided
-          let course = point.course;
-          if (course == null && i > 0) {
-            const prevPoint = segmentPoints[i - 1];
-            course = calculateCourse(prevPoint.lat, prevPoint.lon, point.lat, point.lon);
-          }
-          if (course == null) course = 0;
-
-          // Convert speed from m/s to knots (if present) or calculate from position delta
-          let speed = 0;
-          if (point.speed != null && point.speed >= 0) {
-            speed = point.speed / 0.514444; // m/s to knots
-          } else if (i > 0 && segmentPoints[i - 1].time) {
-            // Calculate speed from previous point using Haversine formula
-            const prevPoint = segmentPoints[i - 1];
-            const prevTime = new Date(prevPoint.time).getTime();
-            const currTime = new Date(point.time).getTime();
-            speed = calculateSpeedKnots(prevPoint.lat, prevPoint.lon, prevTime, point.lat, point.lon, currTime);
-          }
-
-          locationDocs.push({
-            boatId: boat.boatId,
-            name: boat.name,
-            mmsi: point.mmsi || boat.mmsi || '',
-            color: point.color || boat.color,
-            lat: point.lat,
-            lon: point.lon,
-            course: Math.round(course),
-            speed: Math.round(speed * 10) / 10,
-            status: point.status || 'Under way',
-            source: 'gpx',
-            timestamp: new Date(point.time),
-          });
-        }
-
-        // Bulk insert with error handling for duplicates
-        if (locationDocs.length > 0) {
-          try {
-            await Location.insertMany(locationDocs, { ordered: false });
-            locationsCreated += locationDocs.length;
-          } catch (err) {
-            // Handle duplicate key errors (timestamp + boatId uniqueness)
-            if (err.code === 11000) {
-              // Count successfully inserted docs
-              const inserted = err.result?.nInserted || 0;
-              locationsCreated += inserted;
-              locationsSkipped += locationDocs.length - inserted;
-            } else {
-              throw err;
-            }
-          }
+        const result = await req.app.locals.ingestion.ingestTrack(boat, locationDocs, 'gpx');
+        if (result.disabled) {
+          errors.push(`File import is disabled for boat "${boat.name}"`);
+          break;
         }
+        locationsCreated += result.created;
+        locationsSkipped += result.duplicates;
+        locationsRejected += result.rejected;
+        outliers += result.outliers;
       }
     }
 
@@ -202,6 +142,8 @@ router.post('/import/confirm', requireApiKey, async (req, res, next) => {
       success: true,
       locationsCreated,
       locationsSkipped,
+      locationsRejected,
+      outliers,
       errors: errors.length > 0 ? errors : undefined,
     });
   } catch (err) {
@@ -0,0 +1,151 @@
+/* ===== Track Import Routes – KML/KMZ, GeoJSON, CSV, FIT (and GPX) ===== */
+
+const express = require('express');
+const multer = require('multer');
+const { resampleGPXTrack, segmentToLocations } = require('../utils/gpx');
+const {
+  IMPORT_FORMATS,
+  IMPORT_SOURCES,
+  detectImportFormat,
+  parseImportFile,
+  summariseTracks,
+} = require('../utils/import');
+const Boat = require('../models/Boat');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Configure multer for file uploads (memory storage, 10MB limit);
+// the format is detected from the content, so any file is accepted here
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+});
+
+// ---------- POST /api/import – Upload and parse a track file, return track list ----------
+// Form fields: file, format (optional, auto-detected), columnMapping (CSV only, JSON
+// object of column indexes: { timestamp, lat, lon, speed, course, track })
+router.post('/import', requireRole('organiser'), upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const format = req.body.format || detectImportFormat(req.file.originalname, req.file.buffer);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Unrecognised file format. Supported: ${IMPORT_FORMATS.join(', ')} (NMEA logs go through the NMEA import)`,
+      });
+    }
+
+    let columnMapping = null;
+    if (req.body.columnMapping) {
+      try {
+        columnMapping = JSON.parse(req.body.columnMapping);
+      } catch (err) {
+        return res.status(400).json({ error: 'Invalid columnMapping' });
+      }
+    }
+
+    const data = await parseImportFile(req.file.buffer, format, {
+      filename: req.file.originalname,
+      columnMapping,
+    });
+
+    // CSV without usable lat/lon columns still returns its columns so they can be mapped
+    if (data.tracks.length === 0 && format !== 'csv') {
+      return res.status(400).json({ error: `No tracks found in ${format.toUpperCase()} file` });
+    }
+
+    res.json({
+      format,
+      filename: req.file.originalname,
+      metadata: data.metadata,
+      tracks: summariseTracks(data.tracks),
+      columns: data.columns,
+      columnMapping: data.columnMapping,
+      rawData: { format, metadata: data.metadata, tracks: data.tracks }, // Include for next step
+    });
+  } catch (err) {
+    if (/Invalid|XML|Unsupported/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// ---------- POST /api/import/confirm – Import with boat mapping ----------
+router.post('/import/confirm', requireRole('organiser'), async (req, res, next) => {
+  try {
+    const { importData, mapping } = req.body;
+
+    if (!importData || !Array.isArray(importData.tracks) || !mapping) {
+      return res.status(400).json({ error: 'Missing importData or mapping' });
+    }
+
+    // Validate mapping structure: { trackIndex: { pin, resamplingMode? } }
+    if (typeof mapping !== 'object') {
+      return res.status(400).json({ error: 'Invalid mapping format' });
+    }
+
+    const source = IMPORT_SOURCES[importData.format];
+    if (!source) {
+      return res.status(400).json({ error: 'Invalid import format' });
+    }
+
+    let locationsCreated = 0;
+    let locationsSkipped = 0;
+    let locationsRejected = 0;
+    let outliers = 0;
+    const errors = [];
+
+    for (const [trackIdx, boatMapping] of Object.entries(mapping)) {
+      const trackIndex = parseInt(trackIdx);
+      if (!(trackIndex >= 0 && trackIndex < importData.tracks.length)) {
+        errors.push(`Invalid track index: ${trackIdx}`);
+        continue;
+      }
+
+      let track = importData.tracks[trackIndex];
+      const { pin, resamplingMode } = boatMapping;
+
+      if (resamplingMode && resamplingMode !== 'none') {
+        track = resampleGPXTrack(track, resamplingMode);
+      }
+
+      const boat = await Boat.findOne({ pin });
+      if (!boat) {
+        errors.push(`Invalid boat PIN for track "${track.name}"`);
+        continue;
+      }
+
+      for (const segment of track.segments) {
+        const { locationDocs, skipped } = segmentToLocations(segment.points, boat, source);
+        locationsSkipped += skipped;
+
+        const result = await req.app.locals.ingestion.ingestTrack(boat, locationDocs, source);
+        if (result.disabled) {
+          errors.push(`File import is disabled for boat "${boat.name}"`);
+          break;
+        }
+        locationsCreated += result.created;
+        locationsSkipped += result.duplicates;
+        locationsRejected += result.rejected;
+        outliers += result.outliers;
+      }
+    }
+
+    res.json({
+      success: true,
+      locationsCreated,
+      locationsSkipped,
+      locationsRejected,
+      outliers,
+      errors: errors.length > 0 ? errors : undefined,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -3,21 +3,12 @@
 const express = require('express');
 const multer = require('multer');
 const { parseNMEA, parseSentence, extractPosition } = require('../utils/nmea');
-const Location = require('../models/Location');
+const { parseAIS } = require('../utils/ais');
 const Boat = require('../models/Boat');
-const config = require('../config');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Middleware: API-key check for admin-only operations
-function requireApiKey(req, res, next) {
-  const key = req.headers['x-api-key'];
-  if (!key || key !== config.apiKey) {
-    return res.status(401).json({ error: 'Invalid or missing API key' });
-  }
-  next();
-}
-
 // Configure multer for file uploads (memory storage, 10MB limit)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -36,7 +27,7 @@ const upload = multer({
 });
 
 // ---------- POST /api/nmea/import – Upload and parse NMEA, return summary ----------
-router.post('/import', requireApiKey, upload.single('file'), async (req, res, next) => {
+router.post('/import', requireRole('organiser'), upload.single('file'), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -69,7 +60,7 @@ router.post('/import', requireApiKey, upload.single('file'), async (req, res, ne
 });
 
 // ---------- POST /api/nmea/import/confirm – Import with boat mapping ----------
-router.post('/import/confirm', requireApiKey, async (req, res, next) => {
+router.post('/import/confirm', requireRole('organiser'), async (req, res, next) => {
   try {
     const { nmeaData, boatId, pin } = req.body;
     
@@ -105,44 +96,17 @@ router.post('/import/confirm', requireApiKey, async (req, res, next) => {
       }
     }
 
-    let locationsCreated = 0;
-    let locationsSkipped = 0;
-
-    // Prepare location documents
-    const locationDocs = nmeaData.positions.map(pos => ({
-      boatId: boat.boatId,
-      name: boat.name,
-      mmsi: boat.mmsi || pos.mmsi || '',
-      color: boat.color,
-      lat: pos.lat,
-      lon: pos.lon,
-      course: Math.round(pos.course || 0),
-      speed: Math.round((pos.speed || 0) * 10) / 10, // Already in knots from parser
-      status: 'Under way',
-      source: 'nmea',
-      timestamp: new Date(pos.timestamp),
-    }));
-
-    // Bulk insert with error handling for duplicates
-    try {
-      await Location.insertMany(locationDocs, { ordered: false });
-      locationsCreated = locationDocs.length;
-    } catch (err) {
-      // Handle duplicate key errors (timestamp + boatId uniqueness)
-      if (err.code === 11000) {
-        // Count successfully inserted docs
-        const inserted = err.result?.nInserted || 0;
-        locationsCreated = inserted;
-        locationsSkipped = locationDocs.length - inserted;
-      } else {
-        throw err;
-      }
+    const result = await req.app.locals.ingestion.ingestTrack(boat, nmeaData.positions, 'nmea');
+    if (result.disabled) {
+      return res.status(403).json({ error: 'NMEA file import is disabled for this boat' });
     }
 
     res.json({
       success: true,
-      locationsCreated,
-      locationsSkipped,
+      locationsCreated: result.created,
+      locationsSkipped: result.duplicates,
+      locationsRejected: result.rejected,
+      outliers: result.outliers,
       boatId: boat.boatId,
       boatName: boat.name,
     });
@@ -174,61 +138,35 @@ router.post('/relay', async (req, res, next) => {
 
     // Process sentences and accumulate state
     let state = {};
-    let positionsToSave = [];
+    let latestPosition = null;
+    const aisFragments = new Map();
     
     for (const sentence of sentences) {
+      // AIS traffic received by the boat
+      if (typeof sentence === 'string' && sentence.trim().startsWith('!')) {
+        const message = parseAIS(sentence, aisFragments);
+        if (message) await req.app.locals.ingestion.ingestAis(message);
+        continue;
+      }
+
       const packet = parseSentence(sentence);
       if (packet) {
         const position = extractPosition(packet, state);
         if (position && position.lat != null && position.lon != null) {
-          positionsToSave.push({
-            boatId: boat.boatId,
-            name: boat.name,
-            mmsi: boat.mmsi || '',
-            color: boat.color,
-            lat: position.lat,
-            lon: position.lon,
-            course: Math.round(position.course * 10) / 10 || 0,
-            speed: Math.round((position.speed || 0) * 10) / 10,
-            status: 'Under way',
-            source: 'nmea-client',
-            timestamp: position.timestamp || new Date(),
-          });
+          latestPosition = position;
         }
       }
     }
     
-    // Save positions and broadcast updates
-    if (positionsToSave.length > 0) {
-      // Save the most recent position
-      const latestPosition = positionsToSave[positionsToSave.length - 1];
-      
-      try {
-        await Location.create(latestPosition);
-        
-        // Broadcast to WebSocket clients
-        if (req.app.locals.broadcastLocationUpdate) {
-          req.app.locals.broadcastLocationUpdate(latestPosition);
-        }
-        
-        res.json({ 
-          success: true, 
-          positionsProcessed: sentences.length,
-          positionsSaved: 1
-        });
-      } catch (err) {
-        // Handle duplicate key error gracefully
-        if (err.code === 11000) {
-          res.json({ 
-            success: true, 
-            positionsProcessed: sentences.length,
-            positionsSaved: 0,
-            note: 'Position already exists'
-          });
-        } else {
-          throw err;
-        }
-      }
+    // Save the most recent position; the ingestion service broadcasts it
+    if (latestPosition) {
+      const { rejected, message } = await req.app.locals.ingestion.ingest(boat, latestPosition, 'nmea-client');
+      res.json({ 
+        success: true, 
+        positionsProcessed: sentences.length,
+        positionsSaved: rejected ? 0 : 1,
+        note: rejected ? message : undefined
+      });
     } else {
       res.json({ 
         success: true, 
@@ -0,0 +1,187 @@
+/* ===== Share Link Routes – read-only expedition views for the public ===== */
+
+const express = require('express');
+const crypto = require('crypto');
+const Expedition = require('../models/Expedition');
+const Location = require('../models/Location');
+const ShareLink = require('../models/ShareLink');
+const { requireRole, requireShare, createShareToken } = require('../middleware/auth');
+const { parseShareSettings } = require('../utils/share');
+
+const router = express.Router();
+
+/**
+ * Share link as listed to organisers, with its token and embed page
+ */
+function shareResponse(share) {
+  const token = createShareToken(share);
+  return {
+    shareId: share.shareId,
+    expeditionId: share.expeditionId,
+    label: share.label,
+    delayMinutes: share.delayMinutes,
+    expiresAt: share.expiresAt,
+    createdBy: share.createdBy,
+    createdAt: share.createdAt,
+    token,
+    embedPath: `/embed.html?token=${encodeURIComponent(token)}`,
+  };
+}
+
+/**
+ * Latest point in time a share link may show
+ */
+function shareCutoff(share) {
+  return new Date(Date.now() - share.delayMinutes * 60 * 1000);
+}
+
+// ---------- POST /api/expeditions/:expeditionId/shares – create a share link ----------
+router.post('/expeditions/:expeditionId/shares', requireRole('organiser'), async (req, res, next) => {
+  try {
+    const expedition = await Expedition.findOne({ expeditionId: req.params.expeditionId }).lean();
+    if (!expedition) return res.status(404).json({ error: 'Expedition not found' });
+
+    const input = parseShareSettings(req.body);
+    if (input.error) return res.status(400).json({ error: input.error });
+
+    const share = await ShareLink.create({
+      shareId: crypto.randomBytes(8).toString('hex'),
+      expeditionId: expedition.expeditionId,
+      ...input.settings,
+      createdBy: req.user.username,
+    });
+
+    res.status(201).json(shareResponse(share));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/expeditions/:expeditionId/shares – list share links ----------
+router.get('/expeditions/:expeditionId/shares', requireRole('organiser'), async (req, res, next) => {
+  try {
+    const shares = await ShareLink.find({
+      expeditionId: req.params.expeditionId,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(shares.map(shareResponse));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- DELETE /api/shares/:shareId – revoke a share link ----------
+router.delete('/shares/:shareId', requireRole('organiser'), async (req, res, next) => {
+  try {
+    const share = await ShareLink.findOneAndDelete({ shareId: req.params.shareId });
+    if (!share) return res.status(404).json({ error: 'Share link not found' });
+
+    // Close live connections opened with the link
+    if (req.app.locals.closeShareClients) req.app.locals.closeShareClients(share.shareId);
+
+    res.json({ message: 'Share link revoked', shareId: share.shareId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/share/:token – expedition of a share link ----------
+router.get('/share/:token', requireShare, (req, res) => {
+  const { expedition, share } = req;
+  res.json({
+    expedition: {
+      expeditionId: expedition.expeditionId,
+      name: expedition.name,
+      description: expedition.description,
+      boatIds: expedition.boatIds,
+      live: expedition.live,
+      startDate: expedition.startDate,
+      endDate: expedition.endDate,
+      race: expedition.race || null,
+    },
+    delayMinutes: share.delayMinutes,
+    expiresAt: share.expiresAt,
+  });
+});
+
+// ---------- GET /api/share/:token/boats – latest (delayed) position of the expedition's boats ----------
+router.get('/share/:token/boats', requireShare, async (req, res, next) => {
+  try {
+    const boats = await Location.aggregate([
+      {
+        $match: {
+          boatId: { $in: req.expedition.boatIds },
+          outlier: null,
+          primary: { $ne: false },
+          timestamp: { $lte: shareCutoff(req.share) },
+        },
+      },
+      { $sort: { boatId: 1, timestamp: -1 } },
+      {
+        $group: {
+          _id: '$boatId',
+          boatId: { $first: '$boatId' },
+          name: { $first: '$name' },
+          color: { $first: '$color' },
+          lat: { $first: '$lat' },
+          lon: { $first: '$lon' },
+          course: { $first: '$course' },
+          speed: { $first: '$speed' },
+          status: { $first: '$status' },
+          accuracy: { $first: '$accuracy' },
+          approximate: { $first: '$approximate' },
+          timestamp: { $first: '$timestamp' },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]);
+    res.json(boats);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- GET /api/share/:token/track – expedition track up to the share delay ----------
+router.get('/share/:token/track', requireShare, async (req, res, next) => {
+  try {
+    const { expedition } = req;
+    const cutoff = shareCutoff(req.share);
+    const end = expedition.endDate && new Date(expedition.endDate) < cutoff ? expedition.endDate : cutoff;
+
+    const locations = await Location.find({
+      boatId: { $in: expedition.boatIds },
+      outlier: null,
+      primary: { $ne: false },
+      timestamp: { $gte: expedition.startDate, $lte: end },
+    })
+      .sort({ boatId: 1, timestamp: 1 })
+      .select('boatId name color lat lon course speed status source accuracy approximate timestamp -_id')
+      .lean();
+
+    // Group by boatId
+    const grouped = {};
+    for (const loc of locations) {
+      if (!grouped[loc.boatId]) grouped[loc.boatId] = [];
+      grouped[loc.boatId].push(loc);
+    }
+
+    res.json({
+      expedition: {
+        expeditionId: expedition.expeditionId,
+        name: expedition.name,
+        boatIds: expedition.boatIds,
+        startDate: expedition.startDate,
+        endDate: expedition.endDate,
+        race: expedition.race || null,
+      },
+      tracks: grouped,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+/* ===== User Management Routes (admin only) ===== */
+
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { hashPassword } = require('../utils/auth');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Fields returned to clients (never the password hash)
+const PUBLIC_FIELDS = 'username name role active lastLoginAt createdAt -_id';
+
+// ---------- GET /api/users – list all users ----------
+router.get('/users', requireRole('admin'), async (_req, res, next) => {
+  try {
+    const users = await User.find()
+      .sort({ username: 1 })
+      .select(PUBLIC_FIELDS)
+      .lean();
+    res.json(users);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- POST /api/users – create a user ----------
+router.post('/users', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { username, name, password, role } = req.body;
+
+    const errors = [];
+    if (!username) errors.push('username is required');
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (role !== undefined && !User.ROLES.includes(role)) {
+      errors.push(`role must be one of: ${User.ROLES.join(', ')}`);
+    }
+
+    if (errors.length) {
+      return res.status(400).json({ errors });
+    }
+
+    const doc = await User.create({
+      username,
+      name: name || '',
+      passwordHash: await hashPassword(password),
+      role: role || 'viewer',
+    });
+
+    res.status(201).json({
+      username: doc.username,
+      name: doc.name,
+      role: doc.role,
+      active: doc.active,
+      createdAt: doc.createdAt,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+    next(err);
+  }
+});
+
+// ---------- PATCH /api/users/:username – update role, name, password or active flag ----------
+router.patch('/users/:username', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { name, password, role, active } = req.body;
+    const username = req.params.username.toLowerCase();
+
+    if (role !== undefined && !User.ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${User.ROLES.join(', ')}` });
+    }
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    // Prevent admins from locking themselves out
+    if (username === req.user.username && ((role !== undefined && role !== 'admin') || active === false)) {
+      return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (role !== undefined) updates.role = role;
+    if (active !== undefined) updates.active = active;
+    if (password !== undefined) updates.passwordHash = await hashPassword(password);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { username },
+      { $set: updates },
+      { returnDocument: 'after' }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Revoke existing sessions when access is withdrawn or credentials change
+    if (active === false || password !== undefined || role !== undefined) {
+      await Session.deleteMany({ userId: user._id });
+    }
+
+    res.json({
+      username: user.username,
+      name: user.name,
+      role: user.role,
+      active: user.active,
+      message: 'User updated successfully',
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------- DELETE /api/users/:username ----------
+router.delete('/users/:username', requireRole('admin'), async (req, res, next) => {
+  try {
+    const username = req.params.username.toLowerCase();
+
+    if (username === req.user.username) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const user = await User.findOneAndDelete({ username });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    await Session.deleteMany({ userId: user._id });
+    res.json({ deleted: true, username });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
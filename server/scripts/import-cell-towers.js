@@ -0,0 +1,95 @@
+/* ===== Import cell towers from an OpenCellID CSV dump =====
+ *
+ * Usage: node scripts/import-cell-towers.js <cell_towers.csv[.gz]> [--mcc=262,232]
+ *
+ * Accepts the full dump (with header) and the per-country files (without header),
+ * plain or gzipped. Existing towers are updated, so a newer dump can be imported
+ * over an older one. --mcc limits the import to the given country codes.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const mongoose = require('mongoose');
+const config = require('../config');
+const CellTower = require('../models/CellTower');
+const { OPENCELLID_COLUMNS, parseCellTowerHeader, parseCellTowerRow } = require('../utils/celltower');
+
+const BATCH_SIZE = 1000;
+
+async function importFile(file, mccFilter) {
+  let input = fs.createReadStream(file);
+  if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let columns = OPENCELLID_COLUMNS;
+  let first = true;
+  let batch = [];
+  let imported = 0;
+  let skipped = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await CellTower.bulkWrite(batch.map(tower => ({
+      updateOne: {
+        filter: { mcc: tower.mcc, mnc: tower.mnc, lac: tower.lac, cellId: tower.cellId },
+        update: { $set: tower },
+        upsert: true,
+      },
+    })), { ordered: false });
+    imported += batch.length;
+    batch = [];
+    process.stdout.write(`\r${imported} towers imported`);
+  };
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    if (first) {
+      first = false;
+      const header = parseCellTowerHeader(line);
+      if (header) {
+        columns = header;
+        continue;
+      }
+    }
+
+    const tower = parseCellTowerRow(line, columns);
+    if (!tower || (mccFilter && !mccFilter.includes(tower.mcc))) {
+      skipped++;
+      continue;
+    }
+
+    batch.push(tower);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { imported, skipped };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find(a => !a.startsWith('--'));
+  const mccArg = args.find(a => a.startsWith('--mcc='));
+  const mccFilter = mccArg
+    ? mccArg.slice('--mcc='.length).split(',').map(m => parseInt(m, 10)).filter(Number.isInteger)
+    : null;
+
+  if (!file) {
+    console.error('Usage: node scripts/import-cell-towers.js <cell_towers.csv[.gz]> [--mcc=262,232]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(config.mongoUri);
+  await CellTower.syncIndexes();
+
+  const { imported, skipped } = await importFile(file, mccFilter);
+  console.log(`\nDone: ${imported} towers imported, ${skipped} lines skipped`);
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error('Cell tower import failed:', err.message);
+  process.exit(1);
+});
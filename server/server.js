@@ -3,15 +3,37 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const http = require('http');
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const config = require('./config');
+const User = require('./models/User');
+const { hashPassword } = require('./utils/auth');
+const { shareReceives } = require('./utils/share');
+const { parseTopics } = require('./utils/subscriptions');
+const { findUserByToken, findShareByToken } = require('./middleware/auth');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
 const apiRoutes = require('./routes/api');
 const expeditionRoutes = require('./routes/expeditions');
 const gpxRoutes = require('./routes/gpx');
 const nmeaRoutes = require('./routes/nmea');
+const importRoutes = require('./routes/import');
+const geofenceRoutes = require('./routes/geofences');
+const alarmRoutes = require('./routes/alarms');
+const shareRoutes = require('./routes/share');
 const NMEAListenerManager = require('./services/nmea-listener-manager');
 const SignalKServiceManager = require('./services/signalk-manager');
 const AT4ListenerManager = require('./services/at4-listener-manager');
+const GeofenceService = require('./services/geofence-service');
+const RaceService = require('./services/race-service');
+const MqttBroker = require('./services/mqtt-broker');
+const MqttBridgeManager = require('./services/mqtt-manager');
+const IngestionService = require('./services/ingestion');
+const AisOutputServer = require('./services/ais-output');
+const PublicDelayService = require('./services/public-delay');
+const SubscriptionService = require('./services/subscriptions');
+const ReplayBuffer = require('./services/replay-buffer');
+const VisibilityService = require('./services/visibility');
 
 const app = express();
 const server = http.createServer(app);
@@ -21,10 +43,46 @@ const wss = new WebSocket.Server({ server, path: '/ws' });
 
 // Store connected clients
 const clients = new Set();
+// Numbered recent messages, replayed to clients that reconnect
+const replayBuffer = new ReplayBuffer();
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   console.log('New WebSocket client connected');
   clients.add(ws);
+  // Nothing is pushed until the client subscribes (see handleClientMessage)
+  ws.topics = new Set();
+
+  // Share link pages (/ws?share=<token>) only get their expedition's updates
+  const shareToken = new URL(req.url, 'http://localhost').searchParams.get('share');
+  if (shareToken) {
+    ws.share = { pending: true };
+    findShareByToken(shareToken)
+      .then((resolved) => {
+        if (!resolved) {
+          ws.close(1008, 'Share link is invalid or has expired');
+          return;
+        }
+        ws.share = {
+          shareId: resolved.share.shareId,
+          expeditionId: resolved.expedition.expeditionId,
+          boatIds: new Set(resolved.expedition.boatIds),
+          delayMinutes: resolved.share.delayMinutes,
+          expiresAt: resolved.share.expiresAt,
+        };
+      })
+      .catch((err) => {
+        console.error('WebSocket share check failed:', err.message);
+        ws.close(1011, 'Share link check failed');
+      });
+  }
+
+  // One message at a time, so a subscribe is only handled after a preceding auth
+  ws.inbox = Promise.resolve();
+  ws.on('message', (raw) => {
+    ws.inbox = ws.inbox
+      .then(() => handleClientMessage(ws, raw))
+      .catch(err => console.error('WebSocket message failed:', err.message));
+  });
 
   ws.on('close', () => {
     console.log('WebSocket client disconnected');
@@ -36,34 +94,265 @@ wss.on('connection', (ws) => {
     clients.delete(ws);
   });
 
-  // Send initial connection confirmation
-  ws.send(JSON.stringify({ type: 'connected', message: 'Connected to AKZ Tracker' }));
+  // Send initial connection confirmation with the current stream cursor
+  ws.send(JSON.stringify({
+    type: 'connected',
+    message: 'Connected to AKZ Tracker',
+    stream: replayBuffer.streamId,
+    seq: replayBuffer.seq,
+  }));
 });
 
-// Broadcast function to send updates to all connected clients
-function broadcastLocationUpdate(location) {
-  const message = JSON.stringify({
-    type: 'location-update',
-    data: location,
+// Send a typed message to one client
+function sendTo(ws, type, data) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type, data }));
+  }
+}
+
+/**
+ * Messages from clients:
+ * - { type: 'auth', token } – logged-in pages get the live stream; an empty
+ *   token goes back to the public (delayed) one
+ * - { type: 'subscribe' | 'unsubscribe', topics: [] } – "boat:<boatId>"
+ *   ("boat:*" for all boats), "expedition:<expeditionId>", "event:<type>".
+ *   A subscribe after a reconnect may add resume: { stream, seq } to get the
+ *   messages it missed (see resumeClient)
+ */
+async function handleClientMessage(ws, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (err) {
+    return;
+  }
+  if (!message) return;
+
+  if (message.type === 'auth') {
+    const user = await findUserByToken(message.token);
+    ws.user = user ? { username: user.username, role: user.role } : null;
+    sendTo(ws, 'auth', { authenticated: !!user });
+    return;
+  }
+
+  if (message.type === 'subscribe' || message.type === 'unsubscribe') {
+    const parsed = parseTopics(message.topics);
+    if (parsed.error) {
+      sendTo(ws, 'error', { message: parsed.error });
+      return;
+    }
+
+    if (message.type === 'subscribe') {
+      parsed.topics.forEach(topic => ws.topics.add(topic));
+    } else {
+      parsed.topics.forEach(topic => ws.topics.delete(topic));
+    }
+    sendTo(ws, 'subscriptions', { topics: [...ws.topics] });
+
+    // Same tick as the topics change, so no message is both replayed and pushed
+    if (message.type === 'subscribe' && message.resume) resumeClient(ws, message.resume);
+  }
+}
+
+/**
+ * Replay the messages a reconnecting client missed, then confirm with
+ * { type: 'resume', data: { replayed: true, count } }. When the gap is no
+ * longer in the buffer the client is told to reload instead (replayed: false).
+ * @param {WebSocket} ws
+ * @param {Object} cursor - { stream, seq } of the last message the client got
+ */
+function resumeClient(ws, cursor) {
+  const missed = replayBuffer.since(cursor.stream, cursor.seq);
+  if (!missed) {
+    sendTo(ws, 'resume', { replayed: false });
+    return;
+  }
+
+  let count = 0;
+  for (const entry of missed) {
+    const json = clientMessage(ws, entry);
+    if (!json) continue;
+    ws.send(json);
+    count++;
+  }
+  sendTo(ws, 'resume', { replayed: true, count });
+}
+
+/**
+ * Whether a client gets a stream message. Audience: 'all', 'live' (logged-in
+ * clients only, the message is held back for visitors) or 'public' (the
+ * held-back copy for visitors).
+ * @param {WebSocket} client
+ * @param {Object} entry - { type, data, audience }
+ * @returns {Boolean}
+ */
+function clientReceives(client, entry) {
+  if (client.share) {
+    return !client.share.pending && entry.audience === 'all' &&
+      shareReceives(client.share, entry.type, entry.data);
+  }
+  if (entry.audience === 'live' && !client.user) return false;
+  if (entry.audience === 'public' && client.user) return false;
+  return subscriptions.receives(client.topics, entry.type, entry.data);
+}
+
+/**
+ * Whether a client may see a boat. Share pages and clients following one of
+ * the boat's expeditions see boats that are visible within their expeditions.
+ * @param {WebSocket} client
+ * @param {String} boatId
+ * @param {String} [expeditionId] - Expedition the message belongs to
+ * @returns {Boolean}
+ */
+function clientSeesBoat(client, boatId, expeditionId) {
+  if (client.share) return visibility.canSee(boatId, null, true);
+  const inExpedition = (!!expeditionId && client.topics.has(`expedition:${expeditionId}`)) ||
+    subscriptions.followsViaExpedition(client.topics, boatId);
+  return visibility.canSee(boatId, client.user || null, inExpedition);
+}
+
+/**
+ * Serialized stream message for a client, or null when it doesn't get it.
+ * Leaderboard rows and passages of boats hidden from the client are left out.
+ * @param {WebSocket} client
+ * @param {Object} entry - Replay buffer entry
+ * @returns {String|null}
+ */
+function clientMessage(client, entry) {
+  if (!clientReceives(client, entry)) return null;
+  const { type, data, seq } = entry;
+  if (!data) return entryJson(entry);
+
+  if (data.boatId && !clientSeesBoat(client, data.boatId, data.expeditionId)) return null;
+
+  if (type === 'race-leaderboard') {
+    const sees = row => clientSeesBoat(client, row.boatId, data.expeditionId);
+    const leaderboard = (data.leaderboard || []).filter(sees);
+    const passages = (data.passages || []).filter(sees);
+    if (leaderboard.length !== (data.leaderboard || []).length ||
+        passages.length !== (data.passages || []).length) {
+      return JSON.stringify({ type, data: { ...data, leaderboard, passages }, seq });
+    }
+  }
+  return entryJson(entry);
+}
+
+// Serialize an entry once, however many clients get it unchanged
+function entryJson(entry) {
+  if (!entry.json) entry.json = JSON.stringify({ type: entry.type, data: entry.data, seq: entry.seq });
+  return entry.json;
+}
+
+// Broadcast a typed message to the clients subscribed to it. Clients that are
+// not logged in get messages about boats of delayed live expeditions later.
+function broadcast(type, data) {
+  const delayMs = publicDelay.messageDelayMs(type, data);
+  publish({ type, data, audience: delayMs > 0 ? 'live' : 'all' });
+  if (delayMs > 0) publicDelay.hold(type, data, delayMs);
+}
+
+// Send a held-back message to the clients that are not logged in
+function sendPublic(type, data) {
+  publish({ type, data, audience: 'public' });
+  if (type === 'location-update') republishLocation(data);
+}
+
+// Number a message, keep it for replay and push it to its clients
+function publish(message) {
+  const entry = replayBuffer.add(message);
+  const now = new Date();
+
+  clients.forEach(client => {
+    if (client.readyState !== WebSocket.OPEN) return;
+
+    if (client.share && !client.share.pending && client.share.expiresAt <= now) {
+      client.close(1008, 'Share link has expired');
+      return;
+    }
+    const json = clientMessage(client, entry);
+    if (json) client.send(json);
   });
+}
+
+// Topics of the WebSocket clients
+const subscriptions = new SubscriptionService();
+// Time-shifted view of delayed live expeditions for visitors
+const publicDelay = new PublicDelayService(sendPublic);
+// Boats that are only visible within their expeditions or to their owners
+const visibility = new VisibilityService();
 
+// Disconnect the pages of a revoked share link
+function closeShareClients(shareId) {
   clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
+    if (client.share && client.share.shareId === shareId) {
+      client.close(1008, 'Share link was revoked');
     }
   });
 }
 
-// Export broadcast function for use in API routes
+// Geofence entry/exit detection runs on every broadcast location
+const geofenceService = new GeofenceService(broadcast);
+// Race progress (start, mark roundings, finish) likewise
+const raceService = new RaceService(broadcast);
+
+// Set in start() when the MQTT bridge is enabled
+let mqttManager = null;
+// Set in start() when the AIS output feed is configured
+let aisOutput = null;
+
+// Broadcast function to send updates to all connected clients
+function broadcastLocationUpdate(location) {
+  broadcast('location-update', location);
+
+  // Boats of delayed live expeditions are republished when visitors get them (sendPublic)
+  if (publicDelay.boatDelayMs(location.boatId) === 0) republishLocation(location);
+
+  geofenceService.checkLocation(location).catch(err => {
+    console.error('Geofence check failed:', err.message);
+  });
+  raceService.checkLocation(location).catch(err => {
+    console.error('Race progress update failed:', err.message);
+  });
+}
+
+// Feed a position to the MQTT position topics and the AIS output. Both can be
+// read without logging in, so only public boats are republished to MQTT.
+function republishLocation(location) {
+  if (mqttManager && visibility.canSee(location.boatId, null)) {
+    mqttManager.publishLocation(location);
+  }
+  if (aisOutput) {
+    aisOutput.publishLocation(location);
+  }
+}
+
+// Every incoming position goes through the ingestion service
+const ingestionService = new IngestionService(broadcastLocationUpdate);
+
+// Export broadcast functions for use in API routes
+app.locals.broadcast = broadcast;
 app.locals.broadcastLocationUpdate = broadcastLocationUpdate;
+app.locals.closeShareClients = closeShareClients;
+app.locals.publicDelay = publicDelay;
+app.locals.subscriptions = subscriptions;
+app.locals.visibility = visibility;
+app.locals.ingestion = ingestionService;
+app.locals.geofenceService = geofenceService;
+app.locals.raceService = raceService;
 
 // --------------- Middleware ---------------
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
 // --------------- API routes ---------------
+app.use('/api', authRoutes);
+app.use('/api', userRoutes);
 app.use('/api', apiRoutes);
 app.use('/api', expeditionRoutes);
+app.use('/api', geofenceRoutes);
+app.use('/api', alarmRoutes);
+app.use('/api', shareRoutes);
+app.use('/api', importRoutes);
 app.use('/api/gpx', gpxRoutes);
 app.use('/api/nmea', nmeaRoutes);
 
@@ -92,6 +381,22 @@ async function start() {
     process.exit(1);
   }
 
+  await publicDelay.start();
+  await subscriptions.start();
+  await visibility.start();
+
+  // Create the initial admin account on first start
+  const userCount = await User.countDocuments();
+  if (userCount === 0) {
+    await User.create({
+      username: config.adminUsername,
+      name: 'Administrator',
+      passwordHash: await hashPassword(config.adminPassword),
+      role: 'admin',
+    });
+    console.log(`Created initial admin user "${config.adminUsername}" – change its password after first login`);
+  }
+
   server.listen(config.port, () => {
     console.log(`AKZ Tracker API listening on port ${config.port}`);
     console.log(`WebSocket server ready at ws://localhost:${config.port}/ws`);
@@ -99,7 +404,7 @@ async function start() {
 
   // Initialize NMEA TCP listener manager if enabled
   if (config.nmeaTcpEnabled) {
-    const nmeaManager = new NMEAListenerManager(broadcastLocationUpdate);
+    const nmeaManager = new NMEAListenerManager(ingestionService);
     await nmeaManager.startAll();
     // Store manager in app.locals for access in API routes
     app.locals.nmeaManager = nmeaManager;
@@ -123,7 +428,7 @@ async function start() {
     const signalkManager = new SignalKServiceManager(
       config.signalkUrl || null, 
       config.signalkToken || null, 
-      broadcastLocationUpdate
+      ingestionService
     );
     await signalkManager.startAll();
     // Store manager in app.locals for access in API routes
@@ -144,13 +449,59 @@ async function start() {
   }
   
   if (at4ManagerNeeded) {
-    const at4Manager = new AT4ListenerManager(broadcastLocationUpdate);
+    const at4Manager = new AT4ListenerManager(ingestionService, broadcast);
     await at4Manager.startAll();
     // Store manager in app.locals for access in API routes
     app.locals.at4Manager = at4Manager;
   } else {
     console.log('AT4 TCP listener disabled');
   }
+
+  // Initialize MQTT bridge: ingestion from boats and republishing of positions
+  if (config.mqttMode === 'embedded' || config.mqttMode === 'client') {
+    let options = {
+      url: config.mqttUrl,
+      username: config.mqttUsername,
+      password: config.mqttPassword,
+      topicPrefix: config.mqttTopicPrefix,
+    };
+
+    if (config.mqttMode === 'embedded') {
+      const bridgeSecret = crypto.randomBytes(24).toString('hex');
+      const mqttBroker = new MqttBroker(config.mqttPort, config.mqttTopicPrefix, bridgeSecret, visibility);
+      await mqttBroker.start();
+      app.locals.mqttBroker = mqttBroker;
+      options = {
+        ...options,
+        url: `mqtt://127.0.0.1:${config.mqttPort}`,
+        username: MqttBroker.BRIDGE_USERNAME,
+        password: bridgeSecret,
+      };
+    }
+
+    mqttManager = new MqttBridgeManager(options, ingestionService);
+    await mqttManager.startAll();
+    app.locals.mqttManager = mqttManager;
+  } else {
+    console.log('MQTT bridge disabled');
+  }
+
+  // Initialize AIS output feed of the fleet for chartplotters
+  if (config.aisOutputTcpPort || config.aisOutputUdpTargets) {
+    aisOutput = new AisOutputServer({
+      tcpPort: config.aisOutputTcpPort,
+      udpTargets: config.aisOutputUdpTargets,
+    }, publicDelay);
+    try {
+      await aisOutput.start();
+      app.locals.aisOutput = aisOutput;
+    } catch (err) {
+      console.error('Error starting AIS output:', err.message);
+      aisOutput = null;
+    }
+  } else {
+    console.log('AIS output disabled');
+  }
 }
 
 start();
@@ -0,0 +1,247 @@
+/* ===== AIS Output Server – fleet positions as AIVDM for chartplotters ===== */
+
+const net = require('net');
+const dgram = require('dgram');
+const Boat = require('../models/Boat');
+const Location = require('../models/Location');
+const { canSeeBoat } = require('../utils/visibility');
+const {
+  isValidMmsi,
+  aisSettings,
+  encodePositionReport,
+  encodeStaticReport,
+} = require('../utils/ais');
+
+// Chartplotters drop targets that stay silent, so positions are repeated
+// like a class B transponder would, and static data every six minutes
+const POSITION_REPEAT_MS = 30 * 1000;
+const STATIC_REPEAT_MS = 6 * 60 * 1000;
+// Older positions are no longer repeated (the boat fades from the plotters)
+const MAX_POSITION_AGE_MS = 10 * 60 * 1000;
+
+class AisOutputServer {
+  /**
+   * @param {Object} options - { tcpPort, udpTargets: "host:port,host:port" }
+   * @param {Object} [publicDelay] - PublicDelayService; the feed is public, so
+   *   it starts from the positions visitors may already see
+   */
+  constructor(options, publicDelay = null) {
+    this.publicDelay = publicDelay;
+    this.tcpPort = options.tcpPort || null;
+    this.udpTargets = String(options.udpTargets || '')
+      .split(',')
+      .map(t => t.trim())
+      .filter(Boolean)
+      .map((target) => {
+        const [host, port] = target.split(':');
+        return { host, port: parseInt(port, 10) };
+      })
+      .filter(t => t.host && t.port > 0 && t.port <= 65535);
+
+    this.server = null;
+    this.udpSocket = null;
+    this.clients = new Set();
+    this.boats = new Map(); // boatId -> { mmsi, name, settings }
+    this.positions = new Map(); // boatId -> latest location
+    this.positionTimer = null;
+    this.staticTimer = null;
+  }
+
+  async start() {
+    await this.loadFleet();
+
+    if (this.tcpPort) {
+      this.server = net.createServer((socket) => {
+        console.log('AIS output client connected:', socket.remoteAddress);
+        this.clients.add(socket);
+        // Bring the new plotter up to date right away
+        this.write(socket, this.allStaticReports());
+        this.write(socket, this.allPositionReports());
+
+        socket.on('close', () => this.clients.delete(socket));
+        socket.on('error', (err) => {
+          console.error('AIS output client error:', err.message);
+          this.clients.delete(socket);
+        });
+        // Input from plotters is ignored
+        socket.on('data', () => {});
+      });
+      this.server.on('error', (err) => {
+        console.error('AIS output server error:', err.message);
+      });
+      this.server.listen(this.tcpPort, () => {
+        console.log(`AIS output server listening on port ${this.tcpPort}`);
+      });
+    }
+
+    if (this.udpTargets.length > 0) {
+      this.udpSocket = dgram.createSocket('udp4');
+      this.udpSocket.on('error', (err) => {
+        console.error('AIS output UDP error:', err.message);
+      });
+      this.udpSocket.bind(() => this.udpSocket.setBroadcast(true));
+      console.log(`AIS output sending to ${this.udpTargets.map(t => `${t.host}:${t.port}`).join(', ')}`);
+    }
+
+    this.positionTimer = setInterval(() => this.send(this.allPositionReports()), POSITION_REPEAT_MS);
+    this.staticTimer = setInterval(() => this.send(this.allStaticReports()), STATIC_REPEAT_MS);
+    this.send(this.allStaticReports());
+  }
+
+  /**
+   * Load the boats that can be sent (nine-digit MMSI, shown live, public) and
+   * their latest positions
+   */
+  async loadFleet() {
+    const boats = await Boat.find({ mmsi: { $nin: [null, ''] }, live: { $ne: false } })
+      .select('boatId name mmsi ais visibility owner')
+      .lean();
+    this.boats.clear();
+    for (const boat of boats) {
+      if (this.sendsBoat(boat)) this.setBoat(boat);
+    }
+
+    const latest = await Location.aggregate([
+      {
+        $match: {
+          boatId: { $in: [...this.boats.keys()] },
+          outlier: null,
+          primary: { $ne: false },
+          ...(this.publicDelay ? this.publicDelay.locationFilter() : {}),
+        },
+      },
+      { $sort: { boatId: 1, timestamp: -1 } },
+      { $group: { _id: '$boatId', location: { $first: '$$ROOT' } } },
+    ]);
+    this.positions.clear();
+    for (const { location } of latest) {
+      if (location.source !== 'ais') this.positions.set(location.boatId, location);
+    }
+  }
+
+  /**
+   * Whether a boat is on the feed: valid MMSI, shown live, and visible to
+   * anyone (the feed needs no login)
+   */
+  sendsBoat(boat) {
+    return isValidMmsi(boat.mmsi) && boat.live !== false && canSeeBoat(boat, null);
+  }
+
+  setBoat(boat) {
+    this.boats.set(boat.boatId, { mmsi: boat.mmsi, name: boat.name, settings: aisSettings(boat) });
+  }
+
+  /**
+   * Reload a boat after it was created, changed or deleted and send its static data
+   */
+  async refreshBoat(boatId) {
+    try {
+      const boat = await Boat.findOne({ boatId }).select('boatId name mmsi ais live visibility owner').lean();
+      if (!boat || !this.sendsBoat(boat)) {
+        this.boats.delete(boatId);
+        this.positions.delete(boatId);
+        return;
+      }
+
+      this.setBoat(boat);
+      this.send(this.staticReports(boatId));
+    } catch (err) {
+      console.error(`Error refreshing AIS output for boat ${boatId}:`, err.message);
+    }
+  }
+
+  /**
+   * Send a new fleet position (called for every broadcast location)
+   * @param {Object} location - Broadcast payload
+   */
+  publishLocation(location) {
+    if (!this.boats.has(location.boatId)) return;
+
+    // The boat's own transponder is on the air already
+    if (location.source === 'ais') {
+      this.positions.delete(location.boatId);
+      return;
+    }
+
+    this.positions.set(location.boatId, location);
+    this.send(this.positionReports(location.boatId));
+  }
+
+  positionReports(boatId) {
+    const boat = this.boats.get(boatId);
+    const location = this.positions.get(boatId);
+    if (!boat || !location) return [];
+    if (Date.now() - new Date(location.timestamp).getTime() > MAX_POSITION_AGE_MS) return [];
+
+    return encodePositionReport({ ...location, mmsi: boat.mmsi }, boat.settings);
+  }
+
+  staticReports(boatId) {
+    const boat = this.boats.get(boatId);
+    return boat ? encodeStaticReport(boat, boat.settings) : [];
+  }
+
+  allPositionReports() {
+    return [...this.boats.keys()].flatMap(boatId => this.positionReports(boatId));
+  }
+
+  allStaticReports() {
+    return [...this.boats.keys()].flatMap(boatId => this.staticReports(boatId));
+  }
+
+  /**
+   * Send sentences to every TCP client and UDP destination
+   * @param {Array<String>} sentences
+   */
+  send(sentences) {
+    if (sentences.length === 0) return;
+
+    for (const socket of this.clients) this.write(socket, sentences);
+
+    if (this.udpSocket) {
+      // One datagram per sentence, as most plotters expect
+      for (const sentence of sentences) {
+        const message = Buffer.from(sentence + '\r\n');
+        for (const { host, port } of this.udpTargets) {
+          this.udpSocket.send(message, port, host, (err) => {
+            if (err) console.error(`AIS output to ${host}:${port} failed:`, err.message);
+          });
+        }
+      }
+    }
+  }
+
+  write(socket, sentences) {
+    if (sentences.length === 0 || socket.destroyed) return;
+    socket.write(sentences.map(s => s + '\r\n').join(''));
+  }
+
+  stop() {
+    clearInterval(this.positionTimer);
+    clearInterval(this.staticTimer);
+    this.clients.forEach(client => client.destroy());
+    this.clients.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    if (this.udpSocket) {
+      this.udpSocket.close();
+      this.udpSocket = null;
+    }
+  }
+
+  /**
+   * Get output status
+   */
+  getStatus() {
+    return {
+      tcpPort: this.tcpPort,
+      clients: this.clients.size,
+      udpTargets: this.udpTargets.map(t => `${t.host}:${t.port}`),
+      boats: this.boats.size,
+    };
+  }
+}
+
+module.exports = AisOutputServer;
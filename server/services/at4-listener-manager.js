@@ -4,10 +4,11 @@ const AT4Listener = require('./at4-listener');
 const Boat = require('../models/Boat');
 
 class AT4ListenerManager {
-  constructor(broadcastFunc = null) {
+  constructor(ingestion = null, broadcastMessageFunc = null) {
     this.listeners = new Map(); // boatId -> AT4Listener instance
     this.portToBoatId = new Map(); // port -> boatId for reverse lookup
-    this.broadcastFunc = broadcastFunc;
+    this.ingestion = ingestion;
+    this.broadcastMessageFunc = broadcastMessageFunc;
   }
 
   /**
@@ -40,7 +41,7 @@ class AT4ListenerManager {
       this.stopForBoat(boatId);
 
       // Create and start new listener with boatId context
-      const listener = new AT4Listener(port, boatId, this.broadcastFunc);
+      const listener = new AT4Listener(port, boatId, this.ingestion, this.broadcastMessageFunc);
       listener.start();
 
       this.listeners.set(boatId, listener);
@@ -87,6 +88,17 @@ class AT4ListenerManager {
     }
   }
 
+  /**
+   * Deliver a queued DeviceCommand to the boat's tracker if it is connected.
+   * Commands that are not delivered stay queued and are sent on the next login.
+   * @returns {Promise<boolean>} - true when the command was sent
+   */
+  async sendCommand(boatId, command) {
+    const listener = this.listeners.get(boatId);
+    if (!listener) return false;
+    return listener.deliverCommand(command);
+  }
+
   /**
    * Stop all AT4 listeners
    */
@@ -109,7 +121,8 @@ class AT4ListenerManager {
         boatId,
         port: listener.port,
         running: listener.server && listener.server.listening,
-        clients: listener.clients.size
+        clients: listener.clients.size,
+        connected: listener.getConnectedSocket() !== null
       });
     }
     return status;
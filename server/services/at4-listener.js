@@ -1,17 +1,31 @@
 /* ===== AT4 GPS Tracker TCP Listener Service ===== */
 
 const net = require('net');
-const { parsePacket, generateResponse } = require('../utils/at4');
+const {
+  parsePacket,
+  generateResponse,
+  generateOnlineCommand,
+  decodeTerminalInfo,
+  estimateBatteryPercent,
+} = require('../utils/at4');
 const Location = require('../models/Location');
 const Boat = require('../models/Boat');
+const CellTower = require('../models/CellTower');
+const Alarm = require('../models/Alarm');
+const Telemetry = require('../models/Telemetry');
+const DeviceCommand = require('../models/DeviceCommand');
+
+// Queued commands older than this are expired instead of sent on the next login
+const COMMAND_QUEUE_TTL_MS = 24 * 60 * 60 * 1000;
 
 class AT4Listener {
-  constructor(port = 21100, assignedBoatId = null, broadcastFunc = null) {
+  constructor(port = 21100, assignedBoatId = null, ingestion = null, broadcastMessageFunc = null) {
     this.port = port;
     this.assignedBoatId = assignedBoatId; // boatId assigned to this port by admin
     this.server = null;
-    this.clients = new Map(); // Map socket to { imei, boatId, buffer }
-    this.broadcastFunc = broadcastFunc; // WebSocket broadcast function
+    this.clients = new Map(); // Map socket to { imei, boatId, buffer, lastSeen, commandSerial }
+    this.ingestion = ingestion; // IngestionService (stores and broadcasts positions)
+    this.broadcastMessageFunc = broadcastMessageFunc; // broadcast(type, data) for non-location messages
   }
 
   start() {
@@ -23,6 +37,8 @@ class AT4Listener {
         imei: null,
         boatId: this.assignedBoatId,
         buffer: Buffer.alloc(0),
+        lastSeen: new Date(),
+        commandSerial: 0,
       });
 
       socket.on('data', (data) => {
@@ -66,6 +82,7 @@ class AT4Listener {
     if (!clientData) return;
 
     console.log(`[${clientData.imei || 'unknown'}] Raw data received (${data.length} bytes): ${data.toString('hex')}`);
+    clientData.lastSeen = new Date();
     
     // Append data to buffer
     clientData.buffer = Buffer.concat([clientData.buffer, data]);
@@ -76,12 +93,13 @@ class AT4Listener {
 
   processBuffer(socket, clientData) {
     while (clientData.buffer.length >= 10) {
-      // Look for start bits: 0x78 0x78
+      // Look for start bits: 0x78 0x78, or 0x79 0x79 for extended frames
       const startIndex = this.findStartBits(clientData.buffer);
       
       if (startIndex === -1) {
-        // No start bits found, clear buffer
-        clientData.buffer = Buffer.alloc(0);
+        // No start bits found; keep a trailing 0x78/0x79 that may begin the next frame
+        const last = clientData.buffer[clientData.buffer.length - 1];
+        clientData.buffer = last === 0x78 || last === 0x79 ? clientData.buffer.slice(-1) : Buffer.alloc(0);
         return;
       }
 
@@ -91,19 +109,27 @@ class AT4Listener {
       }
 
       // Check if we have enough data to read the length
-      if (clientData.buffer.length < 3) {
+      const extended = clientData.buffer[0] === 0x79;
+      if (clientData.buffer.length < (extended ? 4 : 3)) {
         return; // Wait for more data
       }
 
-      // Read packet length (byte 2)
-      const length = clientData.buffer[2];
-      const totalLength = length + 5; // +2 start, +1 length, +2 stop
+      // Read packet length (byte 2, or bytes 2-3 in extended frames)
+      const length = extended ? clientData.buffer.readUInt16BE(2) : clientData.buffer[2];
+      const totalLength = length + (extended ? 6 : 5); // +2 start, +1/2 length, +2 stop
 
       // Check if we have the complete packet
       if (clientData.buffer.length < totalLength) {
         return; // Wait for more data
       }
 
+      // Start bits inside other data can look like a frame; without stop bits, resync after them
+      if (clientData.buffer[totalLength - 2] !== 0x0D || clientData.buffer[totalLength - 1] !== 0x0A) {
+        console.warn(`[${clientData.imei || 'unknown'}] Frame without stop bits, resyncing`);
+        clientData.buffer = clientData.buffer.slice(2);
+        continue;
+      }
+
       // Extract packet
       const packet = clientData.buffer.slice(0, totalLength);
       clientData.buffer = clientData.buffer.slice(totalLength);
@@ -115,7 +141,7 @@ class AT4Listener {
 
   findStartBits(buffer) {
     for (let i = 0; i < buffer.length - 1; i++) {
-      if (buffer[i] === 0x78 && buffer[i + 1] === 0x78) {
+      if ((buffer[i] === 0x78 || buffer[i] === 0x79) && buffer[i + 1] === buffer[i]) {
         return i;
       }
     }
@@ -150,6 +176,7 @@ class AT4Listener {
         // Update boat's IMEI if this port is assigned to a boat
         if (clientData.boatId) {
           await this.updateBoatImei(clientData.boatId, parsed.imei);
+          await this.flushCommands(socket, clientData);
         }
       }
 
@@ -158,9 +185,26 @@ class AT4Listener {
         case 'location':
           await this.handleLocation(clientData, parsed);
           break;
+        case 'address-request':
+          // We don't reverse-geocode, but the fix is a regular position report
+          console.log(`[${clientData.imei}] Address request from ${parsed.phoneNumber || 'unknown number'}`);
+          await this.handleLocation(clientData, parsed);
+          break;
+        case 'time-request':
+          console.log(`[${clientData.imei}] Sent server time`);
+          break;
+        case 'info':
+          await this.handleInfo(clientData, parsed);
+          break;
         case 'heartbeat':
           await this.handleHeartbeat(clientData, parsed);
           break;
+        case 'alarm':
+          await this.handleAlarm(clientData, parsed);
+          break;
+        case 'command-reply':
+          await this.handleCommandReply(clientData, parsed);
+          break;
         case 'unknown':
           console.log(`[${clientData.imei}] Unknown protocol: 0x${parsed.protocolNumber.toString(16).toUpperCase()}`);
           break;
@@ -191,6 +235,218 @@ class AT4Listener {
     const signalLabel = signalLabels[parsed.signalStrength] || 'unknown';
     
     console.log(`AT4 heartbeat from IMEI ${clientData.imei}: voltage=${parsed.voltage}V, signal=${signalLabel}`);
+
+    if (!clientData.boatId) return;
+
+    try {
+      const status = decodeTerminalInfo(parsed.terminalInfo);
+      await Telemetry.create({
+        boatId: clientData.boatId,
+        imei: clientData.imei || '',
+        source: 'at4',
+        voltage: parsed.voltage,
+        batteryPercent: estimateBatteryPercent(parsed.voltage),
+        signalStrength: parsed.signalStrength <= 4 ? parsed.signalStrength : null,
+        charging: status.charging,
+        gpsTracking: status.gpsTracking,
+        terminalInfo: parsed.terminalInfo,
+        timestamp: new Date(),
+      });
+    } catch (err) {
+      console.error(`[${clientData.imei}] Error saving AT4 telemetry:`, err.message);
+    }
+  }
+
+  /**
+   * Information packets (0x94): external power voltage is stored as telemetry,
+   * the rest is only logged
+   */
+  async handleInfo(clientData, parsed) {
+    switch (parsed.infoName) {
+      case 'external-voltage':
+        console.log(`[${clientData.imei}] External power: ${parsed.externalVoltage}V`);
+        if (!clientData.boatId || parsed.externalVoltage == null) return;
+        try {
+          await Telemetry.create({
+            boatId: clientData.boatId,
+            imei: clientData.imei || '',
+            source: 'at4',
+            externalVoltage: parsed.externalVoltage,
+            timestamp: new Date(),
+          });
+        } catch (err) {
+          console.error(`[${clientData.imei}] Error saving AT4 telemetry:`, err.message);
+        }
+        break;
+      case 'status-sync':
+        console.log(`[${clientData.imei}] Status sync: ${JSON.stringify(parsed.status)}`);
+        break;
+      case 'iccid':
+        console.log(`[${clientData.imei}] SIM: IMSI=${parsed.imsi}, ICCID=${parsed.iccid}`);
+        break;
+      default:
+        console.log(`[${clientData.imei}] Info type 0x${parsed.infoType.toString(16).padStart(2, '0')}: ${parsed.raw || parsed.doorStatus}`);
+    }
+  }
+
+  async handleAlarm(clientData, parsed) {
+    try {
+      if (!clientData.boatId) {
+        console.warn(`[${clientData.imei}] Alarm packet received but no boat assigned to this port`);
+        return;
+      }
+
+      if (parsed.alarmType === 'normal') {
+        console.log(`[${clientData.imei}] Alarm packet without alarm condition, ignoring`);
+        return;
+      }
+
+      const boat = await Boat.findOne({ boatId: clientData.boatId });
+      if (!boat) {
+        console.warn(`[${clientData.imei}] Boat not found: ${clientData.boatId}`);
+        return;
+      }
+
+      // Without a GPS fix, fall back to the boat's last known position
+      let lat = parsed.lat;
+      let lon = parsed.lon;
+      if (!parsed.positioned) {
+        const last = await Location.findOne({ boatId: boat.boatId, outlier: null })
+          .sort({ timestamp: -1 })
+          .select('lat lon')
+          .lean();
+        lat = last ? last.lat : null;
+        lon = last ? last.lon : null;
+      }
+
+      const alarm = await Alarm.create({
+        boatId: boat.boatId,
+        boatName: boat.name,
+        imei: clientData.imei || '',
+        source: 'at4',
+        alarmType: parsed.alarmType,
+        alarmCode: parsed.alarmCode,
+        severity: Alarm.severityFor(parsed.alarmType),
+        lat,
+        lon,
+        positioned: parsed.positioned,
+        speed: Math.round((parsed.speed || 0) * 10) / 10,
+        course: parsed.course,
+        voltage: parsed.voltage,
+        signalStrength: parsed.signalStrength,
+        timestamp: parsed.timestamp || new Date(),
+      });
+
+      console.log(`[${clientData.imei}] ⚠ ${alarm.severity.toUpperCase()} alarm "${alarm.alarmType}" for boat "${boat.name}"`);
+
+      if (this.broadcastMessageFunc) {
+        this.broadcastMessageFunc('alarm', {
+          _id: alarm._id,
+          boatId: alarm.boatId,
+          boatName: alarm.boatName,
+          alarmType: alarm.alarmType,
+          severity: alarm.severity,
+          lat: alarm.lat,
+          lon: alarm.lon,
+          positioned: alarm.positioned,
+          timestamp: alarm.timestamp,
+        });
+      }
+
+      // A positioned alarm is also a regular position report
+      if (parsed.positioned) {
+        await this.handleLocation(clientData, parsed);
+      }
+    } catch (err) {
+      console.error(`[${clientData.imei}] Error saving AT4 alarm:`, err.message);
+    }
+  }
+
+  /**
+   * Socket of the logged-in device, if any (a port is assigned to one boat)
+   */
+  getConnectedSocket() {
+    for (const [socket, clientData] of this.clients.entries()) {
+      if (clientData.imei && !socket.destroyed) return socket;
+    }
+    return null;
+  }
+
+  /**
+   * Send a queued DeviceCommand now if the device is connected.
+   * @returns {Promise<boolean>} - true when the command was written to the socket
+   */
+  async deliverCommand(command) {
+    const socket = this.getConnectedSocket();
+    if (!socket) return false;
+    return this.writeCommand(socket, this.clients.get(socket), command);
+  }
+
+  /**
+   * Send all queued commands for this port's boat, oldest first; called after login
+   */
+  async flushCommands(socket, clientData) {
+    try {
+      await DeviceCommand.updateMany(
+        {
+          boatId: clientData.boatId,
+          status: 'queued',
+          createdAt: { $lt: new Date(Date.now() - COMMAND_QUEUE_TTL_MS) },
+        },
+        { $set: { status: 'expired' } }
+      );
+
+      const queued = await DeviceCommand.find({ boatId: clientData.boatId, status: 'queued' })
+        .sort({ createdAt: 1 });
+
+      for (const command of queued) {
+        await this.writeCommand(socket, clientData, command);
+      }
+    } catch (err) {
+      console.error(`[${clientData.imei}] Error sending queued commands:`, err.message);
+    }
+  }
+
+  async writeCommand(socket, clientData, command) {
+    try {
+      clientData.commandSerial = (clientData.commandSerial + 1) & 0xFFFF;
+      const packet = generateOnlineCommand(command.serverFlag, command.command, clientData.commandSerial);
+      socket.write(packet);
+      console.log(`[${clientData.imei}] ✓ SENT COMMAND "${command.command}" (${packet.length} bytes): ${packet.toString('hex')}`);
+
+      command.status = 'sent';
+      command.sentAt = new Date();
+      command.imei = clientData.imei || '';
+      await command.save();
+      return true;
+    } catch (err) {
+      console.error(`[${clientData.imei}] Error sending command "${command.command}":`, err.message);
+      command.status = 'failed';
+      command.error = err.message;
+      await command.save().catch(() => {});
+      return false;
+    }
+  }
+
+  async handleCommandReply(clientData, parsed) {
+    if (!clientData.boatId) return;
+
+    try {
+      const command = await DeviceCommand.findOneAndUpdate(
+        { boatId: clientData.boatId, serverFlag: parsed.serverFlag, status: { $in: ['sent', 'queued'] } },
+        { $set: { status: 'replied', reply: parsed.content, repliedAt: new Date() } },
+        { sort: { createdAt: -1 }, returnDocument: 'after' }
+      );
+
+      if (!command) {
+        console.warn(`[${clientData.imei}] Reply for unknown command flag 0x${parsed.serverFlag.toString(16)}: "${parsed.content}"`);
+        return;
+      }
+
+      console.log(`[${clientData.imei}] ✓ Reply to "${command.command}": ${parsed.content}`);
+    } catch (err) {
+      console.error(`[${clientData.imei}] Error saving command reply:`, err.message);
+    }
   }
 
   async updateBoatImei(boatId, imei) {
@@ -225,40 +481,37 @@ class AT4Listener {
         return;
       }
 
-      console.log(`[${clientData.imei}] ✓ Got location: (${parsed.lat}, ${parsed.lon}) speed=${parsed.speed}kt course=${parsed.course}°`);
-      
-      // Save location under the assigned boat
-      const location = await Location.create({
-        boatId: boat.boatId,
-        name: boat.name,
-        mmsi: boat.mmsi,
-        color: boat.color,
-        lat: parsed.lat,
-        lon: parsed.lon,
-        course: Math.round(parsed.course || 0),
-        speed: Math.round((parsed.speed || 0) * 10) / 10,
-        status: 'Under way',
-        source: 'at4',
-        timestamp: parsed.timestamp || new Date(),
-      });
+      const cell = parsed.cellId ? { mcc: parsed.mcc, mnc: parsed.mnc, lac: parsed.lac, cellId: parsed.cellId } : undefined;
+      let position = { lat: parsed.lat, lon: parsed.lon, accuracy: null, approximate: false };
+
+      // Without a GPS fix the coordinates are stale; fall back to the serving cell tower
+      if (parsed.positioned === false) {
+        const tower = await CellTower.resolve(cell);
+        if (!tower) {
+          const message = `No GPS fix and unknown cell ${cell ? `${cell.mcc}/${cell.mnc}/${cell.lac}/${cell.cellId}` : '(none)'}`;
+          console.warn(`[${clientData.imei}] ${message}, position not saved`);
+          await this.ingestion.log(boat.boatId, 'at4', 'invalid', message);
+          return;
+        }
+        position = { lat: tower.lat, lon: tower.lon, accuracy: tower.accuracy, approximate: true };
+        console.log(`[${clientData.imei}] ✓ Cell tower position: (${tower.lat}, ${tower.lon}) ±${tower.accuracy}m`);
+      } else {
+        console.log(`[${clientData.imei}] ✓ Got location: (${parsed.lat}, ${parsed.lon}) speed=${parsed.speed}kt course=${parsed.course}°`);
+      }
 
-      console.log(`[${clientData.imei}] ✓ Saved location for boat "${boat.name}"`);
-
-      // Broadcast via WebSocket if available
-      if (this.broadcastFunc) {
-        this.broadcastFunc({
-          boatId: location.boatId,
-          name: location.name,
-          mmsi: location.mmsi,
-          color: location.color,
-          lat: location.lat,
-          lon: location.lon,
-          course: location.course,
-          speed: location.speed,
-          status: location.status,
-          source: location.source,
-          timestamp: location.timestamp,
-        });
+      // Save location under the assigned boat
+      const { location } = await this.ingestion.ingest(boat, {
+        ...position,
+        course: position.approximate ? 0 : parsed.course,
+        speed: position.approximate ? 0 : parsed.speed,
+        satellites: position.approximate ? null : parsed.satellites,
+        fixType: position.approximate ? 'lbs' : (parsed.differential ? 'dgps' : 'gps'),
+        cell,
+        timestamp: parsed.timestamp,
+      }, 'at4');
+
+      if (location) {
+        console.log(`[${clientData.imei}] ✓ Saved location for boat "${boat.name}"${location.outlier ? ` (outlier: ${location.outlier})` : ''}`);
       }
     } catch (err) {
       console.error(`[${clientData.imei}] Error saving AT4 location:`, err.message);
@@ -0,0 +1,155 @@
+/* ===== Geofence Service – Entry/exit detection for live positions ===== */
+
+const Geofence = require('../models/Geofence');
+const GeofenceEvent = require('../models/GeofenceEvent');
+const Expedition = require('../models/Expedition');
+const { isInsideGeofence } = require('../utils/geo');
+
+class GeofenceService {
+  constructor(broadcastFunc = null) {
+    this.broadcastFunc = broadcastFunc; // broadcast(type, data)
+    this.geofences = null; // cached active geofences, loaded lazily
+    this.inside = new Map(); // boatId -> Map(geofenceId -> Boolean)
+    this.lastTimestamp = new Map(); // boatId -> ms of last checked position
+    this.queues = new Map(); // boatId -> Promise, serialises checks per boat
+  }
+
+  /**
+   * Drop the geofence cache; called by the routes after any change.
+   * Inside/outside state is re-read from the event history on next use.
+   */
+  reload() {
+    this.geofences = null;
+    this.inside.clear();
+  }
+
+  async loadGeofences() {
+    if (!this.geofences) {
+      this.geofences = await Geofence.find({ active: true }).lean();
+    }
+    return this.geofences;
+  }
+
+  /**
+   * Check a freshly stored location against all geofences. Checks for the same
+   * boat run one after another so entry/exit state stays consistent.
+   * @param {Object} location - Broadcast payload ({ boatId, name, lat, lon, source, timestamp })
+   * @returns {Promise<Array>} - Events generated for this location
+   */
+  checkLocation(location) {
+    const previous = this.queues.get(location.boatId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => this.processLocation(location));
+
+    this.queues.set(location.boatId, next);
+    next.finally(() => {
+      if (this.queues.get(location.boatId) === next) {
+        this.queues.delete(location.boatId);
+      }
+    }).catch(() => {});
+
+    return next;
+  }
+
+  async processLocation(location) {
+    const timestamp = new Date(location.timestamp || Date.now());
+
+    // Ignore positions older than what we already evaluated (e.g. replayed offline queues)
+    const lastTs = this.lastTimestamp.get(location.boatId);
+    if (lastTs && timestamp.getTime() < lastTs) return [];
+    this.lastTimestamp.set(location.boatId, timestamp.getTime());
+
+    const geofences = await this.loadGeofences();
+    if (geofences.length === 0) return [];
+
+    const expeditions = await this.findExpeditions(location.boatId, timestamp);
+    const expeditionIds = expeditions.map(e => e.expeditionId);
+
+    const applicable = geofences.filter(g =>
+      (!g.boatIds || g.boatIds.length === 0 || g.boatIds.includes(location.boatId)) &&
+      (!g.expeditionId || expeditionIds.includes(g.expeditionId))
+    );
+
+    const events = [];
+    for (const geofence of applicable) {
+      const isInside = isInsideGeofence(location.lat, location.lon, geofence);
+      const wasInside = await this.wasInside(location.boatId, geofence.geofenceId);
+      this.inside.get(location.boatId).set(geofence.geofenceId, isInside);
+
+      if (isInside === wasInside) continue;
+
+      const event = await GeofenceEvent.create({
+        geofenceId: geofence.geofenceId,
+        geofenceName: geofence.name,
+        kind: geofence.kind,
+        boatId: location.boatId,
+        boatName: location.name || '',
+        expeditionId: geofence.expeditionId || expeditionIds[0] || null,
+        event: isInside ? 'enter' : 'exit',
+        lat: location.lat,
+        lon: location.lon,
+        source: location.source || '',
+        timestamp,
+      });
+
+      const data = {
+        geofenceId: event.geofenceId,
+        geofenceName: event.geofenceName,
+        kind: event.kind,
+        boatId: event.boatId,
+        boatName: event.boatName,
+        expeditionId: event.expeditionId,
+        event: event.event,
+        lat: event.lat,
+        lon: event.lon,
+        timestamp: event.timestamp,
+      };
+      events.push(data);
+
+      console.log(`Geofence: ${data.boatName || data.boatId} ${data.event === 'enter' ? 'entered' : 'left'} "${data.geofenceName}"`);
+
+      if (this.broadcastFunc) {
+        this.broadcastFunc('geofence-event', data);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Previous inside/outside state for a boat and geofence. Falls back to the
+   * last stored event so a server restart does not re-trigger entries.
+   */
+  async wasInside(boatId, geofenceId) {
+    if (!this.inside.has(boatId)) {
+      this.inside.set(boatId, new Map());
+    }
+    const boatState = this.inside.get(boatId);
+
+    if (!boatState.has(geofenceId)) {
+      const last = await GeofenceEvent.findOne({ boatId, geofenceId })
+        .sort({ timestamp: -1 })
+        .select('event')
+        .lean();
+      boatState.set(geofenceId, !!last && last.event === 'enter');
+    }
+    return boatState.get(geofenceId);
+  }
+
+  /**
+   * Expeditions that include the boat and are running at the given time, live ones first
+   */
+  async findExpeditions(boatId, timestamp) {
+    return Expedition.find({
+      boatIds: boatId,
+      startDate: { $lte: timestamp },
+      $or: [{ endDate: null }, { endDate: { $gte: timestamp } }],
+    })
+      .sort({ live: -1, startDate: -1 })
+      .select('expeditionId')
+      .lean();
+  }
+}
+
+module.exports = GeofenceService;
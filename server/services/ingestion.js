@@ -0,0 +1,241 @@
+/* ===== Ingestion Service – one path for every incoming position ===== */
+
+const Boat = require('../models/Boat');
+const Location = require('../models/Location');
+const AisTarget = require('../models/AisTarget');
+const IngestionLog = require('../models/IngestionLog');
+const { isSourceEnabled, normalizePosition } = require('../utils/ingestion');
+const { cleanQuality } = require('../utils/quality');
+const { plausibilitySettings, screenTrack } = require('../utils/plausibility');
+
+// How long the set of fleet MMSIs is cached for AIS traffic
+const FLEET_MMSI_TTL_MS = 60 * 1000;
+
+class IngestionService {
+  /**
+   * @param {Function} [broadcastFunc] - broadcastLocationUpdate(location)
+   */
+  constructor(broadcastFunc = null) {
+    this.broadcastFunc = broadcastFunc;
+    this.fleetMmsi = null; // { mmsis: Set, loadedAt }
+  }
+
+  /**
+   * Store a live position: source gating, validation, plausibility filter and
+   * source priority, then persistence and broadcast. Rejected points are
+   * recorded in the boat's ingestion log.
+   * @param {Object} boat - Boat document
+   * @param {Object} position - { lat, lon, course?, speed?, status?, timestamp?,
+   *   hdop?, satellites?, fixType?, accuracy?, approximate?, cell? }
+   * @param {String} source - Location source
+   * @returns {Promise<Object>} - { location } or { rejected: reason, message }
+   */
+  async ingest(boat, position, source) {
+    if (!isSourceEnabled(boat, source)) {
+      return this.reject(boat, source, 'source-disabled', `Source ${source} is disabled for this boat`, position);
+    }
+
+    const normalized = normalizePosition(position);
+    if (normalized.error) {
+      return this.reject(boat, source, 'invalid', normalized.error, position);
+    }
+    const point = normalized.position;
+
+    const plausibility = await Location.checkPlausibility(boat, point);
+    if (plausibility.reject) {
+      return this.reject(boat, source, plausibility.outlier, `Implausible position (${plausibility.outlier})`, point);
+    }
+    const primary = await Location.isPrimarySource(boat, source, point.timestamp);
+
+    const location = await Location.create({
+      ...this.locationFields(boat, point, source),
+      outlier: plausibility.outlier,
+      primary,
+    });
+
+    // Outliers and points of a secondary source would make the marker jump
+    if (this.broadcastFunc && !location.outlier && location.primary) {
+      this.broadcastFunc({
+        boatId: location.boatId,
+        name: location.name,
+        mmsi: location.mmsi,
+        color: location.color,
+        lat: location.lat,
+        lon: location.lon,
+        course: location.course,
+        speed: location.speed,
+        status: location.status,
+        source: location.source,
+        accuracy: location.accuracy,
+        approximate: location.approximate,
+        timestamp: location.timestamp,
+      });
+    }
+
+    return { location };
+  }
+
+  /**
+   * Store a decoded AIS message. Position reports of fleet boats become 'ais'
+   * locations; everything else is kept as surrounding traffic (AisTarget).
+   * @param {Object} message - From utils/ais parseAIS()
+   * @returns {Promise<Object>} - Result of ingest() for fleet boats, { target } otherwise
+   */
+  async ingestAis(message) {
+    const mmsis = await this.getFleetMmsi();
+    if (!mmsis.has(message.mmsi)) {
+      return { target: await AisTarget.record(message) };
+    }
+
+    // Static data of fleet boats is configured in the admin panel instead
+    if (message.lat == null || message.lon == null) return {};
+    const boat = await Boat.findOne({ mmsi: message.mmsi });
+    if (!boat) return {};
+
+    return this.ingest(boat, {
+      lat: message.lat,
+      lon: message.lon,
+      course: message.course != null ? message.course : message.heading,
+      speed: message.speed,
+    }, 'ais');
+  }
+
+  /**
+   * MMSIs of fleet boats, reloaded at most every FLEET_MMSI_TTL_MS so busy
+   * AIS receivers don't query the boats for every message
+   * @returns {Promise<Set<String>>}
+   */
+  async getFleetMmsi() {
+    if (!this.fleetMmsi || Date.now() - this.fleetMmsi.loadedAt > FLEET_MMSI_TTL_MS) {
+      const mmsis = await Boat.distinct('mmsi', { mmsi: { $nin: [null, ''] } });
+      this.fleetMmsi = { mmsis: new Set(mmsis), loadedAt: Date.now() };
+    }
+    return this.fleetMmsi.mmsis;
+  }
+
+  /**
+   * Store an imported track. The whole track is refused when the source is
+   * disabled; invalid points are skipped and outliers flagged or dropped like
+   * live ones. Imported points are not broadcast.
+   * @param {Object} boat - Boat document
+   * @param {Array<Object>} positions - Positions of the boat, in any order
+   * @param {String} source - Location source
+   * @returns {Promise<Object>} - { created, duplicates, rejected, outliers, disabled }
+   */
+  async ingestTrack(boat, positions, source) {
+    const result = { created: 0, duplicates: 0, rejected: 0, outliers: 0, disabled: false };
+    if (positions.length === 0) return result;
+
+    if (!isSourceEnabled(boat, source)) {
+      await this.log(boat.boatId, source, 'source-disabled', `Import of ${positions.length} point(s) refused: source ${source} is disabled`, null, positions.length);
+      return { ...result, rejected: positions.length, disabled: true };
+    }
+
+    const valid = [];
+    let invalid = null;
+    for (const position of positions) {
+      const normalized = normalizePosition(position);
+      if (normalized.error) {
+        invalid = { message: normalized.error, position, count: (invalid ? invalid.count : 0) + 1 };
+      } else {
+        valid.push(normalized.position);
+      }
+    }
+    if (invalid) {
+      result.rejected += invalid.count;
+      await this.log(boat.boatId, source, 'invalid', `Import: ${invalid.message}`, invalid.position, invalid.count);
+    }
+
+    const settings = plausibilitySettings(boat);
+    const { docs, outliers } = screenTrack(valid, settings);
+    result.outliers = outliers.length;
+    if (settings.action === 'reject' && outliers.length > 0) {
+      result.rejected += outliers.length;
+      const byReason = new Map();
+      for (const o of outliers) byReason.set(o.reason, [...(byReason.get(o.reason) || []), o.point]);
+      for (const [reason, points] of byReason) {
+        await this.log(boat.boatId, source, reason, `Import: implausible position (${reason})`, points[points.length - 1], points.length);
+      }
+    }
+    if (docs.length === 0) return result;
+
+    const locationDocs = docs.map(point => ({
+      ...this.locationFields(boat, point, source),
+      outlier: point.outlier || null,
+    }));
+
+    // Bulk insert with error handling for duplicates
+    try {
+      await Location.insertMany(locationDocs, { ordered: false });
+      result.created = locationDocs.length;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      const inserted = err.result?.nInserted || 0;
+      result.created = inserted;
+      result.duplicates = locationDocs.length - inserted;
+    }
+
+    return result;
+  }
+
+  /**
+   * Location fields of a normalized position
+   */
+  locationFields(boat, point, source) {
+    return {
+      boatId: boat.boatId,
+      name: boat.name,
+      mmsi: boat.mmsi || point.mmsi || '',
+      color: boat.color,
+      lat: point.lat,
+      lon: point.lon,
+      course: point.course,
+      speed: point.speed,
+      status: point.status || 'Under way',
+      source,
+      ...cleanQuality(point),
+      approximate: Boolean(point.approximate),
+      cell: point.cell,
+      timestamp: point.timestamp,
+    };
+  }
+
+  /**
+   * Log a rejected live position
+   * @returns {Promise<Object>} - { rejected: reason, message }
+   */
+  async reject(boat, source, reason, message, position) {
+    console.warn(`Rejected ${source} position for ${boat.boatId}: ${message}`);
+    await this.log(boat.boatId, source, reason, message, position);
+    return { rejected: reason, message };
+  }
+
+  /**
+   * Add to a boat's ingestion log, e.g. for payloads its source could not parse.
+   * Failures are only logged to the console.
+   * @param {String} boatId
+   * @param {String} source - Location source
+   * @param {String} reason - 'source-disabled', 'invalid' or an outlier reason
+   * @param {String} message - Details
+   * @param {Object} [position] - Rejected point ({ lat, lon })
+   * @param {Number} [count] - Number of rejected points
+   */
+  async log(boatId, source, reason, message, position = null, count = 1) {
+    const coordinate = (v) => (v != null && Number.isFinite(Number(v)) ? Number(v) : null);
+    try {
+      await IngestionLog.record({
+        boatId,
+        source,
+        reason,
+        message,
+        lat: position ? coordinate(position.lat) : null,
+        lon: position ? coordinate(position.lon) : null,
+        count,
+      });
+    } catch (err) {
+      console.error(`Error writing ingestion log for ${boatId}:`, err.message);
+    }
+  }
+}
+
+module.exports = IngestionService;
@@ -0,0 +1,143 @@
+/* ===== Embedded MQTT Broker (aedes) ===== */
+
+const net = require('net');
+const Boat = require('../models/Boat');
+const { ingestTopic } = require('../utils/mqtt');
+
+const BRIDGE_USERNAME = 'akz-bridge';
+
+class MqttBroker {
+  /**
+   * @param {number} port - TCP port to listen on
+   * @param {string} topicPrefix - Prefix of the default ingestion topics
+   * @param {string} bridgeSecret - Password of the internal bridge client
+   * @param {Object} visibility - VisibilityService (only public boats are readable)
+   */
+  constructor(port, topicPrefix, bridgeSecret, visibility) {
+    this.port = port;
+    this.topicPrefix = topicPrefix;
+    this.bridgeSecret = bridgeSecret;
+    this.visibility = visibility;
+    this.broker = null;
+    this.server = null;
+  }
+
+  async start() {
+    const { Aedes } = await import('aedes');
+    this.broker = await Aedes.createBroker();
+
+    this.broker.authenticate = (client, username, password, callback) => {
+      this.authenticate(client, username, password)
+        .then(ok => callback(null, ok))
+        .catch((err) => {
+          console.error('MQTT authentication error:', err.message);
+          callback(null, false);
+        });
+    };
+    this.broker.authorizePublish = (client, packet, callback) => {
+      callback(this.authorizePublish(client, packet));
+    };
+    this.broker.authorizeSubscribe = (client, sub, callback) => {
+      const err = this.authorizeSubscribe(client, sub);
+      if (err) console.warn(`MQTT subscription refused: ${err.message}`);
+      callback(null, err ? null : sub);
+    };
+    this.broker.authorizeForward = (client, packet) => this.authorizeForward(client, packet);
+
+    this.server = net.createServer(this.broker.handle);
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    console.log(`Embedded MQTT broker listening on port ${this.port}`);
+  }
+
+  /**
+   * Bridge: internal secret. Boats: username = boatId, password = API key,
+   * may only publish to their own ingestion topic. No credentials: read-only.
+   */
+  async authenticate(client, username, password) {
+    const secret = password ? password.toString() : '';
+
+    if (!username) {
+      client.akz = { readOnly: true };
+      return true;
+    }
+    if (username === BRIDGE_USERNAME) {
+      if (secret !== this.bridgeSecret) return false;
+      client.akz = { bridge: true };
+      return true;
+    }
+
+    const boat = await Boat.findOne({ boatId: username, apiKey: secret }).select('boatId mqttTopic').lean();
+    if (!boat) return false;
+    client.akz = { boatId: boat.boatId, topic: ingestTopic(this.topicPrefix, boat) };
+    return true;
+  }
+
+  /**
+   * @returns {Error|null}
+   */
+  authorizePublish(client, packet) {
+    if (packet.topic.startsWith('$SYS')) return new Error('$SYS topics are reserved');
+    if (!client || !client.akz) return new Error('Not authenticated');
+    if (client.akz.bridge) return null;
+    if (client.akz.topic && packet.topic === client.akz.topic) return null;
+    return new Error(`Publishing to ${packet.topic} is not allowed`);
+  }
+
+  /**
+   * Boat of a position topic ('<prefix>/<boatId>/position'), or null
+   * @returns {String|null}
+   */
+  positionTopicBoat(topic) {
+    const head = `${this.topicPrefix}/`;
+    if (!topic.startsWith(head) || !topic.endsWith('/position')) return null;
+    const boatId = topic.slice(head.length, -'/position'.length);
+    return boatId && !boatId.includes('/') ? boatId : null;
+  }
+
+  /**
+   * Everyone but the bridge may only subscribe to the position topics of
+   * public boats, one by one or all of them with '<prefix>/+/position'
+   * @returns {Error|null}
+   */
+  authorizeSubscribe(client, sub) {
+    if (client && client.akz && client.akz.bridge) return null;
+    if (sub.topic === `${this.topicPrefix}/+/position`) return null;
+
+    const boatId = this.positionTopicBoat(sub.topic);
+    if (boatId && this.visibility.canSee(boatId, null)) return null;
+    return new Error(`Subscribing to ${sub.topic} is not allowed`);
+  }
+
+  /**
+   * Positions of boats that are not public (or no longer are, for retained
+   * messages) only reach the bridge
+   * @returns {Object|null} - Packet to deliver, or null to drop it
+   */
+  authorizeForward(client, packet) {
+    if (client && client.akz && client.akz.bridge) return packet;
+    const boatId = this.positionTopicBoat(packet.topic);
+    return boatId && this.visibility.canSee(boatId, null) ? packet : null;
+  }
+
+  async stop() {
+    // Closing the broker disconnects its clients, so the server can close afterwards
+    if (this.broker) {
+      await new Promise(resolve => this.broker.close(() => resolve()));
+      this.broker = null;
+    }
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+}
+
+MqttBroker.BRIDGE_USERNAME = BRIDGE_USERNAME;
+
+module.exports = MqttBroker;
@@ -0,0 +1,204 @@
+/* ===== MQTT Bridge Manager ===== */
+
+const mqtt = require('mqtt');
+const Boat = require('../models/Boat');
+const { ingestTopic, positionTopic, parsePositionPayload } = require('../utils/mqtt');
+
+class MqttBridgeManager {
+  /**
+   * @param {Object} options - { url, username, password, topicPrefix }
+   * @param {Object} [ingestion] - IngestionService (stores and broadcasts positions)
+   */
+  constructor(options, ingestion = null) {
+    this.url = options.url;
+    this.username = options.username || undefined;
+    this.password = options.password || undefined;
+    this.topicPrefix = options.topicPrefix || 'akz';
+    this.ingestion = ingestion;
+    this.client = null;
+    this.connected = false;
+    this.subscriptions = new Map(); // boatId -> ingestion topic
+    this.boatsByTopic = new Map(); // ingestion topic -> boatId
+  }
+
+  /**
+   * Connect to the broker and subscribe to the ingestion topic of every boat.
+   * The client reconnects (and resubscribes) on its own after connection loss.
+   */
+  async startAll() {
+    try {
+      this.client = mqtt.connect(this.url, {
+        username: this.username,
+        password: this.password,
+        reconnectPeriod: 5000,
+      });
+
+      this.client.on('connect', () => {
+        this.connected = true;
+        console.log(`MQTT bridge connected to ${this.url}`);
+      });
+      this.client.on('close', () => {
+        if (this.connected) console.log('MQTT bridge disconnected');
+        this.connected = false;
+      });
+      this.client.on('error', (err) => {
+        console.error('MQTT bridge error:', err.message);
+      });
+      this.client.on('message', (topic, payload) => {
+        this.handleMessage(topic, payload).catch((err) => {
+          console.error(`Error handling MQTT message on ${topic}:`, err.message);
+        });
+      });
+
+      const boats = await Boat.find().select('boatId mqttTopic');
+      for (const boat of boats) {
+        await this.startForBoat(boat);
+      }
+
+      console.log(`MQTT bridge started with ${this.subscriptions.size} subscription(s)`);
+    } catch (err) {
+      console.error('Error starting MQTT bridge:', err.message);
+    }
+  }
+
+  /**
+   * Subscribe to a boat's ingestion topic
+   * @param {Object|string} boatOrId - Boat object or boatId string
+   */
+  async startForBoat(boatOrId) {
+    try {
+      let boat = boatOrId;
+      if (typeof boatOrId === 'string') {
+        boat = await Boat.findOne({ boatId: boatOrId }).select('boatId mqttTopic');
+        if (!boat) {
+          console.error(`Boat ${boatOrId} not found`);
+          return;
+        }
+      }
+
+      this.stopForBoat(boat.boatId);
+
+      const topic = ingestTopic(this.topicPrefix, boat);
+      this.subscriptions.set(boat.boatId, topic);
+      this.boatsByTopic.set(topic, boat.boatId);
+      this.client.subscribe(topic, { qos: 1 }, (err) => {
+        if (err) console.error(`MQTT subscribe to ${topic} failed:`, err.message);
+      });
+    } catch (err) {
+      const boatId = typeof boatOrId === 'string' ? boatOrId : boatOrId.boatId;
+      console.error(`Error starting MQTT subscription for boat ${boatId}:`, err.message);
+    }
+  }
+
+  /**
+   * Unsubscribe from a boat's ingestion topic
+   */
+  stopForBoat(boatId) {
+    const topic = this.subscriptions.get(boatId);
+    if (!topic) return;
+
+    this.subscriptions.delete(boatId);
+    this.boatsByTopic.delete(topic);
+    if (this.client) this.client.unsubscribe(topic);
+  }
+
+  /**
+   * Resubscribe a boat (e.g., after its topic changed); unsubscribes deleted boats
+   */
+  async restartForBoat(boatId) {
+    try {
+      const boat = await Boat.findOne({ boatId }).select('boatId mqttTopic');
+      if (!boat) {
+        this.stopForBoat(boatId);
+        return;
+      }
+      await this.startForBoat(boat);
+    } catch (err) {
+      console.error(`Error restarting MQTT subscription for boat ${boatId}:`, err.message);
+    }
+  }
+
+  /**
+   * Store a position published by a boat and pass it on like any other source
+   */
+  async handleMessage(topic, payload) {
+    const boatId = this.boatsByTopic.get(topic);
+    if (!boatId) return;
+
+    const position = parsePositionPayload(payload);
+    if (position.error) {
+      console.warn(`Rejected MQTT position for ${boatId}: ${position.error}`);
+      await this.ingestion.log(boatId, 'mqtt', 'invalid', position.error);
+      return;
+    }
+
+    const boat = await Boat.findOne({ boatId });
+    if (!boat) return;
+
+    await this.ingestion.ingest(boat, position, 'mqtt');
+  }
+
+  /**
+   * Republish a saved position to <prefix>/<boatId>/position (retained, so new
+   * subscribers get the latest position right away)
+   * @param {Object} location - Broadcast payload
+   */
+  publishLocation(location) {
+    if (!this.client || !this.connected) return;
+
+    const payload = JSON.stringify({
+      boatId: location.boatId,
+      name: location.name,
+      mmsi: location.mmsi || undefined,
+      lat: location.lat,
+      lon: location.lon,
+      course: location.course,
+      speed: location.speed,
+      status: location.status,
+      source: location.source,
+      timestamp: new Date(location.timestamp || Date.now()).toISOString(),
+    });
+
+    this.client.publish(positionTopic(this.topicPrefix, location.boatId), payload, { qos: 0, retain: true }, (err) => {
+      if (err) console.error(`MQTT publish for ${location.boatId} failed:`, err.message);
+    });
+  }
+
+  /**
+   * Remove a boat's retained position, e.g. when it is no longer public
+   * @param {String} boatId
+   */
+  clearPosition(boatId) {
+    if (!this.client || !this.connected) return;
+
+    this.client.publish(positionTopic(this.topicPrefix, boatId), '', { qos: 0, retain: true }, (err) => {
+      if (err) console.error(`MQTT clear for ${boatId} failed:`, err.message);
+    });
+  }
+
+  /**
+   * Disconnect from the broker
+   */
+  async stopAll() {
+    this.subscriptions.clear();
+    this.boatsByTopic.clear();
+    if (this.client) {
+      await this.client.endAsync();
+      this.client = null;
+    }
+    this.connected = false;
+  }
+
+  /**
+   * Get bridge status
+   */
+  getStatus() {
+    return {
+      url: this.url,
+      connected: this.connected,
+      subscriptions: [...this.subscriptions.entries()].map(([boatId, topic]) => ({ boatId, topic })),
+    };
+  }
+}
+
+module.exports = MqttBridgeManager;
@@ -4,9 +4,9 @@ const NMEAListener = require('./nmea-listener');
 const Boat = require('../models/Boat');
 
 class NMEAListenerManager {
-  constructor(broadcastFunc = null) {
+  constructor(ingestion = null) {
     this.listeners = new Map(); // boatId -> NMEAListener instance
-    this.broadcastFunc = broadcastFunc;
+    this.ingestion = ingestion;
   }
 
   /**
@@ -39,7 +39,7 @@ class NMEAListenerManager {
       this.stopForBoat(boatId);
 
       // Create and start new listener
-      const listener = new NMEAListener(port, this.broadcastFunc);
+      const listener = new NMEAListener(port, this.ingestion);
       listener.start();
 
       this.listeners.set(boatId, listener);
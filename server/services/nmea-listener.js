@@ -2,15 +2,15 @@
 
 const net = require('net');
 const { parseSentence, extractPosition } = require('../utils/nmea');
-const Location = require('../models/Location');
+const { parseAIS } = require('../utils/ais');
 const Boat = require('../models/Boat');
 
 class NMEAListener {
-  constructor(port = 10110, broadcastFunc = null) {
+  constructor(port = 10110, ingestion = null) {
     this.port = port;
     this.server = null;
     this.clients = new Set();
-    this.broadcastFunc = broadcastFunc; // WebSocket broadcast function
+    this.ingestion = ingestion; // IngestionService (stores and broadcasts positions)
     
     // State accumulator per boat MMSI
     this.stateByMMSI = {};
@@ -23,6 +23,8 @@ class NMEAListener {
 
       // Buffer for incomplete sentences
       let buffer = '';
+      // Parts of multi-sentence AIS messages
+      const aisFragments = new Map();
 
       socket.on('data', (data) => {
         buffer += data.toString('utf-8');
@@ -33,7 +35,7 @@ class NMEAListener {
 
         lines.forEach(line => {
           if (line.trim()) {
-            this.processSentence(line.trim());
+            this.processSentence(line.trim(), aisFragments);
           }
         });
       });
@@ -69,8 +71,15 @@ class NMEAListener {
     }
   }
 
-  async processSentence(sentence) {
+  async processSentence(sentence, aisFragments = new Map()) {
     try {
+      // AIS (!AIVDM/!AIVDO): fleet boats and surrounding traffic
+      if (sentence.startsWith('!')) {
+        const message = parseAIS(sentence, aisFragments);
+        if (message) await this.ingestion.ingestAis(message);
+        return;
+      }
+
       const packet = parseSentence(sentence);
       if (!packet) return;
 
@@ -109,38 +118,9 @@ class NMEAListener {
         return;
       }
 
-      // Create location document
-      const location = await Location.create({
-        boatId: boat.boatId,
-        name: boat.name,
-        mmsi: boat.mmsi,
-        color: boat.color,
-        lat: position.lat,
-        lon: position.lon,
-        course: Math.round(position.course || 0),
-        speed: Math.round((position.speed || 0) * 10) / 10,
-        status: 'Under way',
-        source: 'nmea',
-        timestamp: position.timestamp || new Date(),
-      });
-
-      console.log(`Saved NMEA position for ${boat.name} (MMSI: ${boat.mmsi})`);
-
-      // Broadcast via WebSocket if available
-      if (this.broadcastFunc) {
-        this.broadcastFunc({
-          boatId: location.boatId,
-          name: location.name,
-          mmsi: location.mmsi,
-          color: location.color,
-          lat: location.lat,
-          lon: location.lon,
-          course: location.course,
-          speed: location.speed,
-          status: location.status,
-          source: location.source,
-          timestamp: location.timestamp,
-        });
+      const { location } = await this.ingestion.ingest(boat, position, 'nmea');
+      if (location) {
+        console.log(`Saved NMEA position for ${boat.name} (MMSI: ${boat.mmsi})`);
       }
     } catch (err) {
       console.error('Error saving NMEA position:', err.message);
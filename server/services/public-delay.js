@@ -0,0 +1,131 @@
+/* ===== Public Delay Service – time-shifted view for visitors who are not logged in ===== */
+
+const Expedition = require('../models/Expedition');
+
+// Delay settings are reloaded this often (and right after an expedition changes)
+const REFRESH_INTERVAL_MS = 60 * 1000;
+// How often held-back WebSocket messages are checked
+const FLUSH_INTERVAL_MS = 1000;
+
+class PublicDelayService {
+  /**
+   * @param {Function} sendFunc - sendPublic(type, data): deliver a held-back
+   *   message to the WebSocket clients that are not logged in
+   */
+  constructor(sendFunc) {
+    this.sendFunc = sendFunc;
+    this.expeditionDelays = new Map(); // expeditionId -> delay (ms)
+    this.boatDelays = new Map(); // boatId -> delay (ms), longest of its live expeditions
+    this.queue = []; // [{ due, type, data }], ordered by due
+    this.refreshTimer = null;
+    this.flushTimer = null;
+  }
+
+  async start() {
+    await this.refresh();
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(err => console.error('Public delay refresh failed:', err.message));
+    }, REFRESH_INTERVAL_MS);
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+  }
+
+  /**
+   * Reload the delays of live expeditions
+   */
+  async refresh() {
+    const expeditions = await Expedition.find({ live: true, publicDelayMinutes: { $gt: 0 } })
+      .select('expeditionId boatIds publicDelayMinutes')
+      .lean();
+
+    const expeditionDelays = new Map();
+    const boatDelays = new Map();
+    for (const exp of expeditions) {
+      const delayMs = exp.publicDelayMinutes * 60 * 1000;
+      expeditionDelays.set(exp.expeditionId, delayMs);
+      for (const boatId of exp.boatIds) {
+        boatDelays.set(boatId, Math.max(boatDelays.get(boatId) || 0, delayMs));
+      }
+    }
+    this.expeditionDelays = expeditionDelays;
+    this.boatDelays = boatDelays;
+  }
+
+  boatDelayMs(boatId) {
+    return this.boatDelays.get(boatId) || 0;
+  }
+
+  expeditionDelayMs(expeditionId) {
+    return this.expeditionDelays.get(expeditionId) || 0;
+  }
+
+  /**
+   * Location filter that hides positions visitors may not see yet
+   * @param {Number} [now]
+   * @returns {Object} - Empty when no boat is delayed
+   */
+  locationFilter(now = Date.now()) {
+    if (this.boatDelays.size === 0) return {};
+
+    const groups = new Map(); // delay (ms) -> boatIds
+    for (const [boatId, delayMs] of this.boatDelays) {
+      if (!groups.has(delayMs)) groups.set(delayMs, []);
+      groups.get(delayMs).push(boatId);
+    }
+
+    return {
+      $or: [
+        { boatId: { $nin: [...this.boatDelays.keys()] } },
+        ...[...groups].map(([delayMs, boatIds]) => ({
+          boatId: { $in: boatIds },
+          timestamp: { $lte: new Date(now - delayMs) },
+        })),
+      ],
+    };
+  }
+
+  /**
+   * How long visitors have to wait for a WebSocket message
+   * @param {String} type - Message type
+   * @param {Object} data - Message payload
+   * @returns {Number} - Delay in ms (0 = send now)
+   */
+  messageDelayMs(type, data) {
+    if (!data) return 0;
+    if (type === 'race-leaderboard') return this.expeditionDelayMs(data.expeditionId);
+    if (data.boatId) return this.boatDelayMs(data.boatId);
+    return 0;
+  }
+
+  /**
+   * Hold a message back for visitors
+   */
+  hold(type, data, delayMs) {
+    this.queue.push({ due: Date.now() + delayMs, type, data });
+    // Delays differ per expedition, so keep the queue ordered by due time
+    if (this.queue.length > 1 && this.queue[this.queue.length - 2].due > this.queue[this.queue.length - 1].due) {
+      this.queue.sort((a, b) => a.due - b.due);
+    }
+  }
+
+  /**
+   * Send the held-back messages that are due
+   */
+  flush() {
+    const now = Date.now();
+    let count = 0;
+    while (count < this.queue.length && this.queue[count].due <= now) count++;
+    if (count === 0) return;
+
+    for (const { type, data } of this.queue.splice(0, count)) {
+      this.sendFunc(type, data);
+    }
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    clearInterval(this.flushTimer);
+    this.queue = [];
+  }
+}
+
+module.exports = PublicDelayService;
@@ -0,0 +1,209 @@
+/* ===== Race Service – Mark roundings and live leaderboard for regattas ===== */
+
+const Expedition = require('../models/Expedition');
+const RaceProgress = require('../models/RaceProgress');
+const Location = require('../models/Location');
+const Boat = require('../models/Boat');
+const { createProgress, advanceProgress, buildLeaderboard } = require('../utils/race');
+
+// Delayed standings are replayed from the whole track, so visitors share one result this long
+const DELAYED_LEADERBOARD_TTL_MS = 60 * 1000;
+
+class RaceService {
+  constructor(broadcastFunc = null) {
+    this.broadcastFunc = broadcastFunc; // broadcast(type, data)
+    this.queues = new Map(); // boatId -> Promise, serialises progress updates per boat
+    this.delayedLeaderboards = new Map(); // expeditionId -> { time, rows: Promise }
+  }
+
+  /**
+   * Run a task after any pending work for the same boat
+   */
+  enqueue(boatId, task) {
+    const previous = this.queues.get(boatId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(task);
+
+    this.queues.set(boatId, next);
+    next.finally(() => {
+      if (this.queues.get(boatId) === next) {
+        this.queues.delete(boatId);
+      }
+    }).catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * Advance race progress with a freshly stored location
+   * @param {Object} location - Broadcast payload ({ boatId, name, color, lat, lon, timestamp })
+   * @returns {Promise<Array>} - Passages (start, mark roundings, finish) made by this location
+   */
+  checkLocation(location) {
+    return this.enqueue(location.boatId, () => this.processLocation(location));
+  }
+
+  async processLocation(location) {
+    const timestamp = new Date(location.timestamp || Date.now());
+    const expeditions = await this.findRaces(location.boatId, timestamp);
+    const allPassages = [];
+
+    for (const expedition of expeditions) {
+      let progress = await RaceProgress.findOne({ expeditionId: expedition.expeditionId, boatId: location.boatId });
+      if (!progress) {
+        progress = new RaceProgress({ expeditionId: expedition.expeditionId, boatId: location.boatId });
+      }
+
+      // Ignore positions older than what we already evaluated (e.g. replayed offline queues)
+      if (progress.lastTimestamp && timestamp <= progress.lastTimestamp) continue;
+
+      progress.boatName = location.name || progress.boatName;
+      progress.color = location.color || progress.color;
+      const passages = advanceProgress(
+        expedition.race,
+        progress,
+        { lat: location.lat, lon: location.lon, timestamp },
+        this.startTime(expedition)
+      );
+      await progress.save();
+
+      passages.forEach((p) => {
+        console.log(`Race ${expedition.expeditionId}: ${progress.boatName || progress.boatId} passed ${p.name}`);
+      });
+      allPassages.push(...passages.map(p => ({ ...p, expeditionId: expedition.expeditionId })));
+
+      if (this.broadcastFunc) {
+        this.broadcastFunc('race-leaderboard', {
+          expeditionId: expedition.expeditionId,
+          leaderboard: await this.getLeaderboard(expedition),
+          passages: passages.map(p => ({ ...p, boatId: progress.boatId, boatName: progress.boatName })),
+        });
+      }
+    }
+
+    return allPassages;
+  }
+
+  /**
+   * Current leaderboard for an expedition with a race; boats without any
+   * position yet are listed as not started.
+   */
+  async getLeaderboard(expedition) {
+    const progress = await RaceProgress.find({ expeditionId: expedition.expeditionId }).lean();
+    return this.leaderboardFrom(expedition, progress);
+  }
+
+  /**
+   * Leaderboard as it stood delayMs ago, for visitors of an expedition with a
+   * public delay. Replayed from stored positions and cached per expedition.
+   */
+  getDelayedLeaderboard(expedition, delayMs) {
+    const cached = this.delayedLeaderboards.get(expedition.expeditionId);
+    if (cached && Date.now() - cached.time < DELAYED_LEADERBOARD_TTL_MS) return cached.rows;
+
+    const until = new Date(Date.now() - delayMs);
+    const rows = Promise.all(expedition.boatIds.map(boatId => this.replayProgress(expedition, boatId, until)))
+      .then(results => this.leaderboardFrom(
+        expedition,
+        results.filter(r => r.points > 0).map(r => r.progress.toObject())
+      ));
+    rows.catch(() => this.delayedLeaderboards.delete(expedition.expeditionId));
+    this.delayedLeaderboards.set(expedition.expeditionId, { time: Date.now(), rows });
+    return rows;
+  }
+
+  /**
+   * Leaderboard rows from progress entries; boats without any are listed as not started
+   */
+  async leaderboardFrom(expedition, progress) {
+    const known = new Set(progress.map(p => p.boatId));
+    const missing = expedition.boatIds.filter(id => !known.has(id));
+
+    if (missing.length) {
+      const boats = await Boat.find({ boatId: { $in: missing } }).select('boatId name color').lean();
+      boats.forEach((boat) => {
+        progress.push({ ...createProgress(), boatId: boat.boatId, boatName: boat.name, color: boat.color });
+      });
+    }
+
+    return buildLeaderboard(expedition.race, progress.filter(p => expedition.boatIds.includes(p.boatId)));
+  }
+
+  /**
+   * Rebuild progress for every boat from stored positions, e.g. after the course was edited.
+   * Live updates for a boat wait until its replay is done.
+   */
+  async recompute(expedition) {
+    this.delayedLeaderboards.delete(expedition.expeditionId);
+    await RaceProgress.deleteMany({ expeditionId: expedition.expeditionId });
+    if (!expedition.race) return;
+
+    await Promise.all(expedition.boatIds.map(boatId =>
+      this.enqueue(boatId, () => this.replayBoat(expedition, boatId))
+    ));
+    console.log(`Race ${expedition.expeditionId}: progress recomputed for ${expedition.boatIds.length} boat(s)`);
+  }
+
+  async replayBoat(expedition, boatId) {
+    const { progress, points } = await this.replayProgress(expedition, boatId);
+    if (points > 0) await progress.save();
+  }
+
+  /**
+   * Progress of a boat from its stored positions, optionally only up to a moment
+   * @returns {Promise<Object>} - { progress (unsaved RaceProgress), points }
+   */
+  async replayProgress(expedition, boatId, until = null) {
+    const filter = {
+      boatId,
+      outlier: null,
+      primary: { $ne: false },
+      timestamp: { $gte: expedition.startDate },
+    };
+    if (expedition.endDate) {
+      filter.timestamp.$lte = expedition.endDate;
+    }
+    if (until && (!filter.timestamp.$lte || filter.timestamp.$lte > until)) {
+      filter.timestamp.$lte = until;
+    }
+
+    const progress = new RaceProgress({ expeditionId: expedition.expeditionId, boatId });
+    const startTime = this.startTime(expedition);
+    const cursor = Location.find(filter)
+      .sort({ timestamp: 1 })
+      .select('name color lat lon timestamp')
+      .lean()
+      .cursor();
+
+    let points = 0;
+    for await (const loc of cursor) {
+      progress.boatName = loc.name || progress.boatName;
+      progress.color = loc.color || progress.color;
+      advanceProgress(expedition.race, progress, loc, startTime);
+      points++;
+    }
+
+    return { progress, points };
+  }
+
+  startTime(expedition) {
+    return expedition.race.startTime || expedition.startDate;
+  }
+
+  /**
+   * Expeditions with a race that include the boat and are running at the given time
+   */
+  async findRaces(boatId, timestamp) {
+    return Expedition.find({
+      boatIds: boatId,
+      race: { $ne: null },
+      startDate: { $lte: timestamp },
+      $or: [{ endDate: null }, { endDate: { $gte: timestamp } }],
+    })
+      .select('expeditionId boatIds startDate endDate race')
+      .lean();
+  }
+}
+
+module.exports = RaceService;
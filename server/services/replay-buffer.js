@@ -0,0 +1,55 @@
+/* ===== Replay Buffer – recent WebSocket messages for clients that reconnect ===== */
+
+const crypto = require('crypto');
+
+// Reconnecting clients further behind than this get a full refresh instead
+const MAX_ENTRIES = 2000;
+const MAX_AGE_MS = 10 * 60 * 1000;
+
+class ReplayBuffer {
+  constructor() {
+    // Sequence numbers restart with the process; the stream id tells clients
+    // that their cursor belongs to an earlier run
+    this.streamId = crypto.randomBytes(6).toString('hex');
+    this.seq = 0;
+    this.entries = []; // [{ seq, type, data, audience, time, json? }], ascending seq
+  }
+
+  /**
+   * Number the next message and keep it for replay
+   * @param {Object} message - { type, data, audience }
+   * @returns {Object} - Stored entry with its seq
+   */
+  add(message) {
+    const entry = { ...message, seq: ++this.seq, time: Date.now() };
+    this.entries.push(entry);
+    this.prune(entry.time);
+    return entry;
+  }
+
+  prune(now = Date.now()) {
+    let drop = Math.max(0, this.entries.length - MAX_ENTRIES);
+    while (drop < this.entries.length && now - this.entries[drop].time > MAX_AGE_MS) drop++;
+    if (drop > 0) this.entries.splice(0, drop);
+  }
+
+  /**
+   * Messages after a client's cursor
+   * @param {String} streamId - Stream the cursor belongs to
+   * @param {Number} seq - Last sequence number the client received
+   * @returns {Array<Object>|null} - Entries after seq, or null when the gap
+   *   can't be filled (other stream, unknown or dropped sequence numbers)
+   */
+  since(streamId, seq) {
+    if (streamId !== this.streamId || !Number.isInteger(seq) || seq < 0 || seq > this.seq) return null;
+
+    this.prune();
+    // Oldest kept entry must directly follow the cursor, otherwise messages were dropped
+    const oldest = this.entries.length ? this.entries[0].seq : this.seq + 1;
+    if (seq + 1 < oldest) return null;
+
+    return this.entries.filter(entry => entry.seq > seq);
+  }
+}
+
+module.exports = ReplayBuffer;
@@ -4,11 +4,11 @@ const SignalKService = require('./signalk');
 const Boat = require('../models/Boat');
 
 class SignalKServiceManager {
-  constructor(baseUrl, token, broadcastFunc = null) {
+  constructor(baseUrl, token, ingestion = null) {
     this.baseUrl = baseUrl;
     this.token = token;
     this.services = new Map(); // boatId -> SignalKService instance
-    this.broadcastFunc = broadcastFunc;
+    this.ingestion = ingestion;
   }
 
   /**
@@ -82,7 +82,7 @@ class SignalKServiceManager {
       }
 
       // Create and start new service
-      const service = new SignalKService(url, token, this.broadcastFunc);
+      const service = new SignalKService(url, token, this.ingestion);
       await service.start();
 
       this.services.set(boat.boatId, service);
@@ -1,17 +1,30 @@
 /* ===== SignalK Client Service ===== */
 
 const SignalKClient = require('@signalk/client');
-const Location = require('../models/Location');
 const Boat = require('../models/Boat');
 
+// navigation.gnss.methodQuality to Location.fixType
+const SIGNALK_FIX_TYPES = {
+  'no GPS': 'none',
+  'GNSS Fix': 'gps',
+  'DGNSS fix': 'dgps',
+  'Precise GNSS': 'gps',
+  'RTK fixed integer': 'rtk',
+  'RTK float': 'rtk',
+  'Estimated (DR) mode': 'estimated',
+  'Manual input': 'estimated',
+  'Simulator mode': 'estimated',
+};
+
 class SignalKService {
-  constructor(url, token, broadcastFunc = null) {
+  constructor(url, token, ingestion = null) {
     this.url = url;
     this.token = token;
     this.client = null;
-    this.broadcastFunc = broadcastFunc; // WebSocket broadcast function
+    this.ingestion = ingestion; // IngestionService (stores and broadcasts positions)
     this.connected = false;
     this.boatsByMMSI = {}; // Cache of boats indexed by MMSI
+    this.gnssByMMSI = {}; // Latest fix quality per vessel (arrives in its own deltas)
   }
 
   async start() {
@@ -79,6 +92,10 @@ class SignalKService {
           path: 'navigation.speedOverGround',
           period: 1000,
         },
+        {
+          path: 'navigation.gnss.*',
+          period: 1000,
+        },
       ],
     };
 
@@ -108,6 +125,10 @@ class SignalKService {
         return;
       }
 
+      // Fix quality is kept until the next position arrives
+      const gnss = this.gnssByMMSI[mmsi] || (this.gnssByMMSI[mmsi] = {});
+      this.updateGnssFromDelta(delta, gnss);
+
       // Extract position data from delta
       const position = this.extractPositionFromDelta(delta);
       if (!position) return;
@@ -115,17 +136,36 @@ class SignalKService {
       // Save location to database
       await this.savePosition({
         ...position,
+        ...gnss,
         mmsi,
         boatId: boat.boatId,
         boatName: boat.name,
         boatColor: boat.color,
-      });
+      }, boat);
 
     } catch (err) {
       console.error('Error handling SignalK delta:', err.message);
     }
   }
 
+  updateGnssFromDelta(delta, gnss) {
+    (delta.updates || []).forEach(update => {
+      (update.values || []).forEach(value => {
+        switch (value.path) {
+          case 'navigation.gnss.horizontalDilution':
+            gnss.hdop = value.value;
+            break;
+          case 'navigation.gnss.satellites':
+            gnss.satellites = value.value;
+            break;
+          case 'navigation.gnss.methodQuality':
+            gnss.fixType = SIGNALK_FIX_TYPES[value.value] || null;
+            break;
+        }
+      });
+    });
+  }
+
   extractPositionFromDelta(delta) {
     if (!delta.updates || delta.updates.length === 0) return null;
 
@@ -179,39 +219,11 @@ class SignalKService {
     return null;
   }
 
-  async savePosition(data) {
+  async savePosition(data, boat) {
     try {
-      const location = await Location.create({
-        boatId: data.boatId,
-        name: data.boatName,
-        mmsi: data.mmsi,
-        color: data.boatColor,
-        lat: data.lat,
-        lon: data.lon,
-        course: Math.round(data.course || 0),
-        speed: Math.round((data.speed || 0) * 10) / 10,
-        status: 'Under way',
-        source: 'signalk',
-        timestamp: data.timestamp,
-      });
-
-      console.log(`Saved SignalK position for ${data.boatName} (MMSI: ${data.mmsi})`);
-
-      // Broadcast via WebSocket if available
-      if (this.broadcastFunc) {
-        this.broadcastFunc({
-          boatId: location.boatId,
-          name: location.name,
-          mmsi: location.mmsi,
-          color: location.color,
-          lat: location.lat,
-          lon: location.lon,
-          course: location.course,
-          speed: location.speed,
-          status: location.status,
-          source: location.source,
-          timestamp: location.timestamp,
-        });
+      const { location } = await this.ingestion.ingest(boat, data, 'signalk');
+      if (location) {
+        console.log(`Saved SignalK position for ${data.boatName} (MMSI: ${data.mmsi})`);
       }
     } catch (err) {
       console.error('Error saving SignalK position:', err.message);
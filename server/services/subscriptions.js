@@ -0,0 +1,61 @@
+/* ===== Subscription Service – which WebSocket client gets which message ===== */
+
+const Expedition = require('../models/Expedition');
+const { topicsReceive } = require('../utils/subscriptions');
+
+// Expedition boat lists are reloaded this often (and right after an expedition changes)
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+class SubscriptionService {
+  constructor() {
+    this.expeditionBoats = new Map(); // expeditionId -> [boatId]
+    this.refreshTimer = null;
+  }
+
+  async start() {
+    await this.refresh();
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(err => console.error('Subscription refresh failed:', err.message));
+    }, REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * Reload the boats of every expedition
+   */
+  async refresh() {
+    const expeditions = await Expedition.find().select('expeditionId boatIds').lean();
+    this.expeditionBoats = new Map(expeditions.map(exp => [exp.expeditionId, exp.boatIds]));
+  }
+
+  /**
+   * Whether a client with the given topics receives a message
+   * @param {Set<String>} topics - Client's topics
+   * @param {String} type - Message type
+   * @param {Object} data - Message payload
+   * @returns {Boolean}
+   */
+  receives(topics, type, data) {
+    return topicsReceive(topics, type, data, id => this.expeditionBoats.get(id));
+  }
+
+  /**
+   * Whether a client follows a boat through one of its expedition topics
+   * @param {Set<String>} topics - Client's topics
+   * @param {String} boatId
+   * @returns {Boolean}
+   */
+  followsViaExpedition(topics, boatId) {
+    for (const topic of topics) {
+      if (!topic.startsWith('expedition:')) continue;
+      const boatIds = this.expeditionBoats.get(topic.slice('expedition:'.length));
+      if (boatIds && boatIds.includes(boatId)) return true;
+    }
+    return false;
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+  }
+}
+
+module.exports = SubscriptionService;
@@ -0,0 +1,56 @@
+/* ===== Visibility Service – boat visibility for reads, exports and the WebSocket feed ===== */
+
+const Boat = require('../models/Boat');
+const { canSeeBoat } = require('../utils/visibility');
+
+// Visibility settings are reloaded this often (and right after a boat changes)
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+class VisibilityService {
+  constructor() {
+    this.restricted = new Map(); // boatId -> { visibility, owner } of non-public boats
+    this.refreshTimer = null;
+  }
+
+  async start() {
+    await this.refresh();
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(err => console.error('Visibility refresh failed:', err.message));
+    }, REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * Reload the boats that are not public
+   */
+  async refresh() {
+    const boats = await Boat.find({ visibility: { $in: ['expedition', 'private'] } })
+      .select('boatId visibility owner')
+      .lean();
+    this.restricted = new Map(boats.map(b => [b.boatId, { visibility: b.visibility, owner: b.owner }]));
+  }
+
+  /**
+   * Whether a user may see a boat (boats without settings are public)
+   * @param {String} boatId
+   * @param {Object|null} user - { username, role } or null
+   * @param {Boolean} [inExpedition=false] - Seen as part of one of the boat's expeditions
+   * @returns {Boolean}
+   */
+  canSee(boatId, user, inExpedition = false) {
+    return canSeeBoat(this.restricted.get(boatId), user, inExpedition);
+  }
+
+  /**
+   * Boats a user may not see, for read filters
+   * @returns {Array<String>}
+   */
+  hiddenBoatIds(user, inExpedition = false) {
+    return [...this.restricted.keys()].filter(boatId => !this.canSee(boatId, user, inExpedition));
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+  }
+}
+
+module.exports = VisibilityService;
@@ -0,0 +1,409 @@
+/* ===== AIS Utilities – Decode and encode AIVDM/AIVDO sentences ===== */
+
+// Boat.ais: how a fleet boat is sent in the AIS output feed
+const AIS_MESSAGE_CLASSES = ['A', 'B'];
+const DEFAULT_AIS_SETTINGS = {
+  messageClass: 'B',
+  shipType: null,
+  callsign: '',
+};
+
+// Location.status to AIS navigational status (15 = not defined)
+const NAV_STATUS = {
+  'Under way': 0,
+  'At anchor': 1,
+  'Moored': 5,
+};
+const NAV_STATUS_SAILING = 8;
+const SHIP_TYPE_SAILING = 36;
+
+// Fragments of multi-sentence messages are dropped after this long
+const FRAGMENT_TIMEOUT_MS = 10 * 1000;
+
+// AIS ship type (first digit for 20–99) to a short category for the map
+const SHIP_TYPE_CATEGORIES = {
+  2: 'Wing in ground',
+  4: 'High speed craft',
+  6: 'Passenger',
+  7: 'Cargo',
+  8: 'Tanker',
+};
+const SPECIAL_SHIP_TYPES = {
+  30: 'Fishing',
+  31: 'Towing',
+  32: 'Towing',
+  33: 'Dredging',
+  34: 'Diving',
+  35: 'Military',
+  36: 'Sailing',
+  37: 'Pleasure craft',
+  50: 'Pilot',
+  51: 'Search and rescue',
+  52: 'Tug',
+  53: 'Port tender',
+  55: 'Law enforcement',
+  58: 'Medical transport',
+};
+
+/**
+ * Check the "*hh" checksum of an NMEA sentence
+ * @param {String} sentence - e.g. "!AIVDM,1,1,,A,...,0*5C"
+ * @returns {Boolean}
+ */
+function hasValidChecksum(sentence) {
+  const star = sentence.lastIndexOf('*');
+  if (star === -1) return false;
+  return checksum(sentence.slice(1, star)) === sentence.slice(star + 1, star + 3).toUpperCase();
+}
+
+/**
+ * Unpack the 6-bit armoured payload into a bit string
+ * @param {String} payload
+ * @param {Number} fillBits - Padding bits at the end
+ * @returns {String|null} - '0'/'1' characters, or null for invalid characters
+ */
+function payloadBits(payload, fillBits) {
+  let bits = '';
+  for (const char of payload) {
+    let value = char.charCodeAt(0) - 48;
+    if (value > 40) value -= 8;
+    if (value < 0 || value > 63) return null;
+    bits += value.toString(2).padStart(6, '0');
+  }
+  return fillBits > 0 ? bits.slice(0, -fillBits) : bits;
+}
+
+function uint(bits, start, length) {
+  if (bits.length < start + length) return null;
+  return parseInt(bits.substr(start, length), 2);
+}
+
+function int(bits, start, length) {
+  const value = uint(bits, start, length);
+  if (value === null) return null;
+  return value >= 2 ** (length - 1) ? value - 2 ** length : value;
+}
+
+// 6-bit ASCII text; '@' pads unused characters
+function text(bits, start, length) {
+  let result = '';
+  for (let i = start; i + 6 <= Math.min(start + length, bits.length); i += 6) {
+    const code = uint(bits, i, 6);
+    result += String.fromCharCode(code < 32 ? code + 64 : code);
+  }
+  return result.replace(/@.*$/, '').trim() || null;
+}
+
+/**
+ * Position fields shared by class A and class B reports. Values AIS uses for
+ * "not available" become null.
+ */
+function position(bits, { lon, lat, sog, cog, heading }) {
+  const lonValue = int(bits, lon, 28);
+  const latValue = int(bits, lat, 27);
+  const sogValue = uint(bits, sog, 10);
+  const cogValue = uint(bits, cog, 12);
+  const headingValue = uint(bits, heading, 9);
+
+  const result = {
+    lat: latValue / 600000,
+    lon: lonValue / 600000,
+    speed: sogValue === null || sogValue === 1023 ? null : sogValue / 10,
+    course: cogValue === null || cogValue >= 3600 ? null : cogValue / 10,
+    heading: headingValue === null || headingValue === 511 ? null : headingValue,
+  };
+  if (lonValue === null || latValue === null ||
+      Math.abs(result.lat) > 90 || Math.abs(result.lon) > 180) {
+    result.lat = null;
+    result.lon = null;
+  }
+  return result;
+}
+
+/**
+ * Decode the bits of one AIS message: position reports (class A 1/2/3,
+ * class B 18/19) and static data (class A 5, class B 24)
+ * @param {String} bits - From payloadBits()
+ * @returns {Object|null} - { type, mmsi, lat?, lon?, speed?, course?, heading?,
+ *   navStatus?, name?, callsign?, shipType? } or null for unsupported types
+ */
+function decodeMessage(bits) {
+  const type = uint(bits, 0, 6);
+  const mmsi = uint(bits, 8, 30);
+  if (!type || !mmsi) return null;
+
+  const message = { type, mmsi: String(mmsi).padStart(9, '0') };
+
+  switch (type) {
+    case 1:
+    case 2:
+    case 3:
+      if (bits.length < 137) return null;
+      return {
+        ...message,
+        navStatus: uint(bits, 38, 4),
+        ...position(bits, { sog: 50, lon: 61, lat: 89, cog: 116, heading: 128 }),
+      };
+
+    case 18:
+      if (bits.length < 133) return null;
+      return { ...message, ...position(bits, { sog: 46, lon: 57, lat: 85, cog: 112, heading: 124 }) };
+
+    case 19:
+      if (bits.length < 271) return null;
+      return {
+        ...message,
+        ...position(bits, { sog: 46, lon: 57, lat: 85, cog: 112, heading: 124 }),
+        name: text(bits, 143, 120),
+        shipType: uint(bits, 263, 8) || null,
+      };
+
+    case 5:
+      if (bits.length < 240) return null;
+      return {
+        ...message,
+        callsign: text(bits, 70, 42),
+        name: text(bits, 112, 120),
+        shipType: uint(bits, 232, 8) || null,
+      };
+
+    case 24: {
+      const part = uint(bits, 38, 2);
+      if (part === 0 && bits.length >= 160) {
+        return { ...message, name: text(bits, 40, 120) };
+      }
+      if (part === 1 && bits.length >= 132) {
+        return { ...message, shipType: uint(bits, 40, 8) || null, callsign: text(bits, 90, 42) };
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse an AIVDM (other vessels) or AIVDO (own vessel) sentence. Parts of
+ * multi-sentence messages are collected in `fragments` until complete.
+ * @param {String} sentence - e.g. "!AIVDM,1,1,,A,13u?etPv2;0n:dDPwUM1U1Cb069D,0*24"
+ * @param {Map} [fragments] - Per-connection state for multi-sentence messages
+ * @returns {Object|null} - Decoded message (see decodeMessage) or null
+ */
+function parseAIS(sentence, fragments = new Map()) {
+  const trimmed = sentence.trim();
+  if (!/^!..VD[MO],/.test(trimmed) || !hasValidChecksum(trimmed)) return null;
+
+  const fields = trimmed.slice(0, trimmed.lastIndexOf('*')).split(',');
+  if (fields.length < 7) return null;
+  const total = parseInt(fields[1], 10);
+  const number = parseInt(fields[2], 10);
+  const sequence = fields[3];
+  const channel = fields[4];
+  const payload = fields[5];
+  const fillBits = parseInt(fields[6], 10) || 0;
+  if (!(total >= 1) || !(number >= 1 && number <= total)) return null;
+
+  let fullPayload = payload;
+  if (total > 1) {
+    const key = `${sequence}:${channel}`;
+    const now = Date.now();
+    for (const [k, f] of fragments) {
+      if (now - f.receivedAt > FRAGMENT_TIMEOUT_MS) fragments.delete(k);
+    }
+
+    if (number === 1) {
+      fragments.set(key, { parts: [payload], total, receivedAt: now });
+      return null;
+    }
+    const fragment = fragments.get(key);
+    if (!fragment || fragment.total !== total || fragment.parts.length !== number - 1) {
+      fragments.delete(key);
+      return null;
+    }
+    fragment.parts.push(payload);
+    if (number < total) return null;
+
+    fragments.delete(key);
+    fullPayload = fragment.parts.join('');
+  }
+
+  const bits = payloadBits(fullPayload, fillBits);
+  return bits ? decodeMessage(bits) : null;
+}
+
+/**
+ * Calculate the "*hh" checksum of an NMEA sentence body
+ * @param {String} body - Sentence without the leading '!' and the checksum
+ * @returns {String} - Two hex digits
+ */
+function checksum(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) sum ^= body.charCodeAt(i);
+  return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+// Unsigned (or two's complement) field of `length` bits
+function field(value, length) {
+  const n = Math.round(value);
+  return (n < 0 ? 2 ** length + n : n).toString(2).padStart(length, '0').slice(-length);
+}
+
+// 6-bit ASCII text, padded with '@'; characters AIS can't carry become spaces
+function textField(value, chars) {
+  let bits = '';
+  const upper = String(value || '').toUpperCase().slice(0, chars).padEnd(chars, '@');
+  for (const char of upper) {
+    let code = char.charCodeAt(0);
+    if (code < 32 || code > 95) code = 32;
+    bits += field(code >= 64 ? code - 64 : code, 6);
+  }
+  return bits;
+}
+
+/**
+ * Armour a message and wrap it in AIVDM sentences (multi-sentence if needed)
+ * @param {String} bits - Message bits
+ * @param {String} [channel] - Radio channel 'A' or 'B'
+ * @returns {Array<String>}
+ */
+function toSentences(bits, channel = 'A') {
+  const fillBits = (6 - (bits.length % 6)) % 6;
+  const padded = bits + '0'.repeat(fillBits);
+  let payload = '';
+  for (let i = 0; i < padded.length; i += 6) {
+    const value = parseInt(padded.substr(i, 6), 2);
+    payload += String.fromCharCode(value < 40 ? value + 48 : value + 56);
+  }
+
+  // 60 characters keep each sentence within the 82-character NMEA limit
+  const chunks = payload.match(/.{1,60}/g);
+  return chunks.map((chunk, i) => {
+    const last = i === chunks.length - 1;
+    const sequence = chunks.length > 1 ? '1' : '';
+    const body = `AIVDM,${chunks.length},${i + 1},${sequence},${channel},${chunk},${last ? fillBits : 0}`;
+    return `!${body}*${checksum(body)}`;
+  });
+}
+
+/**
+ * Whether an MMSI can be sent over AIS (nine digits)
+ * @param {String} mmsi
+ * @returns {Boolean}
+ */
+function isValidMmsi(mmsi) {
+  return /^\d{9}$/.test(String(mmsi || ''));
+}
+
+/**
+ * AIS output settings of a boat, with defaults for missing values
+ * @param {Object} [boat] - Boat document
+ * @returns {Object} - { messageClass, shipType, callsign }
+ */
+function aisSettings(boat) {
+  const settings = (boat && boat.ais) || {};
+  return {
+    messageClass: settings.messageClass || DEFAULT_AIS_SETTINGS.messageClass,
+    shipType: settings.shipType != null ? settings.shipType : DEFAULT_AIS_SETTINGS.shipType,
+    callsign: settings.callsign || DEFAULT_AIS_SETTINGS.callsign,
+  };
+}
+
+/**
+ * Validate AIS settings from a request body; only given fields are returned
+ * @param {Object} input - { messageClass?, shipType?, callsign? }
+ * @returns {Object} - { settings } or { error }
+ */
+function parseAisSettings(input) {
+  if (!input || typeof input !== 'object') return { error: 'ais must be an object' };
+
+  const settings = {};
+  if (input.messageClass !== undefined) {
+    if (!AIS_MESSAGE_CLASSES.includes(input.messageClass)) return { error: "ais.messageClass must be 'A' or 'B'" };
+    settings.messageClass = input.messageClass;
+  }
+  if (input.shipType !== undefined) {
+    const shipType = input.shipType === null || input.shipType === '' ? null : Number(input.shipType);
+    if (shipType !== null && !(Number.isInteger(shipType) && shipType >= 1 && shipType <= 99)) {
+      return { error: 'ais.shipType must be a whole number between 1 and 99' };
+    }
+    settings.shipType = shipType;
+  }
+  if (input.callsign !== undefined) {
+    const callsign = String(input.callsign || '').trim().toUpperCase();
+    if (!/^[A-Z0-9 ]{0,7}$/.test(callsign)) return { error: 'ais.callsign must be up to 7 letters or digits' };
+    settings.callsign = callsign;
+  }
+  return { settings };
+}
+
+/**
+ * Encode a position as a class A (type 1) or class B (type 18) position report
+ * @param {Object} location - { mmsi, lat, lon, speed, course, status?, timestamp? }
+ * @param {Object} settings - From aisSettings()
+ * @returns {Array<String>} - AIVDM sentences
+ */
+function encodePositionReport(location, settings) {
+  const speed = location.speed != null ? Math.min(location.speed * 10, 1022) : 1023;
+  const course = location.course != null ? (location.course % 360) * 10 : 3600;
+  const second = location.timestamp ? new Date(location.timestamp).getUTCSeconds() : 60;
+  const position = field(Math.max(0, speed), 10) + '0' + // SOG, accuracy
+    field(location.lon * 600000, 28) + field(location.lat * 600000, 27) +
+    field(course, 12) + field(511, 9) + field(second, 6); // COG, no heading, UTC second
+
+  let bits;
+  if (settings.messageClass === 'A') {
+    let navStatus = NAV_STATUS[location.status];
+    if (navStatus == null) navStatus = 15;
+    if (navStatus === 0 && settings.shipType === SHIP_TYPE_SAILING) navStatus = NAV_STATUS_SAILING;
+    bits = field(1, 6) + field(0, 2) + field(Number(location.mmsi), 30) +
+      field(navStatus, 4) + field(-128, 8) + position + // rate of turn not available
+      field(0, 2) + field(0, 3) + '0' + field(0, 19); // manoeuvre, spare, RAIM, radio
+  } else {
+    bits = field(18, 6) + field(0, 2) + field(Number(location.mmsi), 30) + field(0, 8) +
+      position + field(0, 2) +
+      '1000000' + field(0, 20); // CS unit, no display/DSC/band/msg 22, unassigned, no RAIM; radio
+  }
+  return toSentences(bits);
+}
+
+/**
+ * Encode a boat's static data as type 24 part A (name) and part B (ship
+ * type, call sign) reports
+ * @param {Object} boat - { mmsi, name }
+ * @param {Object} settings - From aisSettings()
+ * @returns {Array<String>} - AIVDM sentences
+ */
+function encodeStaticReport(boat, settings) {
+  const header = field(24, 6) + field(0, 2) + field(Number(boat.mmsi), 30);
+  const partA = header + field(0, 2) + textField(boat.name, 20);
+  const partB = header + field(1, 2) + field(settings.shipType || 0, 8) +
+    textField('', 7) + textField(settings.callsign, 7) + // vendor ID, call sign
+    field(0, 30) + field(0, 6); // dimensions unknown, spare
+  return [...toSentences(partA), ...toSentences(partB)];
+}
+
+/**
+ * Short description of an AIS ship type code
+ * @param {Number|null} shipType
+ * @returns {String|null}
+ */
+function shipTypeCategory(shipType) {
+  if (!shipType) return null;
+  if (SPECIAL_SHIP_TYPES[shipType]) return SPECIAL_SHIP_TYPES[shipType];
+  if (shipType >= 20 && shipType < 100) return SHIP_TYPE_CATEGORIES[Math.floor(shipType / 10)] || 'Other';
+  return null;
+}
+
+module.exports = {
+  AIS_MESSAGE_CLASSES,
+  DEFAULT_AIS_SETTINGS,
+  parseAIS,
+  decodeMessage,
+  shipTypeCategory,
+  isValidMmsi,
+  aisSettings,
+  parseAisSettings,
+  encodePositionReport,
+  encodeStaticReport,
+};
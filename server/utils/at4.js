@@ -15,9 +15,52 @@
 
 const AT4_PROTOCOL = {
   LOGIN: 0x01,
+  LOCATION_LEGACY: 0x12,
+  COMMAND_REPLY: 0x15,
+  ALARM_LEGACY: 0x16,
+  ADDRESS_REQUEST: 0x1A,
+  COMMAND_REPLY_EXT: 0x21,
   LOCATION: 0x22,
   ALARM: 0x27,
   HEARTBEAT: 0x23,
+  ONLINE_COMMAND: 0x80,
+  TIME_REQUEST: 0x8A,
+  INFO: 0x94,
+};
+
+/**
+ * Information types carried in information transmission packets (0x94)
+ */
+const AT4_INFO_TYPES = {
+  0x00: 'external-voltage',
+  0x04: 'status-sync',
+  0x05: 'door-status',
+  0x0A: 'iccid',
+};
+
+/**
+ * Online command presets: build(params) returns the ASCII command or null when params are invalid
+ */
+const AT4_COMMAND_PRESETS = {
+  interval: {
+    label: 'Set upload interval',
+    build: ({ seconds }) => {
+      const s = parseInt(seconds, 10);
+      return s >= 5 && s <= 18000 ? `TIMER,${s}#` : null;
+    },
+  },
+  position: {
+    label: 'Request position',
+    build: () => 'WHERE#',
+  },
+  status: {
+    label: 'Request status',
+    build: () => 'STATUS#',
+  },
+  reboot: {
+    label: 'Reboot device',
+    build: () => 'RESET#',
+  },
 };
 
 /**
@@ -74,6 +117,36 @@ function calculateCRC16(buffer, start, end) {
   return (~crc) & 0xFFFF;  // Negate and mask to 16-bit
 }
 
+/**
+ * Frame layout of a packet: 0x7878 frames have a 1-byte length,
+ * extended 0x7979 frames a 2-byte length
+ * @param {Buffer} buffer - Packet buffer
+ * @returns {Object|null} - { extended, protocolNumber, contentOffset } or null for unknown start bits
+ */
+function getFrameHeader(buffer) {
+  if (buffer.length < 5) return null;
+  if (buffer[0] === 0x78 && buffer[1] === 0x78) {
+    return { extended: false, protocolNumber: buffer[3], contentOffset: 4 };
+  }
+  if (buffer[0] === 0x79 && buffer[1] === 0x79) {
+    return { extended: true, protocolNumber: buffer[4], contentOffset: 5 };
+  }
+  return null;
+}
+
+/**
+ * Decode BCD bytes to a digit string (IMEI, IMSI, ICCID)
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function decodeBCD(bytes) {
+  let digits = '';
+  for (let i = 0; i < bytes.length; i++) {
+    digits += (bytes[i] >> 4).toString(16) + (bytes[i] & 0x0F).toString(16);
+  }
+  return digits;
+}
+
 /**
  * Verify packet CRC
  * @param {Buffer} buffer - Packet buffer
@@ -83,7 +156,7 @@ function verifyCRC(buffer) {
   if (buffer.length < 7) return false;
   
   try {
-    // CRC covers from length byte to serial number (inclusive)
+    // CRC covers from the length field to serial number (inclusive)
     const crcStart = 2; // After start bits
     const crcEnd = buffer.length - 4; // Before CRC and stop bits
     
@@ -122,12 +195,7 @@ function parseLoginPacket(buffer) {
   if (!verifyCRC(buffer)) return null;
   
   // Extract IMEI (8 bytes BCD) at offset 4
-  const imeiBytes = buffer.slice(4, 12);
-  let imei = '';
-  for (let i = 0; i < imeiBytes.length; i++) {
-    const byte = imeiBytes[i];
-    imei += (byte >> 4).toString() + (byte & 0x0F).toString();
-  }
+  const imei = decodeBCD(buffer.slice(4, 12));
   
   // Extract type identification code (2 bytes) at offset 12
   const typeId = buffer.readUInt16BE(12);
@@ -238,6 +306,34 @@ function parseHeartbeatPacket(buffer) {
   };
 }
 
+/**
+ * Decode the terminal information byte sent in heartbeat and alarm packets
+ * Bits: 0 defence armed, 1 ACC high, 2 charging, 3-5 alarm, 6 GPS tracking on, 7 fuel/power cut
+ * @param {number} terminalInfo - Terminal information byte
+ * @returns {Object} - { armed, acc, charging, gpsTracking, powerCut }
+ */
+function decodeTerminalInfo(terminalInfo) {
+  return {
+    armed: (terminalInfo & 0x01) !== 0,
+    acc: (terminalInfo & 0x02) !== 0,
+    charging: (terminalInfo & 0x04) !== 0,
+    gpsTracking: (terminalInfo & 0x40) !== 0,
+    powerCut: (terminalInfo & 0x80) !== 0,
+  };
+}
+
+/**
+ * Estimate battery charge from the single-cell Li-ion voltage
+ * (linear between 3.4 V = empty and 4.2 V = full)
+ * @param {number} voltage - Battery voltage in volts
+ * @returns {number|null} - Percentage 0-100, or null without a reading
+ */
+function estimateBatteryPercent(voltage) {
+  if (voltage == null || voltage <= 0) return null;
+  const percent = (voltage - 3.4) / (4.2 - 3.4) * 100;
+  return Math.round(Math.min(100, Math.max(0, percent)));
+}
+
 /**
  * Generate heartbeat response packet
  * Format: Start(2) + Length(1) + Protocol(1) + Serial(2) + CRC(2) + Stop(2)
@@ -272,8 +368,9 @@ function generateHeartbeatResponse(serial) {
 }
 
 /**
- * Parse GPS location packet (0x22)
- * Format includes date/time, GPS satellites, lat/lon, speed, course, etc.
+ * Parse GPS location packet (0x22, or the legacy GPS+LBS packet 0x12)
+ * Format: Start(2) + Length(1) + Protocol(1) + GPS block(18) + MCC(2) + MNC(1) + LAC(2) + CellID(3)
+ *   [+ ACC(1) + UploadMode(1) + RealTime(1) + Mileage(4), 0x22 only] + Serial(2) + CRC(2) + Stop(2)
  * @param {Buffer} buffer - Location packet buffer
  * @returns {Object|null} - Location data or null
  */
@@ -285,107 +382,376 @@ function parseLocationPacket(buffer) {
   
   // Verify protocol number
   const protocolNumber = buffer[3];
-  if (protocolNumber !== AT4_PROTOCOL.LOCATION) return null;
+  if (protocolNumber !== AT4_PROTOCOL.LOCATION && protocolNumber !== AT4_PROTOCOL.LOCATION_LEGACY) return null;
   
   // Verify CRC
   if (!verifyCRC(buffer)) return null;
   
-  let offset = 4;
+  const gps = parseGpsBlock(buffer, 4);
+  let offset = gps.offset;
+  
+  // LBS: MCC(2) + MNC(1) + LAC(2) + CellID(3)
+  const mcc = buffer.readUInt16BE(offset);
+  const mnc = buffer[offset + 2];
+  const lac = buffer.readUInt16BE(offset + 3);
+  const cellId = (buffer[offset + 5] << 16) | (buffer[offset + 6] << 8) | buffer[offset + 7];
+  offset += 8;
+  
+  // Serial number sits before CRC and stop bits; 0x22 has optional fields in between
+  const serialOffset = buffer.length - 6;
+  const acc = protocolNumber === AT4_PROTOCOL.LOCATION && offset < serialOffset ? buffer[offset] === 0x01 : null;
+  const serial = buffer.readUInt16BE(serialOffset);
   
-  // Date and time (6 bytes): YY MM DD HH MM SS
+  console.log(`[Location] protocol=0x${protocolNumber.toString(16)}, positioned=${gps.positioned}, sats=${gps.satellites} -> (${gps.lat.toFixed(6)}, ${gps.lon.toFixed(6)})`);
+  
+  return {
+    type: 'location',
+    protocolNumber,
+    lat: gps.lat,
+    lon: gps.lon,
+    speed: gps.speed,
+    course: gps.course,
+    timestamp: gps.timestamp,
+    positioned: gps.positioned,
+    differential: gps.differential,
+    satellites: gps.satellites,
+    mcc: mcc,
+    mnc: mnc,
+    lac: lac,
+    cellId: cellId,
+    acc,
+    serial: serial,
+  };
+}
+
+/**
+ * Parse GPS address request packet (0x1A): a GPS fix sent together with the
+ * phone number that asked the device for its address
+ * Format: Start(2) + Length(1) + Protocol(1) + GPS block(18) + PhoneNumber(21) + Language(2) + Serial(2) + CRC(2) + Stop(2)
+ * @param {Buffer} buffer - Address request packet buffer
+ * @returns {Object|null} - Location data with phoneNumber, or null
+ */
+function parseAddressRequestPacket(buffer) {
+  if (buffer.length < 32) return null;
+
+  // Verify start bits
+  if (buffer[0] !== 0x78 || buffer[1] !== 0x78) return null;
+
+  // Verify protocol number
+  if (buffer[3] !== AT4_PROTOCOL.ADDRESS_REQUEST) return null;
+
+  // Verify CRC
+  if (!verifyCRC(buffer)) return null;
+
+  const gps = parseGpsBlock(buffer, 4);
+  const serialOffset = buffer.length - 6;
+  const phoneEnd = Math.max(gps.offset, serialOffset - 2);
+  const phoneNumber = buffer.slice(gps.offset, phoneEnd).toString('ascii').replace(/\0+/g, '').trim();
+  const serial = buffer.readUInt16BE(serialOffset);
+
+  console.log(`  -> Address request parsed: phone=${phoneNumber || '(none)'}, positioned=${gps.positioned}, serial=0x${serial.toString(16).padStart(4, '0')}`);
+
+  return {
+    type: 'address-request',
+    protocolNumber: AT4_PROTOCOL.ADDRESS_REQUEST,
+    lat: gps.lat,
+    lon: gps.lon,
+    speed: gps.speed,
+    course: gps.course,
+    timestamp: gps.timestamp,
+    positioned: gps.positioned,
+    differential: gps.differential,
+    satellites: gps.satellites,
+    phoneNumber,
+    serial,
+  };
+}
+
+/**
+ * Parse time request packet (0x8A)
+ * Format: Start(2) + Length(1) + Protocol(1) + Serial(2) + CRC(2) + Stop(2)
+ * @param {Buffer} buffer - Time request packet buffer
+ * @returns {Object|null} - { type: 'time-request', serial } or null
+ */
+function parseTimeRequestPacket(buffer) {
+  // Verify start bits
+  if (buffer[0] !== 0x78 || buffer[1] !== 0x78) return null;
+
+  // Verify protocol number
+  if (buffer[3] !== AT4_PROTOCOL.TIME_REQUEST) return null;
+
+  // Verify CRC
+  if (!verifyCRC(buffer)) return null;
+
+  return {
+    type: 'time-request',
+    protocolNumber: AT4_PROTOCOL.TIME_REQUEST,
+    serial: buffer.readUInt16BE(buffer.length - 6),
+  };
+}
+
+/**
+ * Parse information transmission packet (0x94), usually sent in an extended 0x7979 frame
+ * Format: Start(2) + Length(2) + Protocol(1) + InfoType(1) + Content(n) + Serial(2) + CRC(2) + Stop(2)
+ * Content by type: 0x00 external voltage (2 bytes, V * 100), 0x04 status sync
+ * (ASCII "ALM1=..;STA1=..;"), 0x05 door status (1 byte), 0x0A IMEI(8) + IMSI(8) + ICCID(10) as BCD.
+ * The device expects no response.
+ * @param {Buffer} buffer - Information packet buffer
+ * @returns {Object|null} - { type: 'info', infoType, infoName, ...decoded content, serial } or null
+ */
+function parseInfoPacket(buffer) {
+  const header = getFrameHeader(buffer);
+  if (!header || header.protocolNumber !== AT4_PROTOCOL.INFO) return null;
+
+  // Verify CRC
+  if (!verifyCRC(buffer)) return null;
+
+  const serialOffset = buffer.length - 6;
+  const infoType = buffer[header.contentOffset];
+  const content = buffer.slice(header.contentOffset + 1, serialOffset);
+  const serial = buffer.readUInt16BE(serialOffset);
+
+  const info = {
+    type: 'info',
+    protocolNumber: AT4_PROTOCOL.INFO,
+    infoType,
+    infoName: AT4_INFO_TYPES[infoType] || 'unknown',
+    serial,
+  };
+
+  switch (infoType) {
+    case 0x00:
+      if (content.length >= 2) info.externalVoltage = content.readUInt16BE(0) / 100;
+      break;
+    case 0x04: {
+      info.status = {};
+      content.toString('ascii').split(';').forEach((pair) => {
+        const [key, value] = pair.split('=');
+        if (key && value !== undefined) info.status[key.trim()] = value.trim();
+      });
+      break;
+    }
+    case 0x05:
+      if (content.length >= 1) info.doorStatus = content[0];
+      break;
+    case 0x0A:
+      if (content.length >= 26) {
+        info.imei = decodeBCD(content.slice(0, 8)).replace(/^0/, '');
+        info.imsi = decodeBCD(content.slice(8, 16)).replace(/^0/, '');
+        info.iccid = decodeBCD(content.slice(16, 26)).replace(/f+$/, '');
+      }
+      break;
+    default:
+      info.raw = content.toString('hex');
+  }
+
+  console.log(`  -> Info parsed: type=0x${infoType.toString(16).padStart(2, '0')} (${info.infoName}), serial=0x${serial.toString(16).padStart(4, '0')}`);
+
+  return info;
+}
+
+/**
+ * Alarm codes from the "Alarm/Language" field of alarm packets (0x27)
+ */
+const AT4_ALARM_TYPES = {
+  0x00: 'normal',
+  0x01: 'sos',
+  0x02: 'power-cut',
+  0x03: 'vibration',
+  0x04: 'enter-fence',
+  0x05: 'exit-fence',
+  0x06: 'overspeed',
+  0x09: 'moving',
+  0x0A: 'enter-gps-dead-zone',
+  0x0B: 'exit-gps-dead-zone',
+  0x0C: 'power-on',
+  0x0D: 'gps-first-fix',
+  0x0E: 'low-external-battery',
+  0x0F: 'low-battery-protection',
+  0x11: 'low-battery-power-off',
+  0x13: 'tamper',
+  0x19: 'low-battery',
+  0xFE: 'acc-on',
+  0xFF: 'acc-off',
+};
+
+/**
+ * Alarm encoded in terminal information bits 3-5 (older firmware leaves the
+ * alarm byte at 0x00 and only sets these bits)
+ */
+const AT4_TERMINAL_ALARMS = {
+  0b001: 'vibration',
+  0b010: 'power-cut',
+  0b011: 'low-battery',
+  0b100: 'sos',
+};
+
+/**
+ * Parse the GPS block shared by location and alarm packets
+ * Format: DateTime(6) + GPSInfo(1) + Lat(4) + Lon(4) + Speed(1) + CourseStatus(2)
+ * Course/status bits: 0-9 course, 10 north latitude, 11 west longitude,
+ * 12 GPS positioned, 13 differential positioning
+ * @param {Buffer} buffer - Packet buffer
+ * @param {number} offset - Offset of the date/time field
+ * @returns {Object} - { timestamp, satellites, lat, lon, speed, course, positioned, differential, offset }
+ */
+function parseGpsBlock(buffer, offset) {
   const year = 2000 + buffer[offset++];
   const month = buffer[offset++];
   const day = buffer[offset++];
   const hour = buffer[offset++];
   const minute = buffer[offset++];
   const second = buffer[offset++];
-  
-  // GPS info byte: number of satellites (bits 0-3)
-  const gpsInfo = buffer[offset++];
-  const satellites = gpsInfo & 0x0F;
-  
-  // Latitude (4 bytes) - degrees * 30000 / 0.000001
-  const latRaw = buffer.readUInt32BE(offset);
+
+  // GPS info: high nibble = info length, low nibble = satellites
+  const satellites = buffer[offset++] & 0x0F;
+
+  // Lat/lon in units of 1/1,800,000 degree (minutes * 30000)
+  const latRaw = buffer.readUInt32BE(offset) / 1800000.0;
   offset += 4;
-  const lat = latRaw / 1800000.0;
-  
-  // Longitude (4 bytes) - degrees * 30000 / 0.000001
-  const lonRaw = buffer.readUInt32BE(offset);
+  const lonRaw = buffer.readUInt32BE(offset) / 1800000.0;
   offset += 4;
-  const lon = lonRaw / 1800000.0;
-  
-  // Speed (1 byte) - km/h
+
   const speedKmh = buffer[offset++];
-  const speedKnots = speedKmh * 0.539957; // Convert km/h to knots
-  
-  // Course/Status (2 bytes)
-  // Bits 15-10: course/10 (0-35 range for 0-359 degrees)
-  // Bits 9-0: status bits
+
   const courseStatus = buffer.readUInt16BE(offset);
   offset += 2;
-  const course = ((courseStatus >> 10) & 0x3F) * 10; // Extract 6 bits and multiply by 10
-  
-  // Extract direction bits for lat/lon hemisphere
-  // Bit 3: 0=East, 1=West
-  // Bit 2: 0=South, 1=North
-  const status = courseStatus & 0x3FF;
-  const isWest = (status & 0x0008) !== 0;
-  const isNorth = (status & 0x0004) !== 0;
-  
-  // Apply hemisphere corrections
-  const finalLat = isNorth ? lat : -lat;
-  const finalLon = isWest ? -lon : lon;
-
-  // TODO: Temporary fix for some devices that set wrong hemisphere bits - if lat/lon are in wrong hemisphere, make them always positive
-  if ((isNorth && finalLat < 0) || (!isNorth && finalLat > 0)) {
-    console.warn(`  -> Latitude hemisphere bit mismatch: isNorth=${isNorth}, rawLat=${lat.toFixed(6)}, finalLat=${finalLat.toFixed(6)} - correcting to positive`);
-   }
-    finalLat = Math.abs(lat);
-    finalLon = Math.abs(lon);
-    
-  // END TODO
-  console.log(`[Location] Raw=(${lat.toFixed(6)}, ${lon.toFixed(6)}), Status=0x${status.toString(16).padStart(3, '0')} (north=${isNorth}, west=${isWest}) -> Final=(${finalLat.toFixed(6)}, ${finalLon.toFixed(6)})`);
-  
-  // MCC (Mobile Country Code) - 2 bytes
-  const mcc = buffer.readUInt16BE(offset);
-  offset += 2;
-  
-  // MNC (Mobile Network Code) - 1 byte
-  const mnc = buffer[offset++];
-  
-  // LAC (Location Area Code) - 2 bytes
-  const lac = buffer.readUInt16BE(offset);
-  offset += 2;
-  
-  // Cell ID - 3 bytes
-  const cellId = (buffer[offset] << 16) | (buffer[offset + 1] << 8) | buffer[offset + 2];
-  offset += 3;
-  
-  // Serial number
-  const serial = buffer.readUInt16BE(offset);
-  
-  // Create timestamp
-  const timestamp = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
-  
+
+  const isNorth = (courseStatus & 0x0400) !== 0;
+  const isWest = (courseStatus & 0x0800) !== 0;
+
   return {
-    type: 'location',
-    lat: finalLat,
-    lon: finalLon,
-    speed: speedKnots,
-    course: course,
-    timestamp: timestamp,
-    satellites: satellites,
-    mcc: mcc,
-    mnc: mnc,
-    lac: lac,
-    cellId: cellId,
-    serial: serial,
+    timestamp: new Date(Date.UTC(year, month - 1, day, hour, minute, second)),
+    satellites,
+    lat: isNorth ? latRaw : -latRaw,
+    lon: isWest ? -lonRaw : lonRaw,
+    speed: speedKmh * 0.539957, // km/h to knots
+    course: courseStatus & 0x03FF,
+    positioned: (courseStatus & 0x1000) !== 0,
+    differential: (courseStatus & 0x2000) !== 0,
+    offset,
+  };
+}
+
+/**
+ * Parse alarm packet (0x27, or the legacy GPS+LBS+status packet 0x16)
+ * Format: Start(2) + Length(1) + Protocol(1) + GPS block(18) + LBSLength(1) + LBS(n)
+ *   + TerminalInfo(1) + Voltage(1 or 2) + GSM(1) + Alarm(1) + Language(1) + Serial(2) + CRC(2) + Stop(2)
+ * The voltage field is a 0-6 level on older firmware and millivolts/10 on AT4,
+ * so the trailing fields are read from the end of the packet.
+ * @param {Buffer} buffer - Alarm packet buffer
+ * @returns {Object|null} - Alarm data or null
+ */
+function parseAlarmPacket(buffer) {
+  if (buffer.length < 36) return null;
+
+  // Verify start bits
+  if (buffer[0] !== 0x78 || buffer[1] !== 0x78) return null;
+
+  // Verify protocol number
+  const protocolNumber = buffer[3];
+  if (protocolNumber !== AT4_PROTOCOL.ALARM && protocolNumber !== AT4_PROTOCOL.ALARM_LEGACY) return null;
+
+  // Verify CRC
+  if (!verifyCRC(buffer)) return null;
+
+  const gps = parseGpsBlock(buffer, 4);
+  let offset = gps.offset;
+
+  // LBS block: length byte counts itself, then MCC(2) + MNC(1) + LAC(2) + CellID(3)
+  const lbsLength = buffer[offset];
+  let lbs = null;
+  if (lbsLength >= 9) {
+    lbs = {
+      mcc: buffer.readUInt16BE(offset + 1),
+      mnc: buffer[offset + 3],
+      lac: buffer.readUInt16BE(offset + 4),
+      cellId: (buffer[offset + 6] << 16) | (buffer[offset + 7] << 8) | buffer[offset + 8],
+    };
+  }
+  offset += Math.max(lbsLength, 1);
+
+  const serialOffset = buffer.length - 6;
+  const alarmOffset = serialOffset - 2;
+  const gsmOffset = alarmOffset - 1;
+  const terminalOffset = offset;
+  const voltageLength = gsmOffset - terminalOffset - 1;
+  if (voltageLength < 1 || voltageLength > 2) return null;
+
+  const terminalInfo = buffer[terminalOffset];
+  const voltage = voltageLength === 2 ? buffer.readUInt16BE(terminalOffset + 1) / 100 : null;
+  const voltageLevel = voltageLength === 1 ? buffer[terminalOffset + 1] : null;
+  const signalStrength = buffer[gsmOffset];
+  const alarmCode = buffer[alarmOffset];
+  const language = buffer[alarmOffset + 1];
+  const serial = buffer.readUInt16BE(serialOffset);
+
+  let alarmType = AT4_ALARM_TYPES[alarmCode] || 'unknown';
+  if (alarmCode === 0x00) {
+    alarmType = AT4_TERMINAL_ALARMS[(terminalInfo >> 3) & 0x07] || 'normal';
+  }
+
+  console.log(`  -> Alarm parsed: code=0x${alarmCode.toString(16).padStart(2, '0')} (${alarmType}), positioned=${gps.positioned}, pos=(${gps.lat.toFixed(6)}, ${gps.lon.toFixed(6)}), serial=0x${serial.toString(16).padStart(4, '0')}`);
+
+  return {
+    type: 'alarm',
+    protocolNumber,
+    alarmCode,
+    alarmType,
+    lat: gps.lat,
+    lon: gps.lon,
+    speed: gps.speed,
+    course: gps.course,
+    positioned: gps.positioned,
+    satellites: gps.satellites,
+    timestamp: gps.timestamp,
+    lbs,
+    terminalInfo,
+    voltage,
+    voltageLevel,
+    signalStrength,
+    language,
+    serial,
   };
 }
 
+/**
+ * Generate alarm response packet
+ * Format: Start(2) + Length(1) + Protocol(1) + Serial(2) + CRC(2) + Stop(2)
+ * @param {number} serial - Serial number from alarm packet
+ * @param {number} [protocolNumber] - Protocol of the alarm packet (0x27 or 0x16)
+ * @returns {Buffer} - Response buffer
+ */
+function generateAlarmResponse(serial, protocolNumber = AT4_PROTOCOL.ALARM) {
+  const buffer = Buffer.alloc(10);
+
+  // Start bits
+  buffer[0] = 0x78;
+  buffer[1] = 0x78;
+
+  // Length (5 bytes: protocol + serial + CRC)
+  buffer[2] = 0x05;
+
+  // Protocol (echoes the alarm packet's protocol)
+  buffer[3] = protocolNumber;
+
+  // Serial number
+  buffer.writeUInt16BE(serial, 4);
+
+  // Calculate and write CRC
+  const crc = calculateCRC16(buffer, 2, 6);
+  buffer.writeUInt16BE(crc, 6);
+
+  // Stop bits
+  buffer[8] = 0x0D;
+  buffer[9] = 0x0A;
+
+  return buffer;
+}
+
 /**
  * Generate TimeCheck response packet
- * Used to sync server time with device after login
+ * Answers the device's time request (0x8A) with the current UTC time
  * @param {number} serial - Serial number from request
  * @returns {Buffer} - Response buffer
  */
@@ -458,12 +824,114 @@ function generateOnlineCommandResponse(serial) {
   return buffer;
 }
 
+/**
+ * Generate online command packet (server -> device, 0x80)
+ * Format: Start(2) + Length(1) + Protocol(1) + CommandLength(1) + ServerFlag(4) + Command(n)
+ *   + Language(2) + Serial(2) + CRC(2) + Stop(2)
+ * CommandLength covers the server flag and command content.
+ * @param {number} serverFlag - 32-bit id echoed back in the device's reply
+ * @param {string} command - ASCII command, e.g. "WHERE#"
+ * @param {number} serial - Server-side packet serial number
+ * @returns {Buffer} - Command packet
+ */
+function generateOnlineCommand(serverFlag, command, serial) {
+  const content = Buffer.from(command, 'ascii');
+  const length = 1 + 1 + 4 + content.length + 2 + 2 + 2; // protocol + cmdLen + flag + cmd + lang + serial + CRC
+  if (length > 0xFF) {
+    throw new Error('Command too long');
+  }
+
+  const buffer = Buffer.alloc(length + 5);
+  let offset = 0;
+
+  // Start bits
+  buffer[offset++] = 0x78;
+  buffer[offset++] = 0x78;
+
+  buffer[offset++] = length;
+  buffer[offset++] = AT4_PROTOCOL.ONLINE_COMMAND;
+  buffer[offset++] = 4 + content.length;
+
+  buffer.writeUInt32BE(serverFlag >>> 0, offset);
+  offset += 4;
+
+  content.copy(buffer, offset);
+  offset += content.length;
+
+  // Language: 0x0002 = English
+  buffer.writeUInt16BE(0x0002, offset);
+  offset += 2;
+
+  buffer.writeUInt16BE(serial & 0xFFFF, offset);
+  offset += 2;
+
+  // Calculate and write CRC
+  const crc = calculateCRC16(buffer, 2, offset);
+  buffer.writeUInt16BE(crc, offset);
+  offset += 2;
+
+  // Stop bits
+  buffer[offset++] = 0x0D;
+  buffer[offset] = 0x0A;
+
+  return buffer;
+}
+
+/**
+ * Parse the device's reply to an online command (0x15, or 0x21 on newer firmware)
+ * 0x15 format: CommandLength(1) + ServerFlag(4) + Content(n) [+ Language(2)] + Serial(2)
+ * 0x21 format: ServerFlag(4) + Encoding(1, 1 = ASCII, 2 = UTF-16BE) + Content(n) + Serial(2)
+ * @param {Buffer} buffer - Reply packet buffer
+ * @returns {Object|null} - { type: 'command-reply', serverFlag, content, serial } or null
+ */
+function parseCommandReplyPacket(buffer) {
+  if (buffer.length < 15) return null;
+
+  // 0x7878 or extended 0x7979 frame
+  const header = getFrameHeader(buffer);
+  if (!header) return null;
+
+  const { protocolNumber, contentOffset } = header;
+  if (protocolNumber !== AT4_PROTOCOL.COMMAND_REPLY && protocolNumber !== AT4_PROTOCOL.COMMAND_REPLY_EXT) return null;
+
+  // Verify CRC
+  if (!verifyCRC(buffer)) return null;
+
+  const serialOffset = buffer.length - 6;
+  const serial = buffer.readUInt16BE(serialOffset);
+  let serverFlag;
+  let content;
+
+  if (protocolNumber === AT4_PROTOCOL.COMMAND_REPLY) {
+    const commandLength = buffer[contentOffset];
+    serverFlag = buffer.readUInt32BE(contentOffset + 1);
+    const contentEnd = Math.min(contentOffset + 1 + commandLength, serialOffset);
+    content = buffer.slice(contentOffset + 5, contentEnd).toString('ascii');
+  } else {
+    serverFlag = buffer.readUInt32BE(contentOffset);
+    const encoding = buffer[contentOffset + 4];
+    const raw = buffer.slice(contentOffset + 5, serialOffset);
+    content = encoding === 2 ? raw.swap16().toString('utf16le') : raw.toString('ascii');
+  }
+
+  console.log(`  -> Command reply parsed: flag=0x${serverFlag.toString(16).padStart(8, '0')}, content="${content}"`);
+
+  return {
+    type: 'command-reply',
+    protocolNumber,
+    serverFlag,
+    content: content.replace(/\0+$/, '').trim(),
+    serial,
+  };
+}
+
 /**
  * Generate location response packet
  * @param {number} serial - Serial number from location packet
+ * @param {number} [protocolNumber] - Protocol of the location packet (0x22 or 0x12)
  * @returns {Buffer} - Response buffer
  */
-function generateLocationResponse(serial) {
+function generateLocationResponse(serial, protocolNumber = AT4_PROTOCOL.LOCATION) {
   const buffer = Buffer.alloc(10);
   
   // Start bits
@@ -473,8 +941,8 @@ function generateLocationResponse(serial) {
   // Length
   buffer[2] = 0x05;
   
-  // Protocol (0x22 for location response)
-  buffer[3] = 0x22;
+  // Protocol (echoes the location packet's protocol)
+  buffer[3] = protocolNumber;
   
   // Serial number
   buffer.writeUInt16BE(serial, 4);
@@ -502,14 +970,14 @@ function parsePacket(buffer) {
   }
   
   try {
-    // Check start bits
-    if (buffer[0] !== 0x78 || buffer[1] !== 0x78) {
+    // Check start bits (0x7878, or 0x7979 for extended frames)
+    const header = getFrameHeader(buffer);
+    if (!header) {
       console.warn('Invalid start bits:', buffer[0].toString(16), buffer[1].toString(16));
       return null;
     }
     
-    // Get protocol number (at index 3)
-    const protocolNumber = buffer[3];
+    const protocolNumber = header.protocolNumber;
     console.log(`Attempting to parse protocol 0x${protocolNumber.toString(16).toUpperCase()} from packet: ${buffer.toString('hex')}`);
     
     switch (protocolNumber) {
@@ -522,13 +990,38 @@ function parsePacket(buffer) {
           return null;
         }
       case AT4_PROTOCOL.LOCATION:
-        console.log('  -> Parsing as LOCATION packet (0x22)');
+      case AT4_PROTOCOL.LOCATION_LEGACY:
+        console.log(`  -> Parsing as LOCATION packet (0x${protocolNumber.toString(16).toUpperCase()})`);
         try {
           return parseLocationPacket(buffer);
         } catch (err) {
           console.warn('  -> LOCATION parse error:', err.message);
           return null;
         }
+      case AT4_PROTOCOL.ADDRESS_REQUEST:
+        console.log('  -> Parsing as ADDRESS REQUEST packet (0x1A)');
+        try {
+          return parseAddressRequestPacket(buffer);
+        } catch (err) {
+          console.warn('  -> ADDRESS REQUEST parse error:', err.message);
+          return null;
+        }
+      case AT4_PROTOCOL.TIME_REQUEST:
+        console.log('  -> Parsing as TIME REQUEST packet (0x8A)');
+        try {
+          return parseTimeRequestPacket(buffer);
+        } catch (err) {
+          console.warn('  -> TIME REQUEST parse error:', err.message);
+          return null;
+        }
+      case AT4_PROTOCOL.INFO:
+        console.log('  -> Parsing as INFO packet (0x94)');
+        try {
+          return parseInfoPacket(buffer);
+        } catch (err) {
+          console.warn('  -> INFO parse error:', err.message);
+          return null;
+        }
       case AT4_PROTOCOL.HEARTBEAT:
         console.log('  -> Parsing as HEARTBEAT packet (0x23)');
         try {
@@ -537,8 +1030,26 @@ function parsePacket(buffer) {
           console.warn('  -> HEARTBEAT parse error:', err.message);
           return null;
         }
+      case AT4_PROTOCOL.COMMAND_REPLY:
+      case AT4_PROTOCOL.COMMAND_REPLY_EXT:
+        console.log(`  -> Parsing as COMMAND REPLY packet (0x${protocolNumber.toString(16).toUpperCase()})`);
+        try {
+          return parseCommandReplyPacket(buffer);
+        } catch (err) {
+          console.warn('  -> COMMAND REPLY parse error:', err.message);
+          return null;
+        }
+      case AT4_PROTOCOL.ALARM:
+      case AT4_PROTOCOL.ALARM_LEGACY:
+        console.log(`  -> Parsing as ALARM packet (0x${protocolNumber.toString(16).toUpperCase()})`);
+        try {
+          return parseAlarmPacket(buffer);
+        } catch (err) {
+          console.warn('  -> ALARM parse error:', err.message);
+          return null;
+        }
       default:
-        console.log(`  -> Unknown protocol 0x${protocolNumber.toString(16).toUpperCase()} (expected: 0x01 login, 0x22 location, 0x23 heartbeat)`);
+        console.log(`  -> Unknown protocol 0x${protocolNumber.toString(16).toUpperCase()} (expected: 0x01 login, 0x12/0x22 location, 0x15/0x21 command reply, 0x16/0x27 alarm, 0x1A address request, 0x23 heartbeat, 0x8A time request, 0x94 info)`);
         return { type: 'unknown', protocolNumber };
     }
   } catch (err) {
@@ -559,9 +1070,13 @@ function generateResponse(parsedData) {
     case 'login':
       return generateLoginResponse(parsedData.serial);
     case 'location':
-      return generateLocationResponse(parsedData.serial);
+      return generateLocationResponse(parsedData.serial, parsedData.protocolNumber);
     case 'heartbeat':
       return generateHeartbeatResponse(parsedData.serial);
+    case 'alarm':
+      return generateAlarmResponse(parsedData.serial, parsedData.protocolNumber);
+    case 'time-request':
+      return generateTimeCheckResponse(parsedData.serial);
     default:
       return null;
   }
@@ -569,16 +1084,30 @@ function generateResponse(parsedData) {
 
 module.exports = {
   AT4_PROTOCOL,
+  AT4_ALARM_TYPES,
+  AT4_INFO_TYPES,
+  AT4_COMMAND_PRESETS,
+  getFrameHeader,
   parsePacket,
+  parseGpsBlock,
   parseLoginPacket,
   parseLocationPacket,
+  parseAddressRequestPacket,
+  parseTimeRequestPacket,
+  parseInfoPacket,
   parseHeartbeatPacket,
+  parseAlarmPacket,
+  parseCommandReplyPacket,
+  decodeTerminalInfo,
+  estimateBatteryPercent,
   generateResponse,
   generateLoginResponse,
   generateLocationResponse,
   generateHeartbeatResponse,
+  generateAlarmResponse,
   generateTimeCheckResponse,
   generateOnlineCommandResponse,
+  generateOnlineCommand,
   calculateCRC16,
   verifyCRC,
 };
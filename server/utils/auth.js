@@ -0,0 +1,61 @@
+/* ===== Auth Utilities – password hashing and session tokens ===== */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt key length in bytes
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt using scrypt.
+ * @param {String} password - Plain-text password
+ * @returns {Promise<String>} - "scrypt$<salt hex>$<hash hex>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${derived.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash (constant-time comparison).
+ * @param {String} password - Plain-text password
+ * @param {String} stored - Hash produced by hashPassword()
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  if (!stored || typeof stored !== 'string') return false;
+
+  const [scheme, saltHex, hashHex] = stored.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const derived = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+/**
+ * Generate a random session token (sent to the client once, never stored).
+ * @returns {String} - 64 hex characters
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a session token for storage and lookup.
+ * @param {String} token - Session token
+ * @returns {String} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+};
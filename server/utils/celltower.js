@@ -0,0 +1,57 @@
+/* ===== Cell Tower Utilities – OpenCellID CSV rows ===== */
+
+// Column order of OpenCellID / Mozilla Location Service dumps (per-country files have no header)
+const OPENCELLID_COLUMNS = [
+  'radio', 'mcc', 'net', 'area', 'cell', 'unit', 'lon', 'lat',
+  'range', 'samples', 'changeable', 'created', 'updated', 'averageSignal',
+];
+
+/**
+ * Column list from a CSV header line, or null if the line is data
+ * @param {String} line
+ * @returns {String[]|null}
+ */
+function parseCellTowerHeader(line) {
+  const columns = line.trim().split(',').map(c => c.trim());
+  return columns.includes('mcc') && columns.includes('lat') ? columns : null;
+}
+
+/**
+ * Convert one CSV line to a CellTower document.
+ * @param {String} line - CSV line
+ * @param {String[]} [columns] - Column names (OpenCellID order by default)
+ * @returns {Object|null} - { radio, mcc, mnc, lac, cellId, lat, lon, range, samples, updatedAt } or null if invalid
+ */
+function parseCellTowerRow(line, columns = OPENCELLID_COLUMNS) {
+  const values = line.trim().split(',');
+  if (values.length < columns.length - 1) return null;
+
+  const row = {};
+  columns.forEach((col, i) => { row[col] = values[i]; });
+
+  const tower = {
+    radio: row.radio || '',
+    mcc: parseInt(row.mcc, 10),
+    mnc: parseInt(row.net, 10),
+    lac: parseInt(row.area, 10),
+    cellId: parseInt(row.cell, 10),
+    lat: parseFloat(row.lat),
+    lon: parseFloat(row.lon),
+    range: parseInt(row.range, 10) || null,
+    samples: parseInt(row.samples, 10) || 0,
+    // Unix seconds
+    updatedAt: row.updated ? new Date(parseInt(row.updated, 10) * 1000) : null,
+  };
+
+  if (![tower.mcc, tower.mnc, tower.lac, tower.cellId].every(Number.isInteger)) return null;
+  if (!(tower.lat >= -90 && tower.lat <= 90) || !(tower.lon >= -180 && tower.lon <= 180)) return null;
+  if (tower.updatedAt && isNaN(tower.updatedAt.getTime())) tower.updatedAt = null;
+
+  return tower;
+}
+
+module.exports = {
+  OPENCELLID_COLUMNS,
+  parseCellTowerHeader,
+  parseCellTowerRow,
+};
@@ -0,0 +1,137 @@
+/* ===== Export Utilities – Stream tracks as GeoJSON and CSV ===== */
+
+const { once } = require('events');
+
+// Location fields that can be selected with ?fields=
+const EXPORT_FIELDS = [
+  'boatId', 'name', 'timestamp', 'lat', 'lon', 'course', 'speed', 'source', 'status', 'mmsi',
+  'hdop', 'satellites', 'fixType', 'accuracy',
+];
+const DEFAULT_EXPORT_FIELDS = ['boatId', 'name', 'timestamp', 'lat', 'lon', 'course', 'speed', 'source'];
+
+const EXPORT_CONTENT_TYPES = {
+  geojson: 'application/geo+json',
+  csv: 'text/csv; charset=utf-8',
+};
+
+/**
+ * Parse the comma-separated ?fields= query parameter.
+ * @param {String} [value] - e.g. 'timestamp,lat,lon,speed'
+ * @returns {Object} - { fields } or { error } for unknown field names
+ */
+function parseExportFields(value) {
+  if (!value) return { fields: DEFAULT_EXPORT_FIELDS };
+
+  const fields = [...new Set(String(value).split(',').map(f => f.trim()).filter(Boolean))];
+  const unknown = fields.filter(f => !EXPORT_FIELDS.includes(f));
+  if (unknown.length) {
+    return { error: `Unknown field(s): ${unknown.join(', ')}. Allowed: ${EXPORT_FIELDS.join(', ')}` };
+  }
+  if (!fields.length) return { fields: DEFAULT_EXPORT_FIELDS };
+  return { fields };
+}
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full.
+ * @returns {Promise<Boolean>} - false once the client has gone away
+ */
+async function write(stream, chunk) {
+  if (stream.destroyed) return false;
+  if (!stream.write(chunk)) {
+    await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  }
+  return !stream.destroyed;
+}
+
+function exportValue(loc, field) {
+  const value = loc[field];
+  if (value == null) return null;
+  return field === 'timestamp' ? new Date(value).toISOString() : value;
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Stream locations as CSV with one column per selected field.
+ * @param {Object} cursor - Mongoose query cursor, sorted by timestamp
+ * @param {Writable} stream - e.g. the Express response
+ * @param {Array} fields - From parseExportFields()
+ * @returns {Promise<Number>} - Rows written
+ */
+async function streamCSV(cursor, stream, fields) {
+  let rows = 0;
+  if (!(await write(stream, fields.join(',') + '\r\n'))) return rows;
+
+  for await (const loc of cursor) {
+    const line = fields.map(f => csvCell(exportValue(loc, f))).join(',') + '\r\n';
+    if (!(await write(stream, line))) break;
+    rows++;
+  }
+
+  stream.end();
+  return rows;
+}
+
+/**
+ * Stream locations as a GeoJSON FeatureCollection: a Point feature per
+ * location carrying the selected fields, followed by one LineString per boat.
+ * Only coordinates are kept in memory for the LineStrings.
+ * @param {Object} cursor - Mongoose query cursor, sorted by timestamp
+ * @param {Writable} stream - e.g. the Express response
+ * @param {Array} fields - From parseExportFields()
+ * @param {Array} boats - [{ boatId, name, color }] for the LineString properties
+ * @returns {Promise<Number>} - Point features written
+ */
+async function streamGeoJSON(cursor, stream, fields, boats) {
+  const properties = fields.filter(f => f !== 'lat' && f !== 'lon');
+  const lines = new Map(); // boatId -> [[lon, lat], ...]
+  let points = 0;
+
+  if (!(await write(stream, '{"type":"FeatureCollection","features":[\n'))) return points;
+
+  for await (const loc of cursor) {
+    const props = {};
+    properties.forEach((f) => { props[f] = exportValue(loc, f); });
+    const feature = {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [loc.lon, loc.lat] },
+      properties: props,
+    };
+
+    if (!lines.has(loc.boatId)) lines.set(loc.boatId, []);
+    lines.get(loc.boatId).push([loc.lon, loc.lat]);
+
+    if (!(await write(stream, (points ? ',\n' : '') + JSON.stringify(feature)))) return points;
+    points++;
+  }
+
+  let first = points === 0;
+  for (const boat of boats) {
+    const coordinates = lines.get(boat.boatId);
+    if (!coordinates || coordinates.length < 2) continue;
+
+    const feature = {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates },
+      properties: { boatId: boat.boatId, name: boat.name, color: boat.color },
+    };
+    if (!(await write(stream, (first ? '' : ',\n') + JSON.stringify(feature)))) return points;
+    first = false;
+  }
+
+  stream.end('\n]}\n');
+  return points;
+}
+
+module.exports = {
+  EXPORT_FIELDS,
+  DEFAULT_EXPORT_FIELDS,
+  EXPORT_CONTENT_TYPES,
+  parseExportFields,
+  streamCSV,
+  streamGeoJSON,
+};
@@ -0,0 +1,63 @@
+/* ===== Source Fusion – Per-boat source priority with failover ===== */
+
+// Location sources that deliver live positions and can be ranked
+const LIVE_SOURCES = ['phone', 'osmand', 'at4', 'nmea', 'nmea-client', 'signalk', 'ais', 'mqtt'];
+
+// Silence after which the next source in the priority list takes over
+const DEFAULT_FAILOVER_SECONDS = 120;
+const MIN_FAILOVER_SECONDS = 10;
+
+/**
+ * Validate a source priority list from a request body
+ * @param {Array<String>|String} input - Sources, most preferred first (array or comma-separated)
+ * @returns {Object} - { priority } or { error }
+ */
+function parseSourcePriority(input) {
+  const list = typeof input === 'string' ? input.split(',') : input;
+  if (!Array.isArray(list)) return { error: 'sourcePriority must be a list of sources' };
+
+  const priority = [];
+  for (const entry of list) {
+    const source = String(entry).trim();
+    if (!source) continue;
+    if (!LIVE_SOURCES.includes(source)) {
+      return { error: `Unknown source "${source}" in sourcePriority (allowed: ${LIVE_SOURCES.join(', ')})` };
+    }
+    if (!priority.includes(source)) priority.push(source);
+  }
+  return { priority };
+}
+
+/**
+ * Validate the failover silence from a request body
+ * @param {Number|String} input - Seconds
+ * @returns {Object} - { seconds } or { error }
+ */
+function parseFailoverSeconds(input) {
+  const seconds = Number(input);
+  if (!Number.isInteger(seconds) || seconds < MIN_FAILOVER_SECONDS) {
+    return { error: `failoverSeconds must be a whole number >= ${MIN_FAILOVER_SECONDS}` };
+  }
+  return { seconds };
+}
+
+/**
+ * Sources that take precedence over a source. Sources missing from the list
+ * rank below all listed ones; an empty list means no ranking at all.
+ * @param {Array<String>} priority - Boat.sourcePriority
+ * @param {String} source - Location source
+ * @returns {Array<String>}
+ */
+function preferredSources(priority, source) {
+  if (!priority || priority.length === 0) return [];
+  const rank = priority.indexOf(source);
+  return rank === -1 ? [...priority] : priority.slice(0, rank);
+}
+
+module.exports = {
+  LIVE_SOURCES,
+  DEFAULT_FAILOVER_SECONDS,
+  parseSourcePriority,
+  parseFailoverSeconds,
+  preferredSources,
+};
@@ -0,0 +1,64 @@
+/* ===== Geo Utilities – Distances and point-in-shape tests ===== */
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRad(deg) {
+  return deg * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points (haversine).
+ * @param {Number} lat1
+ * @param {Number} lon1
+ * @param {Number} lat2
+ * @param {Number} lon2
+ * @returns {Number} - Distance in metres
+ */
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Ray-casting point-in-polygon test. Treats lat/lon as planar, which is
+ * accurate enough for harbour and race-area sized polygons.
+ * @param {Number} lat
+ * @param {Number} lon
+ * @param {Array<Array<Number>>} polygon - [[lat, lon], ...], open or closed ring
+ * @returns {Boolean}
+ */
+function pointInPolygon(lat, lon, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    const crosses = (latI > lat) !== (latJ > lat) &&
+      lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Check whether a position lies inside a geofence.
+ * @param {Number} lat
+ * @param {Number} lon
+ * @param {Object} geofence - { type: 'circle', center: { lat, lon }, radius } or { type: 'polygon', coordinates }
+ * @returns {Boolean}
+ */
+function isInsideGeofence(lat, lon, geofence) {
+  if (geofence.type === 'circle') {
+    return distanceMeters(lat, lon, geofence.center.lat, geofence.center.lon) <= geofence.radius;
+  }
+  return pointInPolygon(lat, lon, geofence.coordinates);
+}
+
+module.exports = {
+  EARTH_RADIUS_M,
+  distanceMeters,
+  pointInPolygon,
+  isInsideGeofence,
+};
@@ -1,6 +1,16 @@
 /* ===== GPX Utilities – Parse and Generate GPX files ===== */
 
 const xml2js = require('xml2js');
+const { cleanQuality } = require('./quality');
+
+// GPX <fix> values to Location.fixType ('pps' is a plain GPS fix)
+const GPX_FIX_TYPES = {
+  none: 'none',
+  '2d': '2d',
+  '3d': '3d',
+  dgps: 'dgps',
+  pps: 'gps',
+};
 
 /**
  * Parse GPX XML string and extract tracks with metadata.
@@ -51,6 +61,9 @@ async function parseGPX(xmlString) {
           mmsi: null,
           color: null,
           status: 'Under way',
+          hdop: trkpt.hdop != null ? parseFloat(trkpt.hdop) : null,
+          satellites: trkpt.sat != null ? parseInt(trkpt.sat, 10) : null,
+          fixType: GPX_FIX_TYPES[trkpt.fix] || null,
         };
 
         // Extract extensions if present
@@ -124,6 +137,17 @@ function generateGPX(metadata, tracks) {
         xml += `        <speed>${speedMs.toFixed(2)}</speed>\n`;
       }
       
+      // Fix quality; our other fix types have no GPX equivalent
+      if (['none', '2d', '3d', 'dgps'].includes(point.fixType)) {
+        xml += `        <fix>${point.fixType}</fix>\n`;
+      }
+      if (point.satellites != null) {
+        xml += `        <sat>${point.satellites}</sat>\n`;
+      }
+      if (point.hdop != null) {
+        xml += `        <hdop>${point.hdop}</hdop>\n`;
+      }
+      
       // Extensions for custom fields
       xml += '        <extensions>\n';
       if (point.course != null) {
@@ -203,6 +227,67 @@ function calculateSpeedKnots(lat1, lon1, time1, lat2, lon2, time2) {
   return Math.round(speed * 10) / 10; // round to 1 decimal place
 }
 
+/**
+ * Turn the points of a parsed track segment into Location documents for a boat.
+ * Points without a timestamp are skipped; missing course and speed are derived
+ * from the previous point.
+ * @param {Array} points - Points as returned by parseGPX() (speed in m/s)
+ * @param {Object} boat - Boat document ({ boatId, name, mmsi, color })
+ * @param {String} source - Location source, e.g. 'gpx'
+ * @returns {Object} - { locationDocs, skipped }
+ */
+function segmentToLocations(points, boat, source) {
+  const locationDocs = [];
+  let skipped = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+
+    // Skip points without timestamp
+    if (!point.time) {
+      skipped++;
+      continue;
+    }
+
+    // Calculate course from consecutive points if not provided
+    let course = point.course;
+    if (course == null && i > 0) {
+      const prevPoint = points[i - 1];
+      course = calculateCourse(prevPoint.lat, prevPoint.lon, point.lat, point.lon);
+    }
+    if (course == null) course = 0;
+
+    // Convert speed from m/s to knots (if present) or calculate from position delta
+    let speed = 0;
+    if (point.speed != null && point.speed >= 0) {
+      speed = point.speed / 0.514444; // m/s to knots
+    } else if (i > 0 && points[i - 1].time) {
+      // Calculate speed from previous point using Haversine formula
+      const prevPoint = points[i - 1];
+      const prevTime = new Date(prevPoint.time).getTime();
+      const currTime = new Date(point.time).getTime();
+      speed = calculateSpeedKnots(prevPoint.lat, prevPoint.lon, prevTime, point.lat, point.lon, currTime);
+    }
+
+    locationDocs.push({
+      boatId: boat.boatId,
+      name: boat.name,
+      mmsi: point.mmsi || boat.mmsi || '',
+      color: point.color || boat.color,
+      lat: point.lat,
+      lon: point.lon,
+      course: Math.round(course),
+      speed: Math.round(speed * 10) / 10,
+      status: point.status || 'Under way',
+      source,
+      ...cleanQuality(point),
+      timestamp: new Date(point.time),
+    });
+  }
+
+  return { locationDocs, skipped };
+}
+
 /**
  * Resample GPX track using time-bucket decimation.
  * Keeps only the point closest to each interval boundary.
@@ -292,4 +377,5 @@ module.exports = {
   calculateCourse,
   calculateSpeedKnots,
   resampleGPXTrack,
+  segmentToLocations,
 };
@@ -0,0 +1,551 @@
+/* ===== Import Utilities – Parse KML/KMZ, GeoJSON, CSV and FIT tracks ===== */
+
+const xml2js = require('xml2js');
+const JSZip = require('jszip');
+const FitParser = require('fit-file-parser').default;
+const { parseGPX } = require('./gpx');
+
+const KNOTS_TO_MS = 0.514444;
+
+const IMPORT_FORMATS = ['gpx', 'kml', 'kmz', 'geojson', 'csv', 'fit'];
+
+// Location source stored for each import format
+const IMPORT_SOURCES = {
+  gpx: 'gpx',
+  kml: 'kml',
+  kmz: 'kml',
+  geojson: 'geojson',
+  csv: 'csv',
+  fit: 'fit',
+};
+
+const EXTENSIONS = {
+  '.gpx': 'gpx',
+  '.kml': 'kml',
+  '.kmz': 'kmz',
+  '.geojson': 'geojson',
+  '.json': 'geojson',
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.fit': 'fit',
+};
+
+// Header names recognised when guessing the CSV column mapping (lower case)
+const CSV_COLUMN_ALIASES = {
+  timestamp: ['timestamp', 'time', 'datetime', 'date_time', 'utc', 'gps_time', 'date'],
+  lat: ['lat', 'latitude', 'y'],
+  lon: ['lon', 'lng', 'long', 'longitude', 'x'],
+  speed: ['speed', 'sog', 'speed_kn', 'speed (kn)', 'knots'],
+  course: ['course', 'cog', 'heading', 'hdg', 'bearing'],
+  track: ['boatid', 'boat', 'track', 'vessel', 'name', 'mmsi'],
+};
+
+/**
+ * Detect the format of an uploaded track file from its content and file name.
+ * @param {String} filename - Original file name
+ * @param {Buffer} buffer - File content
+ * @returns {String|null} - One of IMPORT_FORMATS, or null if unknown
+ */
+function detectImportFormat(filename, buffer) {
+  // Binary formats have reliable signatures
+  if (buffer.length >= 12 && buffer.toString('ascii', 8, 12) === '.FIT') return 'fit';
+  if (buffer.length >= 2 && buffer.toString('ascii', 0, 2) === 'PK') return 'kmz';
+
+  const name = String(filename || '').toLowerCase();
+  const ext = Object.keys(EXTENSIONS).find(e => name.endsWith(e));
+  if (ext) return EXTENSIONS[ext];
+
+  const head = buffer.toString('utf-8', 0, Math.min(buffer.length, 1024)).replace(/^\uFEFF/, '').trim();
+  if (head.startsWith('<')) {
+    if (/<kml[\s>]/.test(head)) return 'kml';
+    if (/<gpx[\s>]/.test(head)) return 'gpx';
+    return null;
+  }
+  if (head.startsWith('{')) return 'geojson';
+  if (/^[$!]/.test(head)) return null; // NMEA log, handled by the NMEA import
+  if (/[,;\t]/.test(head.split(/\r?\n/)[0])) return 'csv';
+  return null;
+}
+
+/**
+ * Parse a track file into the parseGPX() shape so it can go through the same
+ * mapping, resampling and import steps.
+ * @param {Buffer} buffer - File content
+ * @param {String} format - One of IMPORT_FORMATS
+ * @param {Object} [options] - { filename, columnMapping } (columnMapping for CSV only)
+ * @returns {Promise<Object>} - { metadata, tracks: [{ name, segments: [{ points }] }] },
+ *   CSV adds { columns, columnMapping }. Point speeds are in m/s as in GPX.
+ */
+async function parseImportFile(buffer, format, options = {}) {
+  switch (format) {
+    case 'gpx':
+      return parseGPX(buffer.toString('utf-8'));
+    case 'kml':
+      return parseKML(buffer.toString('utf-8'));
+    case 'kmz':
+      return parseKMZ(buffer);
+    case 'geojson':
+      return parseGeoJSON(buffer.toString('utf-8'));
+    case 'csv':
+      return parseCSV(buffer.toString('utf-8'), options.columnMapping);
+    case 'fit':
+      return parseFIT(buffer, options.filename);
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+}
+
+function makePoint(lat, lon, time, speed, course) {
+  return {
+    lat,
+    lon,
+    time: time || null,
+    speed: speed != null && Number.isFinite(speed) ? speed : null, // m/s
+    course: course != null && Number.isFinite(course) ? course : null,
+    mmsi: null,
+    color: null,
+    status: 'Under way',
+  };
+}
+
+function isValidPosition(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) &&
+    lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180 &&
+    !(lat === 0 && lon === 0);
+}
+
+function toISOTime(value) {
+  if (value == null || value === '') return null;
+  let date;
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    // Unix time in seconds or milliseconds
+    const n = Number(value);
+    date = new Date(n < 1e12 ? n * 1000 : n);
+  } else {
+    date = new Date(value);
+  }
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ---------- KML / KMZ ----------
+
+function xmlText(node) {
+  if (node == null) return '';
+  if (Array.isArray(node)) return xmlText(node[0]);
+  if (typeof node === 'object') return String(node._ || '').trim();
+  return String(node).trim();
+}
+
+function xmlChildren(node, ...names) {
+  if (!node || typeof node !== 'object') return [];
+  return names.flatMap(n => node[n] || []);
+}
+
+/**
+ * Points of a gx:Track (parallel <when> and <gx:coord> lists). Speed and course
+ * are read from gx:SimpleArrayData as written by the KML export (speed in knots).
+ */
+function kmlTrackPoints(track) {
+  const whens = xmlChildren(track, 'when').map(xmlText);
+  const coords = xmlChildren(track, 'gx:coord', 'coord').map(xmlText);
+
+  const arrays = {};
+  xmlChildren(track, 'ExtendedData').forEach((ext) => {
+    xmlChildren(ext, 'SchemaData').forEach((data) => {
+      xmlChildren(data, 'gx:SimpleArrayData', 'SimpleArrayData').forEach((arr) => {
+        const name = arr.$ && arr.$.name;
+        if (name) arrays[name] = xmlChildren(arr, 'gx:value', 'value').map(xmlText);
+      });
+    });
+  });
+
+  const points = [];
+  coords.forEach((coord, i) => {
+    const [lon, lat] = coord.split(/\s+/).map(parseFloat);
+    if (!isValidPosition(lat, lon)) return;
+    const speed = arrays.speed && arrays.speed[i] !== '' ? parseFloat(arrays.speed[i]) * KNOTS_TO_MS : null;
+    const course = arrays.course && arrays.course[i] !== '' ? parseFloat(arrays.course[i]) : null;
+    points.push(makePoint(lat, lon, toISOTime(whens[i]), speed, course));
+  });
+  return points;
+}
+
+function kmlLinePoints(line) {
+  return xmlText(xmlChildren(line, 'coordinates'))
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').map(parseFloat))
+    .filter(([lon, lat]) => isValidPosition(lat, lon))
+    .map(([lon, lat]) => makePoint(lat, lon, null, null, null));
+}
+
+/**
+ * Segments of a placemark geometry, recursing into multi-geometries
+ */
+function kmlSegments(node) {
+  const segments = [];
+  xmlChildren(node, 'gx:Track', 'Track').forEach(t => segments.push(kmlTrackPoints(t)));
+  xmlChildren(node, 'LineString').forEach(l => segments.push(kmlLinePoints(l)));
+  xmlChildren(node, 'gx:MultiTrack', 'MultiTrack', 'MultiGeometry').forEach(m => segments.push(...kmlSegments(m)));
+  return segments.filter(points => points.length > 0);
+}
+
+/**
+ * Parse KML: every placemark with a track or line becomes a track; timestamped
+ * point placemarks in the same folder are joined into one track.
+ */
+async function parseKML(xmlString) {
+  const parser = new xml2js.Parser({ explicitArray: true });
+  const result = await parser.parseStringPromise(xmlString);
+
+  if (!result || !result.kml) {
+    throw new Error('Invalid KML file: missing <kml> root element');
+  }
+
+  const tracks = [];
+  let documentName = null;
+
+  const walk = (container, folderName) => {
+    const stamped = [];
+
+    xmlChildren(container, 'Placemark').forEach((placemark) => {
+      const name = xmlText(placemark.name) || folderName || `Track ${tracks.length + 1}`;
+      const segments = kmlSegments(placemark);
+      if (segments.length) {
+        tracks.push({ name, segments: segments.map(points => ({ points })) });
+        return;
+      }
+
+      // Single position with a time stamp
+      const when = xmlText(xmlChildren(placemark, 'TimeStamp').flatMap(ts => xmlChildren(ts, 'when')));
+      const point = xmlChildren(placemark, 'Point')[0];
+      if (when && point) {
+        const [lon, lat] = xmlText(point.coordinates).split(',').map(parseFloat);
+        if (isValidPosition(lat, lon)) stamped.push(makePoint(lat, lon, toISOTime(when), null, null));
+      }
+    });
+
+    if (stamped.length) {
+      stamped.sort((a, b) => new Date(a.time) - new Date(b.time));
+      tracks.push({ name: folderName || `Track ${tracks.length + 1}`, segments: [{ points: stamped }] });
+    }
+
+    xmlChildren(container, 'Document', 'Folder').forEach((child) => {
+      const name = xmlText(child.name);
+      if (!documentName && name) documentName = name;
+      walk(child, name || folderName);
+    });
+  };
+
+  walk(result.kml, null);
+
+  return {
+    metadata: { name: documentName || 'Unnamed', description: '', time: null },
+    tracks,
+  };
+}
+
+/**
+ * Parse KMZ: the first .kml file in the archive (normally doc.kml)
+ */
+async function parseKMZ(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new Error('Invalid KMZ file: not a zip archive');
+  }
+
+  const names = Object.keys(zip.files).filter(n => n.toLowerCase().endsWith('.kml'));
+  const name = names.find(n => n.toLowerCase() === 'doc.kml') || names[0];
+  if (!name) {
+    throw new Error('Invalid KMZ file: no KML document inside');
+  }
+  return parseKML(await zip.file(name).async('string'));
+}
+
+// ---------- GeoJSON ----------
+
+function geoJsonFeatures(json) {
+  if (!json || typeof json !== 'object') return [];
+  if (json.type === 'FeatureCollection') return Array.isArray(json.features) ? json.features : [];
+  if (json.type === 'Feature') return [json];
+  if (json.type) return [{ type: 'Feature', geometry: json, properties: {} }];
+  return [];
+}
+
+function geoJsonLine(coordinates, times) {
+  return (coordinates || [])
+    .map((c, i) => makePoint(c[1], c[0], toISOTime(times ? times[i] : null), null, null))
+    .filter(p => isValidPosition(p.lat, p.lon));
+}
+
+/**
+ * Parse GeoJSON: LineStrings (with optional `coordTimes`/`times` properties)
+ * become tracks; timestamped Point features are grouped into tracks by
+ * boatId/name, with speed in knots as written by the GeoJSON export.
+ */
+function parseGeoJSON(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Invalid GeoJSON file: ' + err.message);
+  }
+
+  const features = geoJsonFeatures(json);
+  if (!features.length) {
+    throw new Error('Invalid GeoJSON file: no features found');
+  }
+
+  const lines = [];
+  const groups = new Map(); // track name -> points
+
+  features.forEach((feature, idx) => {
+    const geometry = feature.geometry || {};
+    const props = feature.properties || {};
+    const times = props.coordTimes || props.times || (props.coordinateProperties && props.coordinateProperties.times);
+
+    if (geometry.type === 'LineString') {
+      const points = geoJsonLine(geometry.coordinates, times);
+      if (points.length) lines.push({ name: props.name || props.boatId || `Track ${idx + 1}`, segments: [{ points }] });
+    } else if (geometry.type === 'MultiLineString') {
+      const segments = (geometry.coordinates || [])
+        .map((coords, i) => ({ points: geoJsonLine(coords, times ? times[i] : null) }))
+        .filter(s => s.points.length);
+      if (segments.length) lines.push({ name: props.name || props.boatId || `Track ${idx + 1}`, segments });
+    } else if (geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      const time = toISOTime(props.timestamp || props.time);
+      const [lon, lat] = geometry.coordinates;
+      if (!time || !isValidPosition(lat, lon)) return;
+
+      const key = String(props.boatId || props.name || props.mmsi || 'Points');
+      if (!groups.has(key)) groups.set(key, []);
+      const speed = props.speed != null ? parseFloat(props.speed) * KNOTS_TO_MS : null;
+      const course = props.course != null ? parseFloat(props.course) : null;
+      groups.get(key).push(makePoint(lat, lon, time, speed, course));
+    }
+  });
+
+  const pointTracks = [...groups.entries()].map(([name, points]) => ({
+    name,
+    segments: [{ points: points.sort((a, b) => new Date(a.time) - new Date(b.time)) }],
+  }));
+
+  // Exports carry both timestamped points and untimed overview lines – keep the points
+  const timedLines = pointTracks.length
+    ? lines.filter(t => t.segments.some(s => s.points.some(p => p.time)))
+    : lines;
+
+  return {
+    metadata: { name: json.name || 'Unnamed', description: '', time: null },
+    tracks: [...timedLines, ...pointTracks],
+  };
+}
+
+// ---------- CSV ----------
+
+function detectDelimiter(headerLine) {
+  const counts = [',', ';', '\t'].map(d => [d, headerLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ */
+function parseCSVRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(v => v !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  row.push(cell);
+  if (row.some(v => v !== '')) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Guess which column holds each field from the header names.
+ * @param {Array} columns - Header names
+ * @returns {Object} - { timestamp, lat, lon, speed, course, track } column indexes (or null)
+ */
+function guessColumnMapping(columns) {
+  const normalised = columns.map(c => c.trim().toLowerCase());
+  const mapping = {};
+  const used = new Set();
+
+  Object.entries(CSV_COLUMN_ALIASES).forEach(([field, aliases]) => {
+    mapping[field] = null;
+    for (const alias of aliases) {
+      const idx = normalised.findIndex((c, i) => c === alias && !used.has(i));
+      if (idx !== -1) {
+        mapping[field] = idx;
+        used.add(idx);
+        break;
+      }
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Parse CSV with one position per row. Speed is read in knots.
+ * @param {String} text
+ * @param {Object} [columnMapping] - Column index per field; guessed from the header if omitted
+ */
+function parseCSV(text, columnMapping) {
+  text = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text.split(/\r?\n/)[0]);
+  const rows = parseCSVRows(text, delimiter);
+
+  if (rows.length < 2) {
+    throw new Error('Invalid CSV file: needs a header row and at least one data row');
+  }
+
+  const columns = rows[0].map(c => c.trim());
+  const mapping = { ...guessColumnMapping(columns), ...(columnMapping || {}) };
+  Object.keys(mapping).forEach((field) => {
+    const idx = mapping[field];
+    mapping[field] = idx === '' || idx == null || isNaN(idx) ? null : Number(idx);
+  });
+
+  const result = {
+    metadata: { name: 'CSV import', description: '', time: null },
+    tracks: [],
+    columns,
+    columnMapping: mapping,
+  };
+  if (mapping.lat == null || mapping.lon == null) {
+    return result;
+  }
+
+  // Decimal commas are common with semicolon or tab separated files
+  const num = (value) => {
+    if (value == null || String(value).trim() === '') return null;
+    const n = parseFloat(delimiter === ',' ? value : String(value).replace(',', '.'));
+    return Number.isFinite(n) ? n : null;
+  };
+  const cell = (row, field) => (mapping[field] == null ? null : row[mapping[field]]);
+
+  const groups = new Map(); // track name -> points
+  rows.slice(1).forEach((row) => {
+    const lat = num(cell(row, 'lat'));
+    const lon = num(cell(row, 'lon'));
+    if (!isValidPosition(lat, lon)) return;
+
+    const speed = num(cell(row, 'speed'));
+    const key = String(cell(row, 'track') || '').trim() || 'CSV track';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(makePoint(
+      lat,
+      lon,
+      toISOTime(cell(row, 'timestamp')),
+      speed != null ? speed * KNOTS_TO_MS : null,
+      num(cell(row, 'course'))
+    ));
+  });
+
+  result.tracks = [...groups.entries()].map(([name, points]) => ({ name, segments: [{ points }] }));
+  return result;
+}
+
+// ---------- FIT ----------
+
+/**
+ * Parse a Garmin FIT activity: all records with a position form one track
+ */
+async function parseFIT(buffer, filename) {
+  const parser = new FitParser({ mode: 'list', speedUnit: 'm/s', lengthUnit: 'm', force: true });
+  let data;
+  try {
+    data = await parser.parseAsync(buffer);
+  } catch (err) {
+    throw new Error('Invalid FIT file: ' + err.message);
+  }
+
+  const points = (data.records || [])
+    .filter(r => isValidPosition(r.position_lat, r.position_long))
+    .map(r => makePoint(
+      r.position_lat,
+      r.position_long,
+      toISOTime(r.timestamp),
+      r.enhanced_speed != null ? r.enhanced_speed : r.speed,
+      r.heading != null ? r.heading : null
+    ));
+
+  const name = String(filename || 'FIT activity').replace(/\.fit$/i, '');
+  const session = (data.sessions || [])[0];
+  return {
+    metadata: { name, description: session && session.sport ? String(session.sport) : '', time: null },
+    tracks: points.length ? [{ name, segments: [{ points }] }] : [],
+  };
+}
+
+/**
+ * Preview summary per track, as returned by the GPX import.
+ * @param {Array} tracks - Parsed tracks
+ * @returns {Array} - [{ index, name, points, startTime, endTime }]
+ */
+function summariseTracks(tracks) {
+  return tracks.map((track, idx) => {
+    let points = 0;
+    let firstTime = null;
+    let lastTime = null;
+
+    track.segments.forEach((seg) => {
+      points += seg.points.length;
+      seg.points.forEach((pt) => {
+        if (!pt.time) return;
+        const t = new Date(pt.time).getTime();
+        if (!firstTime || t < firstTime) firstTime = t;
+        if (!lastTime || t > lastTime) lastTime = t;
+      });
+    });
+
+    return {
+      index: idx,
+      name: track.name,
+      points,
+      startTime: firstTime ? new Date(firstTime).toISOString() : null,
+      endTime: lastTime ? new Date(lastTime).toISOString() : null,
+    };
+  });
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_SOURCES,
+  CSV_COLUMN_ALIASES,
+  detectImportFormat,
+  parseImportFile,
+  guessColumnMapping,
+  summariseTracks,
+};
@@ -0,0 +1,68 @@
+/* ===== Ingestion Utilities – Source gating and position validation ===== */
+
+// Boat.enabledSources toggle that controls each Location source (sources not
+// listed here are their own toggle)
+const SOURCE_TOGGLES = {
+  osmand: 'phone',
+  kml: 'gpx',
+  geojson: 'gpx',
+  csv: 'gpx',
+  fit: 'gpx',
+  nmea: 'nmea-file',
+  'nmea-client': 'nmea-file',
+};
+
+// Toggles offered in the admin form (Boat.enabledSources enum)
+const SOURCE_TOGGLE_VALUES = ['phone', 'at4', 'gpx', 'nmea-file', 'mqtt'];
+
+/**
+ * Whether a boat accepts positions from a source. Sources without an admin
+ * toggle (e.g. SignalK) are always accepted.
+ * @param {Object} boat - Boat document
+ * @param {String} source - Location source
+ * @returns {Boolean}
+ */
+function isSourceEnabled(boat, source) {
+  const toggle = SOURCE_TOGGLES[source] || source;
+  if (!SOURCE_TOGGLE_VALUES.includes(toggle)) return true;
+  return (boat.enabledSources || SOURCE_TOGGLE_VALUES).includes(toggle);
+}
+
+/**
+ * Validate a position and bring it into Location form: course wrapped to
+ * 0–360°, course and speed rounded to one decimal, timestamp as a Date.
+ * @param {Object} position - { lat, lon, course?, speed?, timestamp? }
+ * @returns {Object} - { position } or { error }
+ */
+function normalizePosition(position) {
+  const lat = Number(position.lat);
+  const lon = Number(position.lon);
+  if (position.lat == null || !(lat >= -90 && lat <= 90)) return { error: 'lat must be between -90 and 90' };
+  if (position.lon == null || !(lon >= -180 && lon <= 180)) return { error: 'lon must be between -180 and 180' };
+
+  const course = Number(position.course || 0);
+  const speed = Number(position.speed || 0);
+  if (!Number.isFinite(course)) return { error: 'course must be a number' };
+  if (!Number.isFinite(speed) || speed < 0) return { error: 'speed must be >= 0' };
+
+  const timestamp = position.timestamp ? new Date(position.timestamp) : new Date();
+  if (isNaN(timestamp.getTime())) return { error: 'timestamp is invalid' };
+
+  return {
+    position: {
+      ...position,
+      lat,
+      lon,
+      course: Math.round((((course % 360) + 360) % 360) * 10) / 10,
+      speed: Math.round(speed * 10) / 10,
+      timestamp,
+    },
+  };
+}
+
+module.exports = {
+  SOURCE_TOGGLES,
+  SOURCE_TOGGLE_VALUES,
+  isSourceEnabled,
+  normalizePosition,
+};
@@ -0,0 +1,124 @@
+/* ===== KML Utilities – Generate KML/KMZ files for Google Earth ===== */
+
+const JSZip = require('jszip');
+
+const DEFAULT_COLOR = '#0080ff';
+
+const KML_CONTENT_TYPES = {
+  kml: 'application/vnd.google-earth.kml+xml',
+  kmz: 'application/vnd.google-earth.kmz',
+};
+
+const escape = (str) => String(str || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Convert a CSS hex colour to KML's aabbggrr notation.
+ * @param {String} color - '#rrggbb' or '#rgb'
+ * @returns {String} - e.g. 'ffff8000' for '#0080ff'
+ */
+function kmlColor(color) {
+  let hex = String(color || '').replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    hex = DEFAULT_COLOR.slice(1);
+  }
+  return ('ff' + hex.slice(4, 6) + hex.slice(2, 4) + hex.slice(0, 2)).toLowerCase();
+}
+
+/**
+ * Generate KML from expedition/track data.
+ * Every boat gets its own folder with a timestamped gx:Track, so Google Earth
+ * shows the time slider and can play the tracks back.
+ * @param {Object} metadata - { name, description, time }
+ * @param {Array} tracks - [{ boatId, name, color, points: [{ lat, lon, timestamp, speed, course }] }]
+ * @returns {String} - KML XML string
+ */
+function generateKML(metadata, tracks) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n';
+  xml += '<Document>\n';
+  xml += `  <name>${escape(metadata.name)}</name>\n`;
+  if (metadata.description) {
+    xml += `  <description>${escape(metadata.description)}</description>\n`;
+  }
+
+  // Per-point speed and course shown in the Google Earth elevation profile
+  xml += '  <Schema id="boat-data">\n';
+  xml += '    <gx:SimpleArrayField name="speed" type="float"><displayName>Speed (kn)</displayName></gx:SimpleArrayField>\n';
+  xml += '    <gx:SimpleArrayField name="course" type="float"><displayName>Course (°)</displayName></gx:SimpleArrayField>\n';
+  xml += '  </Schema>\n';
+
+  // One style per boat in its own colour
+  tracks.forEach((track, i) => {
+    const color = kmlColor(track.color);
+    xml += `  <Style id="boat-${i}">\n`;
+    xml += `    <IconStyle><color>${color}</color><Icon><href>http://maps.google.com/mapfiles/kml/shapes/sailing.png</href></Icon></IconStyle>\n`;
+    xml += `    <LineStyle><color>${color}</color><width>3</width></LineStyle>\n`;
+    xml += '  </Style>\n';
+  });
+
+  tracks.forEach((track, i) => {
+    const points = track.points.filter(p => p.timestamp);
+
+    xml += '  <Folder>\n';
+    xml += `    <name>${escape(track.name || track.boatId)}</name>\n`;
+    xml += '    <Placemark>\n';
+    xml += `      <name>${escape(track.name || track.boatId)}</name>\n`;
+    xml += `      <styleUrl>#boat-${i}</styleUrl>\n`;
+    xml += '      <gx:Track>\n';
+    xml += '        <altitudeMode>clampToGround</altitudeMode>\n';
+
+    for (const point of points) {
+      xml += `        <when>${new Date(point.timestamp).toISOString()}</when>\n`;
+    }
+    for (const point of points) {
+      xml += `        <gx:coord>${point.lon} ${point.lat} 0</gx:coord>\n`;
+    }
+
+    xml += '        <ExtendedData>\n';
+    xml += '          <SchemaData schemaUrl="#boat-data">\n';
+    for (const field of ['speed', 'course']) {
+      xml += `            <gx:SimpleArrayData name="${field}">\n`;
+      for (const point of points) {
+        xml += `              <gx:value>${point[field] != null ? point[field] : ''}</gx:value>\n`;
+      }
+      xml += '            </gx:SimpleArrayData>\n';
+    }
+    xml += '          </SchemaData>\n';
+    xml += '        </ExtendedData>\n';
+
+    xml += '      </gx:Track>\n';
+    xml += '    </Placemark>\n';
+    xml += '  </Folder>\n';
+  });
+
+  xml += '</Document>\n';
+  xml += '</kml>\n';
+  return xml;
+}
+
+/**
+ * Generate a KMZ archive (zipped doc.kml).
+ * @param {Object} metadata - See generateKML()
+ * @param {Array} tracks - See generateKML()
+ * @returns {Promise<Buffer>}
+ */
+function generateKMZ(metadata, tracks) {
+  const zip = new JSZip();
+  zip.file('doc.kml', generateKML(metadata, tracks));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+  KML_CONTENT_TYPES,
+  kmlColor,
+  generateKML,
+  generateKMZ,
+};
@@ -0,0 +1,93 @@
+/* ===== MQTT Utilities – Topics and position payloads ===== */
+
+const { parseOsmAndTime } = require('./osmand');
+
+/**
+ * Topic a boat's onboard computer publishes positions to.
+ * @param {String} prefix - Topic prefix, e.g. 'akz'
+ * @param {Object} boat - Boat ({ boatId, mqttTopic })
+ * @returns {String} - boat.mqttTopic or '<prefix>/<boatId>/in'
+ */
+function ingestTopic(prefix, boat) {
+  return boat.mqttTopic || `${prefix}/${boat.boatId}/in`;
+}
+
+/**
+ * Topic every saved position of a boat is republished to.
+ * @returns {String} - '<prefix>/<boatId>/position'
+ */
+function positionTopic(prefix, boatId) {
+  return `${prefix}/${boatId}/position`;
+}
+
+/**
+ * Check a custom ingestion topic: no wildcards, and never a republish topic
+ * (which would feed the bridge its own messages).
+ * @returns {String|null} - Error message or null if valid
+ */
+function validateIngestTopic(topic) {
+  if (typeof topic !== 'string' || !topic.trim()) return 'mqttTopic must be a non-empty string';
+  if (/[+#]/.test(topic)) return 'mqttTopic must not contain wildcards';
+  if (topic.startsWith('$')) return 'mqttTopic must not start with $';
+  if (/\/position$/.test(topic)) return 'mqttTopic must not end with /position';
+  return null;
+}
+
+function firstNumber(obj, ...keys) {
+  for (const key of keys) {
+    if (obj[key] != null && obj[key] !== '') {
+      const n = Number(obj[key]);
+      return Number.isFinite(n) ? n : NaN;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a JSON position message:
+ * { lat, lon, speed (kn), course, timestamp } – also accepts latitude/longitude,
+ * sog/cog and heading, Unix or ISO timestamps, and optional hdop, satellites
+ * and accuracy (m).
+ * @param {Buffer|String} payload
+ * @returns {Object} - { lat, lon, speed, course, timestamp, hdop, satellites, accuracy } or { error }
+ */
+function parsePositionPayload(payload) {
+  let data;
+  try {
+    data = JSON.parse(payload.toString());
+  } catch (err) {
+    return { error: 'Payload is not valid JSON' };
+  }
+  if (!data || typeof data !== 'object') return { error: 'Payload must be a JSON object' };
+
+  const lat = firstNumber(data, 'lat', 'latitude');
+  const lon = firstNumber(data, 'lon', 'lng', 'longitude');
+  const speed = firstNumber(data, 'speed', 'sog');
+  const course = firstNumber(data, 'course', 'cog', 'heading');
+  const rawTime = data.timestamp != null ? data.timestamp : data.time;
+  const timestamp = rawTime != null ? parseOsmAndTime(rawTime) : new Date();
+
+  if (lat == null || !(lat >= -90 && lat <= 90)) return { error: 'lat must be between -90 and 90' };
+  if (lon == null || !(lon >= -180 && lon <= 180)) return { error: 'lon must be between -180 and 180' };
+  if (Number.isNaN(speed) || speed < 0) return { error: 'speed must be >= 0' };
+  if (Number.isNaN(course)) return { error: 'course must be a number' };
+  if (!timestamp) return { error: 'timestamp must be Unix time or an ISO date' };
+
+  return {
+    lat,
+    lon,
+    speed: Math.round((speed || 0) * 10) / 10,
+    course: course != null ? Math.round(((course % 360) + 360) % 360) : 0,
+    timestamp,
+    hdop: data.hdop,
+    satellites: data.satellites,
+    accuracy: data.accuracy,
+  };
+}
+
+module.exports = {
+  ingestTopic,
+  positionTopic,
+  validateIngestTopic,
+  parsePositionPayload,
+};
@@ -1,11 +1,39 @@
 /* ===== NMEA Utilities – Parse NMEA 0183 sentences ===== */
 
 const NMEA = require('nmea-simple');
+const { NMEA_FIX_TYPES } = require('./quality');
+
+/**
+ * Accumulate fix quality from GGA (fix quality, satellites, HDOP) and GSA (2D/3D mode, HDOP).
+ * @param {Object} packet - Parsed GGA or GSA packet
+ * @param {Object} state - Accumulated state object (passed by reference)
+ */
+function updateFixQuality(packet, state) {
+  if (packet.sentenceId === 'GGA') {
+    state.ggaFix = NMEA_FIX_TYPES[packet.fixType] || null;
+    if (Number.isFinite(packet.satellitesInView)) state.satellites = packet.satellitesInView;
+    if (Number.isFinite(packet.horizontalDilution)) state.hdop = packet.horizontalDilution;
+  } else if (packet.sentenceId === 'GSA') {
+    state.gsaMode = packet.fixMode === '2D' ? '2d' : packet.fixMode === '3D' ? '3d' : null;
+    if (Number.isFinite(packet.HDOP)) state.hdop = packet.HDOP;
+  }
+}
+
+/**
+ * Fix type from the accumulated GGA/GSA state: differential, RTK and "no fix" from GGA
+ * say more than GSA's 2D/3D mode, which in turn says more than a plain GPS fix.
+ * @param {Object} state - Accumulated state
+ * @returns {String|null}
+ */
+function fixTypeFromState(state) {
+  if (state.ggaFix && state.ggaFix !== 'gps') return state.ggaFix;
+  return state.gsaMode || state.ggaFix || null;
+}
 
 /**
  * Parse NMEA file content and extract position data.
  * @param {String} nmeaContent - Raw NMEA file content (lines of NMEA sentences)
- * @returns {Object} - { positions: [{ lat, lon, timestamp, speed, course, mmsi }], summary }
+ * @returns {Object} - { positions: [{ lat, lon, timestamp, speed, course, mmsi, hdop, satellites, fixType }], summary }
  */
 function parseNMEA(nmeaContent) {
   const lines = nmeaContent.split(/\r?\n/).filter(l => l.trim().length > 0);
@@ -20,6 +48,8 @@ function parseNMEA(nmeaContent) {
     speed: null,
     course: null,
     mmsi: null,
+    hdop: null,
+    satellites: null,
   };
 
   for (let i = 0; i < lines.length; i++) {
@@ -56,6 +86,11 @@ function parseNMEA(nmeaContent) {
             currentState.lat = packet.latitude;
             currentState.lon = packet.longitude;
           }
+          updateFixQuality(packet, currentState);
+          break;
+
+        case 'GSA': // GNSS DOP and Active Satellites
+          updateFixQuality(packet, currentState);
           break;
           
         case 'GLL': // Geographic Position - Latitude/Longitude
@@ -102,6 +137,9 @@ function parseNMEA(nmeaContent) {
             speed: currentState.speed ?? 0,
             course: currentState.course ?? 0,
             mmsi: currentState.mmsi,
+            hdop: currentState.hdop,
+            satellites: currentState.satellites,
+            fixType: fixTypeFromState(currentState),
           });
         }
       }
@@ -164,10 +202,16 @@ function extractPosition(packet, state = {}) {
       break;
       
     case 'GGA':
+      updateFixQuality(packet, state);
+      // falls through
     case 'GLL':
       if (packet.latitude !== undefined) state.lat = packet.latitude;
       if (packet.longitude !== undefined) state.lon = packet.longitude;
       break;
+
+    case 'GSA':
+      updateFixQuality(packet, state);
+      break;
       
     case 'VTG':
       if (packet.speedKnots !== undefined) state.speed = packet.speedKnots;
@@ -189,6 +233,9 @@ function extractPosition(packet, state = {}) {
       speed: state.speed ?? 0,
       course: state.course ?? 0,
       mmsi: state.mmsi || null,
+      hdop: state.hdop ?? null,
+      satellites: state.satellites ?? null,
+      fixType: fixTypeFromState(state),
     };
   }
   
@@ -0,0 +1,92 @@
+/* ===== OsmAnd Protocol – Positions from Traccar Client, OsmAnd and similar apps ===== */
+
+const MS_TO_KNOTS = 1 / 0.514444;
+const KMH_TO_KNOTS = 1 / 1.852;
+
+// Conversion factors to knots for the optional ?speedUnit= parameter
+const SPEED_UNITS = {
+  kn: 1,
+  ms: MS_TO_KNOTS,
+  kmh: KMH_TO_KNOTS,
+};
+
+function firstDefined(...values) {
+  return values.find(v => v != null && v !== '');
+}
+
+/**
+ * Parse a protocol timestamp: Unix seconds, Unix milliseconds or an ISO date.
+ * @returns {Date|null}
+ */
+function parseOsmAndTime(value) {
+  if (value == null || value === '') return null;
+  const str = String(value).trim();
+  let date;
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    const n = Number(str);
+    date = new Date(n < 1e12 ? n * 1000 : n);
+  } else {
+    date = new Date(str);
+  }
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Normalise an OsmAnd request to a position.
+ * Accepts the query/form parameters (id, lat, lon, speed, bearing, timestamp,
+ * hdop, accuracy) and the JSON body sent by Traccar Client (device_id, location.coords.*).
+ * Query speeds are knots as in the Traccar protocol unless speedUnit is given;
+ * JSON speeds are m/s.
+ * @param {Object} params - Query string merged with a form body
+ * @param {Object} [json] - JSON body, if any
+ * @returns {Object} - { id, lat, lon, speed (kn), course, timestamp, hdop, accuracy (m), errors: [] }
+ */
+function parseOsmAndRequest(params, json) {
+  const location = json && json.location ? json.location : null;
+  const coords = location && location.coords ? location.coords : {};
+
+  const id = firstDefined(params.id, params.deviceid, json && json.device_id);
+  const lat = parseFloat(firstDefined(params.lat, coords.latitude));
+  const lon = parseFloat(firstDefined(params.lon, coords.longitude));
+
+  let speed = 0;
+  const rawSpeed = firstDefined(params.speed, coords.speed);
+  if (rawSpeed != null) {
+    const factor = params.speed != null && params.speed !== ''
+      ? SPEED_UNITS[params.speedUnit || 'kn']
+      : MS_TO_KNOTS;
+    speed = parseFloat(rawSpeed) * (factor || 1);
+  }
+
+  const bearing = parseFloat(firstDefined(params.bearing, params.heading, params.course, coords.heading));
+  const course = Number.isFinite(bearing) ? ((bearing % 360) + 360) % 360 : 0;
+
+  const rawTime = firstDefined(params.timestamp, location && location.timestamp);
+  const timestamp = rawTime != null ? parseOsmAndTime(rawTime) : new Date();
+
+  const errors = [];
+  if (!id) errors.push('id is required');
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) errors.push('lat must be between -90 and 90');
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) errors.push('lon must be between -180 and 180');
+  if (!Number.isFinite(speed) || speed < 0) errors.push('speed must be >= 0');
+  if (params.speedUnit && !SPEED_UNITS[params.speedUnit]) errors.push(`speedUnit must be one of ${Object.keys(SPEED_UNITS).join(', ')}`);
+  if (!timestamp) errors.push('timestamp must be Unix time or an ISO date');
+
+  return {
+    id: id != null ? String(id) : null,
+    lat,
+    lon,
+    speed: Math.round(speed * 10) / 10,
+    course: Math.round(course),
+    timestamp,
+    hdop: firstDefined(params.hdop),
+    accuracy: firstDefined(params.accuracy, coords.accuracy),
+    errors,
+  };
+}
+
+module.exports = {
+  SPEED_UNITS,
+  parseOsmAndTime,
+  parseOsmAndRequest,
+};
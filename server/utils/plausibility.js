@@ -0,0 +1,162 @@
+/* ===== Plausibility – Outlier and GPS-jump detection ===== */
+
+const { distanceMeters } = require('./geo');
+
+// Location.outlier values
+const OUTLIER_REASONS = ['zero-coordinates', 'future-timestamp', 'impossible-speed'];
+
+// Used for boats without (complete) plausibility settings
+const DEFAULT_PLAUSIBILITY = {
+  enabled: true,
+  action: 'flag',
+  maxSpeedKn: 40,
+};
+
+// Device clocks may run slightly ahead of the server
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+// Distance a fix may wander without moving (GPS noise), so that jitter
+// between points a second apart doesn't count as an impossible speed
+const JITTER_M = 50;
+const MS_PER_KNOT = 1852 / 3600;
+
+/**
+ * Plausibility settings of a boat, with defaults for missing values
+ * @param {Object} [boat] - Boat document
+ * @returns {Object} - { enabled, action, maxSpeedKn }
+ */
+function plausibilitySettings(boat) {
+  const settings = (boat && boat.plausibility) || {};
+  return {
+    enabled: settings.enabled != null ? settings.enabled : DEFAULT_PLAUSIBILITY.enabled,
+    action: settings.action || DEFAULT_PLAUSIBILITY.action,
+    maxSpeedKn: settings.maxSpeedKn > 0 ? settings.maxSpeedKn : DEFAULT_PLAUSIBILITY.maxSpeedKn,
+  };
+}
+
+/**
+ * Validate plausibility settings from a request body; only given fields are returned
+ * @param {Object} input - { enabled?, action?, maxSpeedKn? }
+ * @returns {Object} - { settings } or { error }
+ */
+function parsePlausibilitySettings(input) {
+  if (!input || typeof input !== 'object') return { error: 'plausibility must be an object' };
+
+  const settings = {};
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') return { error: 'plausibility.enabled must be true or false' };
+    settings.enabled = input.enabled;
+  }
+  if (input.action !== undefined) {
+    if (!['flag', 'reject'].includes(input.action)) return { error: "plausibility.action must be 'flag' or 'reject'" };
+    settings.action = input.action;
+  }
+  if (input.maxSpeedKn !== undefined) {
+    const maxSpeedKn = Number(input.maxSpeedKn);
+    if (!Number.isFinite(maxSpeedKn) || maxSpeedKn < 1) return { error: 'plausibility.maxSpeedKn must be a number >= 1' };
+    settings.maxSpeedKn = maxSpeedKn;
+  }
+  return { settings };
+}
+
+/**
+ * Check a point against the boat's previous plausible position.
+ * Cell tower (approximate) positions are only checked for coordinates and time.
+ * @param {Object} point - { lat, lon, timestamp, accuracy?, approximate? }
+ * @param {Object|null} previous - Previous plausible, non-approximate point (same shape)
+ * @param {Object} settings - From plausibilitySettings()
+ * @param {Date} [now]
+ * @returns {String|null} - Outlier reason (see OUTLIER_REASONS) or null
+ */
+function checkPlausibility(point, previous, settings, now = new Date()) {
+  if (!settings.enabled) return null;
+
+  if (Math.abs(point.lat) < 1e-6 && Math.abs(point.lon) < 1e-6) return 'zero-coordinates';
+
+  const time = new Date(point.timestamp || now).getTime();
+  if (time > now.getTime() + FUTURE_TOLERANCE_MS) return 'future-timestamp';
+
+  if (!previous || point.approximate || previous.approximate) return null;
+
+  const distance = distanceMeters(previous.lat, previous.lon, point.lat, point.lon);
+  const tolerance = Math.max(JITTER_M, point.accuracy || 0, previous.accuracy || 0);
+  if (distance <= tolerance) return null;
+
+  // Same timestamp but a different position counts as one second apart
+  const seconds = Math.max(1, Math.abs(time - new Date(previous.timestamp).getTime()) / 1000);
+  const speedKn = (distance - tolerance) / seconds / MS_PER_KNOT;
+  return speedKn > settings.maxSpeedKn ? 'impossible-speed' : null;
+}
+
+/**
+ * Start screening a track point by point (see screenTrackPoint)
+ * @param {Object} settings - From plausibilitySettings()
+ * @param {Object|null} [previous] - Last plausible point before the track
+ * @param {Date} [now]
+ * @returns {Object} - Screening state
+ */
+function createTrackScreen(settings, previous = null, now = new Date()) {
+  return { settings, previous, now };
+}
+
+/**
+ * Check the next point of a track. Each point is compared with the last plausible
+ * GPS point before it, so a spike and the return from it only reject the spike.
+ * @param {Object} state - From createTrackScreen()
+ * @param {Object} point - Next point, in ascending timestamp order
+ * @returns {String|null} - Outlier reason or null
+ */
+function screenTrackPoint(state, point) {
+  const reason = checkPlausibility(point, state.previous, state.settings, state.now);
+  if (!reason && !point.approximate) state.previous = point;
+  return reason;
+}
+
+/**
+ * Find the outliers of a track
+ * @param {Array<Object>} points - Sorted ascending by timestamp
+ * @param {Object} settings - From plausibilitySettings()
+ * @returns {Array<Object>} - [{ point, reason }]
+ */
+function findOutliers(points, settings) {
+  const state = createTrackScreen(settings);
+  const outliers = [];
+  for (const point of points) {
+    const reason = screenTrackPoint(state, point);
+    if (reason) outliers.push({ point, reason });
+  }
+  return outliers;
+}
+
+/**
+ * Apply the plausibility filter to imported Location documents: outliers are
+ * flagged or left out, depending on the settings.
+ * @param {Array<Object>} docs - Location documents of one boat
+ * @param {Object} settings - From plausibilitySettings()
+ * @returns {Object} - { docs (sorted by timestamp), outliers: [{ point, reason }] }
+ */
+function screenTrack(docs, settings) {
+  const sorted = [...docs].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const outliers = findOutliers(sorted, settings);
+  if (outliers.length === 0) return { docs: sorted, outliers };
+
+  const reasons = new Map(outliers.map(o => [o.point, o.reason]));
+  if (settings.action === 'reject') {
+    return { docs: sorted.filter(d => !reasons.has(d)), outliers };
+  }
+  return {
+    docs: sorted.map(d => (reasons.has(d) ? { ...d, outlier: reasons.get(d) } : d)),
+    outliers,
+  };
+}
+
+module.exports = {
+  OUTLIER_REASONS,
+  DEFAULT_PLAUSIBILITY,
+  plausibilitySettings,
+  parsePlausibilitySettings,
+  checkPlausibility,
+  createTrackScreen,
+  screenTrackPoint,
+  findOutliers,
+  screenTrack,
+};
@@ -0,0 +1,78 @@
+/* ===== Position Quality – Fix-quality fields and threshold filters ===== */
+
+// Location.fixType values: no fix, plain/differential/RTK GNSS, 2D/3D (GSA),
+// dead reckoning or manual input, and cell tower (LBS) positions
+const FIX_TYPES = ['none', 'gps', 'dgps', 'rtk', '2d', '3d', 'estimated', 'lbs'];
+
+// NMEA GGA fix quality (as decoded by nmea-simple) to Location.fixType
+const NMEA_FIX_TYPES = {
+  none: 'none',
+  fix: 'gps',
+  pps: 'gps',
+  delta: 'dgps',
+  rtk: 'rtk',
+  frtk: 'rtk',
+  estimated: 'estimated',
+  manual: 'estimated',
+  simulation: 'estimated',
+};
+
+// Query parameters accepted by the history, track and export endpoints.
+// Points without the field (unknown quality) are kept.
+const QUALITY_PARAMS = {
+  maxHdop: { field: 'hdop', exclude: '$gt' },
+  maxAccuracy: { field: 'accuracy', exclude: '$gt' },
+  minSatellites: { field: 'satellites', exclude: '$lt' },
+};
+
+/**
+ * Build a Location filter from ?maxHdop=&maxAccuracy=&minSatellites=.
+ * Plausibility outliers are left out unless ?outliers=include, points of
+ * secondary sources unless ?secondary=include.
+ * @param {Object} query - Request query
+ * @returns {Object} - { filter } or { error }
+ */
+function parseQualityFilter(query) {
+  const filter = {};
+  if (query.outliers !== 'include') filter.outlier = null;
+  if (query.secondary !== 'include') filter.primary = { $ne: false };
+  for (const [param, { field, exclude }] of Object.entries(QUALITY_PARAMS)) {
+    if (query[param] == null || query[param] === '') continue;
+    const value = Number(query[param]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${param} must be a number >= 0` };
+    }
+    // $not also matches documents where the field is missing or null
+    filter[field] = { $not: { [exclude]: value } };
+  }
+  return { filter };
+}
+
+/**
+ * Normalise quality values reported by a source; invalid values become null.
+ * @param {Object} values - { hdop, satellites, fixType, accuracy }
+ * @returns {Object} - { hdop, satellites, fixType, accuracy }
+ */
+function cleanQuality({ hdop, satellites, fixType, accuracy } = {}) {
+  const number = (v) => {
+    if (v == null || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+  };
+
+  const sats = number(satellites);
+  return {
+    hdop: number(hdop) != null ? Math.round(number(hdop) * 10) / 10 : null,
+    satellites: sats != null ? Math.round(sats) : null,
+    fixType: FIX_TYPES.includes(fixType) ? fixType : null,
+    accuracy: number(accuracy) != null ? Math.round(number(accuracy)) : null,
+  };
+}
+
+module.exports = {
+  FIX_TYPES,
+  NMEA_FIX_TYPES,
+  QUALITY_PARAMS,
+  parseQualityFilter,
+  cleanQuality,
+};
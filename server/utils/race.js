@@ -0,0 +1,312 @@
+/* ===== Race Utilities – Start/finish line crossings, mark roundings, leaderboard ===== */
+
+const { EARTH_RADIUS_M, distanceMeters } = require('./geo');
+
+const ROUNDING_SIDES = ['port', 'starboard'];
+const DEFAULT_ZONE_RADIUS_M = 150;
+
+// ---------- Local planar geometry ----------
+// Race courses are a few nautical miles across, so an equirectangular projection
+// around the course is accurate to well under a metre.
+
+function toXY(point, origin) {
+  const k = Math.PI / 180 * EARTH_RADIUS_M;
+  return {
+    x: (point.lon - origin.lon) * k * Math.cos(origin.lat * Math.PI / 180),
+    y: (point.lat - origin.lat) * k,
+  };
+}
+
+function cross(ax, ay, bx, by) {
+  return ax * by - ay * bx;
+}
+
+/**
+ * Intersection of segments p1→p2 and q1→q2.
+ * @returns {Number|null} - Fraction along p1→p2 (0..1), or null if they do not cross
+ */
+function segmentIntersection(p1, p2, q1, q2) {
+  const rx = p2.x - p1.x;
+  const ry = p2.y - p1.y;
+  const sx = q2.x - q1.x;
+  const sy = q2.y - q1.y;
+  const denom = cross(rx, ry, sx, sy);
+  if (denom === 0) return null;
+
+  const t = cross(q1.x - p1.x, q1.y - p1.y, sx, sy) / denom;
+  const u = cross(q1.x - p1.x, q1.y - p1.y, rx, ry) / denom;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+/**
+ * Which side of the line a→b a point is on: 1, -1 or 0 (on the line)
+ */
+function sideOfLine(a, b, p) {
+  return Math.sign(cross(b.x - a.x, b.y - a.y, p.x - a.x, p.y - a.y));
+}
+
+function midpoint(line) {
+  return { lat: (line.a.lat + line.b.lat) / 2, lon: (line.a.lon + line.b.lon) / 2 };
+}
+
+/**
+ * Distance from a point to a line segment, in metres
+ */
+function distanceToLine(lat, lon, line) {
+  const origin = { lat, lon };
+  const a = toXY(line.a, origin);
+  const b = toXY(line.b, origin);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lenSq = dx * dx + dy * dy;
+  const t = lenSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lenSq)) : 0;
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+}
+
+// ---------- Course ----------
+
+/**
+ * Ordered course targets: start line, each mark, finish line.
+ * @param {Object} race - { startLine, marks, finishLine }
+ * @returns {Array<Object>} - [{ type: 'start'|'mark'|'finish', name, point, line?, mark? }]
+ */
+function courseTargets(race) {
+  const targets = [{ type: 'start', name: 'Start', line: race.startLine, point: midpoint(race.startLine) }];
+  (race.marks || []).forEach((mark, i) => {
+    targets.push({ type: 'mark', name: mark.name || `Mark ${i + 1}`, mark, point: { lat: mark.lat, lon: mark.lon } });
+  });
+  targets.push({ type: 'finish', name: 'Finish', line: race.finishLine, point: midpoint(race.finishLine) });
+  return targets;
+}
+
+/**
+ * Sailing distance from each target to the finish along the course, in metres
+ */
+function remainingFromTarget(targets) {
+  const remaining = new Array(targets.length).fill(0);
+  for (let i = targets.length - 2; i >= 0; i--) {
+    const a = targets[i].point;
+    const b = targets[i + 1].point;
+    remaining[i] = remaining[i + 1] + distanceMeters(a.lat, a.lon, b.lat, b.lon);
+  }
+  return remaining;
+}
+
+/**
+ * Validate a race definition from the API.
+ * @param {Object} race
+ * @returns {Array<String>} - Error messages (empty when valid)
+ */
+function validateRace(race) {
+  const errors = [];
+  const isPoint = p => p && Number.isFinite(p.lat) && Number.isFinite(p.lon) &&
+    Math.abs(p.lat) <= 90 && Math.abs(p.lon) <= 180;
+  const isLine = l => l && isPoint(l.a) && isPoint(l.b);
+
+  if (!race || typeof race !== 'object') return ['race must be an object'];
+  if (!isLine(race.startLine)) errors.push('startLine must have two end points { a: { lat, lon }, b: { lat, lon } }');
+  if (!isLine(race.finishLine)) errors.push('finishLine must have two end points { a: { lat, lon }, b: { lat, lon } }');
+  if (race.marks !== undefined && !Array.isArray(race.marks)) {
+    errors.push('marks must be an array');
+  } else {
+    (race.marks || []).forEach((mark, i) => {
+      if (!isPoint(mark)) errors.push(`marks[${i}] needs a valid lat and lon`);
+      if (mark && mark.rounding !== undefined && !ROUNDING_SIDES.includes(mark.rounding)) {
+        errors.push(`marks[${i}].rounding must be "port" or "starboard"`);
+      }
+      if (mark && mark.zoneRadius !== undefined && !(mark.zoneRadius > 0)) {
+        errors.push(`marks[${i}].zoneRadius must be a positive number of metres`);
+      }
+    });
+  }
+  if (race.startTime && isNaN(new Date(race.startTime).getTime())) {
+    errors.push('startTime must be a valid date');
+  }
+  return errors;
+}
+
+// ---------- Progress ----------
+
+/**
+ * Empty progress for a boat that has not started yet
+ */
+function createProgress() {
+  return { startedAt: null, roundings: [], finishedAt: null, lastLat: null, lastLon: null, lastTimestamp: null };
+}
+
+/**
+ * Number of course targets a boat has passed (start = 1, each mark + 1, finish + 1)
+ */
+function targetsPassed(progress) {
+  if (!progress.startedAt) return 0;
+  return 1 + progress.roundings.length + (progress.finishedAt ? 1 : 0);
+}
+
+/**
+ * Check whether the segment prev→curr passes the given target.
+ * @returns {Number|null} - Fraction along the segment where it passed, or null
+ */
+function passFraction(targets, index, prev, curr) {
+  const target = targets[index];
+  const origin = target.point;
+  const p1 = toXY(prev, origin);
+  const p2 = toXY(curr, origin);
+
+  if (target.type === 'start' || target.type === 'finish') {
+    const a = toXY(target.line.a, origin);
+    const b = toXY(target.line.b, origin);
+    const t = segmentIntersection(p1, p2, a, b);
+    if (t === null) return null;
+
+    // Start: must cross towards the first mark. Finish: must cross coming from the last mark.
+    const reference = target.type === 'start' ? targets[index + 1].point : targets[index - 1].point;
+    const refSide = sideOfLine(a, b, toXY(reference, origin));
+    const endSide = sideOfLine(a, b, p2);
+    if (target.type === 'start') return endSide === refSide ? t : null;
+    return endSide !== refSide ? t : null;
+  }
+
+  // Mark: the boat must cross a ray pointing out of the turn, on the correct side of the mark.
+  // The ray bisects the angle between the incoming and outgoing legs; on a straight course
+  // it points to the side the boat must pass on.
+  const mark = target.mark;
+  const from = toXY(targets[index - 1].point, origin);
+  const to = toXY(targets[index + 1].point, origin);
+  const fromLen = Math.hypot(from.x, from.y) || 1;
+  const toLen = Math.hypot(to.x, to.y) || 1;
+  let ox = -(from.x / fromLen + to.x / toLen);
+  let oy = -(from.y / fromLen + to.y / toLen);
+
+  const isPort = (mark.rounding || 'port') === 'port';
+  if (Math.hypot(ox, oy) < 0.2) {
+    // Nearly straight through: pass to the right of the leg for a port mark, left for starboard
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    ox = isPort ? dy : -dy;
+    oy = isPort ? -dx : dx;
+  }
+
+  const len = Math.hypot(ox, oy);
+  const zone = mark.zoneRadius || DEFAULT_ZONE_RADIUS_M;
+  const rayEnd = { x: ox / len * zone, y: oy / len * zone };
+  const t = segmentIntersection(p1, p2, { x: 0, y: 0 }, rayEnd);
+  if (t === null) return null;
+
+  // Port rounding goes anticlockwise around the mark, starboard clockwise
+  const turn = cross(ox, oy, p2.x - p1.x, p2.y - p1.y);
+  return (isPort ? turn > 0 : turn < 0) ? t : null;
+}
+
+/**
+ * Advance a boat's progress with a new position. Mutates progress in place.
+ * @param {Object} race - Race definition
+ * @param {Object} progress - From createProgress() or previously stored
+ * @param {Object} point - { lat, lon, timestamp }
+ * @param {Date|Number|String} startTime - Start signal; line crossings before it do not count
+ * @returns {Array<Object>} - Passages made by this point: [{ type, index, name, timestamp }]
+ */
+function advanceProgress(race, progress, point, startTime) {
+  const timestamp = new Date(point.timestamp).getTime();
+  const passages = [];
+
+  if (progress.lastTimestamp !== null && progress.lastLat !== null && !progress.finishedAt) {
+    const targets = courseTargets(race);
+    const prev = { lat: progress.lastLat, lon: progress.lastLon };
+    const prevTime = new Date(progress.lastTimestamp).getTime();
+    const start = new Date(startTime).getTime();
+
+    // One segment can pass several targets (e.g. a mark right after the start)
+    let index = targetsPassed(progress);
+    while (index < targets.length) {
+      const t = passFraction(targets, index, prev, point);
+      if (t === null) break;
+
+      const passedAt = new Date(prevTime + t * (timestamp - prevTime));
+      const target = targets[index];
+      if (target.type === 'start') {
+        if (passedAt.getTime() < start) break;
+        progress.startedAt = passedAt;
+      } else if (target.type === 'mark') {
+        progress.roundings.push(passedAt);
+      } else {
+        progress.finishedAt = passedAt;
+      }
+      passages.push({ type: target.type, index, name: target.name, timestamp: passedAt });
+      index++;
+    }
+  }
+
+  progress.lastLat = point.lat;
+  progress.lastLon = point.lon;
+  progress.lastTimestamp = new Date(timestamp);
+  return passages;
+}
+
+// ---------- Leaderboard ----------
+
+/**
+ * Rank boats: finished boats by finish time, then racing boats by distance left to
+ * sail along the course, then boats that have not started.
+ * @param {Object} race - Race definition
+ * @param {Array<Object>} entries - [{ boatId, boatName, color, startedAt, roundings, finishedAt, lastLat, lastLon }]
+ * @returns {Array<Object>} - Leaderboard rows in rank order
+ */
+function buildLeaderboard(race, entries) {
+  const targets = courseTargets(race);
+  const remaining = remainingFromTarget(targets);
+
+  const rows = entries.map((entry) => {
+    const passed = targetsPassed(entry);
+    const status = entry.finishedAt ? 'finished' : (entry.startedAt ? 'racing' : 'not-started');
+    const next = passed < targets.length ? targets[passed] : null;
+
+    let distanceToNext = null;
+    let distanceRemaining = status === 'finished' ? 0 : null;
+    if (next && entry.lastLat !== null && entry.lastLat !== undefined) {
+      distanceToNext = next.line
+        ? distanceToLine(entry.lastLat, entry.lastLon, next.line)
+        : distanceMeters(entry.lastLat, entry.lastLon, next.point.lat, next.point.lon);
+      if (status === 'racing') distanceRemaining = distanceToNext + remaining[passed];
+    }
+
+    return {
+      boatId: entry.boatId,
+      boatName: entry.boatName || entry.boatId,
+      color: entry.color || null,
+      status,
+      marksRounded: (entry.roundings || []).length,
+      nextMark: next ? next.name : null,
+      distanceToNext: distanceToNext === null ? null : Math.round(distanceToNext),
+      distanceRemaining: distanceRemaining === null ? null : Math.round(distanceRemaining),
+      startedAt: entry.startedAt || null,
+      roundings: entry.roundings || [],
+      finishedAt: entry.finishedAt || null,
+      elapsed: entry.finishedAt && entry.startedAt
+        ? new Date(entry.finishedAt).getTime() - new Date(entry.startedAt).getTime()
+        : null,
+    };
+  });
+
+  const order = { finished: 0, racing: 1, 'not-started': 2 };
+  rows.sort((a, b) => {
+    if (a.status !== b.status) return order[a.status] - order[b.status];
+    if (a.status === 'finished') return new Date(a.finishedAt) - new Date(b.finishedAt);
+    if (a.status === 'racing') return (a.distanceRemaining ?? Infinity) - (b.distanceRemaining ?? Infinity);
+    return a.boatName.localeCompare(b.boatName);
+  });
+
+  rows.forEach((row, i) => {
+    row.rank = row.status === 'not-started' ? null : i + 1;
+  });
+  return rows;
+}
+
+module.exports = {
+  ROUNDING_SIDES,
+  DEFAULT_ZONE_RADIUS_M,
+  courseTargets,
+  validateRace,
+  createProgress,
+  advanceProgress,
+  buildLeaderboard,
+};
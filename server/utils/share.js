@@ -0,0 +1,106 @@
+/* ===== Share Utilities – Signed expedition share tokens ===== */
+
+const crypto = require('crypto');
+
+const DEFAULT_SHARE_DAYS = 30;
+const MAX_SHARE_DAYS = 365;
+const MAX_DELAY_MINUTES = 24 * 60;
+
+// WebSocket message types a share link receives (location updates only for its boats)
+const SHARE_MESSAGE_TYPES = ['location-update', 'race-leaderboard'];
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function signature(payload, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+/**
+ * Create the token of a share link: "<payload>.<HMAC-SHA256>"
+ * @param {Object} share - { shareId, expiresAt }
+ * @param {String} secret - Signing key
+ * @returns {String}
+ */
+function signShareToken(share, secret) {
+  const payload = base64url(JSON.stringify({
+    s: share.shareId,
+    x: Math.floor(new Date(share.expiresAt).getTime() / 1000),
+  }));
+  return `${payload}.${signature(payload, secret)}`;
+}
+
+/**
+ * Check a share token's signature and expiry
+ * @param {String} token
+ * @param {String} secret - Signing key
+ * @param {Date} [now]
+ * @returns {Object|null} - { shareId, expiresAt } or null
+ */
+function verifyShareToken(token, secret, now = new Date()) {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+
+  const expected = Buffer.from(signature(payload, secret));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    const expiresAt = new Date(data.x * 1000);
+    if (!data.s || !(expiresAt > now)) return null;
+    return { shareId: data.s, expiresAt };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Validate share link settings from a request body
+ * @param {Object} input - { label?, delayMinutes?, expiresInDays? }
+ * @param {Date} [now]
+ * @returns {Object} - { settings: { label, delayMinutes, expiresAt } } or { error }
+ */
+function parseShareSettings(input, now = new Date()) {
+  const body = input || {};
+
+  const delayMinutes = body.delayMinutes == null || body.delayMinutes === '' ? 0 : Number(body.delayMinutes);
+  if (!Number.isInteger(delayMinutes) || delayMinutes < 0 || delayMinutes > MAX_DELAY_MINUTES) {
+    return { error: `delayMinutes must be a whole number between 0 and ${MAX_DELAY_MINUTES}` };
+  }
+
+  const days = body.expiresInDays == null || body.expiresInDays === '' ? DEFAULT_SHARE_DAYS : Number(body.expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_DAYS) {
+    return { error: `expiresInDays must be a number between 0 and ${MAX_SHARE_DAYS}` };
+  }
+
+  return {
+    settings: {
+      label: String(body.label || '').trim().slice(0, 100),
+      delayMinutes,
+      expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000),
+    },
+  };
+}
+
+/**
+ * Whether a WebSocket client opened with a share link receives a message.
+ * Delayed links get no live messages; their page polls instead.
+ * @param {Object} share - { expeditionId, boatIds: Set, delayMinutes, expiresAt }
+ * @param {String} type - Message type
+ * @param {Object} data - Message payload
+ * @returns {Boolean}
+ */
+function shareReceives(share, type, data) {
+  if (!SHARE_MESSAGE_TYPES.includes(type) || share.delayMinutes > 0) return false;
+  if (type === 'location-update') return share.boatIds.has(data.boatId);
+  return data.expeditionId === share.expeditionId;
+}
+
+module.exports = {
+  signShareToken,
+  verifyShareToken,
+  parseShareSettings,
+  shareReceives,
+};
@@ -0,0 +1,139 @@
+/* ===== Track Statistics – Distance, speed, moving vs idle time ===== */
+
+const { distanceMeters } = require('./geo');
+
+const METERS_PER_NM = 1852;
+
+// Same idle rule as the playback skip-idle feature (client/js/playback.js):
+// below 0.5 kn for at least 2 minutes
+const IDLE_SPEED_KN = 0.5;
+const IDLE_MIN_DURATION_MS = 2 * 60 * 1000;
+
+/**
+ * Empty accumulator; feed points in chronological order with addTrackPoint().
+ * Works on a cursor so long tracks never have to be held in memory.
+ */
+function createTrackStats() {
+  return {
+    points: 0,
+    first: null,
+    last: null,
+    days: new Map(), // 'YYYY-MM-DD' -> day totals
+    idleRun: null, // { duration, byDay: Map(day -> ms) } while the boat is slow
+  };
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function dayTotals(state, key) {
+  if (!state.days.has(key)) {
+    state.days.set(key, { date: key, points: 0, distance: 0, maxSpeed: 0, movingMs: 0, idleMs: 0 });
+  }
+  return state.days.get(key);
+}
+
+/**
+ * Close the current slow stretch: idle if it lasted long enough, moving otherwise
+ */
+function closeIdleRun(state) {
+  const run = state.idleRun;
+  if (!run) return;
+
+  const isIdle = run.duration >= IDLE_MIN_DURATION_MS;
+  run.byDay.forEach((ms, key) => {
+    const day = dayTotals(state, key);
+    if (isIdle) day.idleMs += ms;
+    else day.movingMs += ms;
+  });
+  state.idleRun = null;
+}
+
+/**
+ * Add the next point of a track.
+ * @param {Object} state - From createTrackStats()
+ * @param {Object} point - Location ({ lat, lon, speed, timestamp })
+ */
+function addTrackPoint(state, point) {
+  const timestamp = new Date(point.timestamp);
+  const key = dayKey(timestamp);
+  const day = dayTotals(state, key);
+  const speed = Number.isFinite(point.speed) ? point.speed : null;
+
+  state.points++;
+  day.points++;
+  if (speed !== null && speed > day.maxSpeed) day.maxSpeed = speed;
+  if (!state.first) state.first = timestamp;
+
+  const prev = state.last;
+  state.last = { lat: point.lat, lon: point.lon, speed, timestamp };
+  if (!prev) return;
+
+  // The interval from the previous point counts towards the day it started on
+  const prevDay = dayTotals(state, dayKey(prev.timestamp));
+  const duration = timestamp - prev.timestamp;
+  const distance = distanceMeters(prev.lat, prev.lon, point.lat, point.lon);
+  prevDay.distance += distance;
+  if (duration <= 0) return;
+
+  // Without a reported SOG fall back to the speed between the two fixes
+  const derived = distance / METERS_PER_NM / (duration / 3600000);
+  const slow = (prev.speed ?? derived) < IDLE_SPEED_KN && (speed ?? derived) < IDLE_SPEED_KN;
+
+  if (slow) {
+    if (!state.idleRun) state.idleRun = { duration: 0, byDay: new Map() };
+    state.idleRun.duration += duration;
+    state.idleRun.byDay.set(prevDay.date, (state.idleRun.byDay.get(prevDay.date) || 0) + duration);
+  } else {
+    closeIdleRun(state);
+    prevDay.movingMs += duration;
+  }
+}
+
+function summarise(totals) {
+  const movingHours = totals.movingMs / 3600000;
+  const distanceNm = totals.distance / METERS_PER_NM;
+  return {
+    distanceNm: Math.round(distanceNm * 100) / 100,
+    maxSpeed: Math.round(totals.maxSpeed * 10) / 10,
+    avgSpeed: movingHours > 0 ? Math.round(distanceNm / movingHours * 10) / 10 : 0,
+    movingTime: Math.round(totals.movingMs / 1000),
+    idleTime: Math.round(totals.idleMs / 1000),
+    points: totals.points,
+  };
+}
+
+/**
+ * Totals and per-day (UTC) breakdown.
+ * Average speed is distance over moving time; times are in seconds.
+ * @param {Object} state - From createTrackStats()
+ * @returns {Object} - { from, to, distanceNm, maxSpeed, avgSpeed, movingTime, idleTime, points, days: [...] }
+ */
+function finishTrackStats(state) {
+  closeIdleRun(state);
+
+  const days = [...state.days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  const totals = days.reduce((sum, d) => ({
+    points: sum.points + d.points,
+    distance: sum.distance + d.distance,
+    maxSpeed: Math.max(sum.maxSpeed, d.maxSpeed),
+    movingMs: sum.movingMs + d.movingMs,
+    idleMs: sum.idleMs + d.idleMs,
+  }), { points: 0, distance: 0, maxSpeed: 0, movingMs: 0, idleMs: 0 });
+
+  return {
+    from: state.first,
+    to: state.last ? state.last.timestamp : null,
+    ...summarise(totals),
+    days: days.map(d => ({ date: d.date, ...summarise(d) })),
+  };
+}
+
+module.exports = {
+  IDLE_SPEED_KN,
+  IDLE_MIN_DURATION_MS,
+  createTrackStats,
+  addTrackPoint,
+  finishTrackStats,
+};
@@ -0,0 +1,67 @@
+/* ===== Subscription Utilities – WebSocket topics ===== */
+
+// Message types a client can subscribe to ("event:<type>")
+const EVENT_TYPES = ['location-update', 'geofence-event', 'alarm', 'alarm-acknowledged', 'race-leaderboard'];
+
+// Safety messages reach every subscriber of their type, whatever boats it follows
+const FLEET_EVENTS = ['alarm', 'alarm-acknowledged'];
+
+const MAX_TOPICS = 500;
+const TOPIC_PATTERN = /^(boat|expedition|event):(.{1,100})$/;
+
+/**
+ * Validate the topics of a subscribe / unsubscribe message.
+ * Topics: "boat:<boatId>" (or "boat:*" for all boats), "expedition:<expeditionId>",
+ * "event:<type>".
+ * @param {Array<String>} input
+ * @returns {Object} - { topics: [] } or { error }
+ */
+function parseTopics(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'topics must be a non-empty array' };
+  }
+  if (input.length > MAX_TOPICS) {
+    return { error: `At most ${MAX_TOPICS} topics` };
+  }
+
+  for (const topic of input) {
+    const match = typeof topic === 'string' && topic.match(TOPIC_PATTERN);
+    if (!match) return { error: `Invalid topic: ${String(topic).slice(0, 120)}` };
+    if (match[1] === 'event' && !EVENT_TYPES.includes(match[2])) {
+      return { error: `Unknown event type: ${match[2]}` };
+    }
+  }
+
+  return { topics: [...new Set(input)] };
+}
+
+/**
+ * Whether a client with the given topics receives a message.
+ * @param {Set<String>} topics - Client's topics
+ * @param {String} type - Message type
+ * @param {Object} data - Message payload
+ * @param {Function} expeditionBoats - expeditionId -> Array of boatIds (or undefined)
+ * @returns {Boolean}
+ */
+function topicsReceive(topics, type, data, expeditionBoats) {
+  if (!topics.has(`event:${type}`)) return false;
+  if (FLEET_EVENTS.includes(type) || !data) return true;
+  if (topics.has('boat:*')) return true;
+
+  if (data.expeditionId && topics.has(`expedition:${data.expeditionId}`)) return true;
+  if (!data.boatId) return false;
+  if (topics.has(`boat:${data.boatId}`)) return true;
+
+  for (const topic of topics) {
+    if (!topic.startsWith('expedition:')) continue;
+    const boatIds = expeditionBoats(topic.slice('expedition:'.length));
+    if (boatIds && boatIds.includes(data.boatId)) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  parseTopics,
+  topicsReceive,
+};
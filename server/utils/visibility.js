@@ -0,0 +1,50 @@
+/* ===== Visibility Utilities – who may see a boat ===== */
+
+const VISIBILITY_LEVELS = ['public', 'expedition', 'private'];
+
+/**
+ * Whether a user may see a boat's positions.
+ * @param {Object} boat - { visibility, owner }
+ * @param {Object|null} user - Logged-in user ({ username, role }) or null
+ * @param {Boolean} [inExpedition=false] - Seen as part of one of the boat's expeditions
+ * @returns {Boolean}
+ */
+function canSeeBoat(boat, user, inExpedition = false) {
+  const visibility = (boat && boat.visibility) || 'public';
+  if (visibility === 'private') {
+    return !!user && (user.role === 'admin' || (!!boat.owner && user.username === boat.owner));
+  }
+  if (visibility === 'expedition') return !!user || inExpedition;
+  return true;
+}
+
+/**
+ * Validate visibility settings from a request body
+ * @param {Object} input - { visibility?, owner? }
+ * @returns {Object} - { settings: { visibility?, owner? } } or { error }
+ */
+function parseVisibility(input) {
+  const settings = {};
+
+  if (input.visibility !== undefined) {
+    if (!VISIBILITY_LEVELS.includes(input.visibility)) {
+      return { error: `visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}` };
+    }
+    settings.visibility = input.visibility;
+  }
+
+  if (input.owner !== undefined) {
+    if (input.owner !== null && typeof input.owner !== 'string') {
+      return { error: 'owner must be a username' };
+    }
+    settings.owner = (input.owner || '').trim().toLowerCase();
+  }
+
+  return { settings };
+}
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  canSeeBoat,
+  parseVisibility,
+};